@@ -0,0 +1,48 @@
+import { readFile } from 'node:fs/promises';
+import {
+  validateSchema,
+  validateRecord,
+  compileRecordValidator,
+} from '../dist/src/index.js';
+
+// Compare interpreted and compiled record validation on the same records.
+// Run after `npm run build`; timings depend on the machine, so this is not
+// part of the test suite.
+const RECORD_COUNT = 20000;
+const RUNS = 3;
+
+const userSchema = validateSchema(
+  JSON.parse(
+    await readFile('tests/fixtures/valid/user-with-constraints.bprint', 'utf8')
+  )
+);
+
+const items = Array.from({ length: RECORD_COUNT }, (_, i) => ({
+  userId: `u-${i}`,
+  email: `user${i}@example.com`,
+  stateCode: 'NY',
+  zipCode: '10001',
+  age: i % 100,
+  ssn: '123-45-6789',
+  isActive: true,
+  createdAt: '2024-01-15T10:30:00Z',
+}));
+
+// Best of several runs, in milliseconds
+const time = fn => {
+  let best = Infinity;
+  for (let run = 0; run < RUNS; run++) {
+    const start = process.hrtime.bigint();
+    for (const item of items) fn(item);
+    best = Math.min(best, Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  return best;
+};
+
+const validate = compileRecordValidator(userSchema);
+const interpretedMs = time(item => validateRecord(userSchema, item));
+const compiledMs = time(validate);
+
+console.log(`${items.length} records (best of ${RUNS} runs):`);
+console.log(`  interpreted: ${interpretedMs.toFixed(1)}ms`);
+console.log(`  compiled:    ${compiledMs.toFixed(1)}ms`);
@@ -4,6 +4,7 @@ import addFormats from 'ajv-formats';
 
 let ajvInstance = null;
 let compiledSchema = null;
+let compiledTableSchema = null;
 
 /**
  * Initialize and configure Ajv validator
@@ -47,6 +48,30 @@ export const loadSchema = async (schemaPath = 'schema/bprint.schema.json') => {
   }
 };
 
+/**
+ * Load and compile the .bprint-table manifest schema
+ * @param {string} schemaPath - Path to schema file
+ * @returns {Function} Compiled validation function
+ */
+export const loadTableSchema = async (
+  schemaPath = 'schema/bprint-table.schema.json'
+) => {
+  try {
+    if (!compiledTableSchema) {
+      const schema = JSON.parse(await readFile(schemaPath, 'utf8'));
+      const schemaWithoutMeta = { ...schema };
+      delete schemaWithoutMeta.$schema;
+
+      compiledTableSchema = getAjv().compile(schemaWithoutMeta);
+    }
+    return compiledTableSchema;
+  } catch (error) {
+    throw new Error(
+      `Failed to load schema from ${schemaPath}: ${error.message}`
+    );
+  }
+};
+
 /**
  * Get schema metadata
  * @returns {Object} Schema information
@@ -69,5 +94,6 @@ export const getSchemaInfo = () => {
  */
 export const resetSchema = () => {
   compiledSchema = null;
+  compiledTableSchema = null;
   ajvInstance = null;
 };
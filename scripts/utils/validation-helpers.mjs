@@ -3,14 +3,31 @@
  */
 
 /**
- * Find duplicate entity names across all entities
- * Since each .bprint file now has only one entity, this is simplified
+ * Find duplicate entity names among the members of a .bprint-table manifest
+ * @param {Array} bprints - Parsed member .bprint documents, in manifest order
+ * @returns {Array} Array of diagnostics
  */
-export const findDuplicateEntityNames = () => {
+export const findDuplicateEntityNames = bprints => {
   const errors = [];
+  const entityNames = {};
+
+  bprints.forEach((bprint, index) => {
+    const name = bprint?.entityName;
+    if (typeof name !== 'string') return;
+
+    if (name in entityNames) {
+      errors.push(
+        diagnostic(
+          'duplicate-entity-name',
+          `/entities/${index}/schema`,
+          `Entity name '${name}' is already used by entity ${entityNames[name]}`
+        )
+      );
+    } else {
+      entityNames[name] = index;
+    }
+  });
 
-  // Each .bprint file now has only one entity, so no duplicate checking needed
-  // This function is kept for future extensibility if we ever support multiple entities again
   return errors;
 };
 
@@ -25,10 +42,13 @@ export const findDuplicateFieldNames = schema => {
 
   schema.fields.forEach((field, fieldIndex) => {
     if (field.name in fieldNames) {
-      errors.push({
-        message: `Duplicate field name '${field.name}'`,
-        path: `fields[${fieldIndex}]`,
-      });
+      errors.push(
+        diagnostic(
+          'duplicate-field-name',
+          `/fields/${fieldIndex}/name`,
+          `Duplicate field name '${field.name}'`
+        )
+      );
     } else {
       fieldNames[field.name] = fieldIndex;
     }
@@ -37,6 +57,84 @@ export const findDuplicateFieldNames = schema => {
   return errors;
 };
 
+/**
+ * Field types that can back a partition or sort key
+ */
+const KEY_TYPES = [
+  'string',
+  'number',
+  'integer',
+  'decimal',
+  'timestamp',
+  'date',
+  'uuid',
+  'binary',
+];
+
+/**
+ * Check that primary key attributes name required fields of a key type.
+ * Key templates such as 'ORDER#{orderId}' check each placeholder's field.
+ * @param {Object} schema - Parsed .bprint document
+ * @returns {Array} Array of diagnostics
+ */
+export const validatePrimaryKeyFields = schema => {
+  const errors = [];
+  const { primaryKey, fields } = schema;
+
+  if (!primaryKey || !Array.isArray(fields)) return errors;
+
+  const checkKeyField = (keyName, fieldName, path, keyTypes) => {
+    const field = fields.find(f => f && f.name === fieldName);
+
+    if (!field) {
+      errors.push(
+        diagnostic(
+          'unknown-key-field',
+          path,
+          `PrimaryKey ${keyName} '${fieldName}' does not match any field`
+        )
+      );
+      return;
+    }
+    if (!keyTypes.includes(field.type)) {
+      errors.push(
+        diagnostic(
+          'invalid-key-type',
+          path,
+          `PrimaryKey ${keyName} '${fieldName}' has type '${field.type}'; key fields must be one of: ${keyTypes.join(', ')}`
+        )
+      );
+    }
+    if (field.required !== true) {
+      errors.push(
+        diagnostic(
+          'optional-key-field',
+          path,
+          `PrimaryKey ${keyName} '${fieldName}' must be a required field`
+        )
+      );
+    }
+  };
+
+  ['partitionKey', 'sortKey'].forEach(keyName => {
+    const key = primaryKey[keyName];
+    if (typeof key !== 'string' || !key) return;
+
+    const path = `/primaryKey/${keyName}`;
+    if (!/[{}]/.test(key)) {
+      checkKeyField(keyName, key, path, KEY_TYPES);
+      return;
+    }
+    // Template placeholders cannot hold binary values
+    const templateTypes = KEY_TYPES.filter(type => type !== 'binary');
+    for (const [, fieldName] of key.matchAll(/\{([^{}]+)\}/g)) {
+      checkKeyField(keyName, fieldName, path, templateTypes);
+    }
+  });
+
+  return errors;
+};
+
 /**
  * Validate custom business rules beyond JSON Schema
  */
@@ -48,11 +146,34 @@ export const validateCustomRules = bprint => {
     errors.push(...findDuplicateFieldNames(bprint));
   }
 
-  // Validate field constraints for each field
-  if (bprint.fields) {
-    bprint.fields.forEach(field => {
-      errors.push(...validateFieldConstraints(field));
+  // Check that primary key fields exist and are usable as keys
+  errors.push(...validatePrimaryKeyFields(bprint));
+
+  // Validate field constraints for each field, including nested map fields
+  const visitFields = (fields, basePath) => {
+    fields.forEach((field, fieldIndex) => {
+      const path = `${basePath}/${fieldIndex}`;
+      errors.push(...validateFieldConstraints(field, path));
+      if (Array.isArray(field.fields)) {
+        visitFields(field.fields, `${path}/fields`);
+      }
+      if (Array.isArray(field.items?.fields)) {
+        visitFields(field.items.fields, `${path}/items/fields`);
+      }
+      if (Array.isArray(field.variants)) {
+        field.variants.forEach((variant, variantIndex) => {
+          if (Array.isArray(variant?.fields)) {
+            visitFields(
+              variant.fields,
+              `${path}/variants/${variantIndex}/fields`
+            );
+          }
+        });
+      }
     });
+  };
+  if (Array.isArray(bprint.fields)) {
+    visitFields(bprint.fields, '/fields');
   }
 
   return errors;
@@ -68,8 +189,46 @@ export const countEntitiesAndFields = bprint => {
   return { entityCount, fieldCount };
 };
 
+/**
+ * Build a diagnostic in the same shape as validateSchemaDetailed() returns
+ * @param {string} code - Stable diagnostic code
+ * @param {string} path - JSON Pointer to the offending value
+ * @param {string} message - Human-readable message
+ * @param {'error'|'warning'} severity - Diagnostic severity
+ * @returns {Object} Diagnostic object
+ */
+export const diagnostic = (code, path, message, severity = 'error') => ({
+  code,
+  path,
+  severity,
+  message,
+});
+
+/**
+ * Convert an Ajv error into a diagnostic
+ * Unknown properties use the same code and path as validateSchemaDetailed().
+ * @param {Object} error - Ajv error object
+ * @returns {Object} Diagnostic object
+ */
+export const fromAjvError = error => {
+  if (error.keyword === 'additionalProperties') {
+    const property = error.params.additionalProperty;
+    return diagnostic(
+      'unknown-property',
+      `${error.instancePath}/${property.replace(/~/g, '~0').replace(/\//g, '~1')}`,
+      `Unknown property '${property}'`
+    );
+  }
+  return diagnostic(
+    `schema/${error.keyword}`,
+    error.instancePath,
+    error.message
+  );
+};
+
 /**
  * Format validation errors for display
+ * Accepts diagnostics, raw Ajv errors, or plain message strings.
  * @param {Array} errors - Array of validation errors
  * @returns {string} Formatted error string
  */
@@ -78,11 +237,14 @@ export const formatValidationErrors = errors => {
 
   return errors
     .map(error => {
-      if (error.message) {
-        return `   - ${error.message}`;
-      } else {
-        return `   - ${error.instancePath || 'root'}: ${error.message || error.keyword}`;
+      if (typeof error === 'string') {
+        return `   - ${error}`;
       }
+      const d = 'instancePath' in error ? fromAjvError(error) : error;
+      const severity = d.severity ? `[${d.severity}] ` : '';
+      const location = d.path !== undefined ? `${d.path || '/'}: ` : '';
+      const code = d.code ? ` (${d.code})` : '';
+      return `   - ${severity}${location}${d.message || d.keyword}${code}`;
     })
     .join('\n');
 };
@@ -90,15 +252,22 @@ export const formatValidationErrors = errors => {
 /**
  * Validate field type constraints
  * @param {Object} field - Field object
- * @returns {Array} Array of validation error messages
+ * @param {string} path - JSON Pointer to the field
+ * @returns {Array} Array of diagnostics
  */
-export const validateFieldConstraints = field => {
+export const validateFieldConstraints = (field, path = '') => {
   const errors = [];
 
   // Check if enum values are provided when type is string
   if (field.type === 'string' && field.enum && Array.isArray(field.enum)) {
     if (field.enum.length === 0) {
-      errors.push(`Field '${field.name}' has empty enum array`);
+      errors.push(
+        diagnostic(
+          'invalid-enum',
+          `${path}/enum`,
+          `Field '${field.name}' has empty enum array`
+        )
+      );
     }
 
     // Check for duplicate enum values
@@ -107,7 +276,11 @@ export const validateFieldConstraints = field => {
     );
     if (duplicateEnumValues.length > 0) {
       errors.push(
-        `Field '${field.name}' has duplicate enum values: ${duplicateEnumValues.join(', ')}`
+        diagnostic(
+          'invalid-enum',
+          `${path}/enum`,
+          `Field '${field.name}' has duplicate enum values: ${duplicateEnumValues.join(', ')}`
+        )
       );
     }
   }
@@ -1,8 +1,9 @@
 import { readFile } from 'node:fs/promises';
 import { readdir, stat } from 'node:fs/promises';
-import { join, extname } from 'node:path';
-import { loadSchema } from './utils/schema-loader.mjs';
+import { join, extname, dirname } from 'node:path';
+import { loadSchema, loadTableSchema } from './utils/schema-loader.mjs';
 import {
+  findDuplicateEntityNames,
   validateCustomRules,
   countEntitiesAndFields,
   formatValidationErrors,
@@ -10,7 +11,9 @@ import {
 
 const EXAMPLES_DIR = 'examples';
 
-// Recursively find all .bprint files
+const EXTENSIONS = ['.bprint', '.bprint-table'];
+
+// Recursively find all .bprint and .bprint-table files
 const findBprintFiles = async dir => {
   const files = [];
 
@@ -25,7 +28,7 @@ const findBprintFiles = async dir => {
         // Recursively search subdirectories
         const subFiles = await findBprintFiles(fullPath);
         files.push(...subFiles);
-      } else if (stats.isFile() && extname(item) === '.bprint') {
+      } else if (stats.isFile() && EXTENSIONS.includes(extname(item))) {
         files.push(fullPath);
       }
     }
@@ -36,9 +39,38 @@ const findBprintFiles = async dir => {
   return files;
 };
 
+// Validate a table manifest and the entity names of its members
+const validateTableFile = async filePath => {
+  const validate = await loadTableSchema();
+  const json = JSON.parse(await readFile(filePath, 'utf8'));
+
+  const schemaValid = validate(json);
+  const schemaErrors = schemaValid ? [] : validate.errors || [];
+
+  const members = await Promise.all(
+    (json.entities || []).map(async entity =>
+      JSON.parse(await readFile(join(dirname(filePath), entity.schema), 'utf8'))
+    )
+  );
+  const customErrors = findDuplicateEntityNames(members);
+  const allErrors = [...schemaErrors, ...customErrors];
+
+  return {
+    file: filePath,
+    valid: allErrors.length === 0,
+    errors: allErrors,
+    entityCount: members.length,
+    fieldCount: 0,
+  };
+};
+
 // Validate a single file with detailed error reporting
 const validateFile = async filePath => {
   try {
+    if (extname(filePath) === '.bprint-table') {
+      return await validateTableFile(filePath);
+    }
+
     // Load schema
     const validate = await loadSchema();
 
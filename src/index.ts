@@ -1,8 +1,106 @@
 // Export the main types
-export { SchemaData, PrimaryKey, Field, FieldType, ListItems, NestedField, FieldConstraints, FieldAnnotations } from './types';
+export { SchemaData, PrimaryKey, Field, FieldType, ScalarFieldType, StringFormat, ListItems, NestedField, UnionVariant, TypeDefinition, FieldConstraints, FieldAnnotations, TableManifest, TableKeyType, TableKeyAttribute, TableEntity, TableData, ResolvedTableEntity, SecondaryIndex, IndexProjection, AccessPattern, TtlDefinition, FieldClassification, ClassificationLevel, DataCategory, MaskingStrategy, Deprecation, DeprecationDetails, EntityRule } from './types';
 
 // Export validation functions
-export { validateSchema } from './validation';
+export {
+  validateSchema,
+  validateSchemaDetailed,
+  ValidateSchemaOptions,
+  ValidationResult,
+} from './validation';
+export {
+  SchemaValidationError,
+  ValidationDiagnostic,
+  DiagnosticCode,
+  DiagnosticSeverity,
+} from './validation/diagnostics';
+export {
+  validateRecord,
+  RecordError,
+  RecordErrorCode,
+  RecordValidationResult,
+} from './validation/record';
+export {
+  VALID_IDENTIFIER_REGEX,
+  toIdentifier,
+  effectiveIdentifier,
+} from './validation/identifiers';
+export {
+  TargetLanguage,
+  ReservedWordProfile,
+  RESERVED_WORD_PROFILES,
+  DEFAULT_TARGET_LANGUAGES,
+  reservedIn,
+} from './validation/reserved-words';
+export {
+  resolveSchema,
+  resolveSchemaDetailed,
+  flattenSchema,
+} from './validation/resolve';
+export { LoadedTypes, TypeLoader } from './validation/refs';
+export {
+  resolveTable,
+  resolveTableDetailed,
+  TableValidationResult,
+} from './validation/table';
+export {
+  buildKey,
+  parseKey,
+  parseKeyTemplate,
+  isKeyTemplate,
+  KeyValue,
+  KeyAttributeValue,
+  KeyTemplatePart,
+} from './validation/keys';
+export {
+  computeTtl,
+  nextVersion,
+  ComputeTtlOptions,
+} from './validation/lifecycle';
+export {
+  listClassifiedFields,
+  ClassifiedField,
+  CLASSIFICATION_LEVELS,
+  DATA_CATEGORIES,
+  MASKING_STRATEGIES,
+} from './validation/classification';
+export { redactRecord, RedactOptions } from './validation/redact';
+export {
+  findDeprecatedUsage,
+  DeprecatedUsage,
+} from './validation/deprecation';
+export { analyzePattern, PatternIssue } from './validation/patterns';
+export {
+  STRING_FORMATS,
+  StringFormatDefinition,
+  matchesFormat,
+} from './validation/string-formats';
+export {
+  compileRecordValidator,
+  generateRecordValidatorSource,
+  RecordValidator,
+  RecordValidatorSourceOptions,
+} from './validation/compile';
+
+// Export the lint rule engine
+export { lintSchema, CONFIGURABLE_DIAGNOSTICS } from './lint';
+export {
+  CONFIG_FILE_NAME,
+  LoadedLintConfig,
+  findLintConfig,
+  loadLintConfig,
+} from './lint/config';
+export { BUILTIN_RULES } from './lint/rules';
+export {
+  LintConfig,
+  LintContext,
+  LintDiagnostic,
+  LintResult,
+  LintRule,
+  RuleSetting,
+  RuleSeverity,
+} from './lint/types';
 
 // Export the JSON schema
 export { default as schema } from '../schema/bprint.schema.json';
+export { default as tableSchema } from '../schema/bprint-table.schema.json';
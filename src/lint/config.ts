@@ -0,0 +1,88 @@
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { LintConfig, LintRule } from './types';
+
+/**
+ * Name of the lint configuration file.
+ */
+export const CONFIG_FILE_NAME = 'bprint.config.json';
+
+/**
+ * A parsed config file with its plugin rules loaded.
+ */
+export interface LoadedLintConfig {
+  config: LintConfig;
+  rules: LintRule[];
+}
+
+/**
+ * Finds the nearest bprint.config.json in startDir or its ancestors.
+ */
+export function findLintConfig(
+  startDir: string = process.cwd()
+): string | undefined {
+  let dir = resolve(startDir);
+  for (;;) {
+    const candidate = join(dir, CONFIG_FILE_NAME);
+    if (existsSync(candidate)) {
+      return candidate;
+    }
+    const parent = dirname(dir);
+    if (parent === dir) {
+      return undefined;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Reads a config file and requires its plugins. Without a path, the nearest
+ * bprint.config.json is used; with none found, the config is empty.
+ */
+export function loadLintConfig(
+  configPath: string | undefined = findLintConfig()
+): LoadedLintConfig {
+  if (configPath === undefined) {
+    return { config: {}, rules: [] };
+  }
+
+  const config = JSON.parse(readFileSync(configPath, 'utf8'));
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${configPath} must contain a JSON object`);
+  }
+  if (
+    config.plugins !== undefined &&
+    (!Array.isArray(config.plugins) ||
+      !config.plugins.every((p: unknown) => typeof p === 'string'))
+  ) {
+    throw new Error(`${configPath}: plugins must be an array of module paths`);
+  }
+
+  const baseDir = dirname(resolve(configPath));
+  const rules = (config.plugins ?? []).flatMap((plugin: string) =>
+    loadPlugin(plugin, baseDir)
+  );
+
+  return { config, rules };
+}
+
+function loadPlugin(plugin: string, baseDir: string): LintRule[] {
+  const modulePath = plugin.startsWith('.') ? resolve(baseDir, plugin) : plugin;
+  const exported = require(require.resolve(modulePath, { paths: [baseDir] }));
+  const rules = exported?.rules;
+
+  if (
+    !Array.isArray(rules) ||
+    !rules.every(
+      rule =>
+        rule &&
+        typeof rule.name === 'string' &&
+        typeof rule.check === 'function'
+    )
+  ) {
+    throw new Error(
+      `Lint plugin '${plugin}' must export a rules array of { name, check } objects`
+    );
+  }
+  return rules;
+}
@@ -0,0 +1,145 @@
+import { validateSchemaDetailed } from '../validation';
+import {
+  DiagnosticCode,
+  DiagnosticSeverity,
+  WARNING_CODES,
+} from '../validation/diagnostics';
+import { closestMatch } from '../validation/suggest';
+import { BUILTIN_RULES } from './rules';
+import {
+  LintConfig,
+  LintDiagnostic,
+  LintResult,
+  LintRule,
+  RuleSetting,
+  RuleSeverity,
+} from './types';
+
+/**
+ * Validator diagnostics whose severity can be set like a rule: every
+ * warning. Errors are not configurable: they mark blueprints the validator
+ * cannot produce a schema for, and generators rely on them.
+ * 'unknown-property' maps onto the validator's strict option.
+ */
+export const CONFIGURABLE_DIAGNOSTICS: readonly DiagnosticCode[] =
+  WARNING_CODES;
+
+const SEVERITIES: readonly RuleSeverity[] = ['off', 'warn', 'error'];
+
+interface ResolvedSetting {
+  severity: RuleSeverity;
+  options: unknown;
+}
+
+/**
+ * Validates a schema, then runs the lint rules enabled by config.
+ * Custom rules run after the built-in ones.
+ */
+export function lintSchema(
+  schema: unknown,
+  config: LintConfig = {},
+  customRules: LintRule[] = []
+): LintResult {
+  const rules = collectRules(customRules);
+  const settings = resolveSettings(config.rules ?? {}, rules);
+  const unknownProperties = settings.get('unknown-property');
+
+  const validation = validateSchemaDetailed(schema, {
+    targetLanguages: config.targetLanguages,
+    strict: unknownProperties && unknownProperties.severity === 'error',
+  });
+
+  const diagnostics: LintDiagnostic[] = [];
+  for (const diagnostic of validation.diagnostics) {
+    const setting = settings.get(diagnostic.code);
+    if (!setting) {
+      diagnostics.push(diagnostic);
+    } else if (setting.severity !== 'off') {
+      diagnostics.push({
+        ...diagnostic,
+        severity: toDiagnosticSeverity(setting.severity),
+      });
+    }
+  }
+
+  if (!validation.schema) {
+    return { valid: false, diagnostics };
+  }
+
+  for (const rule of rules) {
+    const setting = settings.get(rule.name) ?? {
+      severity: rule.defaultSeverity ?? 'warn',
+      options: undefined,
+    };
+    if (setting.severity === 'off') {
+      continue;
+    }
+    const severity = toDiagnosticSeverity(setting.severity);
+    rule.check(validation.schema, {
+      options: setting.options,
+      report(path, message) {
+        diagnostics.push({ code: rule.name, path, severity, message });
+      },
+    });
+  }
+
+  return {
+    valid: !diagnostics.some(d => d.severity === 'error'),
+    schema: validation.schema,
+    diagnostics,
+  };
+}
+
+function collectRules(customRules: LintRule[]): LintRule[] {
+  const rules = [...BUILTIN_RULES];
+  const names = new Set<string>([
+    ...CONFIGURABLE_DIAGNOSTICS,
+    ...rules.map(r => r.name),
+  ]);
+
+  for (const rule of customRules) {
+    if (names.has(rule.name)) {
+      throw new Error(`Lint rule '${rule.name}' is already defined`);
+    }
+    names.add(rule.name);
+    rules.push(rule);
+  }
+  return rules;
+}
+
+function resolveSettings(
+  settings: Record<string, RuleSetting>,
+  rules: LintRule[]
+): Map<string, ResolvedSetting> {
+  const known: string[] = [
+    ...CONFIGURABLE_DIAGNOSTICS,
+    ...rules.map(r => r.name),
+  ];
+  const resolved = new Map<string, ResolvedSetting>();
+
+  for (const [name, setting] of Object.entries(settings)) {
+    if (!known.includes(name)) {
+      const suggestion = closestMatch(name, known);
+      throw new Error(
+        `Unknown lint rule '${name}'${suggestion ? `; did you mean '${suggestion}'?` : ''}`
+      );
+    }
+    const [severity, options] = Array.isArray(setting)
+      ? setting
+      : [setting, undefined];
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(
+        `Lint rule '${name}' severity must be one of: ${SEVERITIES.join(', ')}`
+      );
+    }
+    resolved.set(name, { severity, options });
+  }
+
+  return resolved;
+}
+
+function toDiagnosticSeverity(
+  severity: Exclude<RuleSeverity, 'off'>
+): DiagnosticSeverity {
+  return severity === 'warn' ? 'warning' : 'error';
+}
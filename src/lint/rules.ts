@@ -0,0 +1,87 @@
+import { pointer } from '../validation/diagnostics';
+import { effectiveIdentifier } from '../validation/identifiers';
+import { LintRule } from './types';
+
+const PASCAL_CASE_REGEX = /^[A-Z][a-zA-Z0-9]*$/;
+
+export const entityNamePascalCase: LintRule = {
+  name: 'entity-name-pascal-case',
+  description: 'entityName must be PascalCase',
+  check(schema, context) {
+    if (!PASCAL_CASE_REGEX.test(schema.entityName)) {
+      context.report(
+        '/entityName',
+        `entityName '${schema.entityName}' should be PascalCase, e.g. 'UserProfile'`
+      );
+    }
+  },
+};
+
+export const fieldDescription: LintRule = {
+  name: 'field-description',
+  description: 'Every field needs a description',
+  defaultSeverity: 'off',
+  check(schema, context) {
+    schema.fields.forEach((field, index) => {
+      if (!field.description || !field.description.trim()) {
+        context.report(
+          pointer('/fields', index),
+          `Field '${field.name}' should have a description`
+        );
+      }
+    });
+  },
+};
+
+export const timestampFieldSuffix: LintRule = {
+  name: 'timestamp-field-suffix',
+  description:
+    'Timestamp field identifiers end in one of the configured suffixes (default: At, Date)',
+  defaultSeverity: 'off',
+  check(schema, context) {
+    const suffixes = readSuffixes(context.options) ?? ['At', 'Date'];
+
+    schema.fields.forEach((field, index) => {
+      if (field.type !== 'timestamp') {
+        return;
+      }
+      const identifier = effectiveIdentifier(field) ?? field.name;
+      if (!suffixes.some(suffix => identifier.endsWith(suffix))) {
+        context.report(
+          pointer(
+            '/fields',
+            index,
+            field.nameOverride ? 'nameOverride' : 'name'
+          ),
+          `Timestamp field '${field.name}' should end in ${suffixes.join(' or ')}`
+        );
+      }
+    });
+  },
+};
+
+function readSuffixes(options: unknown): string[] | undefined {
+  if (options === undefined) {
+    return undefined;
+  }
+  const suffixes = (options as { suffixes?: unknown })?.suffixes;
+  if (
+    !Array.isArray(suffixes) ||
+    suffixes.length === 0 ||
+    !suffixes.every(s => typeof s === 'string')
+  ) {
+    throw new Error(
+      'Rule \'timestamp-field-suffix\' options must be { "suffixes": string[] }'
+    );
+  }
+  return suffixes;
+}
+
+/**
+ * Rules shipped with the package, in the order they run.
+ */
+export const BUILTIN_RULES: readonly LintRule[] = [
+  entityNamePascalCase,
+  fieldDescription,
+  timestampFieldSuffix,
+];
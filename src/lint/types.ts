@@ -0,0 +1,63 @@
+import { SchemaData } from '../types';
+import { DiagnosticSeverity } from '../validation/diagnostics';
+import { TargetLanguage } from '../validation/reserved-words';
+
+/**
+ * Severity of a lint rule as written in bprint.config.json.
+ */
+export type RuleSeverity = 'off' | 'warn' | 'error';
+
+/**
+ * A rule's configuration: a severity, or a severity and rule options.
+ */
+export type RuleSetting = RuleSeverity | [RuleSeverity, unknown];
+
+/**
+ * Contents of a bprint.config.json file.
+ */
+export interface LintConfig {
+  /** Passed through to validateSchemaDetailed */
+  targetLanguages?: TargetLanguage[];
+  /** CommonJS modules exporting `rules`, relative to the config file */
+  plugins?: string[];
+  /** Severity (and options) per rule name */
+  rules?: Record<string, RuleSetting>;
+}
+
+/**
+ * What a rule receives while checking a schema.
+ */
+export interface LintContext {
+  /** Options from the rule's config entry, if any */
+  readonly options: unknown;
+  /** Report a problem at a JSON Pointer into the schema */
+  report(path: string, message: string): void;
+}
+
+/**
+ * A named check run against a schema that has passed validation.
+ */
+export interface LintRule {
+  /** Unique kebab-case name, used as the diagnostic code */
+  name: string;
+  description: string;
+  /** Severity when the config does not mention the rule (default: 'warn') */
+  defaultSeverity?: RuleSeverity;
+  check(schema: SchemaData, context: LintContext): void;
+}
+
+/**
+ * A lint or validation problem. Lint diagnostics use the rule name as code.
+ */
+export interface LintDiagnostic {
+  code: string;
+  path: string;
+  severity: DiagnosticSeverity;
+  message: string;
+}
+
+export interface LintResult {
+  valid: boolean;
+  schema?: SchemaData;
+  diagnostics: LintDiagnostic[];
+}
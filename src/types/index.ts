@@ -8,81 +8,327 @@ export interface SchemaData {
   description: string;
   primaryKey: PrimaryKey;
   fields: Field[];
+  /**
+   * Path of a .bprint file whose primaryKey, types and fields this blueprint
+   * inherits. resolveSchema and flattenSchema merge it in.
+   */
+  extends?: string;
+  /**
+   * Marks a blueprint that only exists to be extended. It needs no
+   * entityName or primaryKey and cannot be validated on its own.
+   */
+  abstract?: boolean;
+  /**
+   * Named types that fields reference with $ref. Validation expands every
+   * reference, so validated schemas never include types.
+   */
+  types?: Record<string, TypeDefinition>;
+  /** Global and local secondary indexes of the entity's table */
+  indexes?: SecondaryIndex[];
+  /** Queries the entity must support, each served by the key or an index */
+  accessPatterns?: AccessPattern[];
+  /** Field DynamoDB reads each item's expiry time from */
+  ttl?: TtlDefinition;
+  /** Number or integer field holding the optimistic-locking version */
+  versionAttribute?: string;
+  /** Marks an entity that is being retired */
+  deprecated?: Deprecation;
+  /** Conditions relating several fields that every record must meet */
+  rules?: EntityRule[];
 }
 
+/**
+ * A reusable named type: a map, a string enum, or an alias of another type
+ * ({ $ref }). Fields that reference it add their own name, required flag,
+ * description and annotations.
+ */
+export interface TypeDefinition {
+  type?: 'map' | 'string';
+  description?: string;
+  enum?: string[];
+  format?: StringFormat;
+  constraints?: FieldConstraints;
+  annotations?: FieldAnnotations;
+  fields?: NestedField[];
+  /** Another named type this one is an alias of */
+  $ref?: string;
+}
+
+/**
+ * Each key is a field name, or a key template such as
+ * 'ORDER#{orderDate}#{orderId}' whose {placeholders} name required scalar
+ * fields. buildKey and parseKey convert between items and key values.
+ */
 export interface PrimaryKey {
   partitionKey: string;
   sortKey?: string;
 }
 
+/**
+ * A global (gsi) or local (lsi) secondary index. Keys are field names or key
+ * templates, like primaryKey keys, but may use optional fields: items
+ * without them are left out of the index. A local index shares the table's
+ * partitionKey; validated schemas always include it.
+ */
+export interface SecondaryIndex {
+  name: string;
+  type: 'gsi' | 'lsi';
+  partitionKey?: string;
+  sortKey?: string;
+  /** Attributes copied into the index (default: 'all') */
+  projection?: IndexProjection;
+}
+
+/**
+ * 'all' attributes, only the 'keys-only', or the keys plus the listed fields.
+ */
+export type IndexProjection = 'all' | 'keys-only' | { include: string[] };
+
+/**
+ * A query the entity must support. It supplies exact values for keyFields
+ * and optionally queries rangeField by range or sort order.
+ */
+export interface AccessPattern {
+  name: string;
+  description?: string;
+  /** Index the query uses; when omitted, the table key or any index may serve it */
+  index?: string;
+  keyFields: string[];
+  rangeField?: string;
+}
+
+/**
+ * A cross-field condition, written in the rule expression language:
+ * comparisons (==, !=, <, <=, >, >=, in [...]) of field paths and literals,
+ * present(field), exactlyOne(field, ...), and !, && and || to combine them.
+ * validateRecord reports records whose assert is false, unless when is
+ * given and false.
+ */
+export interface EntityRule {
+  name: string;
+  description?: string;
+  /** Condition under which the rule applies (default: always) */
+  when?: string;
+  /** Condition the record must meet */
+  assert: string;
+  /** Error message for records that fail the rule */
+  message?: string;
+}
+
+/**
+ * Time-to-live declaration. The field is a number or integer holding the
+ * expiry time in epoch seconds.
+ */
+export interface TtlDefinition {
+  field: string;
+  /** Seconds computeTtl adds to the current time when none is given */
+  defaultRetention?: number;
+}
+
 /**
  * Scalar types map to simple language primitives.
- * Collection types (list, map, stringSet, numberSet) require additional metadata.
+ * Collection types (list, map, stringSet, numberSet, binarySet) require additional metadata.
+ * Union fields hold one of several named variants, told apart by a discriminator.
  */
 export type FieldType =
+  | ScalarFieldType
+  | 'list'
+  | 'map'
+  | 'stringSet'
+  | 'numberSet'
+  | 'binarySet'
+  | 'union';
+
+/**
+ * - integer: whole numbers, generated as a 64-bit integer type
+ * - decimal: exact decimal numbers (JSON numbers or numeric strings); see the
+ *   precision and scale constraints
+ * - binary: bytes, as a Uint8Array or a base64 string in JSON
+ * - date: ISO 8601 calendar date without a time (YYYY-MM-DD)
+ * - uuid: UUID string in 8-4-4-4-12 hex form
+ */
+export type ScalarFieldType =
   | 'string'
   | 'number'
+  | 'integer'
+  | 'decimal'
   | 'boolean'
   | 'timestamp'
-  | 'list'
-  | 'map'
-  | 'stringSet'
-  | 'numberSet';
+  | 'date'
+  | 'uuid'
+  | 'binary';
 
 export interface Field {
+  /**
+   * Named type this field uses, as '#/types/Name' or
+   * 'file.bprint-types#/types/Name'. Replaced by the type's definition
+   * during validation.
+   */
+  $ref?: string;
   name: string;
   nameOverride?: string;
   type: FieldType;
   required?: boolean;
   default?: string | number | boolean;
   enum?: string[];
+  /** Semantic format of a string or stringSet field's values */
+  format?: StringFormat;
   description?: string;
   constraints?: FieldConstraints;
   annotations?: FieldAnnotations;
+  /** Sensitivity of the field's data, for compliance and redaction */
+  classification?: FieldClassification;
+  /** Marks a field readers still accept but writers should stop using */
+  deprecated?: Deprecation;
+  /** Deprecated enum values, keyed by value; for a list, values of its items' enum */
+  deprecatedValues?: Record<string, Deprecation>;
   /** Element type definition (required when type is 'list') */
   items?: ListItems;
   /** Nested field definitions (required when type is 'map') */
   fields?: NestedField[];
+  /** Property holding the variant name (required when type is 'union') */
+  discriminator?: string;
+  /** Possible shapes of the value (required when type is 'union') */
+  variants?: UnionVariant[];
+}
+
+/**
+ * One shape of a union field. A union value is a map whose discriminator
+ * property holds the variant name, alongside the variant's fields.
+ */
+export interface UnionVariant {
+  /** Discriminator value identifying this variant */
+  name: string;
+  description?: string;
+  /** Fields of this variant, excluding the discriminator */
+  fields: NestedField[];
 }
 
+/**
+ * Semantic formats for string values. Values must match the format in
+ * addition to any pattern constraint; generators may map them to richer
+ * types (e.g. java.net.URI).
+ */
+export type StringFormat =
+  | 'email'
+  | 'uri'
+  | 'uuid'
+  | 'ipv4'
+  | 'ipv6'
+  | 'hostname'
+  | 'date'
+  | 'time'
+  | 'duration'
+  | 'e164-phone'
+  | 'iso-country'
+  | 'iso-currency';
+
 /**
  * Element type definition for list fields.
  * When items.type is 'map', items.fields defines the map structure.
  */
 export interface ListItems {
-  type: 'string' | 'number' | 'boolean' | 'timestamp' | 'map';
+  type: ScalarFieldType | 'map';
+  /** Allowed element values (scalar items only) */
+  enum?: string[];
+  /** Semantic format of each element (string items only) */
+  format?: StringFormat;
+  /** Constraints on each element (scalar items only) */
+  constraints?: FieldConstraints;
   /** Nested fields when items type is 'map' */
   fields?: NestedField[];
 }
 
 /**
- * Simplified field definition for nested map structures.
- * Only name and type -- no constraints, annotations, or other metadata.
+ * Field definition inside a map structure (a map field's `fields`, or
+ * `items.fields` of a list of maps). Supports the same metadata as top-level
+ * fields, including nested maps and lists, up to the validator's
+ * maxNestingDepth.
  */
-export interface NestedField {
-  name: string;
-  type: 'string' | 'number' | 'boolean' | 'timestamp';
-}
+export type NestedField = Field;
 
 /**
  * Field-level validation constraints
  */
 export interface FieldConstraints {
   // String constraints
-  /** Minimum string length (applies to string type) */
+  /**
+   * Minimum string length (applies to string type and stringSet elements).
+   * For binary values and binarySet elements, the minimum number of bytes.
+   */
   minLength?: number;
-  /** Maximum string length (applies to string type) */
+  /**
+   * Maximum string length (applies to string type and stringSet elements).
+   * For binary values and binarySet elements, the maximum number of bytes.
+   */
   maxLength?: number;
-  /** Regex pattern for validation (applies to string type) */
+  /** Regex pattern for validation (applies to string type and stringSet elements) */
   pattern?: string;
 
   // Number constraints
-  /** Minimum value (applies to number type) */
+  /** Minimum value (applies to number, integer, decimal and numberSet elements) */
   min?: number;
-  /** Maximum value (applies to number type) */
+  /** Maximum value (applies to number, integer, decimal and numberSet elements) */
   max?: number;
+
+  // Decimal constraints
+  /** Maximum total number of significant digits (applies to decimal type) */
+  precision?: number;
+  /** Maximum number of digits after the decimal point (applies to decimal type) */
+  scale?: number;
+
+  // Collection constraints
+  /** Minimum number of elements (applies to list and sets) */
+  minItems?: number;
+  /** Maximum number of elements (applies to list and sets) */
+  maxItems?: number;
+  /** Elements must be distinct (applies to list; sets are always unique) */
+  uniqueItems?: boolean;
 }
 
+/**
+ * `true` or details of a deprecated entity, field or enum value. `false`
+ * marks something as explicitly not deprecated.
+ */
+export type Deprecation = boolean | DeprecationDetails;
+
+export interface DeprecationDetails {
+  /** Version or date the deprecation started */
+  since?: string;
+  reason?: string;
+  /** Field or enum value to use instead (for entities, free text) */
+  replacement?: string;
+}
+
+/**
+ * Sensitivity of a field's data.
+ */
+export interface FieldClassification {
+  level: ClassificationLevel;
+  /** Regulated kinds of data the field holds */
+  categories?: DataCategory[];
+  /** How long the data may be kept, as an ISO 8601 duration (e.g. P7Y) */
+  retention?: string;
+  /** How redactRecord hides the value from audiences below the level */
+  masking?: MaskingStrategy;
+}
+
+/**
+ * Classification levels, least sensitive first.
+ */
+export type ClassificationLevel =
+  | 'public'
+  | 'internal'
+  | 'confidential'
+  | 'restricted';
+
+/**
+ * Personally identifiable, protected health and payment card data.
+ */
+export type DataCategory = 'pii' | 'phi' | 'pci';
+
+export type MaskingStrategy = 'none' | 'mask' | 'hash' | 'truncate' | 'drop';
+
 /**
  * Field-level metadata annotations (extensible)
  */
@@ -90,3 +336,58 @@ export interface FieldAnnotations {
   /** Additional custom annotations */
   [key: string]: unknown;
 }
+
+/**
+ * A .bprint-table manifest: several blueprints stored in one DynamoDB table
+ * (single-table design).
+ */
+export interface TableManifest {
+  tableName: string;
+  description?: string;
+  /** Physical partition key attribute of the table */
+  partitionKey: TableKeyAttribute;
+  /** Physical sort key attribute of the table, if it has one */
+  sortKey?: TableKeyAttribute;
+  /** Attribute holding each item's entity type */
+  entityTypeAttribute: string;
+  entities: TableEntity[];
+}
+
+/**
+ * DynamoDB key attribute types: S, N and B.
+ */
+export type TableKeyType = 'string' | 'number' | 'binary';
+
+export interface TableKeyAttribute {
+  name: string;
+  type: TableKeyType;
+}
+
+/**
+ * A member entity of a table manifest.
+ */
+export interface TableEntity {
+  /** Path of the entity's .bprint file, relative to the manifest */
+  schema: string;
+  /** Value of the entity type attribute (default: the entityName) */
+  entityType?: string;
+}
+
+/**
+ * A validated table manifest with its member blueprints resolved.
+ */
+export interface TableData {
+  tableName: string;
+  description?: string;
+  partitionKey: TableKeyAttribute;
+  sortKey?: TableKeyAttribute;
+  entityTypeAttribute: string;
+  entities: ResolvedTableEntity[];
+}
+
+export interface ResolvedTableEntity {
+  entityType: string;
+  /** Absolute path of the entity's .bprint file */
+  file: string;
+  schema: SchemaData;
+}
@@ -0,0 +1,165 @@
+import {
+  ClassificationLevel,
+  DataCategory,
+  FieldClassification,
+  MaskingStrategy,
+  NestedField,
+  SchemaData,
+} from '../types';
+import { DiagnosticReporter, pointer } from './diagnostics';
+import { matchesFormat } from './string-formats';
+
+/**
+ * Classification levels, least sensitive first.
+ */
+export const CLASSIFICATION_LEVELS: readonly ClassificationLevel[] = [
+  'public',
+  'internal',
+  'confidential',
+  'restricted',
+];
+
+export const DATA_CATEGORIES: readonly DataCategory[] = ['pii', 'phi', 'pci'];
+
+export const MASKING_STRATEGIES: readonly MaskingStrategy[] = [
+  'none',
+  'mask',
+  'hash',
+  'truncate',
+  'drop',
+];
+
+/**
+ * A classified field of a blueprint, as listed by listClassifiedFields.
+ */
+export interface ClassifiedField {
+  entityName: string;
+  /** Full path of the field, e.g. 'address.zip' */
+  field: string;
+  classification: FieldClassification;
+}
+
+/**
+ * Validate a field's classification block: a known level, unique known
+ * categories, an ISO 8601 retention duration and a known masking strategy.
+ * Sensitive categories on a public field are reported as a warning.
+ */
+export function validateClassification(
+  classification: unknown,
+  label: string,
+  path: string,
+  reporter: DiagnosticReporter
+): void {
+  if (
+    !classification ||
+    typeof classification !== 'object' ||
+    Array.isArray(classification)
+  ) {
+    reporter.error(
+      'invalid-classification',
+      path,
+      `Field '${label}' classification must be an object with a level`
+    );
+    return;
+  }
+  const { level, categories, retention, masking } = classification as Record<
+    string,
+    any
+  >;
+
+  if (!CLASSIFICATION_LEVELS.includes(level)) {
+    reporter.error(
+      'invalid-classification',
+      pointer(path, 'level'),
+      `Field '${label}' classification level must be one of: ${CLASSIFICATION_LEVELS.join(', ')}`
+    );
+  }
+
+  if (categories !== undefined) {
+    if (!Array.isArray(categories)) {
+      reporter.error(
+        'invalid-classification',
+        pointer(path, 'categories'),
+        `Field '${label}' classification categories must be an array`
+      );
+    } else {
+      categories.forEach((category, index) => {
+        if (!DATA_CATEGORIES.includes(category)) {
+          reporter.error(
+            'invalid-classification',
+            pointer(path, 'categories', index),
+            `Field '${label}' classification category '${category}' must be one of: ${DATA_CATEGORIES.join(', ')}`
+          );
+        } else if (categories.indexOf(category) !== index) {
+          reporter.error(
+            'invalid-classification',
+            pointer(path, 'categories', index),
+            `Field '${label}' classification lists category '${category}' more than once`
+          );
+        }
+      });
+      if (level === 'public' && categories.length > 0) {
+        reporter.warning(
+          'classification-mismatch',
+          pointer(path, 'level'),
+          `Field '${label}' is classified public but holds ${categories.join(', ')} data`
+        );
+      }
+    }
+  }
+
+  if (retention !== undefined && !matchesFormat('duration', retention)) {
+    reporter.error(
+      'invalid-classification',
+      pointer(path, 'retention'),
+      `Field '${label}' classification retention must be an ISO 8601 duration such as P7Y or P90D`
+    );
+  }
+
+  if (masking !== undefined && !MASKING_STRATEGIES.includes(masking)) {
+    reporter.error(
+      'invalid-classification',
+      pointer(path, 'masking'),
+      `Field '${label}' classification masking must be one of: ${MASKING_STRATEGIES.join(', ')}`
+    );
+  }
+}
+
+/**
+ * Lists every classified field of a set of validated blueprints, including
+ * fields nested in maps, list items and union variants, for compliance
+ * reports.
+ */
+export function listClassifiedFields(
+  schemas: readonly SchemaData[]
+): ClassifiedField[] {
+  const classified: ClassifiedField[] = [];
+
+  const collect = (
+    entityName: string,
+    fields: readonly NestedField[] | undefined,
+    parent?: string
+  ) => {
+    for (const field of fields ?? []) {
+      const label =
+        parent === undefined ? field.name : `${parent}.${field.name}`;
+      if (field.classification) {
+        classified.push({
+          entityName,
+          field: label,
+          classification: field.classification,
+        });
+      }
+      collect(entityName, field.fields, label);
+      collect(entityName, field.items?.fields, label);
+      for (const variant of field.variants ?? []) {
+        collect(entityName, variant.fields, `${label}.${variant.name}`);
+      }
+    }
+  };
+
+  for (const schema of schemas) {
+    collect(schema.entityName, schema.fields);
+  }
+  return classified;
+}
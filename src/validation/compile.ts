@@ -0,0 +1,791 @@
+import { ScalarFieldType, SchemaData } from '../types';
+import { pointer } from './diagnostics';
+import {
+  BASE64_REGEX,
+  DECIMAL_REGEX,
+  ISO_DATE_REGEX,
+  ISO_TIMESTAMP_REGEX,
+  UUID_REGEX,
+} from './formats';
+import {
+  IPV4_REGEX,
+  STRING_FORMATS,
+  StringFormatDefinition,
+  isStringFormat,
+} from './string-formats';
+import { FieldDefinition, RecordValidationResult } from './record';
+import { RULES_RUNTIME_SOURCE, generateRulesSource } from './rules';
+
+/**
+ * A record validator specialized for one blueprint.
+ * Returns exactly what validateRecord would for the same schema and item.
+ */
+export type RecordValidator = (item: unknown) => RecordValidationResult;
+
+export interface RecordValidatorSourceOptions {
+  /** Module format of the emitted source (default: 'commonjs') */
+  moduleFormat?: 'commonjs' | 'esm';
+}
+
+/**
+ * Helpers used by generated validators. Kept dependency-free so emitted
+ * source runs without this package installed.
+ */
+const RUNTIME_SOURCE = `const ISO_TIMESTAMP_REGEX = ${ISO_TIMESTAMP_REGEX};
+const ISO_DATE_REGEX = ${ISO_DATE_REGEX};
+const UUID_REGEX = ${UUID_REGEX};
+const BASE64_REGEX = ${BASE64_REGEX};
+const DECIMAL_REGEX = ${DECIMAL_REGEX};
+const IPV4_REGEX = ${IPV4_REGEX};
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+function isIsoTimestamp(value) {
+  const match = ISO_TIMESTAMP_REGEX.exec(value);
+  if (!match) return false;
+  const month = Number(match[2]);
+  const day = Number(match[3]);
+  const date = new Date(Date.UTC(Number(match[1]), month - 1, day));
+  return (
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day &&
+    !Number.isNaN(Date.parse(value))
+  );
+}
+
+function isIsoDate(value) {
+  const match = ISO_DATE_REGEX.exec(value);
+  if (!match) return false;
+  const month = Number(match[2]);
+  const day = Number(match[3]);
+  const date = new Date(Date.UTC(Number(match[1]), month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function isIpv6(value) {
+  let address = value;
+  if (address.includes('.')) {
+    const lastColon = address.lastIndexOf(':');
+    if (lastColon < 0 || !IPV4_REGEX.test(address.slice(lastColon + 1))) return false;
+    address = address.slice(0, lastColon + 1) + '0:0';
+  }
+  const halves = address.split('::');
+  if (halves.length > 2) return false;
+  const groups = halves.flatMap(half => (half === '' ? [] : half.split(':')));
+  if (!groups.every(group => /^[0-9a-fA-F]{1,4}$/.test(group))) return false;
+  return halves.length === 2 ? groups.length < 8 : groups.length === 8;
+}
+
+function byteLength(value) {
+  if (typeof value !== 'string') return value.length;
+  const padding = value.endsWith('==') ? 2 : value.endsWith('=') ? 1 : 0;
+  return (value.length / 4) * 3 - padding;
+}
+
+function toBase64(bytes) {
+  let encoded = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] ?? 0) << 8) | (bytes[i + 2] ?? 0);
+    encoded +=
+      BASE64_ALPHABET[(chunk >> 18) & 63] +
+      BASE64_ALPHABET[(chunk >> 12) & 63] +
+      (i + 1 < bytes.length ? BASE64_ALPHABET[(chunk >> 6) & 63] : '=') +
+      (i + 2 < bytes.length ? BASE64_ALPHABET[chunk & 63] : '=');
+  }
+  return encoded;
+}
+
+function decimalDigits(value) {
+  const match = DECIMAL_REGEX.exec(String(value));
+  if (!match) return undefined;
+  const digits = match[1] + (match[2] ?? '');
+  const point = match[1].length + Number(match[3] ?? 0);
+  const integer = digits.slice(0, Math.max(0, Math.min(point, digits.length))).replace(/^0+/, '');
+  const significant = digits.replace(/0+$/, '');
+  return {
+    integer: integer.length === 0 ? 0 : integer.length + Math.max(0, point - digits.length),
+    fraction: significant.length === 0 ? 0 : Math.max(0, significant.length - point),
+  };
+}
+
+function isPlainObject(value) {
+  return (
+    typeof value === 'object' &&
+    value !== null &&
+    !Array.isArray(value) &&
+    !(value instanceof Set) &&
+    !(value instanceof Uint8Array)
+  );
+}
+
+function isSetElement(element, elementType) {
+  return elementType === 'binary'
+    ? typeof element === 'string' || element instanceof Uint8Array
+    : typeof element === elementType;
+}
+
+function setKey(element) {
+  return element instanceof Uint8Array ? toBase64(element) : element;
+}
+
+function validateSet(name, elementType, value, path, errors) {
+  const elements =
+    value instanceof Set ? Array.from(value) : Array.isArray(value) ? value : undefined;
+  if (!elements || !elements.every(e => isSetElement(e, elementType))) {
+    errors.push({ code: 'type', path, message: "Field '" + name + "' must be a set of " + elementType + ' values' });
+    return false;
+  }
+  if (elements.length === 0) {
+    errors.push({ code: 'empty-set', path, message: "Field '" + name + "' cannot be an empty set" });
+    return false;
+  }
+  if (new Set(elements.map(setKey)).size !== elements.length) {
+    errors.push({ code: 'duplicate-set-element', path, message: "Field '" + name + "' set contains duplicate values" });
+    return false;
+  }
+  return true;
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) return '[' + value.map(canonicalJson).join(',') + ']';
+  if (value instanceof Uint8Array) return JSON.stringify(toBase64(value));
+  if (isPlainObject(value)) {
+    return '{' + Object.keys(value).sort().map(key => JSON.stringify(key) + ':' + canonicalJson(value[key])).join(',') + '}';
+  }
+  const json = JSON.stringify(value);
+  return json === undefined ? 'undefined' : json;
+}
+
+function hasDuplicates(elements) {
+  const seen = new Set();
+  for (const element of elements) {
+    const key = canonicalJson(element);
+    if (seen.has(key)) return true;
+    seen.add(key);
+  }
+  return false;
+}
+
+${RULES_RUNTIME_SOURCE}`;
+
+/**
+ * Compiles a blueprint into a specialized record validator.
+ * Regexes and enum sets are prepared once, so per-item cost is only the checks.
+ */
+export function compileRecordValidator(schema: SchemaData): RecordValidator {
+  const source = `${RUNTIME_SOURCE}\n\n${generateValidatorFunction(schema)}\n\nreturn validateRecord;`;
+  return new Function(source)() as RecordValidator;
+}
+
+/**
+ * Emits a compiled record validator as standalone JavaScript source.
+ * The module's default export is the validator function.
+ */
+export function generateRecordValidatorSource(
+  schema: SchemaData,
+  options: RecordValidatorSourceOptions = {}
+): string {
+  const esm = options.moduleFormat === 'esm';
+  // Line terminators in the name would end the comment
+  const name = String(schema.entityName).replace(/[\r\n\u2028\u2029]+/g, ' ');
+
+  return [
+    `// Record validator for '${name}' generated by @chaim-tools/chaim-bprint-spec. Do not edit.`,
+    ...(esm ? [] : ["'use strict';"]),
+    '',
+    RUNTIME_SOURCE,
+    '',
+    generateValidatorFunction(schema),
+    '',
+    esm ? 'export default validateRecord;' : 'module.exports = validateRecord;',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Type check (true when the value has the wrong type) and the expected-type
+ * phrase of each scalar type whose value may also be constrained.
+ */
+const SCALAR_TYPE_CHECKS: Record<string, (v: string) => [string, string]> = {
+  string: v => [`typeof ${v} !== 'string'`, 'a string'],
+  number: v => [
+    `typeof ${v} !== 'number' || !Number.isFinite(${v})`,
+    'a finite number',
+  ],
+  integer: v => [
+    `typeof ${v} !== 'number' || !Number.isInteger(${v})`,
+    'an integer',
+  ],
+  decimal: v => [
+    `typeof ${v} === 'number' ? !Number.isFinite(${v}) : typeof ${v} !== 'string' || !DECIMAL_REGEX.test(${v})`,
+    'a decimal number or numeric string',
+  ],
+  binary: v => [
+    `typeof ${v} !== 'string' && !(${v} instanceof Uint8Array)`,
+    'binary data (a Uint8Array or base64 string)',
+  ],
+};
+
+const SET_ELEMENT_TYPES: Record<string, ScalarFieldType> = {
+  stringSet: 'string',
+  numberSet: 'number',
+  binarySet: 'binary',
+};
+
+/**
+ * JavaScript string literal for a value.
+ */
+const lit = (value: string): string => JSON.stringify(value);
+
+/**
+ * JavaScript number literal for a constraint value. Compiled schemas may not
+ * have been validated, so anything but a finite number is rejected instead
+ * of being spliced into the generated source.
+ */
+function num(value: unknown, name: string): string {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new Error(
+      `Constraint ${name} must be a finite number, not ${JSON.stringify(value)}`
+    );
+  }
+  return String(value);
+}
+
+/**
+ * The definition of a string format. Like constraint values, formats of
+ * schemas that were never validated are checked before they are compiled.
+ */
+function stringFormat(format: unknown): StringFormatDefinition {
+  if (!isStringFormat(format)) {
+    throw new Error(`Unknown string format ${JSON.stringify(format)}`);
+  }
+  return STRING_FORMATS[format];
+}
+
+/**
+ * Concatenate JS string expressions, folding adjacent literals.
+ */
+function cat(...parts: string[]): string {
+  const folded: string[] = [];
+  for (const part of parts) {
+    const last = folded[folded.length - 1];
+    if (last !== undefined && isLiteral(last) && isLiteral(part)) {
+      folded[folded.length - 1] = lit(JSON.parse(last) + JSON.parse(part));
+    } else {
+      folded.push(part);
+    }
+  }
+  return folded.join(' + ');
+}
+
+function isLiteral(expr: string): boolean {
+  try {
+    return typeof JSON.parse(expr) === 'string';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Generate `function validateRecord(item) { ... }` for a schema.
+ */
+function generateValidatorFunction(schema: SchemaData): string {
+  const hoisted: string[] = [];
+  const body: string[] = [];
+  let counter = 0;
+  const nextVar = (prefix: string) => `${prefix}${counter++}`;
+
+  const hoist = (prefix: string, init: string): string => {
+    const name = nextVar(prefix);
+    hoisted.push(`const ${name} = ${init};`);
+    return name;
+  };
+
+  const push = (
+    indent: string,
+    code: string,
+    pathExpr: string,
+    message: string
+  ) => {
+    body.push(
+      `${indent}errors.push({ code: ${lit(code)}, path: ${pathExpr}, message: ${message} });`
+    );
+  };
+
+  const emitMembers = (
+    fields: FieldDefinition[],
+    objectVar: string,
+    basePath: string,
+    indent: string
+  ) => {
+    for (const field of fields) {
+      const valueVar = nextVar('v');
+      const pathExpr = cat(basePath, lit(pointer('', field.name)));
+      body.push(
+        `${indent}const ${valueVar} = ${objectVar}[${lit(field.name)}];`
+      );
+      if (field.required) {
+        body.push(
+          `${indent}if (${valueVar} === undefined || ${valueVar} === null) {`
+        );
+        push(
+          `${indent}  `,
+          'required',
+          pathExpr,
+          lit(`Field '${field.name}' is required`)
+        );
+        body.push(`${indent}} else {`);
+      } else {
+        body.push(
+          `${indent}if (${valueVar} !== undefined && ${valueVar} !== null) {`
+        );
+      }
+      emitValue(field, [lit(field.name)], valueVar, pathExpr, `${indent}  `);
+      body.push(`${indent}}`);
+    }
+  };
+
+  const emitValue = (
+    field: FieldDefinition,
+    nameParts: string[],
+    valueVar: string,
+    pathExpr: string,
+    indent: string
+  ) => {
+    const typeError = (expected: string) =>
+      push(
+        `${indent}  `,
+        'type',
+        pathExpr,
+        cat(lit("Field '"), ...nameParts, lit(`' must be ${expected}`))
+      );
+
+    switch (field.type) {
+      case 'string':
+      case 'number':
+      case 'integer':
+      case 'decimal':
+      case 'binary': {
+        const [typeCheck, expected] = SCALAR_TYPE_CHECKS[field.type](valueVar);
+        body.push(`${indent}if (${typeCheck}) {`);
+        typeError(expected);
+        if (field.type === 'binary') {
+          body.push(
+            `${indent}} else if (typeof ${valueVar} === 'string' && !BASE64_REGEX.test(${valueVar})) {`
+          );
+          push(
+            `${indent}  `,
+            'binary',
+            pathExpr,
+            cat(
+              lit("Field '"),
+              ...nameParts,
+              lit("' is not a valid base64 string")
+            )
+          );
+        }
+        body.push(`${indent}} else {`);
+        const checksStart = body.length;
+        emitScalarChecks(field, nameParts, valueVar, pathExpr, `${indent}  `);
+        if (body.length === checksStart) {
+          body[checksStart - 1] = `${indent}}`;
+        } else {
+          body.push(`${indent}}`);
+        }
+        return;
+      }
+      case 'boolean':
+        body.push(`${indent}if (typeof ${valueVar} !== 'boolean') {`);
+        typeError('a boolean');
+        body.push(`${indent}}`);
+        return;
+      case 'timestamp':
+        body.push(`${indent}if (typeof ${valueVar} !== 'string') {`);
+        typeError('an ISO 8601 timestamp string');
+        body.push(`${indent}} else if (!isIsoTimestamp(${valueVar})) {`);
+        push(
+          `${indent}  `,
+          'timestamp',
+          pathExpr,
+          cat(
+            lit("Field '"),
+            ...nameParts,
+            lit("' value '"),
+            valueVar,
+            lit("' is not a valid ISO 8601 timestamp")
+          )
+        );
+        body.push(`${indent}}`);
+        return;
+      case 'date':
+      case 'uuid': {
+        const isDate = field.type === 'date';
+        body.push(`${indent}if (typeof ${valueVar} !== 'string') {`);
+        typeError(isDate ? 'an ISO 8601 date string' : 'a UUID string');
+        body.push(
+          `${indent}} else if (${isDate ? `!isIsoDate(${valueVar})` : `!UUID_REGEX.test(${valueVar})`}) {`
+        );
+        push(
+          `${indent}  `,
+          field.type,
+          pathExpr,
+          cat(
+            lit("Field '"),
+            ...nameParts,
+            lit("' value '"),
+            valueVar,
+            lit(
+              isDate
+                ? "' is not a valid ISO 8601 date (YYYY-MM-DD)"
+                : "' is not a valid UUID"
+            )
+          )
+        );
+        body.push(`${indent}}`);
+        return;
+      }
+      case 'list': {
+        body.push(`${indent}if (!Array.isArray(${valueVar})) {`);
+        typeError('a list');
+        body.push(`${indent}} else {`);
+        const checksStart = body.length;
+        emitCollectionChecks(
+          field,
+          nameParts,
+          `${valueVar}.length`,
+          pathExpr,
+          `${indent}  `
+        );
+        if (field.constraints?.uniqueItems) {
+          body.push(`${indent}  if (hasDuplicates(${valueVar})) {`);
+          push(
+            `${indent}    `,
+            'duplicate-item',
+            pathExpr,
+            cat(lit("Field '"), ...nameParts, lit("' contains duplicate items"))
+          );
+          body.push(`${indent}  }`);
+        }
+        if (field.items) {
+          emitElements(
+            { name: '', ...field.items },
+            nameParts,
+            valueVar,
+            pathExpr,
+            `${indent}  `,
+            lit(`' must be a list of ${field.items.type} values`)
+          );
+        }
+        if (body.length === checksStart) {
+          body[checksStart - 1] = `${indent}}`;
+        } else {
+          body.push(`${indent}}`);
+        }
+        return;
+      }
+      case 'map':
+        body.push(`${indent}if (!isPlainObject(${valueVar})) {`);
+        typeError('a map');
+        body.push(`${indent}} else {`);
+        emitMembers(field.fields ?? [], valueVar, pathExpr, `${indent}  `);
+        body.push(`${indent}}`);
+        return;
+      case 'union': {
+        const discriminator = field.discriminator as string;
+        const variants = field.variants ?? [];
+        const tagVar = nextVar('t');
+        body.push(`${indent}if (!isPlainObject(${valueVar})) {`);
+        typeError('a map');
+        body.push(`${indent}} else {`);
+        body.push(
+          `${indent}  const ${tagVar} = ${valueVar}[${lit(discriminator)}];`
+        );
+        variants.forEach((variant, index) => {
+          body.push(
+            `${indent}  ${index === 0 ? '' : '} else '}if (${tagVar} === ${lit(variant.name)}) {`
+          );
+          emitMembers(variant.fields, valueVar, pathExpr, `${indent}    `);
+        });
+        body.push(`${indent}  ${variants.length === 0 ? '{' : '} else {'}`);
+        push(
+          `${indent}    `,
+          'discriminator',
+          cat(pathExpr, lit(pointer('', discriminator))),
+          cat(
+            lit("Field '"),
+            ...nameParts,
+            lit(
+              `' must have '${discriminator}' set to one of: ${variants.map(v => v.name).join(', ')}`
+            )
+          )
+        );
+        body.push(`${indent}  }`);
+        body.push(`${indent}}`);
+        return;
+      }
+      case 'stringSet':
+      case 'numberSet':
+      case 'binarySet': {
+        const elementType = SET_ELEMENT_TYPES[field.type];
+        const setCall = `validateSet(${cat(...nameParts)}, ${lit(elementType)}, ${valueVar}, ${pathExpr}, errors)`;
+        if (
+          !field.constraints &&
+          !field.enum &&
+          !field.format &&
+          elementType !== 'binary'
+        ) {
+          body.push(`${indent}${setCall};`);
+          return;
+        }
+        const elementsVar = nextVar('s');
+        body.push(`${indent}if (${setCall}) {`);
+        body.push(`${indent}  const ${elementsVar} = Array.from(${valueVar});`);
+        emitCollectionChecks(
+          field,
+          nameParts,
+          `${elementsVar}.length`,
+          pathExpr,
+          `${indent}  `
+        );
+        emitElements(
+          {
+            name: '',
+            type: elementType,
+            enum: field.enum,
+            format: field.format,
+            constraints: field.constraints,
+          },
+          nameParts,
+          elementsVar,
+          pathExpr,
+          `${indent}  `
+        );
+        body.push(`${indent}}`);
+        return;
+      }
+    }
+  };
+
+  /**
+   * Loop over a list or set, checking each element against its definition.
+   * nullMessage is the message suffix for null list elements.
+   */
+  const emitElements = (
+    element: FieldDefinition,
+    nameParts: string[],
+    arrayVar: string,
+    pathExpr: string,
+    indent: string,
+    nullMessage?: string
+  ) => {
+    const indexVar = nextVar('i');
+    const elementVar = nextVar('e');
+    const elementPath = cat(pathExpr, lit('/'), indexVar);
+    const elementName = [...nameParts, lit('['), indexVar, lit(']')];
+
+    body.push(
+      `${indent}for (let ${indexVar} = 0; ${indexVar} < ${arrayVar}.length; ${indexVar}++) {`
+    );
+    body.push(`${indent}  const ${elementVar} = ${arrayVar}[${indexVar}];`);
+    if (nullMessage === undefined) {
+      emitValue(element, elementName, elementVar, elementPath, `${indent}  `);
+    } else {
+      body.push(
+        `${indent}  if (${elementVar} === undefined || ${elementVar} === null) {`
+      );
+      push(
+        `${indent}    `,
+        'type',
+        elementPath,
+        cat(lit("Field '"), ...nameParts, nullMessage)
+      );
+      body.push(`${indent}  } else {`);
+      emitValue(element, elementName, elementVar, elementPath, `${indent}    `);
+      body.push(`${indent}  }`);
+    }
+    body.push(`${indent}}`);
+  };
+
+  const emitCollectionChecks = (
+    field: FieldDefinition,
+    nameParts: string[],
+    lengthExpr: string,
+    pathExpr: string,
+    indent: string
+  ) => {
+    const { minItems, maxItems } = field.constraints ?? {};
+    if (minItems !== undefined) {
+      body.push(`${indent}if (${lengthExpr} < ${num(minItems, 'minItems')}) {`);
+      push(
+        `${indent}  `,
+        'min-items',
+        pathExpr,
+        cat(
+          lit("Field '"),
+          ...nameParts,
+          lit(`' must have at least ${minItems} elements`)
+        )
+      );
+      body.push(`${indent}}`);
+    }
+    if (maxItems !== undefined) {
+      body.push(`${indent}if (${lengthExpr} > ${num(maxItems, 'maxItems')}) {`);
+      push(
+        `${indent}  `,
+        'max-items',
+        pathExpr,
+        cat(
+          lit("Field '"),
+          ...nameParts,
+          lit(`' must have at most ${maxItems} elements`)
+        )
+      );
+      body.push(`${indent}}`);
+    }
+  };
+
+  const emitScalarChecks = (
+    field: FieldDefinition,
+    nameParts: string[],
+    valueVar: string,
+    pathExpr: string,
+    indent: string
+  ) => {
+    const fail = (code: string, suffix: string) =>
+      push(
+        `${indent}  `,
+        code,
+        pathExpr,
+        cat(lit("Field '"), ...nameParts, lit(`' ${suffix}`))
+      );
+
+    if (field.enum) {
+      const enumVar = hoist('enum', `new Set(${JSON.stringify(field.enum)})`);
+      body.push(`${indent}if (!${enumVar}.has(${valueVar})) {`);
+      fail('enum', `must be one of: ${field.enum.join(', ')}`);
+      body.push(`${indent}}`);
+    }
+
+    if (field.format) {
+      const { pattern, values, runtime } = stringFormat(field.format);
+      const test = runtime
+        ? `${runtime}(${valueVar})`
+        : values
+          ? `${hoist('format', `new Set(${JSON.stringify(values)})`)}.has(${valueVar})`
+          : `${hoist('format', String(pattern))}.test(${valueVar})`;
+      body.push(`${indent}if (!${test}) {`);
+      fail('format', `must match format '${field.format}'`);
+      body.push(`${indent}}`);
+    }
+
+    const c = field.constraints;
+    if (!c) {
+      return;
+    }
+    if (field.type === 'string') {
+      if (c.minLength !== undefined) {
+        body.push(
+          `${indent}if (${valueVar}.length < ${num(c.minLength, 'minLength')}) {`
+        );
+        fail('min-length', `must be at least ${c.minLength} characters`);
+        body.push(`${indent}}`);
+      }
+      if (c.maxLength !== undefined) {
+        body.push(
+          `${indent}if (${valueVar}.length > ${num(c.maxLength, 'maxLength')}) {`
+        );
+        fail('max-length', `must be at most ${c.maxLength} characters`);
+        body.push(`${indent}}`);
+      }
+      if (c.pattern !== undefined) {
+        const regexVar = hoist('pattern', `new RegExp(${lit(c.pattern)})`);
+        body.push(`${indent}if (!${regexVar}.test(${valueVar})) {`);
+        fail('pattern', `must match pattern ${c.pattern}`);
+        body.push(`${indent}}`);
+      }
+    }
+    if (field.type === 'binary') {
+      if (c.minLength !== undefined) {
+        body.push(
+          `${indent}if (byteLength(${valueVar}) < ${num(c.minLength, 'minLength')}) {`
+        );
+        fail('min-length', `must be at least ${c.minLength} bytes`);
+        body.push(`${indent}}`);
+      }
+      if (c.maxLength !== undefined) {
+        body.push(
+          `${indent}if (byteLength(${valueVar}) > ${num(c.maxLength, 'maxLength')}) {`
+        );
+        fail('max-length', `must be at most ${c.maxLength} bytes`);
+        body.push(`${indent}}`);
+      }
+    }
+    if (
+      field.type === 'number' ||
+      field.type === 'integer' ||
+      field.type === 'decimal'
+    ) {
+      // Decimals may be numeric strings
+      const amount =
+        field.type === 'decimal' ? `Number(${valueVar})` : valueVar;
+      if (c.min !== undefined) {
+        body.push(`${indent}if (${amount} < ${num(c.min, 'min')}) {`);
+        fail('minimum', `must be >= ${c.min}`);
+        body.push(`${indent}}`);
+      }
+      if (c.max !== undefined) {
+        body.push(`${indent}if (${amount} > ${num(c.max, 'max')}) {`);
+        fail('maximum', `must be <= ${c.max}`);
+        body.push(`${indent}}`);
+      }
+    }
+    if (c.precision !== undefined || c.scale !== undefined) {
+      const digitsVar = nextVar('d');
+      body.push(`${indent}const ${digitsVar} = decimalDigits(${valueVar});`);
+      if (c.scale !== undefined) {
+        body.push(
+          `${indent}if (${digitsVar} && ${digitsVar}.fraction > ${num(c.scale, 'scale')}) {`
+        );
+        fail(
+          'scale',
+          `must have at most ${c.scale} digits after the decimal point`
+        );
+        body.push(`${indent}}`);
+      }
+      if (c.precision !== undefined) {
+        const scaleExpr =
+          c.scale !== undefined
+            ? num(c.scale, 'scale')
+            : `${digitsVar}.fraction`;
+        body.push(
+          `${indent}if (${digitsVar} && ${digitsVar}.integer + ${scaleExpr} > ${num(c.precision, 'precision')}) {`
+        );
+        fail(
+          'precision',
+          `must have at most ${c.precision} significant digits${c.scale ? ` (${c.precision - c.scale} before the decimal point)` : ''}`
+        );
+        body.push(`${indent}}`);
+      }
+    }
+  };
+
+  emitMembers(schema.fields, 'item', lit(''), '  ');
+  if (schema.rules?.length) {
+    body.push('  if (errors.length === 0) {');
+    body.push(...generateRulesSource(schema, '    '));
+    body.push('  }');
+  }
+
+  return [
+    ...hoisted,
+    ...(hoisted.length > 0 ? [''] : []),
+    'function validateRecord(item) {',
+    '  const errors = [];',
+    '  if (!isPlainObject(item)) {',
+    `    errors.push({ code: 'invalid-record', path: '', message: ${lit(`Record for '${schema.entityName}' must be an object`)} });`,
+    '    return { valid: false, errors };',
+    '  }',
+    ...body,
+    '  return { valid: errors.length === 0, errors };',
+    '}',
+  ].join('\n');
+}
@@ -0,0 +1,320 @@
+import { Deprecation, NestedField, PrimaryKey, SchemaData } from '../types';
+import { DiagnosticReporter, pointer } from './diagnostics';
+import { keyFieldNames } from './keys';
+import { isPlainObject } from './record';
+
+const DEPRECATION_PROPERTIES = ['since', 'reason', 'replacement'];
+
+const SET_TYPES = ['stringSet', 'numberSet', 'binarySet'];
+
+/**
+ * A use of a deprecated entity, field or enum value found in a record.
+ */
+export interface DeprecatedUsage {
+  code: 'deprecated-entity' | 'deprecated-field' | 'deprecated-value';
+  /** JSON Pointer to the value, e.g. /lineItems/2/legacyCode ('' for the entity) */
+  path: string;
+  message: string;
+  deprecation: Deprecation;
+}
+
+/**
+ * Returns true for `true` and deprecation objects; `false` marks a field
+ * that is explicitly not deprecated.
+ */
+export function isDeprecated(
+  deprecation: Deprecation | undefined
+): deprecation is Deprecation {
+  return deprecation === true || isPlainObject(deprecation);
+}
+
+/**
+ * Validate a deprecated value: a boolean, or an object with string since,
+ * reason and replacement. When replacements are given, the replacement must
+ * be one of them. Returns false when it is invalid.
+ */
+export function validateDeprecation(
+  deprecation: unknown,
+  label: string,
+  path: string,
+  reporter: DiagnosticReporter,
+  replacements?: { kind: string; names: readonly unknown[] }
+): boolean {
+  if (typeof deprecation === 'boolean') {
+    return true;
+  }
+  if (!isPlainObject(deprecation)) {
+    reporter.error(
+      'invalid-deprecation',
+      path,
+      `${label} deprecated must be a boolean or an object with since, reason and replacement`
+    );
+    return false;
+  }
+  let valid = true;
+  for (const key of DEPRECATION_PROPERTIES) {
+    const value = deprecation[key];
+    if (value !== undefined && (typeof value !== 'string' || !value)) {
+      reporter.error(
+        'invalid-deprecation',
+        pointer(path, key),
+        `${label} deprecation ${key} must be a non-empty string`
+      );
+      valid = false;
+    }
+  }
+  const { replacement } = deprecation;
+  if (
+    replacements &&
+    typeof replacement === 'string' &&
+    !replacements.names.includes(replacement)
+  ) {
+    reporter.error(
+      'invalid-deprecation',
+      pointer(path, 'replacement'),
+      `${label} replacement '${replacement}' does not match any ${replacements.kind}`
+    );
+    valid = false;
+  }
+  return valid;
+}
+
+/**
+ * The enum values a field's deprecatedValues refer to: its own, or for a
+ * list, those of its items.
+ */
+function enumValues(field: any): unknown[] | undefined {
+  if (Array.isArray(field.enum)) {
+    return field.enum;
+  }
+  if (field.type === 'list' && Array.isArray(field.items?.enum)) {
+    return field.items.enum;
+  }
+  return undefined;
+}
+
+/**
+ * The deprecation a field declares for one of its enum values. Only the
+ * field's own keys count, so values like '__proto__' are never deprecated.
+ */
+function deprecatedValue(field: any, value: unknown): Deprecation | undefined {
+  return typeof value === 'string' &&
+    Object.prototype.hasOwnProperty.call(field.deprecatedValues, value)
+    ? field.deprecatedValues[value]
+    : undefined;
+}
+
+/**
+ * Validate a field's deprecated and deprecatedValues properties. A
+ * deprecated field should not be required, and each deprecated enum value
+ * must be one of the field's enum values (for a list, its items' values).
+ */
+export function validateFieldDeprecation(
+  field: any,
+  label: string,
+  path: string,
+  siblings: any[],
+  reporter: DiagnosticReporter
+): void {
+  if (field.deprecated !== undefined) {
+    const valid = validateDeprecation(
+      field.deprecated,
+      `Field '${label}'`,
+      pointer(path, 'deprecated'),
+      reporter,
+      {
+        kind: 'field',
+        names: siblings
+          .map(sibling => sibling?.name)
+          .filter(name => name !== field.name),
+      }
+    );
+    if (valid && isDeprecated(field.deprecated) && field.required === true) {
+      reporter.warning(
+        'deprecated-required-field',
+        pointer(path, 'required'),
+        `Field '${label}' is deprecated but still required; writers cannot stop sending it`
+      );
+    }
+  }
+
+  if (field.deprecatedValues === undefined) {
+    return;
+  }
+  const valuesPath = pointer(path, 'deprecatedValues');
+  if (!isPlainObject(field.deprecatedValues)) {
+    reporter.error(
+      'invalid-deprecation',
+      valuesPath,
+      `Field '${label}' deprecatedValues must map enum values to deprecations`
+    );
+    return;
+  }
+  const values: unknown[] = enumValues(field) ?? [];
+  for (const [value, deprecation] of Object.entries(field.deprecatedValues)) {
+    const valuePath = pointer(valuesPath, value);
+    if (!values.includes(value)) {
+      reporter.error(
+        'invalid-deprecation',
+        valuePath,
+        `Field '${label}' deprecatedValues names '${value}', which is not one of its enum values`
+      );
+      continue;
+    }
+    validateDeprecation(
+      deprecation,
+      `Enum value '${value}' of field '${label}'`,
+      valuePath,
+      reporter,
+      {
+        kind: 'enum value that is not deprecated',
+        names: values.filter(
+          other => !isDeprecated(deprecatedValue(field, other))
+        ),
+      }
+    );
+  }
+}
+
+/**
+ * Warn about deprecated fields the primary key still reads from.
+ */
+export function reportDeprecatedKeyFields(
+  primaryKey: PrimaryKey,
+  fields: any[],
+  reporter: DiagnosticReporter
+): void {
+  for (const keyName of ['partitionKey', 'sortKey'] as const) {
+    const key = primaryKey[keyName];
+    if (key === undefined) {
+      continue;
+    }
+    let names: string[];
+    try {
+      names = keyFieldNames(key);
+    } catch {
+      continue;
+    }
+    for (const name of names) {
+      const field = fields.find(f => f && f.name === name);
+      if (field && isDeprecated(field.deprecated)) {
+        reporter.warning(
+          'deprecated-key-field',
+          pointer('/primaryKey', keyName),
+          `PrimaryKey ${keyName} field '${name}' is deprecated; keys cannot stop using it without migrating every item`
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Lists the deprecated entity, fields and enum values a record uses, so
+ * writers can be warned before they are removed. Fields nested in maps,
+ * lists of maps and union variants are checked too. The schema should
+ * already have passed validateSchema.
+ */
+export function findDeprecatedUsage(
+  schema: SchemaData,
+  item: unknown
+): DeprecatedUsage[] {
+  const usages: DeprecatedUsage[] = [];
+  if (isDeprecated(schema.deprecated)) {
+    usages.push({
+      code: 'deprecated-entity',
+      path: '',
+      message: `Entity '${schema.entityName}' is deprecated${describe(schema.deprecated)}`,
+      deprecation: schema.deprecated,
+    });
+  }
+  if (isPlainObject(item)) {
+    checkMembers(schema.fields, item, '', usages);
+  }
+  return usages;
+}
+
+function checkMembers(
+  fields: readonly NestedField[],
+  value: Record<string, unknown>,
+  path: string,
+  usages: DeprecatedUsage[]
+): void {
+  for (const field of fields) {
+    const fieldValue = value[field.name];
+    if (fieldValue === undefined || fieldValue === null) {
+      continue;
+    }
+    const fieldPath = pointer(path, field.name);
+    if (isDeprecated(field.deprecated)) {
+      usages.push({
+        code: 'deprecated-field',
+        path: fieldPath,
+        message: `Field '${field.name}' is deprecated${describe(field.deprecated)}`,
+        deprecation: field.deprecated,
+      });
+    }
+    checkValue(field, fieldValue, fieldPath, usages);
+  }
+}
+
+function checkValue(
+  field: NestedField,
+  value: unknown,
+  path: string,
+  usages: DeprecatedUsage[]
+): void {
+  if (field.deprecatedValues && enumValues(field)) {
+    // List elements are reported at their index; set elements at the set
+    const elements: [unknown, string][] =
+      field.type === 'list' && Array.isArray(value)
+        ? value.map((element, index) => [element, pointer(path, index)])
+        : SET_TYPES.includes(field.type)
+          ? Array.isArray(value) || value instanceof Set
+            ? [...value].map(element => [element, path])
+            : []
+          : [[value, path]];
+    for (const [element, elementPath] of elements) {
+      const deprecation = deprecatedValue(field, element);
+      if (isDeprecated(deprecation)) {
+        usages.push({
+          code: 'deprecated-value',
+          path: elementPath,
+          message: `Value '${element}' of field '${field.name}' is deprecated${describe(deprecation)}`,
+          deprecation,
+        });
+      }
+    }
+  }
+
+  if (field.type === 'map' && isPlainObject(value)) {
+    checkMembers(field.fields ?? [], value, path, usages);
+  } else if (field.type === 'list' && Array.isArray(value)) {
+    const itemFields = field.items?.type === 'map' ? field.items.fields : [];
+    value.forEach((element, index) => {
+      if (isPlainObject(element)) {
+        checkMembers(itemFields ?? [], element, pointer(path, index), usages);
+      }
+    });
+  } else if (field.type === 'union' && isPlainObject(value)) {
+    const tag = value[field.discriminator as string];
+    const variant = field.variants?.find(v => v.name === tag);
+    if (variant) {
+      checkMembers(variant.fields, value, path, usages);
+    }
+  }
+}
+
+/**
+ * Message suffix with the since, reason and replacement of a deprecation.
+ */
+function describe(deprecation: Deprecation): string {
+  if (deprecation === true || deprecation === false) {
+    return '';
+  }
+  const since = deprecation.since ? ` since ${deprecation.since}` : '';
+  const reason = deprecation.reason ? `: ${deprecation.reason}` : '';
+  const replacement = deprecation.replacement
+    ? `; use '${deprecation.replacement}' instead`
+    : '';
+  return `${since}${reason}${replacement}`;
+}
@@ -0,0 +1,175 @@
+/**
+ * Structured diagnostics produced by the blueprint validator.
+ */
+
+/**
+ * Severity of a diagnostic. Only 'error' diagnostics make a schema invalid.
+ */
+export type DiagnosticSeverity = 'error' | 'warning';
+
+/**
+ * Stable, machine-readable diagnostic codes.
+ * Codes are part of the public API: rename only with a major version bump.
+ */
+export type DiagnosticCode =
+  | 'invalid-document'
+  | 'missing-property'
+  | 'unknown-property'
+  | 'invalid-primary-key'
+  | 'unknown-key-field'
+  | 'invalid-key-type'
+  | 'optional-key-field'
+  | 'invalid-fields'
+  | 'invalid-field-name'
+  | 'invalid-field-type'
+  | 'duplicate-field-name'
+  | 'invalid-name-override'
+  | 'reserved-name-override'
+  | 'invalid-identifier'
+  | 'derived-identifier'
+  | 'reserved-identifier'
+  | 'identifier-collision'
+  | 'unsupported-default'
+  | 'unsupported-enum'
+  | 'unsupported-constraints'
+  | 'invalid-enum'
+  | 'invalid-format'
+  | 'unsupported-format'
+  | 'format-conflict'
+  | 'format-pattern-mismatch'
+  | 'invalid-default'
+  | 'default-not-in-enum'
+  | 'default-violates-constraint'
+  | 'enum-violates-constraint'
+  | 'constraint-type-mismatch'
+  | 'invalid-constraint-value'
+  | 'constraint-range'
+  | 'invalid-pattern'
+  | 'unsafe-pattern'
+  | 'non-portable-pattern'
+  | 'missing-list-items'
+  | 'invalid-list-item-type'
+  | 'missing-nested-fields'
+  | 'invalid-nested-field-name'
+  | 'invalid-nested-field-type'
+  | 'duplicate-nested-field-name'
+  | 'nesting-too-deep'
+  | 'invalid-discriminator'
+  | 'missing-variants'
+  | 'invalid-variant'
+  | 'duplicate-variant'
+  | 'discriminator-conflict'
+  | 'variant-field-conflict'
+  | 'invalid-ref'
+  | 'unresolved-ref'
+  | 'circular-ref'
+  | 'invalid-type-definition'
+  | 'unused-type'
+  | 'invalid-extends'
+  | 'extends-conflict'
+  | 'abstract-schema'
+  | 'invalid-table-key'
+  | 'invalid-table-entity'
+  | 'duplicate-entity-name'
+  | 'duplicate-entity-type'
+  | 'entity-type-conflict'
+  | 'table-key-mismatch'
+  | 'invalid-key-template'
+  | 'invalid-index'
+  | 'duplicate-index'
+  | 'unknown-projection-field'
+  | 'invalid-access-pattern'
+  | 'duplicate-access-pattern'
+  | 'unknown-index'
+  | 'unservable-access-pattern'
+  | 'invalid-ttl'
+  | 'invalid-version-attribute'
+  | 'invalid-classification'
+  | 'classification-mismatch'
+  | 'invalid-deprecation'
+  | 'deprecated-required-field'
+  | 'deprecated-key-field'
+  | 'invalid-rule'
+  | 'duplicate-rule';
+
+/**
+ * Codes the validator reports as warnings. DiagnosticReporter.warning only
+ * accepts these, so every warning can be configured as a lint rule.
+ */
+export const WARNING_CODES = [
+  'unknown-property',
+  'derived-identifier',
+  'reserved-identifier',
+  'unsafe-pattern',
+  'non-portable-pattern',
+  'format-pattern-mismatch',
+  'unused-type',
+  'classification-mismatch',
+  'deprecated-required-field',
+  'deprecated-key-field',
+] as const satisfies readonly DiagnosticCode[];
+
+export type WarningCode = (typeof WARNING_CODES)[number];
+
+/**
+ * A single validation problem.
+ */
+export interface ValidationDiagnostic {
+  /** Stable error code */
+  code: DiagnosticCode;
+  /** JSON Pointer (RFC 6901) to the offending value, e.g. /fields/3/constraints/min */
+  path: string;
+  severity: DiagnosticSeverity;
+  message: string;
+}
+
+/**
+ * Collects diagnostics while a schema is being validated.
+ */
+export interface DiagnosticReporter {
+  readonly diagnostics: ValidationDiagnostic[];
+  error(code: DiagnosticCode, path: string, message: string): void;
+  warning(code: WarningCode, path: string, message: string): void;
+  hasErrors(): boolean;
+}
+
+export function createReporter(): DiagnosticReporter {
+  const diagnostics: ValidationDiagnostic[] = [];
+  const report =
+    (severity: DiagnosticSeverity) =>
+    (code: DiagnosticCode, path: string, message: string) => {
+      diagnostics.push({ code, path, severity, message });
+    };
+
+  return {
+    diagnostics,
+    error: report('error'),
+    warning: report('warning'),
+    hasErrors: () => diagnostics.some(d => d.severity === 'error'),
+  };
+}
+
+/**
+ * Append reference tokens to a JSON Pointer, escaping '~' and '/'.
+ */
+export function pointer(base: string, ...tokens: (string | number)[]): string {
+  return tokens.reduce<string>(
+    (acc, token) =>
+      `${acc}/${String(token).replace(/~/g, '~0').replace(/\//g, '~1')}`,
+    base
+  );
+}
+
+/**
+ * Error thrown by validateSchema. Carries every diagnostic, not just the first.
+ */
+export class SchemaValidationError extends Error {
+  readonly diagnostics: ValidationDiagnostic[];
+
+  constructor(diagnostics: ValidationDiagnostic[]) {
+    const errors = diagnostics.filter(d => d.severity === 'error');
+    super(errors.map(d => d.message).join('\n'));
+    this.name = 'SchemaValidationError';
+    this.diagnostics = diagnostics;
+  }
+}
@@ -0,0 +1,362 @@
+import { dirname, relative, resolve } from 'path';
+import { DiagnosticReporter, createReporter, pointer } from './diagnostics';
+import { canonicalJson } from './record';
+
+/**
+ * A blueprint read from disk, with the absolute path it was read from.
+ */
+export interface LoadedDocument {
+  file: string;
+  document: unknown;
+}
+
+/**
+ * Reads the blueprint an `extends` names, relative to the extending file.
+ * Throws when the file cannot be read.
+ */
+export type DocumentLoader = (file: string, fromFile: string) => LoadedDocument;
+
+/**
+ * Field properties an extending blueprint may change. Anything else it
+ * repeats must match the inherited field.
+ */
+const OVERRIDABLE_PROPERTIES = [
+  'description',
+  'constraints',
+  'annotations',
+  'classification',
+  'deprecated',
+];
+
+/**
+ * Returns a blueprint merged with the chain of blueprints it extends.
+ * The blueprint's own fields keep their positions, so diagnostics point into
+ * its file; inherited fields follow them. Conflicts are reported against the
+ * extending blueprint, naming the file the inherited definition came from.
+ */
+export function flattenDocument(
+  document: any,
+  file: string,
+  reporter: DiagnosticReporter,
+  loadDocument: DocumentLoader,
+  chain: string[] = [file]
+): any {
+  return flatten(document, file, reporter, loadDocument, chain).document;
+}
+
+/**
+ * A flattened blueprint and, for each field name, the absolute path of the
+ * file in the chain that first defines the field.
+ */
+interface Flattened {
+  document: any;
+  origins: Map<string, string>;
+}
+
+function flatten(
+  document: any,
+  file: string,
+  reporter: DiagnosticReporter,
+  loadDocument: DocumentLoader,
+  chain: string[]
+): Flattened {
+  if (!isObject(document) || document.extends === undefined) {
+    return { document, origins: fieldOrigins(document, file) };
+  }
+  const { extends: target, ...own } = document;
+  const unmerged = { document: own, origins: fieldOrigins(own, file) };
+  if (typeof target !== 'string' || target === '') {
+    reporter.error(
+      'invalid-extends',
+      '/extends',
+      'Schema extends must be the path of a .bprint file'
+    );
+    return unmerged;
+  }
+
+  let base: LoadedDocument;
+  try {
+    base = loadDocument(target, file);
+  } catch (error) {
+    reporter.error(
+      'invalid-extends',
+      '/extends',
+      `Cannot extend '${target}': ${(error as Error).message}`
+    );
+    return unmerged;
+  }
+  if (chain.includes(base.file)) {
+    const cycle = [...chain.slice(chain.indexOf(base.file)), base.file];
+    reporter.error(
+      'invalid-extends',
+      '/extends',
+      `Schema extends are circular: ${cycle.map(f => displayPath(file, f)).join(' -> ')}`
+    );
+    return unmerged;
+  }
+  if (!isObject(base.document)) {
+    reporter.error(
+      'invalid-extends',
+      '/extends',
+      `Cannot extend '${target}': it must contain a JSON object`
+    );
+    return unmerged;
+  }
+
+  // Problems further up the chain are reported at this blueprint's extends
+  const baseReporter = createReporter();
+  const flattened = flatten(
+    base.document,
+    base.file,
+    baseReporter,
+    loadDocument,
+    [...chain, base.file]
+  );
+  for (const d of baseReporter.diagnostics) {
+    reporter.diagnostics.push({
+      ...d,
+      path: '/extends',
+      message: `${target}${d.path ? ` (${d.path})` : ''}: ${d.message}`,
+    });
+  }
+
+  // Fields are attributed to the file that defines them, which may be
+  // further up the chain than the blueprint this one extends
+  const origins = new Map(flattened.origins);
+  const fieldFrom = (name: string) => {
+    const origin = origins.get(name) ?? base.file;
+    return origin === base.file ? target : displayPath(file, origin);
+  };
+  const merged = mergeBase(
+    rebaseRefs(flattened.document, base.file, file),
+    own,
+    target,
+    fieldFrom,
+    reporter
+  );
+  for (const [name, origin] of fieldOrigins(own, file)) {
+    if (!origins.has(name)) {
+      origins.set(name, origin);
+    }
+  }
+  return { document: merged, origins };
+}
+
+/**
+ * Map each named field of a blueprint to the file it is defined in.
+ */
+function fieldOrigins(document: unknown, file: string): Map<string, string> {
+  const origins = new Map<string, string>();
+  const fields = isObject(document) ? document.fields : undefined;
+  for (const field of Array.isArray(fields) ? fields : []) {
+    if (isObject(field) && typeof field.name === 'string') {
+      origins.set(field.name, file);
+    }
+  }
+  return origins;
+}
+
+function mergeBase(
+  base: Record<string, any>,
+  own: Record<string, any>,
+  from: string,
+  fieldFrom: (name: string) => string,
+  reporter: DiagnosticReporter
+): any {
+  const merged = { ...own };
+
+  if (base.primaryKey !== undefined) {
+    if (
+      own.primaryKey !== undefined &&
+      canonicalJson(own.primaryKey) !== canonicalJson(base.primaryKey)
+    ) {
+      reporter.error(
+        'extends-conflict',
+        '/primaryKey',
+        `primaryKey is inherited from ${from} and cannot be replaced`
+      );
+    }
+    merged.primaryKey = base.primaryKey;
+  }
+
+  if (isObject(base.types)) {
+    const ownTypes = isObject(own.types) ? own.types : {};
+    for (const name of Object.keys(ownTypes)) {
+      if (
+        Object.prototype.hasOwnProperty.call(base.types, name) &&
+        canonicalJson(ownTypes[name]) !== canonicalJson(base.types[name])
+      ) {
+        reporter.error(
+          'extends-conflict',
+          pointer('/types', name),
+          `Type '${name}' is already defined in ${from}`
+        );
+      }
+    }
+    merged.types = { ...base.types, ...ownTypes };
+  }
+
+  // Entity-level attribute declarations are inherited unless redeclared
+  for (const key of ['ttl', 'versionAttribute']) {
+    if (own[key] === undefined && base[key] !== undefined) {
+      merged[key] = base[key];
+    }
+  }
+
+  // Inherited rules follow the blueprint's own rules, which may not reuse
+  // their names
+  if (
+    Array.isArray(base.rules) &&
+    (own.rules === undefined || Array.isArray(own.rules))
+  ) {
+    const ownRules: any[] = own.rules ?? [];
+    const baseNames = new Set(
+      base.rules.filter(isObject).map(rule => rule.name)
+    );
+    ownRules.forEach((rule, index) => {
+      if (isObject(rule) && baseNames.has(rule.name)) {
+        reporter.error(
+          'duplicate-rule',
+          pointer('/rules', index, 'name'),
+          `Rule '${rule.name}' is already defined in ${from}`
+        );
+      }
+    });
+    const ownNames = new Set(ownRules.filter(isObject).map(rule => rule.name));
+    merged.rules = [
+      ...ownRules,
+      ...base.rules.filter(
+        (rule: unknown) => !isObject(rule) || !ownNames.has(rule.name)
+      ),
+    ];
+  }
+
+  const inherited: any[] = Array.isArray(base.fields) ? base.fields : [];
+  if (own.fields !== undefined && !Array.isArray(own.fields)) {
+    return merged;
+  }
+  const overridden = new Set<string>();
+  const fields = (own.fields ?? []).map((field: any, index: number) => {
+    const original = isObject(field)
+      ? inherited.find(f => isObject(f) && f.name === field.name)
+      : undefined;
+    if (!original) {
+      return field;
+    }
+    overridden.add(field.name);
+    return overrideField(
+      original,
+      field,
+      pointer('/fields', index),
+      fieldFrom(field.name),
+      reporter
+    );
+  });
+  merged.fields = [
+    ...fields,
+    ...inherited.filter(f => !isObject(f) || !overridden.has(f.name)),
+  ];
+  return merged;
+}
+
+/**
+ * Apply an extending blueprint's redefinition of an inherited field. Only
+ * descriptions, constraints, annotations, classification and deprecation may
+ * change; constraints and annotations are merged with the inherited ones.
+ */
+function overrideField(
+  original: Record<string, any>,
+  field: Record<string, any>,
+  path: string,
+  from: string,
+  reporter: DiagnosticReporter
+): any {
+  const originalType = original.$ref ?? original.type;
+  const ownType = field.$ref ?? field.type;
+  if (ownType !== originalType) {
+    reporter.error(
+      'extends-conflict',
+      pointer(path, field.$ref !== undefined ? '$ref' : 'type'),
+      `Field '${field.name}' has type '${originalType}' in ${from} and cannot be redefined as '${ownType}'`
+    );
+    return field;
+  }
+
+  for (const key of Object.keys(field)) {
+    if (
+      key === 'name' ||
+      key === 'type' ||
+      key === '$ref' ||
+      OVERRIDABLE_PROPERTIES.includes(key)
+    ) {
+      continue;
+    }
+    if (canonicalJson(field[key]) !== canonicalJson(original[key])) {
+      reporter.error(
+        'extends-conflict',
+        pointer(path, key),
+        `Field '${field.name}' cannot change '${key}' inherited from ${from}; only ${OVERRIDABLE_PROPERTIES.join(', ')} can be overridden`
+      );
+    }
+  }
+
+  const merged = { ...original, ...field };
+  for (const key of ['constraints', 'annotations']) {
+    if (isObject(original[key]) && isObject(field[key])) {
+      merged[key] = { ...original[key], ...field[key] };
+    }
+  }
+  return merged;
+}
+
+/**
+ * Rewrite references to other files in an inherited blueprint so they are
+ * relative to the extending file.
+ */
+function rebaseRefs(document: any, fromFile: string, toFile: string): any {
+  if (dirname(fromFile) === dirname(toFile)) {
+    return document;
+  }
+  const rebase = (value: unknown): unknown => {
+    if (Array.isArray(value)) {
+      return value.map(rebase);
+    }
+    if (!isObject(value)) {
+      return value;
+    }
+    const copy: Record<string, unknown> = {};
+    for (const [key, child] of Object.entries(value)) {
+      copy[key] =
+        key === '$ref' && typeof child === 'string'
+          ? rebaseRef(child, fromFile, toFile)
+          : rebase(child);
+    }
+    return copy;
+  };
+  return {
+    ...document,
+    fields: rebase(document.fields),
+    types: rebase(document.types),
+  };
+}
+
+function rebaseRef(ref: string, fromFile: string, toFile: string): string {
+  const hash = ref.indexOf('#');
+  const target = hash < 0 ? ref : ref.slice(0, hash);
+  if (target === '') {
+    return ref;
+  }
+  const rebased = displayPath(toFile, resolve(dirname(fromFile), target));
+  return hash < 0 ? rebased : rebased + ref.slice(hash);
+}
+
+/**
+ * Path of target relative to the directory of file, with '/' separators.
+ */
+function displayPath(file: string, target: string): string {
+  return relative(dirname(file), target).split('\\').join('/');
+}
+
+function isObject(value: unknown): value is Record<string, any> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
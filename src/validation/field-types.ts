@@ -0,0 +1,22 @@
+/**
+ * Field type names, shared by the schema validator and key validation.
+ */
+export const SCALAR_TYPES = [
+  'string',
+  'number',
+  'integer',
+  'decimal',
+  'boolean',
+  'timestamp',
+  'date',
+  'uuid',
+  'binary',
+];
+export const COLLECTION_TYPES = [
+  'list',
+  'map',
+  'stringSet',
+  'numberSet',
+  'binarySet',
+];
+export const ALL_FIELD_TYPES = [...SCALAR_TYPES, ...COLLECTION_TYPES, 'union'];
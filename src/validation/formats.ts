@@ -0,0 +1,148 @@
+/**
+ * Value format checks shared by schema and record validation.
+ */
+
+/**
+ * ISO 8601 date-time with a time zone designator,
+ * e.g. 2024-01-15T10:30:00Z or 2024-01-15T10:30:00.123+02:00.
+ */
+export const ISO_TIMESTAMP_REGEX =
+  /^(\d{4})-(\d{2})-(\d{2})T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+/**
+ * Returns true when year/month/day name a real calendar date
+ * (Date.parse silently rolls 2024-02-30 over to March 1st).
+ */
+function isCalendarDate(year: number, month: number, day: number): boolean {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Returns true when value is an ISO 8601 timestamp string
+ * that also resolves to a real calendar date.
+ */
+export function isIsoTimestamp(value: unknown): value is string {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  const match = ISO_TIMESTAMP_REGEX.exec(value);
+  return (
+    !!match &&
+    isCalendarDate(Number(match[1]), Number(match[2]), Number(match[3])) &&
+    !Number.isNaN(Date.parse(value))
+  );
+}
+
+/**
+ * ISO 8601 calendar date without a time, e.g. 2024-01-15.
+ */
+export const ISO_DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Returns true when value is a YYYY-MM-DD string naming a real calendar date.
+ */
+export function isIsoDate(value: unknown): value is string {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  const match = ISO_DATE_REGEX.exec(value);
+  return (
+    !!match &&
+    isCalendarDate(Number(match[1]), Number(match[2]), Number(match[3]))
+  );
+}
+
+/**
+ * UUID in its canonical 8-4-4-4-12 hex form, in either case.
+ */
+export const UUID_REGEX =
+  /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/;
+
+export function isUuid(value: unknown): value is string {
+  return typeof value === 'string' && UUID_REGEX.test(value);
+}
+
+/**
+ * Padded standard base64, the JSON representation of binary values.
+ */
+export const BASE64_REGEX =
+  /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+export function isBase64(value: unknown): value is string {
+  return typeof value === 'string' && BASE64_REGEX.test(value);
+}
+
+/**
+ * Number of bytes a binary value holds: a Uint8Array (including Buffer)
+ * or a base64 string.
+ */
+export function byteLength(value: Uint8Array | string): number {
+  if (typeof value !== 'string') {
+    return value.length;
+  }
+  const padding = value.endsWith('==') ? 2 : value.endsWith('=') ? 1 : 0;
+  return (value.length / 4) * 3 - padding;
+}
+
+/**
+ * Plain or exponent decimal notation, e.g. 12.50, -0.5 or 1e-7.
+ * Decimal values may be JSON numbers or strings in this form.
+ */
+export const DECIMAL_REGEX = /^[+-]?(\d+)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/;
+
+/**
+ * Significant digits of a decimal value on each side of the decimal point,
+ * ignoring leading and trailing zeros: 0012.50 has 2 integer digits and
+ * 1 fraction digit. Returns undefined for values that are not decimals.
+ */
+export function decimalDigits(
+  value: unknown
+): { integer: number; fraction: number } | undefined {
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    return undefined;
+  }
+  if (typeof value !== 'number' && typeof value !== 'string') {
+    return undefined;
+  }
+  const match = DECIMAL_REGEX.exec(String(value));
+  if (!match) {
+    return undefined;
+  }
+  const digits = `${match[1]}${match[2] ?? ''}`;
+  // Position of the decimal point within digits, after applying the exponent
+  const point = match[1].length + Number(match[3] ?? 0);
+  const integer = digits
+    .slice(0, Math.max(0, Math.min(point, digits.length)))
+    .replace(/^0+/, '');
+  const significant = digits.replace(/0+$/, '');
+  return {
+    integer:
+      integer.length === 0
+        ? 0
+        : integer.length + Math.max(0, point - digits.length),
+    fraction:
+      significant.length === 0 ? 0 : Math.max(0, significant.length - point),
+  };
+}
+
+const BASE64_ALPHABET =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Padded standard base64 encoding of bytes, used to compare binary values
+ * that arrive in different representations.
+ */
+export function toBase64(bytes: Uint8Array): string {
+  let encoded = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk =
+      (bytes[i] << 16) | ((bytes[i + 1] ?? 0) << 8) | (bytes[i + 2] ?? 0);
+    encoded +=
+      BASE64_ALPHABET[(chunk >> 18) & 63] +
+      BASE64_ALPHABET[(chunk >> 12) & 63] +
+      (i + 1 < bytes.length ? BASE64_ALPHABET[(chunk >> 6) & 63] : '=') +
+      (i + 2 < bytes.length ? BASE64_ALPHABET[chunk & 63] : '=');
+  }
+  return encoded;
+}
@@ -0,0 +1,40 @@
+/**
+ * Code identifier rules shared by the validator and code generators.
+ */
+
+/**
+ * Regex for a valid identifier in all supported target languages.
+ */
+export const VALID_IDENTIFIER_REGEX = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/**
+ * Converts a raw field name to the identifier generators use for it.
+ * Valid identifiers are kept as-is; other names are camelCased on
+ * non-alphanumeric separators ('order-date' -> 'orderDate').
+ * Returns undefined when no valid identifier can be derived ('2fa-verified').
+ */
+export function toIdentifier(name: string): string | undefined {
+  if (VALID_IDENTIFIER_REGEX.test(name)) {
+    return name;
+  }
+
+  const parts = name.split(/[^a-zA-Z0-9]+/).filter(part => part.length > 0);
+  const identifier = parts
+    .map((part, index) =>
+      index === 0 ? part : part.charAt(0).toUpperCase() + part.slice(1)
+    )
+    .join('');
+
+  return VALID_IDENTIFIER_REGEX.test(identifier) ? identifier : undefined;
+}
+
+/**
+ * The identifier generated for a field: its nameOverride when set,
+ * otherwise the identifier derived from its name.
+ */
+export function effectiveIdentifier(field: {
+  name: string;
+  nameOverride?: string;
+}): string | undefined {
+  return field.nameOverride ?? toIdentifier(field.name);
+}
@@ -3,81 +3,392 @@ import {
   PrimaryKey,
   Field,
   FieldConstraints,
+  FieldType,
   ListItems,
   NestedField,
+  UnionVariant,
 } from '../types';
+import {
+  DiagnosticReporter,
+  SchemaValidationError,
+  ValidationDiagnostic,
+  createReporter,
+  pointer,
+} from './diagnostics';
+import {
+  DECIMAL_REGEX,
+  isBase64,
+  isIsoDate,
+  isIsoTimestamp,
+  isUuid,
+} from './formats';
+import { analyzePattern } from './patterns';
+import {
+  STRING_FORMATS,
+  isStringFormat,
+  matchesFormat,
+} from './string-formats';
+import { closestMatch } from './suggest';
+import { VALID_IDENTIFIER_REGEX, toIdentifier } from './identifiers';
+import {
+  DEFAULT_TARGET_LANGUAGES,
+  RESERVED_WORD_PROFILES,
+  TargetLanguage,
+  reservedIn,
+} from './reserved-words';
+import { RecordError, RecordErrorCode, validateValue } from './record';
+import { reportUnknownProperties } from './unknown-properties';
+import { TypeLoader, dereferenceSchema } from './refs';
+import { validateKeyReference } from './keys';
+import { validateAccessPatterns, validateIndexes } from './indexes';
+import { validateTtl, validateVersionAttribute } from './lifecycle';
+import { validateClassification } from './classification';
+import {
+  reportDeprecatedKeyFields,
+  validateDeprecation,
+  validateFieldDeprecation,
+} from './deprecation';
+import { validateRules } from './rules';
+import { ALL_FIELD_TYPES, SCALAR_TYPES } from './field-types';
+
+const LIST_ITEM_TYPES = [...SCALAR_TYPES, 'map'];
 
 /**
- * Regex for a valid identifier in all supported target languages.
+ * Constraints on the size and uniqueness of a collection, as opposed to
+ * constraints on its elements.
  */
-const VALID_IDENTIFIER_REGEX = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+const COLLECTION_CONSTRAINTS = ['minItems', 'maxItems', 'uniqueItems'];
 
 /**
- * Reserved keywords across supported target languages.
- * nameOverride must not collide with these.
+ * Element type of each set type; value constraints apply per element.
  */
-const RESERVED_WORDS = new Set<string>([
-  // Java reserved keywords
-  'abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char',
-  'class', 'const', 'continue', 'default', 'do', 'double', 'else', 'enum',
-  'extends', 'final', 'finally', 'float', 'for', 'goto', 'if', 'implements',
-  'import', 'instanceof', 'int', 'interface', 'long', 'native', 'new',
-  'package', 'private', 'protected', 'public', 'return', 'short', 'static',
-  'strictfp', 'super', 'switch', 'synchronized', 'this', 'throw', 'throws',
-  'transient', 'try', 'void', 'volatile', 'while',
-  // Java literals
-  'true', 'false', 'null',
-  // Python reserved keywords (for future generators)
-  'and', 'as', 'def', 'del', 'elif', 'except', 'from', 'global', 'in', 'is',
-  'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'with', 'yield',
-  // Go reserved keywords (for future generators)
-  'chan', 'defer', 'fallthrough', 'func', 'go', 'map', 'range', 'select',
-  'struct', 'type', 'var',
-]);
-
-const SCALAR_TYPES = ['string', 'number', 'boolean', 'timestamp'];
-const COLLECTION_TYPES = ['list', 'map', 'stringSet', 'numberSet'];
-const ALL_FIELD_TYPES = [...SCALAR_TYPES, ...COLLECTION_TYPES];
-const LIST_ITEM_TYPES = [...SCALAR_TYPES, 'map'];
+const SET_ELEMENT_TYPES: Record<string, string> = {
+  stringSet: 'string',
+  numberSet: 'number',
+  binarySet: 'binary',
+};
+
+/**
+ * Types each value constraint applies to. Length constraints count
+ * characters for strings and bytes for binary values.
+ */
+const LENGTH_TYPES = ['string', 'binary'];
+const NUMERIC_TYPES = ['number', 'integer', 'decimal'];
+
+const DEFAULT_MAX_NESTING_DEPTH = 5;
+
+/**
+ * DynamoDB numbers hold up to 38 significant digits.
+ */
+const MAX_DECIMAL_PRECISION = 38;
+
+/**
+ * Settings shared by every level of field validation.
+ */
+interface FieldContext {
+  targetLanguages: readonly TargetLanguage[];
+  maxNestingDepth: number;
+  reporter: DiagnosticReporter;
+}
+
+/**
+ * Constraint that produced each record-level constraint error.
+ */
+const CONSTRAINT_BY_RECORD_CODE: Partial<
+  Record<RecordErrorCode, keyof FieldConstraints>
+> = {
+  'min-length': 'minLength',
+  'max-length': 'maxLength',
+  pattern: 'pattern',
+  minimum: 'min',
+  maximum: 'max',
+  precision: 'precision',
+  scale: 'scale',
+};
+
+/**
+ * Options accepted by validateSchema and validateSchemaDetailed.
+ */
+export interface ValidateSchemaOptions {
+  /**
+   * Languages whose reserved words generated identifiers must avoid
+   * (default: java, python, go).
+   */
+  targetLanguages?: TargetLanguage[];
+  /**
+   * Report properties the spec does not define as errors instead of
+   * warnings (default: true when the CI environment variable is set).
+   */
+  strict?: boolean;
+  /**
+   * Deepest level of map nesting allowed, counting a top-level map's fields
+   * as level 1 (default: 5).
+   */
+  maxNestingDepth?: number;
+}
+
+/**
+ * Result of validateSchemaDetailed: every diagnostic, plus the validated
+ * schema when there were no errors.
+ */
+export interface ValidationResult {
+  valid: boolean;
+  schema?: SchemaData;
+  diagnostics: ValidationDiagnostic[];
+}
 
 /**
  * Validates a schema object against the official chaim-bprint-spec
+ * and throws a SchemaValidationError listing every problem found.
+ */
+export function validateSchema(
+  schema: any,
+  options: ValidateSchemaOptions = {}
+): SchemaData {
+  const result = validateSchemaDetailed(schema, options);
+  if (!result.valid || !result.schema) {
+    throw new SchemaValidationError(result.diagnostics);
+  }
+  return result.schema;
+}
+
+/**
+ * Validates a schema object without throwing, collecting all diagnostics.
+ */
+export function validateSchemaDetailed(
+  schema: any,
+  options: ValidateSchemaOptions = {}
+): ValidationResult {
+  return validateDocument(schema, options);
+}
+
+/**
+ * Where a document came from, for blueprints read by resolveSchema.
  */
-export function validateSchema(schema: any): SchemaData {
+export interface DocumentContext {
+  /** Absolute path of the blueprint file */
+  file?: string;
+  /** Loads types from other files; without it, such $refs are unresolved */
+  loadTypes?: TypeLoader;
+  /** Reporter already holding diagnostics from flattening the document */
+  reporter?: DiagnosticReporter;
+}
+
+/**
+ * Validates a blueprint after expanding its type references.
+ */
+export function validateDocument(
+  document: any,
+  options: ValidateSchemaOptions,
+  context: DocumentContext = {}
+): ValidationResult {
+  const targetLanguages = resolveTargetLanguages(options.targetLanguages);
+  const maxNestingDepth = resolveMaxNestingDepth(options.maxNestingDepth);
+  const strict = options.strict ?? isCI();
+  const reporter = context.reporter ?? createReporter();
+
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    reporter.error('invalid-document', '', 'Schema must be a JSON object');
+    return { valid: false, diagnostics: reporter.diagnostics };
+  }
+
+  // Replace $ref fields with the named types they reference
+  const schema = dereferenceSchema(
+    document,
+    reporter,
+    context.loadTypes,
+    context.file
+  );
+  const abstract = schema.abstract === true;
+
+  // resolveSchema merges extended blueprints before validating
+  if (schema.extends !== undefined) {
+    reporter.error(
+      'invalid-extends',
+      '/extends',
+      'Schemas that extend another file must be loaded with resolveSchema or flattenSchema'
+    );
+  }
+
   // Validate top-level required fields
   if (!schema.schemaVersion) {
-    throw new Error('Schema must include schemaVersion field');
+    reporter.error(
+      'missing-property',
+      '/schemaVersion',
+      'Schema must include schemaVersion field'
+    );
   }
-  if (!schema.entityName) {
-    throw new Error('Schema must include entityName field');
+  if (!schema.entityName && !abstract) {
+    reporter.error(
+      'missing-property',
+      '/entityName',
+      'Schema must include entityName field'
+    );
   }
   if (!schema.description) {
-    throw new Error('Schema must include description field');
+    reporter.error(
+      'missing-property',
+      '/description',
+      'Schema must include description field'
+    );
   }
-  if (!schema.primaryKey) {
-    throw new Error('Schema must include primaryKey field');
+  if (!schema.primaryKey && !abstract) {
+    reporter.error(
+      'missing-property',
+      '/primaryKey',
+      'Schema must include primaryKey field'
+    );
   }
   if (!Array.isArray(schema.fields) || schema.fields.length === 0) {
-    throw new Error('Schema must include fields array with at least one field');
+    reporter.error(
+      'invalid-fields',
+      '/fields',
+      'Schema must include fields array with at least one field'
+    );
   }
 
+  reportUnknownProperties(schema, strict, reporter);
+
   // Validate primary key and fields
-  const primaryKey = validatePrimaryKey(schema.primaryKey);
-  const fields = validateFields(schema.fields);
+  const primaryKey = schema.primaryKey
+    ? validatePrimaryKey(schema.primaryKey, reporter)
+    : undefined;
+  const fields = Array.isArray(schema.fields)
+    ? validateFields(schema.fields, '/fields', undefined, 0, {
+        targetLanguages,
+        maxNestingDepth,
+        reporter,
+      })
+    : [];
+  if (primaryKey && Array.isArray(schema.fields)) {
+    validateKeyFields(primaryKey, schema.fields, reporter);
+    reportDeprecatedKeyFields(primaryKey, schema.fields, reporter);
+  }
+  if (schema.deprecated !== undefined) {
+    validateDeprecation(schema.deprecated, 'Schema', '/deprecated', reporter);
+  }
+  const fieldList = Array.isArray(schema.fields) ? schema.fields : [];
+  const indexes =
+    schema.indexes === undefined
+      ? undefined
+      : validateIndexes(schema.indexes, primaryKey, fieldList, reporter);
+  const accessPatterns =
+    schema.accessPatterns === undefined
+      ? undefined
+      : validateAccessPatterns(
+          schema.accessPatterns,
+          primaryKey,
+          indexes ?? [],
+          fieldList,
+          reporter
+        );
+  const ttl =
+    schema.ttl === undefined
+      ? undefined
+      : validateTtl(schema.ttl, primaryKey, fieldList, reporter);
+  const versionAttribute =
+    schema.versionAttribute === undefined
+      ? undefined
+      : validateVersionAttribute(
+          schema.versionAttribute,
+          ttl,
+          primaryKey,
+          fieldList,
+          reporter
+        );
+  const rules =
+    schema.rules === undefined
+      ? undefined
+      : validateRules(schema.rules, fieldList, reporter);
+
+  if (abstract) {
+    reporter.error(
+      'abstract-schema',
+      '/abstract',
+      'Abstract schemas only provide fields to schemas that extend them'
+    );
+  }
+
+  if (reporter.hasErrors() || !primaryKey) {
+    return { valid: false, diagnostics: reporter.diagnostics };
+  }
 
   // Return validated schema
   return {
-    schemaVersion: schema.schemaVersion,
-    entityName: schema.entityName,
-    description: schema.description,
-    primaryKey,
-    fields,
+    valid: true,
+    schema: {
+      schemaVersion: schema.schemaVersion,
+      entityName: schema.entityName,
+      description: schema.description,
+      primaryKey,
+      fields,
+      ...(indexes && { indexes }),
+      ...(accessPatterns && { accessPatterns }),
+      ...(ttl && { ttl }),
+      ...(versionAttribute && { versionAttribute }),
+      ...(rules && { rules }),
+      ...(schema.deprecated !== undefined && {
+        deprecated: schema.deprecated,
+      }),
+    },
+    diagnostics: reporter.diagnostics,
   };
 }
 
-function validatePrimaryKey(primaryKey: any): PrimaryKey {
+function resolveTargetLanguages(
+  languages: TargetLanguage[] | undefined
+): readonly TargetLanguage[] {
+  if (languages === undefined) {
+    return DEFAULT_TARGET_LANGUAGES;
+  }
+  for (const language of languages) {
+    if (!(language in RESERVED_WORD_PROFILES)) {
+      throw new Error(
+        `Unknown target language '${language}'. Expected one of: ${Object.keys(RESERVED_WORD_PROFILES).join(', ')}`
+      );
+    }
+  }
+  return languages;
+}
+
+function resolveMaxNestingDepth(depth: number | undefined): number {
+  if (depth === undefined) {
+    return DEFAULT_MAX_NESTING_DEPTH;
+  }
+  if (!Number.isInteger(depth) || depth < 1) {
+    throw new Error(`maxNestingDepth must be a positive integer, got ${depth}`);
+  }
+  return depth;
+}
+
+export function isCI(): boolean {
+  const ci = process.env.CI;
+  return !!ci && ci !== 'false' && ci !== '0';
+}
+
+function validatePrimaryKey(
+  primaryKey: any,
+  reporter: DiagnosticReporter
+): PrimaryKey | undefined {
   if (!primaryKey.partitionKey || typeof primaryKey.partitionKey !== 'string') {
-    throw new Error('PrimaryKey must include partitionKey as a string');
+    reporter.error(
+      'invalid-primary-key',
+      '/primaryKey/partitionKey',
+      'PrimaryKey must include partitionKey as a string'
+    );
+    return undefined;
+  }
+
+  if (
+    primaryKey.sortKey !== undefined &&
+    (!primaryKey.sortKey || typeof primaryKey.sortKey !== 'string')
+  ) {
+    reporter.error(
+      'invalid-primary-key',
+      '/primaryKey/sortKey',
+      'PrimaryKey sortKey must be a non-empty string'
+    );
+    return undefined;
   }
 
   return {
@@ -86,109 +397,307 @@ function validatePrimaryKey(primaryKey: any): PrimaryKey {
   };
 }
 
-function validateFields(fields: any[]): Field[] {
+/**
+ * Validate that each primary key attribute names a required field whose
+ * type can be used as a DynamoDB key, or is a key template whose
+ * placeholders name required scalar fields.
+ */
+function validateKeyFields(
+  primaryKey: PrimaryKey,
+  fields: any[],
+  reporter: DiagnosticReporter
+): void {
+  for (const keyName of ['partitionKey', 'sortKey'] as const) {
+    const key = primaryKey[keyName];
+    if (key !== undefined) {
+      validateKeyReference(
+        key,
+        `PrimaryKey ${keyName}`,
+        pointer('/primaryKey', keyName),
+        fields,
+        reporter
+      );
+    }
+  }
+}
+
+/**
+ * Validate a list of field definitions: the top-level fields, or the nested
+ * fields of a map at the given depth (parent is the map's display name).
+ */
+function validateFields(
+  fields: any[],
+  basePath: string,
+  parent: string | undefined,
+  depth: number,
+  context: FieldContext
+): Field[] {
+  const { targetLanguages, reporter } = context;
   const validatedFields: Field[] = [];
   const fieldNames = new Set<string>();
 
-  for (const field of fields) {
+  fields.forEach((field, index) => {
+    const path = pointer(basePath, index);
+
+    if (!field || typeof field !== 'object') {
+      reporter.error(
+        parent === undefined
+          ? 'invalid-field-name'
+          : 'invalid-nested-field-name',
+        path,
+        parent === undefined
+          ? 'Field must be an object'
+          : `Nested field in '${parent}' must be an object`
+      );
+      return;
+    }
+    // Unresolved reference, already reported
+    if (field.$ref !== undefined) {
+      return;
+    }
     if (!field.name || typeof field.name !== 'string') {
-      throw new Error('Field must include name as a string');
+      reporter.error(
+        parent === undefined
+          ? 'invalid-field-name'
+          : 'invalid-nested-field-name',
+        pointer(path, 'name'),
+        parent === undefined
+          ? 'Field must include name as a string'
+          : `Nested field in '${parent}' must include name as a string`
+      );
+      if (parent !== undefined) {
+        return;
+      }
     }
-    if (
-      !field.type ||
-      !ALL_FIELD_TYPES.includes(field.type)
-    ) {
-      throw new Error(
-        `Field '${field.name}' must have a valid type: ${ALL_FIELD_TYPES.join(', ')}`
+    const hasValidType = !!field.type && ALL_FIELD_TYPES.includes(field.type);
+    if (!hasValidType) {
+      reporter.error(
+        parent === undefined
+          ? 'invalid-field-type'
+          : 'invalid-nested-field-type',
+        pointer(path, 'type'),
+        parent === undefined
+          ? `Field '${field.name}' must have a valid type: ${ALL_FIELD_TYPES.join(', ')}`
+          : `Nested field '${field.name}' in '${parent}' must have a valid type: ${ALL_FIELD_TYPES.join(', ')}`
       );
     }
 
     // Check for duplicate field names
-    if (fieldNames.has(field.name)) {
-      throw new Error(`Duplicate field name: ${field.name}`);
+    if (typeof field.name === 'string') {
+      if (fieldNames.has(field.name)) {
+        reporter.error(
+          parent === undefined
+            ? 'duplicate-field-name'
+            : 'duplicate-nested-field-name',
+          pointer(path, 'name'),
+          parent === undefined
+            ? `Duplicate field name: ${field.name}`
+            : `Duplicate nested field name '${field.name}' in '${parent}'`
+        );
+      }
+      fieldNames.add(field.name);
     }
-    fieldNames.add(field.name);
+
+    // Messages name nested fields by their full path, e.g. 'address.zip'
+    const label = parent === undefined ? field.name : `${parent}.${field.name}`;
 
     // Validate nameOverride if present
     if (field.nameOverride !== undefined && field.nameOverride !== null) {
+      const overridePath = pointer(path, 'nameOverride');
       if (typeof field.nameOverride !== 'string') {
-        throw new Error(
-          `Field '${field.name}' nameOverride must be a string`
+        reporter.error(
+          'invalid-name-override',
+          overridePath,
+          `Field '${label}' nameOverride must be a string`
         );
-      }
-      if (!VALID_IDENTIFIER_REGEX.test(field.nameOverride)) {
-        throw new Error(
-          `Field '${field.name}' nameOverride '${field.nameOverride}' is not a valid identifier. Must match ${VALID_IDENTIFIER_REGEX}`
-        );
-      }
-      if (RESERVED_WORDS.has(field.nameOverride)) {
-        throw new Error(
-          `Field '${field.name}' nameOverride '${field.nameOverride}' is a reserved keyword`
+      } else if (!VALID_IDENTIFIER_REGEX.test(field.nameOverride)) {
+        reporter.error(
+          'invalid-name-override',
+          overridePath,
+          `Field '${label}' nameOverride '${field.nameOverride}' is not a valid identifier. Must match ${VALID_IDENTIFIER_REGEX}`
         );
+      } else {
+        const languages = reservedIn(field.nameOverride, targetLanguages);
+        if (languages.length > 0) {
+          reporter.error(
+            'reserved-name-override',
+            overridePath,
+            `Field '${label}' nameOverride '${field.nameOverride}' is a reserved keyword in ${languages.map(l => RESERVED_WORD_PROFILES[l].displayName).join(', ')}`
+          );
+        }
       }
     }
 
-    const isCollection = COLLECTION_TYPES.includes(field.type);
+    if (field.classification !== undefined) {
+      validateClassification(
+        field.classification,
+        label,
+        pointer(path, 'classification'),
+        reporter
+      );
+    }
+
+    validateFieldDeprecation(field, label, path, fields, reporter);
+
+    // The remaining checks depend on a known field type
+    if (!hasValidType) {
+      return;
+    }
+
+    const isCollection = !SCALAR_TYPES.includes(field.type);
 
-    // Reject default, enum, constraints on collection types
+    // Collections and unions take no default; only string sets take enum
+    // values, and only collection-level constraints apply to lists
     if (isCollection) {
       if (field.default !== undefined) {
-        throw new Error(
-          `Field '${field.name}' of type '${field.type}' cannot have a default value`
+        reporter.error(
+          'unsupported-default',
+          pointer(path, 'default'),
+          `Field '${label}' of type '${field.type}' cannot have a default value`
         );
       }
-      if (field.enum) {
-        throw new Error(
-          `Field '${field.name}' of type '${field.type}' cannot have enum values`
+      if (field.enum && field.type !== 'stringSet') {
+        reporter.error(
+          'unsupported-enum',
+          pointer(path, 'enum'),
+          field.type === 'list'
+            ? `Field '${label}' of type 'list' cannot have enum values; use items.enum`
+            : `Field '${label}' of type '${field.type}' cannot have enum values`
         );
       }
-      if (field.constraints) {
-        throw new Error(
-          `Field '${field.name}' of type '${field.type}' cannot have constraints`
+      if (
+        field.constraints &&
+        (field.type === 'map' || field.type === 'union')
+      ) {
+        reporter.error(
+          'unsupported-constraints',
+          pointer(path, 'constraints'),
+          `Field '${label}' of type '${field.type}' cannot have constraints`
         );
       }
+      if (field.constraints && field.type === 'list') {
+        const elementKeys = Object.keys(field.constraints).filter(
+          key => !COLLECTION_CONSTRAINTS.includes(key)
+        );
+        if (elementKeys.length > 0) {
+          reporter.error(
+            'unsupported-constraints',
+            pointer(path, 'constraints'),
+            `Field '${label}' of type 'list' cannot have constraints on its elements (${elementKeys.join(', ')}); use items.constraints`
+          );
+        }
+      }
     }
 
     // Validate enum values if present (scalar types only)
     if (field.enum && (!Array.isArray(field.enum) || field.enum.length === 0)) {
-      throw new Error(`Field '${field.name}' enum must be a non-empty array`);
+      reporter.error(
+        'invalid-enum',
+        pointer(path, 'enum'),
+        `Field '${label}' enum must be a non-empty array`
+      );
+    }
+
+    // Validate field constraints
+    let constraintsValid = true;
+    if (field.constraints && field.type !== 'map' && field.type !== 'union') {
+      const before = errorCount(reporter);
+      validateFieldConstraints(
+        label,
+        field.type,
+        field.type === 'list'
+          ? pickCollectionConstraints(field.constraints)
+          : field.constraints,
+        pointer(path, 'constraints'),
+        reporter
+      );
+      constraintsValid = errorCount(reporter) === before;
     }
 
     // Validate default value type matches field type
-    if (field.default !== undefined) {
+    if (field.default !== undefined && !isCollection) {
       const isValidDefault = validateDefaultValue(field.default, field.type);
       if (!isValidDefault) {
-        throw new Error(
-          `Field '${field.name}' default value type does not match field type`
+        reporter.error(
+          'invalid-default',
+          pointer(path, 'default'),
+          `Field '${label}' default value type does not match field type`
+        );
+      } else {
+        validateDefaultAgainstField(
+          field,
+          label,
+          path,
+          constraintsValid,
+          reporter
         );
       }
     }
 
-    // Validate field constraints
-    if (field.constraints) {
-      validateFieldConstraints(field.name, field.type, field.constraints);
+    // Enum values must themselves satisfy the field's constraints
+    if (constraintsValid) {
+      validateEnumAgainstConstraints(field, label, path, reporter);
+    }
+
+    // Validate format, and that the enum and default values match it
+    if (
+      field.format !== undefined &&
+      validateFormat(
+        field,
+        SET_ELEMENT_TYPES[field.type] ?? field.type,
+        label,
+        path,
+        constraintsValid,
+        reporter
+      )
+    ) {
+      validateValuesAgainstFormat(field, label, path, reporter);
     }
 
     // Validate list type: items is required
     let validatedItems: ListItems | undefined;
     if (field.type === 'list') {
       if (!field.items || typeof field.items !== 'object') {
-        throw new Error(
-          `Field '${field.name}' of type 'list' must include an 'items' definition`
+        reporter.error(
+          'missing-list-items',
+          pointer(path, 'items'),
+          `Field '${label}' of type 'list' must include an 'items' definition`
+        );
+      } else {
+        validatedItems = validateListItems(
+          label,
+          field.items,
+          pointer(path, 'items'),
+          depth,
+          context
         );
       }
-      validatedItems = validateListItems(field.name, field.items);
     }
 
     // Validate map type: fields is required
     let validatedNestedFields: NestedField[] | undefined;
     if (field.type === 'map') {
       if (!Array.isArray(field.fields) || field.fields.length === 0) {
-        throw new Error(
-          `Field '${field.name}' of type 'map' must include a non-empty 'fields' array`
+        reporter.error(
+          'missing-nested-fields',
+          pointer(path, 'fields'),
+          `Field '${label}' of type 'map' must include a non-empty 'fields' array`
+        );
+      } else {
+        validatedNestedFields = validateNestedFields(
+          label,
+          field.fields,
+          pointer(path, 'fields'),
+          depth + 1,
+          context
         );
       }
-      validatedNestedFields = validateNestedFields(field.name, field.fields);
+    }
+
+    // Validate union type: discriminator and variants are required
+    let validatedUnion: Pick<Field, 'discriminator' | 'variants'> = {};
+    if (field.type === 'union') {
+      validatedUnion = validateUnion(field, label, path, depth, context);
     }
 
     validatedFields.push({
@@ -198,73 +707,359 @@ function validateFields(fields: any[]): Field[] {
       required: field.required ?? false,
       default: field.default,
       enum: field.enum,
+      format: field.format,
       description: field.description,
       constraints: field.constraints,
       annotations: field.annotations,
+      classification: field.classification,
+      deprecated: field.deprecated,
+      deprecatedValues: field.deprecatedValues,
       items: validatedItems,
       fields: validatedNestedFields,
+      ...validatedUnion,
     });
-  }
+  });
+
+  validateIdentifiers(fields, basePath, targetLanguages, reporter);
 
   return validatedFields;
 }
 
+/**
+ * Derive each field's generated identifier the way code generators do
+ * and reject names that cannot be derived or that collide. Derived
+ * identifiers that a target language reserves are reported as warnings;
+ * reserved nameOverrides are already errors.
+ */
+function validateIdentifiers(
+  fields: any[],
+  path: string,
+  targetLanguages: readonly TargetLanguage[],
+  reporter: DiagnosticReporter
+): void {
+  const seen = new Map<string, { name: string; identifier: string }>();
+
+  fields.forEach((field, index) => {
+    if (!field || typeof field.name !== 'string' || !field.name) {
+      return;
+    }
+    const hasOverride =
+      field.nameOverride !== undefined && field.nameOverride !== null;
+    if (
+      hasOverride &&
+      (typeof field.nameOverride !== 'string' ||
+        !VALID_IDENTIFIER_REGEX.test(field.nameOverride))
+    ) {
+      // Already reported as an invalid nameOverride
+      return;
+    }
+
+    const fieldPath = pointer(path, index);
+    let identifier: string;
+    if (hasOverride) {
+      identifier = field.nameOverride;
+    } else {
+      const derived = toIdentifier(field.name);
+      if (derived === undefined) {
+        reporter.error(
+          'invalid-identifier',
+          pointer(fieldPath, 'name'),
+          `Field '${field.name}' cannot be converted to a valid identifier; add a nameOverride matching ${VALID_IDENTIFIER_REGEX}`
+        );
+        return;
+      }
+      if (derived !== field.name) {
+        reporter.warning(
+          'derived-identifier',
+          pointer(fieldPath, 'name'),
+          `Field '${field.name}' is not a valid identifier; generators will use '${derived}'. Add "nameOverride": "${derived}" to make this explicit`
+        );
+      }
+      const languages = reservedIn(derived, targetLanguages);
+      if (languages.length > 0) {
+        reporter.warning(
+          'reserved-identifier',
+          pointer(fieldPath, 'name'),
+          `Field '${field.name}' generates identifier '${derived}', which is a reserved keyword in ${languages.map(l => RESERVED_WORD_PROFILES[l].displayName).join(', ')}. Add a nameOverride`
+        );
+      }
+      identifier = derived;
+    }
+
+    const identifierPath = pointer(
+      fieldPath,
+      hasOverride ? 'nameOverride' : 'name'
+    );
+    const key = identifier.toLowerCase();
+    const existing = seen.get(key);
+    if (!existing) {
+      seen.set(key, { name: field.name, identifier });
+    } else if (existing.name === field.name) {
+      // Already reported as a duplicate field name
+    } else if (existing.identifier === identifier) {
+      reporter.error(
+        'identifier-collision',
+        identifierPath,
+        `Field '${field.name}' generates identifier '${identifier}', which collides with field '${existing.name}'`
+      );
+    } else {
+      reporter.error(
+        'identifier-collision',
+        identifierPath,
+        `Field '${field.name}' generates identifier '${identifier}', which differs only in case from '${existing.identifier}' (field '${existing.name}')`
+      );
+    }
+  });
+}
+
 /**
  * Validate the items definition for a list field.
  */
-function validateListItems(fieldName: string, items: any): ListItems {
+function validateListItems(
+  fieldName: string,
+  items: any,
+  path: string,
+  depth: number,
+  context: FieldContext
+): ListItems | undefined {
+  const { reporter } = context;
+
   if (!items.type || !LIST_ITEM_TYPES.includes(items.type)) {
-    throw new Error(
+    reporter.error(
+      'invalid-list-item-type',
+      pointer(path, 'type'),
       `Field '${fieldName}' items must have a valid type: ${LIST_ITEM_TYPES.join(', ')}`
     );
+    return undefined;
+  }
+
+  // Element enum and constraints apply to scalar items only
+  const itemLabel = `${fieldName}[]`;
+  if (items.type === 'map') {
+    if (items.enum) {
+      reporter.error(
+        'unsupported-enum',
+        pointer(path, 'enum'),
+        `Field '${fieldName}' items of type 'map' cannot have enum values`
+      );
+    }
+    if (items.constraints) {
+      reporter.error(
+        'unsupported-constraints',
+        pointer(path, 'constraints'),
+        `Field '${fieldName}' items of type 'map' cannot have constraints`
+      );
+    }
+    if (items.format !== undefined) {
+      reporter.error(
+        'unsupported-format',
+        pointer(path, 'format'),
+        `Field '${fieldName}' items of type 'map' cannot have a format`
+      );
+    }
+  } else {
+    if (items.enum && (!Array.isArray(items.enum) || items.enum.length === 0)) {
+      reporter.error(
+        'invalid-enum',
+        pointer(path, 'enum'),
+        `Field '${itemLabel}' enum must be a non-empty array`
+      );
+    }
+    let constraintsValid = true;
+    if (items.constraints) {
+      const before = errorCount(reporter);
+      validateFieldConstraints(
+        itemLabel,
+        items.type,
+        items.constraints,
+        pointer(path, 'constraints'),
+        reporter
+      );
+      constraintsValid = errorCount(reporter) === before;
+      if (constraintsValid) {
+        validateEnumAgainstConstraints(items, itemLabel, path, reporter);
+      }
+    }
+    if (
+      items.format !== undefined &&
+      validateFormat(
+        items,
+        items.type,
+        itemLabel,
+        path,
+        constraintsValid,
+        reporter
+      )
+    ) {
+      validateValuesAgainstFormat(items, itemLabel, path, reporter);
+    }
   }
 
   let validatedFields: NestedField[] | undefined;
   if (items.type === 'map') {
     if (!Array.isArray(items.fields) || items.fields.length === 0) {
-      throw new Error(
+      reporter.error(
+        'missing-nested-fields',
+        pointer(path, 'fields'),
         `Field '${fieldName}' items of type 'map' must include a non-empty 'fields' array`
       );
+    } else {
+      validatedFields = validateNestedFields(
+        itemLabel,
+        items.fields,
+        pointer(path, 'fields'),
+        depth + 1,
+        context
+      );
     }
-    validatedFields = validateNestedFields(fieldName, items.fields);
   }
 
   return {
     type: items.type,
+    enum: items.enum,
+    format: items.format,
+    constraints: items.constraints,
     fields: validatedFields,
   };
 }
 
 /**
- * Validate nested field definitions for map types.
- * Nested fields only support name + scalar type (no constraints, annotations, etc.).
+ * Validate the nested fields of a map. They support the same metadata as
+ * top-level fields, up to the configured nesting depth.
  */
-function validateNestedFields(parentFieldName: string, fields: any[]): NestedField[] {
-  const nestedNames = new Set<string>();
-  const validated: NestedField[] = [];
+function validateNestedFields(
+  parentFieldName: string,
+  fields: any[],
+  path: string,
+  depth: number,
+  context: FieldContext
+): NestedField[] {
+  if (depth > context.maxNestingDepth) {
+    context.reporter.error(
+      'nesting-too-deep',
+      path,
+      `Field '${parentFieldName}' nests maps deeper than the maximum depth of ${context.maxNestingDepth}`
+    );
+    return [];
+  }
 
-  for (const nf of fields) {
-    if (!nf.name || typeof nf.name !== 'string') {
-      throw new Error(
-        `Nested field in '${parentFieldName}' must include name as a string`
+  return validateFields(fields, path, parentFieldName, depth, context);
+}
+
+/**
+ * Validate a union field: a discriminator property, and uniquely named
+ * variants whose fields neither redefine the discriminator nor give a shared
+ * field name conflicting types. Variant fields nest one level deeper.
+ */
+function validateUnion(
+  field: any,
+  label: string,
+  path: string,
+  depth: number,
+  context: FieldContext
+): Pick<Field, 'discriminator' | 'variants'> {
+  const { reporter } = context;
+  const { discriminator, variants } = field;
+
+  const hasDiscriminator =
+    typeof discriminator === 'string' && discriminator.length > 0;
+  if (!hasDiscriminator) {
+    reporter.error(
+      'invalid-discriminator',
+      pointer(path, 'discriminator'),
+      `Field '${label}' of type 'union' must include a discriminator property name`
+    );
+  }
+  if (!Array.isArray(variants) || variants.length === 0) {
+    reporter.error(
+      'missing-variants',
+      pointer(path, 'variants'),
+      `Field '${label}' of type 'union' must include a non-empty 'variants' array`
+    );
+    return { discriminator };
+  }
+
+  const variantNames = new Set<string>();
+  // First variant defining each field name, and the type it gave it
+  const sharedFields = new Map<string, { variant: string; type: string }>();
+  const validatedVariants: UnionVariant[] = [];
+
+  variants.forEach((variant: any, index: number) => {
+    const variantPath = pointer(path, 'variants', index);
+    if (
+      !variant ||
+      typeof variant !== 'object' ||
+      typeof variant.name !== 'string' ||
+      !variant.name
+    ) {
+      reporter.error(
+        'invalid-variant',
+        pointer(variantPath, 'name'),
+        `Variant of field '${label}' must be an object with a name`
       );
+      return;
     }
-    if (!nf.type || !SCALAR_TYPES.includes(nf.type)) {
-      throw new Error(
-        `Nested field '${nf.name}' in '${parentFieldName}' must have a valid type: ${SCALAR_TYPES.join(', ')}`
+    if (variantNames.has(variant.name)) {
+      reporter.error(
+        'duplicate-variant',
+        pointer(variantPath, 'name'),
+        `Field '${label}' has more than one variant named '${variant.name}'; ${discriminator} values must be unique`
       );
     }
-    if (nestedNames.has(nf.name)) {
-      throw new Error(
-        `Duplicate nested field name '${nf.name}' in '${parentFieldName}'`
+    variantNames.add(variant.name);
+
+    const variantLabel = `${label}.${variant.name}`;
+    if (!Array.isArray(variant.fields) || variant.fields.length === 0) {
+      reporter.error(
+        'missing-nested-fields',
+        pointer(variantPath, 'fields'),
+        `Variant '${variant.name}' of field '${label}' must include a non-empty 'fields' array`
       );
+      return;
     }
-    nestedNames.add(nf.name);
 
-    validated.push({ name: nf.name, type: nf.type });
-  }
+    variant.fields.forEach((variantField: any, fieldIndex: number) => {
+      if (!variantField || typeof variantField.name !== 'string') {
+        return;
+      }
+      const fieldPath = pointer(variantPath, 'fields', fieldIndex);
+      if (hasDiscriminator && variantField.name === discriminator) {
+        reporter.error(
+          'discriminator-conflict',
+          pointer(fieldPath, 'name'),
+          `Variant '${variant.name}' of field '${label}' defines field '${discriminator}', which is the union's discriminator`
+        );
+        return;
+      }
+      const shared = sharedFields.get(variantField.name);
+      if (!shared) {
+        sharedFields.set(variantField.name, {
+          variant: variant.name,
+          type: variantField.type,
+        });
+      } else if (shared.type !== variantField.type) {
+        reporter.error(
+          'variant-field-conflict',
+          pointer(fieldPath, 'type'),
+          `Variants '${shared.variant}' and '${variant.name}' of field '${label}' both define '${variantField.name}', with different types (${shared.type}, ${variantField.type})`
+        );
+      }
+    });
 
-  return validated;
+    validatedVariants.push({
+      name: variant.name,
+      description: variant.description,
+      fields: validateNestedFields(
+        variantLabel,
+        variant.fields,
+        pointer(variantPath, 'fields'),
+        depth + 1,
+        context
+      ),
+    });
+  });
+
+  return { discriminator, variants: validatedVariants };
 }
 
 /**
@@ -276,9 +1071,18 @@ function validateDefaultValue(defaultValue: any, fieldType: string): boolean {
       return typeof defaultValue === 'string';
     case 'number':
       return typeof defaultValue === 'number';
+    case 'integer':
+      return Number.isInteger(defaultValue);
+    case 'decimal':
+      return (
+        typeof defaultValue === 'number' || typeof defaultValue === 'string'
+      );
     case 'boolean':
       return typeof defaultValue === 'boolean';
     case 'timestamp':
+    case 'date':
+    case 'uuid':
+    case 'binary':
       return typeof defaultValue === 'string';
     default:
       return false;
@@ -286,43 +1090,317 @@ function validateDefaultValue(defaultValue: any, fieldType: string): boolean {
 }
 
 /**
- * Validates field constraints are appropriate for the field type
+ * Format checks for defaults of string-encoded types.
+ */
+const DEFAULT_FORMATS: Record<
+  string,
+  { test: (value: unknown) => boolean; description: string }
+> = {
+  decimal: {
+    test: value => typeof value !== 'string' || DECIMAL_REGEX.test(value),
+    description: 'a valid decimal number',
+  },
+  timestamp: {
+    test: isIsoTimestamp,
+    description: 'a valid ISO 8601 timestamp',
+  },
+  date: {
+    test: isIsoDate,
+    description: 'a valid ISO 8601 date (YYYY-MM-DD)',
+  },
+  uuid: { test: isUuid, description: 'a valid UUID' },
+  binary: { test: isBase64, description: 'a valid base64 string' },
+};
+
+/**
+ * Validates a type-correct default against the field's enum,
+ * constraints and type format.
+ */
+function validateDefaultAgainstField(
+  field: any,
+  label: string,
+  path: string,
+  constraintsValid: boolean,
+  reporter: DiagnosticReporter
+): void {
+  const defaultPath = pointer(path, 'default');
+  const shown = JSON.stringify(field.default);
+
+  const format = DEFAULT_FORMATS[field.type];
+  if (format && !format.test(field.default)) {
+    reporter.error(
+      'invalid-default',
+      defaultPath,
+      `Field '${label}' default ${shown} is not ${format.description}`
+    );
+    return;
+  }
+
+  if (
+    Array.isArray(field.enum) &&
+    field.enum.length > 0 &&
+    !field.enum.includes(field.default)
+  ) {
+    reporter.error(
+      'default-not-in-enum',
+      defaultPath,
+      `Field '${label}' default ${shown} is not one of the enum values: ${field.enum.join(', ')}`
+    );
+  }
+
+  if (field.constraints && constraintsValid) {
+    for (const violated of violatedConstraints(field, field.default)) {
+      reporter.error(
+        'default-violates-constraint',
+        defaultPath,
+        `Field '${label}' default ${shown} violates ${violated} (${field.constraints[violated]})`
+      );
+    }
+  }
+}
+
+/**
+ * Constraint keys that a value fails, using the same checks as validateRecord.
+ * Set definitions are checked against their element type.
+ */
+function violatedConstraints(
+  field: any,
+  value: unknown
+): (keyof FieldConstraints)[] {
+  const errors: RecordError[] = [];
+  validateValue(
+    {
+      name: field.name,
+      type: (SET_ELEMENT_TYPES[field.type] ?? field.type) as FieldType,
+      constraints: field.constraints,
+    },
+    value,
+    '',
+    errors
+  );
+  return errors
+    .map(e => CONSTRAINT_BY_RECORD_CODE[e.code])
+    .filter((key): key is keyof FieldConstraints => key !== undefined);
+}
+
+/**
+ * Report enum values (of a field or list items) that fail its constraints.
+ */
+function validateEnumAgainstConstraints(
+  definition: any,
+  label: string,
+  path: string,
+  reporter: DiagnosticReporter
+): void {
+  if (!Array.isArray(definition.enum) || !definition.constraints) {
+    return;
+  }
+  definition.enum.forEach((value: unknown, enumIndex: number) => {
+    for (const violated of violatedConstraints(definition, value)) {
+      reporter.error(
+        'enum-violates-constraint',
+        pointer(path, 'enum', enumIndex),
+        `Field '${label}' enum value ${JSON.stringify(value)} violates ${violated} (${definition.constraints[violated]})`
+      );
+    }
+  });
+}
+
+/**
+ * Validate the format of a field or list items: a known format name, on
+ * string values, whose values some string satisfying the constraints can
+ * match. Returns true when the format is usable for checking values.
+ */
+function validateFormat(
+  definition: any,
+  valueType: string,
+  label: string,
+  path: string,
+  constraintsValid: boolean,
+  reporter: DiagnosticReporter
+): boolean {
+  const formatPath = pointer(path, 'format');
+  const format = definition.format;
+
+  if (valueType !== 'string') {
+    reporter.error(
+      'unsupported-format',
+      formatPath,
+      valueType === 'list'
+        ? `Field '${label}' of type 'list' cannot have a format; use items.format`
+        : `Field '${label}' of type '${definition.type}' cannot have a format; formats apply to string values`
+    );
+    return false;
+  }
+  if (!isStringFormat(format)) {
+    const suggestion =
+      typeof format === 'string'
+        ? closestMatch(format, Object.keys(STRING_FORMATS))
+        : undefined;
+    reporter.error(
+      'invalid-format',
+      formatPath,
+      `Field '${label}' format must be one of: ${Object.keys(STRING_FORMATS).join(', ')}${suggestion ? `; did you mean '${suggestion}'?` : ''}`
+    );
+    return false;
+  }
+
+  const constraints: FieldConstraints | undefined = definition.constraints;
+  if (!constraints || !constraintsValid) {
+    return true;
+  }
+  const { values, minLength, maxLength, samples } = STRING_FORMATS[format];
+
+  // Closed formats are checked exhaustively against every constraint
+  if (values) {
+    if (
+      !values.some(value => violatedConstraints(definition, value).length === 0)
+    ) {
+      reporter.error(
+        'format-conflict',
+        formatPath,
+        `Field '${label}' format '${format}' conflicts with its constraints: no ${format} value satisfies them`
+      );
+    }
+    return true;
+  }
+
+  let conflict = false;
+  if (
+    constraints.maxLength !== undefined &&
+    constraints.maxLength < minLength
+  ) {
+    conflict = true;
+    reporter.error(
+      'format-conflict',
+      formatPath,
+      `Field '${label}' format '${format}' values have at least ${minLength} characters, which conflicts with maxLength (${constraints.maxLength})`
+    );
+  }
+  if (
+    constraints.minLength !== undefined &&
+    maxLength !== undefined &&
+    constraints.minLength > maxLength
+  ) {
+    conflict = true;
+    reporter.error(
+      'format-conflict',
+      formatPath,
+      `Field '${label}' format '${format}' values have at most ${maxLength} characters, which conflicts with minLength (${constraints.minLength})`
+    );
+  }
+
+  // Open formats cannot be enumerated, so a pattern is only compared with
+  // typical values; rejecting all of them suggests a conflict
+  if (!conflict && constraints.pattern !== undefined && samples) {
+    const pattern = new RegExp(constraints.pattern);
+    if (!samples.some(sample => pattern.test(sample))) {
+      reporter.warning(
+        'format-pattern-mismatch',
+        pointer(path, 'constraints', 'pattern'),
+        `Field '${label}' pattern matches none of the typical '${format}' values (${samples.map(sample => `'${sample}'`).join(', ')}); it may conflict with the format`
+      );
+    }
+  }
+  return true;
+}
+
+/**
+ * Report enum and default values that do not match a valid format.
+ */
+function validateValuesAgainstFormat(
+  definition: any,
+  label: string,
+  path: string,
+  reporter: DiagnosticReporter
+): void {
+  const format = definition.format;
+  if (Array.isArray(definition.enum)) {
+    definition.enum.forEach((value: unknown, enumIndex: number) => {
+      if (!matchesFormat(format, value)) {
+        reporter.error(
+          'enum-violates-constraint',
+          pointer(path, 'enum', enumIndex),
+          `Field '${label}' enum value ${JSON.stringify(value)} does not match format '${format}'`
+        );
+      }
+    });
+  }
+  if (
+    typeof definition.default === 'string' &&
+    !matchesFormat(format, definition.default)
+  ) {
+    reporter.error(
+      'default-violates-constraint',
+      pointer(path, 'default'),
+      `Field '${label}' default ${JSON.stringify(definition.default)} does not match format '${format}'`
+    );
+  }
+}
+
+function pickCollectionConstraints(
+  constraints: FieldConstraints
+): FieldConstraints {
+  return Object.fromEntries(
+    Object.entries(constraints).filter(([key]) =>
+      COLLECTION_CONSTRAINTS.includes(key)
+    )
+  );
+}
+
+function errorCount(reporter: DiagnosticReporter): number {
+  return reporter.diagnostics.filter(d => d.severity === 'error').length;
+}
+
+/**
+ * Validates field constraints are appropriate for the field type.
+ * Value constraints on a set apply to each of its elements.
  */
 function validateFieldConstraints(
   fieldName: string,
   fieldType: string,
-  constraints: FieldConstraints
+  constraints: FieldConstraints,
+  path: string,
+  reporter: DiagnosticReporter
 ): void {
-  // Validate string constraints only apply to string fields
+  const valueType = SET_ELEMENT_TYPES[fieldType] ?? fieldType;
+
+  // Validate length constraints only apply to string and binary fields
   if (constraints.minLength !== undefined) {
-    if (fieldType !== 'string') {
-      throw new Error(
-        `Field '${fieldName}' has minLength constraint but is not a string type`
+    if (!LENGTH_TYPES.includes(valueType)) {
+      reporter.error(
+        'constraint-type-mismatch',
+        pointer(path, 'minLength'),
+        `Field '${fieldName}' has minLength constraint but is not a string type or binary type`
       );
-    }
-    if (
+    } else if (
       typeof constraints.minLength !== 'number' ||
       constraints.minLength < 0 ||
       !Number.isInteger(constraints.minLength)
     ) {
-      throw new Error(
+      reporter.error(
+        'invalid-constraint-value',
+        pointer(path, 'minLength'),
         `Field '${fieldName}' minLength must be a non-negative integer`
       );
     }
   }
 
   if (constraints.maxLength !== undefined) {
-    if (fieldType !== 'string') {
-      throw new Error(
-        `Field '${fieldName}' has maxLength constraint but is not a string type`
+    if (!LENGTH_TYPES.includes(valueType)) {
+      reporter.error(
+        'constraint-type-mismatch',
+        pointer(path, 'maxLength'),
+        `Field '${fieldName}' has maxLength constraint but is not a string type or binary type`
       );
-    }
-    if (
+    } else if (
       typeof constraints.maxLength !== 'number' ||
       constraints.maxLength < 0 ||
       !Number.isInteger(constraints.maxLength)
     ) {
-      throw new Error(
+      reporter.error(
+        'invalid-constraint-value',
+        pointer(path, 'maxLength'),
         `Field '${fieldName}' maxLength must be a non-negative integer`
       );
     }
@@ -330,64 +1408,202 @@ function validateFieldConstraints(
 
   // Validate minLength <= maxLength when both are specified
   if (
-    constraints.minLength !== undefined &&
-    constraints.maxLength !== undefined
+    typeof constraints.minLength === 'number' &&
+    typeof constraints.maxLength === 'number'
   ) {
     if (constraints.minLength > constraints.maxLength) {
-      throw new Error(
+      reporter.error(
+        'constraint-range',
+        pointer(path, 'minLength'),
         `Field '${fieldName}' minLength (${constraints.minLength}) cannot be greater than maxLength (${constraints.maxLength})`
       );
     }
   }
 
   if (constraints.pattern !== undefined) {
-    if (fieldType !== 'string') {
-      throw new Error(
+    if (valueType !== 'string') {
+      reporter.error(
+        'constraint-type-mismatch',
+        pointer(path, 'pattern'),
         `Field '${fieldName}' has pattern constraint but is not a string type`
       );
-    }
-    if (typeof constraints.pattern !== 'string') {
-      throw new Error(`Field '${fieldName}' pattern must be a string`);
-    }
-    // Validate that the pattern is a valid regex
-    try {
-      new RegExp(constraints.pattern);
-    } catch {
-      throw new Error(
-        `Field '${fieldName}' pattern is not a valid regular expression`
+    } else if (typeof constraints.pattern !== 'string') {
+      reporter.error(
+        'invalid-constraint-value',
+        pointer(path, 'pattern'),
+        `Field '${fieldName}' pattern must be a string`
       );
+    } else {
+      // Validate that the pattern is a valid regex; only valid patterns can
+      // be analyzed
+      let compiles = true;
+      try {
+        new RegExp(constraints.pattern);
+      } catch {
+        reporter.error(
+          'invalid-pattern',
+          pointer(path, 'pattern'),
+          `Field '${fieldName}' pattern is not a valid regular expression`
+        );
+        compiles = false;
+      }
+      if (compiles) {
+        for (const issue of analyzePattern(constraints.pattern)) {
+          reporter.warning(
+            issue.code,
+            pointer(path, 'pattern'),
+            `Field '${fieldName}' pattern: ${issue.message}`
+          );
+        }
+      }
     }
   }
 
-  // Validate number constraints only apply to number fields
+  // Validate number constraints only apply to numeric fields
   if (constraints.min !== undefined) {
-    if (fieldType !== 'number') {
-      throw new Error(
+    if (!NUMERIC_TYPES.includes(valueType)) {
+      reporter.error(
+        'constraint-type-mismatch',
+        pointer(path, 'min'),
         `Field '${fieldName}' has min constraint but is not a number type`
       );
-    }
-    if (typeof constraints.min !== 'number') {
-      throw new Error(`Field '${fieldName}' min must be a number`);
+    } else if (typeof constraints.min !== 'number') {
+      reporter.error(
+        'invalid-constraint-value',
+        pointer(path, 'min'),
+        `Field '${fieldName}' min must be a number`
+      );
     }
   }
 
   if (constraints.max !== undefined) {
-    if (fieldType !== 'number') {
-      throw new Error(
+    if (!NUMERIC_TYPES.includes(valueType)) {
+      reporter.error(
+        'constraint-type-mismatch',
+        pointer(path, 'max'),
         `Field '${fieldName}' has max constraint but is not a number type`
       );
-    }
-    if (typeof constraints.max !== 'number') {
-      throw new Error(`Field '${fieldName}' max must be a number`);
+    } else if (typeof constraints.max !== 'number') {
+      reporter.error(
+        'invalid-constraint-value',
+        pointer(path, 'max'),
+        `Field '${fieldName}' max must be a number`
+      );
     }
   }
 
   // Validate min <= max when both are specified
-  if (constraints.min !== undefined && constraints.max !== undefined) {
+  if (
+    typeof constraints.min === 'number' &&
+    typeof constraints.max === 'number'
+  ) {
     if (constraints.min > constraints.max) {
-      throw new Error(
+      reporter.error(
+        'constraint-range',
+        pointer(path, 'min'),
         `Field '${fieldName}' min (${constraints.min}) cannot be greater than max (${constraints.max})`
       );
     }
   }
+
+  // Validate precision and scale only apply to decimal fields
+  for (const key of ['precision', 'scale'] as const) {
+    const value = constraints[key];
+    if (value === undefined) {
+      continue;
+    }
+    if (valueType !== 'decimal') {
+      reporter.error(
+        'constraint-type-mismatch',
+        pointer(path, key),
+        `Field '${fieldName}' has ${key} constraint but is not a decimal type`
+      );
+    } else if (
+      typeof value !== 'number' ||
+      !Number.isInteger(value) ||
+      value < (key === 'precision' ? 1 : 0) ||
+      value > MAX_DECIMAL_PRECISION
+    ) {
+      reporter.error(
+        'invalid-constraint-value',
+        pointer(path, key),
+        key === 'precision'
+          ? `Field '${fieldName}' precision must be an integer from 1 to ${MAX_DECIMAL_PRECISION}`
+          : `Field '${fieldName}' scale must be an integer from 0 to ${MAX_DECIMAL_PRECISION}`
+      );
+    }
+  }
+
+  const { precision, scale } = constraints;
+  if (
+    valueType === 'decimal' &&
+    typeof precision === 'number' &&
+    typeof scale === 'number' &&
+    Number.isInteger(precision) &&
+    Number.isInteger(scale) &&
+    scale > precision
+  ) {
+    reporter.error(
+      'constraint-range',
+      pointer(path, 'scale'),
+      `Field '${fieldName}' scale (${scale}) cannot be greater than precision (${precision})`
+    );
+  }
+
+  // Validate collection constraints only apply to lists and sets
+  const isCountable = fieldType === 'list' || fieldType in SET_ELEMENT_TYPES;
+  for (const key of ['minItems', 'maxItems'] as const) {
+    const value = constraints[key];
+    if (value === undefined) {
+      continue;
+    }
+    if (!isCountable) {
+      reporter.error(
+        'constraint-type-mismatch',
+        pointer(path, key),
+        `Field '${fieldName}' has ${key} constraint but is not a list or set type`
+      );
+    } else if (
+      typeof value !== 'number' ||
+      value < 0 ||
+      !Number.isInteger(value)
+    ) {
+      reporter.error(
+        'invalid-constraint-value',
+        pointer(path, key),
+        `Field '${fieldName}' ${key} must be a non-negative integer`
+      );
+    }
+  }
+
+  if (
+    isCountable &&
+    typeof constraints.minItems === 'number' &&
+    typeof constraints.maxItems === 'number' &&
+    constraints.minItems > constraints.maxItems
+  ) {
+    reporter.error(
+      'constraint-range',
+      pointer(path, 'minItems'),
+      `Field '${fieldName}' minItems (${constraints.minItems}) cannot be greater than maxItems (${constraints.maxItems})`
+    );
+  }
+
+  if (constraints.uniqueItems !== undefined) {
+    if (fieldType !== 'list') {
+      reporter.error(
+        'constraint-type-mismatch',
+        pointer(path, 'uniqueItems'),
+        fieldType in SET_ELEMENT_TYPES
+          ? `Field '${fieldName}' has uniqueItems constraint, but sets are always unique`
+          : `Field '${fieldName}' has uniqueItems constraint but is not a list type`
+      );
+    } else if (typeof constraints.uniqueItems !== 'boolean') {
+      reporter.error(
+        'invalid-constraint-value',
+        pointer(path, 'uniqueItems'),
+        `Field '${fieldName}' uniqueItems must be a boolean`
+      );
+    }
+  }
 }
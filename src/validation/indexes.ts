@@ -0,0 +1,389 @@
+import {
+  AccessPattern,
+  IndexProjection,
+  PrimaryKey,
+  SecondaryIndex,
+} from '../types';
+import { DiagnosticReporter, pointer } from './diagnostics';
+import { keyFieldNames, validateKeyReference } from './keys';
+import { closestMatch } from './suggest';
+
+/**
+ * DynamoDB index names: 3 to 255 letters, digits, '_', '-' and '.'.
+ */
+const INDEX_NAME_REGEX = /^[A-Za-z0-9_.-]{3,255}$/;
+
+/**
+ * DynamoDB's limits on indexes per table.
+ */
+const MAX_INDEXES = { gsi: 20, lsi: 5 };
+
+const PROJECTIONS = ['all', 'keys-only'];
+
+/**
+ * Fields a key takes its values from, split by key part.
+ */
+interface KeyFields {
+  partition: string[];
+  sort: string[];
+}
+
+/**
+ * Validate the indexes section. Returns the indexes with local indexes'
+ * partitionKey and every projection filled in, or undefined when the
+ * section is not an array.
+ */
+export function validateIndexes(
+  indexes: unknown,
+  primaryKey: PrimaryKey | undefined,
+  fields: any[],
+  reporter: DiagnosticReporter
+): SecondaryIndex[] | undefined {
+  if (!Array.isArray(indexes)) {
+    reporter.error(
+      'invalid-index',
+      '/indexes',
+      'Schema indexes must be an array of index definitions'
+    );
+    return undefined;
+  }
+
+  const validated: SecondaryIndex[] = [];
+  const names = new Set<string>();
+
+  indexes.forEach((index, i) => {
+    const path = pointer('/indexes', i);
+    if (!index || typeof index !== 'object' || Array.isArray(index)) {
+      reporter.error('invalid-index', path, 'Index must be an object');
+      return;
+    }
+
+    const name = typeof index.name === 'string' ? index.name : '(unnamed)';
+    if (!INDEX_NAME_REGEX.test(index.name)) {
+      reporter.error(
+        'invalid-index',
+        pointer(path, 'name'),
+        `Index name '${name}' must be 3 to 255 letters, digits, '_', '-' or '.'`
+      );
+    } else if (names.has(index.name)) {
+      reporter.error(
+        'duplicate-index',
+        pointer(path, 'name'),
+        `Duplicate index name '${name}'`
+      );
+    }
+    names.add(index.name);
+
+    if (index.type !== 'gsi' && index.type !== 'lsi') {
+      reporter.error(
+        'invalid-index',
+        pointer(path, 'type'),
+        `Index '${name}' type must be 'gsi' or 'lsi'`
+      );
+      return;
+    }
+
+    let partitionKey = index.partitionKey;
+    if (index.type === 'lsi') {
+      if (
+        partitionKey !== undefined &&
+        primaryKey &&
+        partitionKey !== primaryKey.partitionKey
+      ) {
+        reporter.error(
+          'invalid-index',
+          pointer(path, 'partitionKey'),
+          `Local index '${name}' must use the table partitionKey '${primaryKey.partitionKey}'`
+        );
+      }
+      partitionKey = primaryKey?.partitionKey;
+      if (index.sortKey === undefined) {
+        reporter.error(
+          'invalid-index',
+          pointer(path, 'sortKey'),
+          `Local index '${name}' must have a sortKey`
+        );
+      }
+    } else if (typeof partitionKey !== 'string' || !partitionKey) {
+      reporter.error(
+        'invalid-index',
+        pointer(path, 'partitionKey'),
+        `Global index '${name}' must have a partitionKey`
+      );
+    } else {
+      validateKeyReference(
+        partitionKey,
+        `Index '${name}' partitionKey`,
+        pointer(path, 'partitionKey'),
+        fields,
+        reporter,
+        false
+      );
+    }
+
+    if (index.sortKey !== undefined) {
+      if (typeof index.sortKey !== 'string' || !index.sortKey) {
+        reporter.error(
+          'invalid-index',
+          pointer(path, 'sortKey'),
+          `Index '${name}' sortKey must be a non-empty string`
+        );
+      } else {
+        validateKeyReference(
+          index.sortKey,
+          `Index '${name}' sortKey`,
+          pointer(path, 'sortKey'),
+          fields,
+          reporter,
+          false
+        );
+      }
+    }
+
+    const projection = validateProjection(
+      index.projection,
+      name,
+      pointer(path, 'projection'),
+      fields,
+      reporter
+    );
+
+    validated.push({
+      name: index.name,
+      type: index.type,
+      partitionKey,
+      sortKey: index.sortKey,
+      projection,
+    });
+  });
+
+  for (const type of ['gsi', 'lsi'] as const) {
+    const count = validated.filter(index => index.type === type).length;
+    if (count > MAX_INDEXES[type]) {
+      reporter.error(
+        'invalid-index',
+        '/indexes',
+        `A table can have at most ${MAX_INDEXES[type]} ${type === 'gsi' ? 'global' : 'local'} secondary indexes, found ${count}`
+      );
+    }
+  }
+  return validated;
+}
+
+function validateProjection(
+  projection: unknown,
+  name: string,
+  path: string,
+  fields: any[],
+  reporter: DiagnosticReporter
+): IndexProjection {
+  if (projection === undefined) {
+    return 'all';
+  }
+  if (typeof projection === 'string' && PROJECTIONS.includes(projection)) {
+    return projection as IndexProjection;
+  }
+  const include = (projection as any)?.include;
+  if (
+    !projection ||
+    typeof projection !== 'object' ||
+    !Array.isArray(include) ||
+    include.length === 0
+  ) {
+    reporter.error(
+      'invalid-index',
+      path,
+      `Index '${name}' projection must be 'all', 'keys-only' or { "include": [field names] }`
+    );
+    return 'all';
+  }
+
+  const fieldNames = fields.map(f => f?.name);
+  include.forEach((fieldName: unknown, i: number) => {
+    const itemPath = pointer(path, 'include', i);
+    if (include.indexOf(fieldName) !== i) {
+      reporter.error(
+        'invalid-index',
+        itemPath,
+        `Index '${name}' projection lists '${fieldName}' more than once`
+      );
+    } else if (!fieldNames.includes(fieldName)) {
+      const suggestion =
+        typeof fieldName === 'string'
+          ? closestMatch(fieldName, fieldNames)
+          : undefined;
+      reporter.error(
+        'unknown-projection-field',
+        itemPath,
+        `Index '${name}' projection field '${fieldName}' does not match any field${suggestion ? `; did you mean '${suggestion}'?` : ''}`
+      );
+    }
+  });
+  return { include: [...include] };
+}
+
+/**
+ * Validate the accessPatterns section, checking that each pattern's fields
+ * exist and that the table key, or the index it names, can serve it.
+ */
+export function validateAccessPatterns(
+  patterns: unknown,
+  primaryKey: PrimaryKey | undefined,
+  indexes: SecondaryIndex[],
+  fields: any[],
+  reporter: DiagnosticReporter
+): AccessPattern[] | undefined {
+  if (!Array.isArray(patterns)) {
+    reporter.error(
+      'invalid-access-pattern',
+      '/accessPatterns',
+      'Schema accessPatterns must be an array of access patterns'
+    );
+    return undefined;
+  }
+
+  const fieldNames = fields.map(f => f?.name);
+  const indexNames = indexes.map(index => index.name);
+  const validated: AccessPattern[] = [];
+  const names = new Set<string>();
+
+  patterns.forEach((pattern, i) => {
+    const path = pointer('/accessPatterns', i);
+    if (!pattern || typeof pattern !== 'object' || Array.isArray(pattern)) {
+      reporter.error(
+        'invalid-access-pattern',
+        path,
+        'Access pattern must be an object'
+      );
+      return;
+    }
+
+    const name = typeof pattern.name === 'string' ? pattern.name : '(unnamed)';
+    if (typeof pattern.name !== 'string' || !pattern.name) {
+      reporter.error(
+        'invalid-access-pattern',
+        pointer(path, 'name'),
+        'Access pattern must have a name'
+      );
+    } else if (names.has(pattern.name)) {
+      reporter.error(
+        'duplicate-access-pattern',
+        pointer(path, 'name'),
+        `Duplicate access pattern name '${name}'`
+      );
+    }
+    names.add(pattern.name);
+
+    let valid = true;
+    const checkField = (fieldName: unknown, fieldPath: string) => {
+      if (!fieldNames.includes(fieldName)) {
+        reporter.error(
+          'invalid-access-pattern',
+          fieldPath,
+          `Access pattern '${name}' field '${fieldName}' does not match any field`
+        );
+        valid = false;
+      }
+    };
+
+    const { keyFields, rangeField } = pattern;
+    if (!Array.isArray(keyFields) || keyFields.length === 0) {
+      reporter.error(
+        'invalid-access-pattern',
+        pointer(path, 'keyFields'),
+        `Access pattern '${name}' must list the keyFields it supplies values for`
+      );
+      valid = false;
+    } else {
+      keyFields.forEach((fieldName, j) =>
+        checkField(fieldName, pointer(path, 'keyFields', j))
+      );
+    }
+    if (rangeField !== undefined) {
+      checkField(rangeField, pointer(path, 'rangeField'));
+    }
+
+    let index: SecondaryIndex | undefined;
+    if (pattern.index !== undefined) {
+      index = indexes.find(candidate => candidate.name === pattern.index);
+      if (!index) {
+        const suggestion =
+          typeof pattern.index === 'string'
+            ? closestMatch(pattern.index, indexNames)
+            : undefined;
+        reporter.error(
+          'unknown-index',
+          pointer(path, 'index'),
+          `Access pattern '${name}' uses index '${pattern.index}', which is not defined${suggestion ? `; did you mean '${suggestion}'?` : ''}`
+        );
+        valid = false;
+      }
+    }
+
+    if (valid && primaryKey) {
+      const candidates = (index ? [index] : [primaryKey, ...indexes]).map(
+        indexKeyFields
+      );
+      // Keys with problems of their own are reported where they are defined
+      if (
+        candidates.every(key => key !== undefined) &&
+        !candidates.some(key => canServe(key!, keyFields, rangeField))
+      ) {
+        reporter.error(
+          'unservable-access-pattern',
+          path,
+          index
+            ? `Access pattern '${name}' cannot be served by index '${index.name}'`
+            : `Access pattern '${name}' cannot be served by the table key or any index`
+        );
+      }
+    }
+
+    validated.push({
+      name: pattern.name,
+      description: pattern.description,
+      index: pattern.index,
+      keyFields: Array.isArray(keyFields) ? [...keyFields] : [],
+      rangeField,
+    });
+  });
+
+  return validated;
+}
+
+function indexKeyFields(key: {
+  partitionKey?: string;
+  sortKey?: string;
+}): KeyFields | undefined {
+  if (key.partitionKey === undefined) {
+    return undefined;
+  }
+  try {
+    return {
+      partition: keyFieldNames(key.partitionKey),
+      sort: key.sortKey === undefined ? [] : keyFieldNames(key.sortKey),
+    };
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * A key serves a query that supplies every partition key field, optionally
+ * a leading run of sort key fields, and ranges over at most the next one.
+ */
+function canServe(
+  key: KeyFields,
+  keyFields: string[],
+  rangeField: string | undefined
+): boolean {
+  if (!key.partition.every(field => keyFields.includes(field))) {
+    return false;
+  }
+  const rest = keyFields.filter(field => !key.partition.includes(field));
+  const prefix = key.sort.slice(0, rest.length);
+  if (rest.length > prefix.length || !rest.every(f => prefix.includes(f))) {
+    return false;
+  }
+  return rangeField === undefined || key.sort[rest.length] === rangeField;
+}
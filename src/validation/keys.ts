@@ -0,0 +1,342 @@
+import { Field, PrimaryKey, SchemaData } from '../types';
+import { DiagnosticReporter, pointer } from './diagnostics';
+import { ALL_FIELD_TYPES } from './field-types';
+import { RecordError, validateValue } from './record';
+
+/**
+ * A piece of a key template: literal text, or a placeholder naming a field.
+ */
+export type KeyTemplatePart = { literal: string } | { field: string };
+
+/**
+ * Value of a table key attribute: a string, number or binary.
+ */
+export type KeyAttributeValue = string | number | Uint8Array;
+
+/**
+ * Key attribute values of one item, as returned by buildKey.
+ */
+export interface KeyValue {
+  partitionKey: KeyAttributeValue;
+  sortKey?: KeyAttributeValue;
+}
+
+/**
+ * Field types that can back a partition or sort key.
+ * Timestamps, dates and UUIDs are stored as strings and integers and decimals
+ * as numbers, so they are valid key attributes.
+ */
+export const KEY_TYPES = [
+  'string',
+  'number',
+  'integer',
+  'decimal',
+  'timestamp',
+  'date',
+  'uuid',
+  'binary',
+];
+
+/**
+ * Field types a key template placeholder may reference.
+ */
+export const TEMPLATE_FIELD_TYPES = [
+  'string',
+  'number',
+  'integer',
+  'decimal',
+  'timestamp',
+  'date',
+  'uuid',
+];
+
+const PLACEHOLDER_REGEX = /\{([^{}]+)\}/g;
+
+/**
+ * Returns true when a primaryKey value is a key template such as
+ * 'ORDER#{orderDate}#{orderId}' rather than a field name.
+ */
+export function isKeyTemplate(key: string): boolean {
+  return key.includes('{') || key.includes('}');
+}
+
+/**
+ * Splits a key template into literal text and field placeholders.
+ * Throws when the template cannot be parsed back into its fields: braces must
+ * be balanced, placeholders separated by literal text, and each field used
+ * once.
+ */
+export function parseKeyTemplate(template: string): KeyTemplatePart[] {
+  const parts: KeyTemplatePart[] = [];
+  const fields = new Set<string>();
+  let last = 0;
+
+  for (const match of template.matchAll(PLACEHOLDER_REGEX)) {
+    const literal = template.slice(last, match.index);
+    if (literal.includes('{') || literal.includes('}')) {
+      throw new Error(`Key template '${template}' has unbalanced braces`);
+    }
+    const previous = parts[parts.length - 1];
+    if (literal === '' && previous && 'field' in previous) {
+      throw new Error(
+        `Key template '${template}' must separate {${previous.field}} and {${match[1]}} with literal text`
+      );
+    }
+    if (fields.has(match[1])) {
+      throw new Error(
+        `Key template '${template}' references field '${match[1]}' more than once`
+      );
+    }
+    if (literal !== '') {
+      parts.push({ literal });
+    }
+    parts.push({ field: match[1] });
+    fields.add(match[1]);
+    last = (match.index ?? 0) + match[0].length;
+  }
+
+  const rest = template.slice(last);
+  if (rest.includes('{') || rest.includes('}')) {
+    throw new Error(`Key template '${template}' has unbalanced braces`);
+  }
+  if (fields.size === 0) {
+    throw new Error(`Key template '${template}' has no {field} placeholders`);
+  }
+  if (rest !== '') {
+    parts.push({ literal: rest });
+  }
+  return parts;
+}
+
+/**
+ * Names of the fields a key takes its value from: the key itself, or the
+ * placeholders of a key template. Throws for invalid templates.
+ */
+export function keyFieldNames(key: string): string[] {
+  if (!isKeyTemplate(key)) {
+    return [key];
+  }
+  return parseKeyTemplate(key).flatMap(part =>
+    'field' in part ? [part.field] : []
+  );
+}
+
+/**
+ * Validate a key of the table or an index: a field name of a key type, or a
+ * key template whose placeholders name scalar fields. Primary key fields
+ * must also be required; index keys may use optional fields (sparse
+ * indexes). Returns the referenced field names, or undefined for an invalid
+ * template.
+ */
+export function validateKeyReference(
+  key: string,
+  label: string,
+  path: string,
+  fields: any[],
+  reporter: DiagnosticReporter,
+  requireFields = true
+): string[] | undefined {
+  let fieldNames: string[];
+  try {
+    fieldNames = keyFieldNames(key);
+  } catch (error) {
+    reporter.error('invalid-key-template', path, (error as Error).message);
+    return undefined;
+  }
+  const template = isKeyTemplate(key);
+  const keyTypes = template ? TEMPLATE_FIELD_TYPES : KEY_TYPES;
+  const fieldLabel = template ? `${label} template field` : label;
+
+  for (const fieldName of fieldNames) {
+    const field = fields.find(f => f && f.name === fieldName);
+
+    if (!field) {
+      reporter.error(
+        'unknown-key-field',
+        path,
+        `${fieldLabel} '${fieldName}' does not match any field`
+      );
+      continue;
+    }
+    if (
+      ALL_FIELD_TYPES.includes(field.type) &&
+      !keyTypes.includes(field.type)
+    ) {
+      reporter.error(
+        'invalid-key-type',
+        path,
+        `${fieldLabel} '${fieldName}' has type '${field.type}'; key fields must be one of: ${keyTypes.join(', ')}`
+      );
+    }
+    if (requireFields && field.required !== true) {
+      reporter.error(
+        'optional-key-field',
+        path,
+        `${fieldLabel} '${fieldName}' must be a required field`
+      );
+    }
+  }
+  return fieldNames;
+}
+
+/**
+ * Builds the key attribute values of an item. Plain keys take the field's
+ * value; templates format their fields into a string. Throws when a key
+ * field is missing or invalid, or when a value would not parse back out of
+ * the key (e.g. it contains the text separating it from the next field).
+ */
+export function buildKey(
+  schema: SchemaData,
+  item: Record<string, unknown>
+): KeyValue {
+  const key: KeyValue = {
+    partitionKey: buildKeyAttribute(schema, 'partitionKey', item),
+  };
+  if (schema.primaryKey.sortKey !== undefined) {
+    key.sortKey = buildKeyAttribute(schema, 'sortKey', item);
+  }
+  return key;
+}
+
+/**
+ * Extracts the key fields of an item from its key attribute values, the
+ * inverse of buildKey. The sort key is parsed only when given. Template
+ * parts of decimal fields are returned as strings.
+ */
+export function parseKey(
+  schema: SchemaData,
+  key: KeyValue
+): Record<string, unknown> {
+  const item = parseKeyAttribute(schema, 'partitionKey', key.partitionKey);
+  if (schema.primaryKey.sortKey !== undefined && key.sortKey !== undefined) {
+    Object.assign(item, parseKeyAttribute(schema, 'sortKey', key.sortKey));
+  }
+  return item;
+}
+
+function buildKeyAttribute(
+  schema: SchemaData,
+  keyName: keyof PrimaryKey,
+  item: Record<string, unknown>
+): KeyAttributeValue {
+  const key = schema.primaryKey[keyName] as string;
+  if (!isKeyTemplate(key)) {
+    return checkedValue(schema, keyName, key, item[key]) as KeyAttributeValue;
+  }
+
+  const parts = parseKeyTemplate(key);
+  const texts = parts.map(part => {
+    if ('literal' in part) {
+      return part.literal;
+    }
+    const value = checkedValue(schema, keyName, part.field, item[part.field]);
+    return String(value);
+  });
+  const built = texts.join('');
+
+  // Refuse keys that would parse back to different values
+  const parsed = matchTemplate(parts, built);
+  parts.forEach((part, index) => {
+    if ('field' in part && parsed?.get(part.field) !== texts[index]) {
+      throw new Error(
+        `Cannot build ${keyName}: value '${texts[index]}' of field '${part.field}' would not parse back from key '${built}'`
+      );
+    }
+  });
+  return built;
+}
+
+function parseKeyAttribute(
+  schema: SchemaData,
+  keyName: keyof PrimaryKey,
+  value: KeyAttributeValue
+): Record<string, unknown> {
+  const key = schema.primaryKey[keyName] as string;
+  if (!isKeyTemplate(key)) {
+    return { [key]: checkedValue(schema, keyName, key, value) };
+  }
+
+  if (typeof value !== 'string') {
+    throw new Error(`Cannot parse ${keyName}: expected a string`);
+  }
+  const parts = parseKeyTemplate(key);
+  const texts = matchTemplate(parts, value);
+  if (!texts) {
+    throw new Error(
+      `Cannot parse ${keyName}: '${value}' does not match template '${key}'`
+    );
+  }
+
+  const item: Record<string, unknown> = {};
+  for (const [name, text] of texts) {
+    const field = keyField(schema, keyName, name);
+    item[name] = checkedValue(schema, keyName, name, fromKeyText(field, text));
+  }
+  return item;
+}
+
+/**
+ * Match a key against a template, returning the text of each field.
+ */
+function matchTemplate(
+  parts: KeyTemplatePart[],
+  key: string
+): Map<string, string> | undefined {
+  const source = parts
+    .map(part =>
+      'literal' in part
+        ? part.literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        : '(.+?)'
+    )
+    .join('');
+  const match = new RegExp(`^${source}$`, 's').exec(key);
+  if (!match) {
+    return undefined;
+  }
+  const fields = parts.filter(
+    (part): part is { field: string } => 'field' in part
+  );
+  return new Map(fields.map((part, index) => [part.field, match[index + 1]]));
+}
+
+function fromKeyText(field: Field, text: string): unknown {
+  if (field.type === 'number' || field.type === 'integer') {
+    return /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/.test(text)
+      ? Number(text)
+      : text;
+  }
+  return text;
+}
+
+function keyField(
+  schema: SchemaData,
+  keyName: keyof PrimaryKey,
+  name: string
+): Field {
+  const field = schema.fields.find(f => f.name === name);
+  if (!field) {
+    throw new Error(`${keyName} field '${name}' is not defined`);
+  }
+  return field;
+}
+
+/**
+ * Returns value after checking it against its key field's definition.
+ */
+function checkedValue(
+  schema: SchemaData,
+  keyName: keyof PrimaryKey,
+  name: string,
+  value: unknown
+): unknown {
+  const field = keyField(schema, keyName, name);
+  if (value === undefined || value === null) {
+    throw new Error(`${keyName} field '${name}' is missing`);
+  }
+  const errors: RecordError[] = [];
+  validateValue(field, value, pointer('', name), errors);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${keyName}: ${errors[0].message}`);
+  }
+  return value;
+}
@@ -0,0 +1,213 @@
+import { PrimaryKey, SchemaData, TtlDefinition } from '../types';
+import { DiagnosticReporter } from './diagnostics';
+import { keyFieldNames } from './keys';
+import { closestMatch } from './suggest';
+
+/**
+ * Field types that can hold epoch seconds or a version counter.
+ */
+const COUNTER_TYPES = ['number', 'integer'];
+
+/**
+ * Options for computeTtl.
+ */
+export interface ComputeTtlOptions {
+  /** Time the retention counts from (default: the current time) */
+  now?: Date;
+  /** Seconds to keep the item (default: the blueprint's defaultRetention) */
+  retention?: number;
+}
+
+/**
+ * Validate the ttl declaration: it names a number or integer field holding
+ * the expiry time in epoch seconds, outside the primary key, with an
+ * optional defaultRetention in seconds.
+ */
+export function validateTtl(
+  ttl: unknown,
+  primaryKey: PrimaryKey | undefined,
+  fields: any[],
+  reporter: DiagnosticReporter
+): TtlDefinition | undefined {
+  if (!ttl || typeof ttl !== 'object' || Array.isArray(ttl)) {
+    reporter.error(
+      'invalid-ttl',
+      '/ttl',
+      'Schema ttl must be an object with the name of its field'
+    );
+    return undefined;
+  }
+  const { field, defaultRetention } = ttl as Record<string, unknown>;
+
+  let valid = checkAttributeField(
+    field,
+    'ttl field',
+    'invalid-ttl',
+    '/ttl/field',
+    primaryKey,
+    fields,
+    reporter
+  );
+  if (
+    defaultRetention !== undefined &&
+    (!Number.isSafeInteger(defaultRetention) ||
+      (defaultRetention as number) <= 0)
+  ) {
+    reporter.error(
+      'invalid-ttl',
+      '/ttl/defaultRetention',
+      `ttl defaultRetention must be a positive whole number of seconds, got ${JSON.stringify(defaultRetention)}`
+    );
+    valid = false;
+  }
+  return valid
+    ? {
+        field: field as string,
+        defaultRetention: defaultRetention as number | undefined,
+      }
+    : undefined;
+}
+
+/**
+ * Validate the versionAttribute declaration: a number or integer field
+ * outside the primary key, distinct from the ttl field.
+ */
+export function validateVersionAttribute(
+  versionAttribute: unknown,
+  ttl: TtlDefinition | undefined,
+  primaryKey: PrimaryKey | undefined,
+  fields: any[],
+  reporter: DiagnosticReporter
+): string | undefined {
+  if (
+    !checkAttributeField(
+      versionAttribute,
+      'versionAttribute',
+      'invalid-version-attribute',
+      '/versionAttribute',
+      primaryKey,
+      fields,
+      reporter
+    )
+  ) {
+    return undefined;
+  }
+  if (versionAttribute === ttl?.field) {
+    reporter.error(
+      'invalid-version-attribute',
+      '/versionAttribute',
+      `versionAttribute '${versionAttribute}' is already the ttl field`
+    );
+    return undefined;
+  }
+  return versionAttribute as string;
+}
+
+function checkAttributeField(
+  name: unknown,
+  label: string,
+  code: 'invalid-ttl' | 'invalid-version-attribute',
+  path: string,
+  primaryKey: PrimaryKey | undefined,
+  fields: any[],
+  reporter: DiagnosticReporter
+): boolean {
+  if (typeof name !== 'string' || !name) {
+    reporter.error(code, path, `${label} must be the name of a field`);
+    return false;
+  }
+  const field = fields.find(f => f && f.name === name);
+  if (!field) {
+    const suggestion = closestMatch(
+      name,
+      fields.map(f => f?.name)
+    );
+    reporter.error(
+      code,
+      path,
+      `${label} '${name}' does not match any field${suggestion ? `; did you mean '${suggestion}'?` : ''}`
+    );
+    return false;
+  }
+  if (!COUNTER_TYPES.includes(field.type)) {
+    reporter.error(
+      code,
+      path,
+      `${label} '${name}' has type '${field.type}'; it must be one of: ${COUNTER_TYPES.join(', ')}`
+    );
+    return false;
+  }
+  if (primaryKey && primaryKeyFields(primaryKey).includes(name)) {
+    reporter.error(
+      code,
+      path,
+      `${label} '${name}' cannot be part of the primary key`
+    );
+    return false;
+  }
+  return true;
+}
+
+function primaryKeyFields(primaryKey: PrimaryKey): string[] {
+  const keys = [primaryKey.partitionKey, primaryKey.sortKey];
+  return keys.flatMap(key => {
+    if (typeof key !== 'string') {
+      return [];
+    }
+    try {
+      return keyFieldNames(key);
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * Returns the epoch-seconds expiry time for an item written now: the
+ * current time plus the retention. Throws when the blueprint has no ttl, or
+ * no retention is given and it declares no defaultRetention.
+ */
+export function computeTtl(
+  schema: SchemaData,
+  options: ComputeTtlOptions = {}
+): number {
+  if (!schema.ttl) {
+    throw new Error(`Entity '${schema.entityName}' does not declare a ttl`);
+  }
+  const retention = options.retention ?? schema.ttl.defaultRetention;
+  if (retention === undefined) {
+    throw new Error(
+      `Entity '${schema.entityName}' ttl has no defaultRetention; pass a retention`
+    );
+  }
+  const now = options.now ?? new Date();
+  return Math.floor(now.getTime() / 1000) + retention;
+}
+
+/**
+ * Returns the version a conditional write of record should store: one more
+ * than its current version, or 1 for a record that has none yet. Throws when
+ * the blueprint has no versionAttribute or the current version is not a
+ * non-negative integer.
+ */
+export function nextVersion(
+  schema: SchemaData,
+  record: Record<string, unknown>
+): number {
+  const attribute = schema.versionAttribute;
+  if (attribute === undefined) {
+    throw new Error(
+      `Entity '${schema.entityName}' does not declare a versionAttribute`
+    );
+  }
+  const current = record[attribute];
+  if (current === undefined || current === null) {
+    return 1;
+  }
+  if (!Number.isSafeInteger(current) || (current as number) < 0) {
+    throw new Error(
+      `Version '${attribute}' must be a non-negative integer, got ${JSON.stringify(current)}`
+    );
+  }
+  return (current as number) + 1;
+}
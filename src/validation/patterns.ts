@@ -0,0 +1,646 @@
+/**
+ * Static analysis of constraint patterns.
+ *
+ * Patterns are validated with JavaScript RegExp but also end up in generated
+ * Java, Python and Go code. This module parses a pattern (JavaScript syntax,
+ * no flags) and reports shapes prone to catastrophic backtracking (ReDoS) and
+ * syntax that other engines reject or interpret differently.
+ */
+
+/**
+ * A problem found in a pattern.
+ * 'unsafe-pattern' issues can backtrack catastrophically; 'non-portable-pattern'
+ * issues behave differently outside JavaScript.
+ */
+export interface PatternIssue {
+  code: 'unsafe-pattern' | 'non-portable-pattern';
+  message: string;
+}
+
+type CharTest = (codePoint: number) => boolean;
+
+type PatternNode =
+  | { type: 'char'; test: CharTest }
+  | { type: 'assertion' }
+  | { type: 'backref' }
+  | { type: 'group'; lookaround: boolean; body: PatternNode }
+  | { type: 'alt'; alternatives: PatternNode[] }
+  | { type: 'seq'; items: PatternNode[] }
+  | {
+      type: 'quant';
+      min: number;
+      max: number;
+      body: PatternNode;
+      source: string;
+    };
+
+/**
+ * Code points used to decide whether two character sets overlap:
+ * ASCII plus a few non-ASCII letters, digits and separators.
+ */
+const SAMPLE_CODE_POINTS = [
+  ...Array.from({ length: 128 }, (_, i) => i),
+  0xa0,
+  0xe9,
+  0x660,
+  0x2028,
+  0x3000,
+  0x4e00,
+  0xff10,
+];
+
+const isDigit: CharTest = c => c >= 0x30 && c <= 0x39;
+const isWord: CharTest = c =>
+  isDigit(c) ||
+  (c >= 0x41 && c <= 0x5a) ||
+  (c >= 0x61 && c <= 0x7a) ||
+  c === 0x5f;
+const isSpace: CharTest = c =>
+  (c >= 0x09 && c <= 0x0d) ||
+  c === 0x20 ||
+  c === 0xa0 ||
+  c === 0x1680 ||
+  (c >= 0x2000 && c <= 0x200a) ||
+  c === 0x2028 ||
+  c === 0x2029 ||
+  c === 0x202f ||
+  c === 0x205f ||
+  c === 0x3000 ||
+  c === 0xfeff;
+const isLineTerminator: CharTest = c =>
+  c === 0x0a || c === 0x0d || c === 0x2028 || c === 0x2029;
+
+const not =
+  (test: CharTest): CharTest =>
+  c =>
+    !test(c);
+const single =
+  (codePoint: number): CharTest =>
+  c =>
+    c === codePoint;
+
+const CONTROL_ESCAPES: Record<string, number> = {
+  n: 0x0a,
+  r: 0x0d,
+  t: 0x09,
+  f: 0x0c,
+  v: 0x0b,
+  0: 0x00,
+};
+
+const CLASS_ESCAPES: Record<string, CharTest> = {
+  d: isDigit,
+  D: not(isDigit),
+  w: isWord,
+  W: not(isWord),
+  s: isSpace,
+  S: not(isSpace),
+};
+
+/**
+ * Analyzes a pattern that already compiles with `new RegExp(pattern)`.
+ * Returns one issue per distinct problem, in the order found.
+ */
+export function analyzePattern(pattern: string): PatternIssue[] {
+  const issues = new Map<string, PatternIssue>();
+  const report = (code: PatternIssue['code'], message: string) => {
+    if (!issues.has(message)) {
+      issues.set(message, { code, message });
+    }
+  };
+
+  let tree: PatternNode;
+  try {
+    tree = new PatternParser(pattern, message =>
+      report('non-portable-pattern', message)
+    ).parse();
+  } catch {
+    // Not a pattern this parser understands; RegExp already accepted it
+    return [...issues.values()];
+  }
+
+  findBacktracking(tree, message => report('unsafe-pattern', message));
+
+  return [...issues.values()];
+}
+
+/**
+ * Recursive descent parser for JavaScript patterns without the u flag,
+ * including the Annex B leniencies RegExp accepts.
+ */
+class PatternParser {
+  private pos = 0;
+
+  constructor(
+    private readonly pattern: string,
+    private readonly portability: (message: string) => void
+  ) {}
+
+  parse(): PatternNode {
+    const node = this.parseAlternation();
+    if (this.pos < this.pattern.length) {
+      throw new Error(`Unexpected '${this.peek()}' at ${this.pos}`);
+    }
+    return node;
+  }
+
+  private peek(offset = 0): string {
+    return this.pattern.charAt(this.pos + offset);
+  }
+
+  private parseAlternation(): PatternNode {
+    const alternatives = [this.parseSequence()];
+    while (this.peek() === '|') {
+      this.pos++;
+      alternatives.push(this.parseSequence());
+    }
+    return alternatives.length === 1
+      ? alternatives[0]
+      : { type: 'alt', alternatives };
+  }
+
+  private parseSequence(): PatternNode {
+    const items: PatternNode[] = [];
+    while (this.pos < this.pattern.length) {
+      const ch = this.peek();
+      if (ch === '|' || ch === ')') {
+        break;
+      }
+      const start = this.pos;
+      const atom = this.parseAtom();
+      items.push(this.parseQuantifier(atom, start));
+    }
+    return { type: 'seq', items };
+  }
+
+  private parseQuantifier(atom: PatternNode, start: number): PatternNode {
+    let min: number;
+    let max: number;
+    const ch = this.peek();
+
+    if (ch === '*' || ch === '+' || ch === '?') {
+      this.pos++;
+      min = ch === '+' ? 1 : 0;
+      max = ch === '?' ? 1 : Infinity;
+    } else {
+      const braced = this.bracedQuantifier();
+      if (!braced) {
+        return atom;
+      }
+      [min, max] = braced;
+    }
+    if (this.peek() === '?') {
+      this.pos++;
+    }
+
+    return {
+      type: 'quant',
+      min,
+      max,
+      body: atom,
+      source: this.pattern.slice(start, this.pos),
+    };
+  }
+
+  /**
+   * Consume {n}, {n,} or {n,m} at the current position, if present.
+   */
+  private bracedQuantifier(): [number, number] | undefined {
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(this.pattern.slice(this.pos));
+    if (!match) {
+      return undefined;
+    }
+    this.pos += match[0].length;
+    const min = Number(match[1]);
+    const max =
+      match[2] === undefined ? min : match[3] ? Number(match[3]) : Infinity;
+    return [min, max];
+  }
+
+  private parseAtom(): PatternNode {
+    const ch = this.peek();
+
+    switch (ch) {
+      case '^':
+      case '$':
+        this.pos++;
+        return { type: 'assertion' };
+      case '.':
+        this.pos++;
+        return { type: 'char', test: not(isLineTerminator) };
+      case '(':
+        return this.parseGroup();
+      case '[':
+        return this.parseClass();
+      case '\\':
+        return this.parseEscape();
+      case '{':
+        this.pos++;
+        this.portability(
+          "Unescaped '{' is a literal in JavaScript but a syntax error in Java; escape it as \\{"
+        );
+        return { type: 'char', test: single(0x7b) };
+      default:
+        this.pos++;
+        return { type: 'char', test: single(ch.charCodeAt(0)) };
+    }
+  }
+
+  private parseGroup(): PatternNode {
+    const rest = this.pattern.slice(this.pos);
+    let prefix = '(';
+    let lookaround = false;
+
+    if (rest.startsWith('(?:')) {
+      prefix = '(?:';
+    } else if (rest.startsWith('(?=') || rest.startsWith('(?!')) {
+      prefix = rest.slice(0, 3);
+      lookaround = true;
+      this.portability('Lookahead is not supported by Go (RE2)');
+    } else if (rest.startsWith('(?<=') || rest.startsWith('(?<!')) {
+      prefix = rest.slice(0, 4);
+      lookaround = true;
+      this.portability(
+        'Lookbehind is not supported by Go (RE2), and Java and Python only allow bounded-length lookbehind'
+      );
+    } else if (rest.startsWith('(?<')) {
+      const match = /^\(\?<[^>]*>/.exec(rest);
+      if (!match) {
+        throw new Error(`Invalid group at ${this.pos}`);
+      }
+      prefix = match[0];
+      this.portability(
+        'Named groups (?<name>...) are not supported by Python, which uses (?P<name>...)'
+      );
+    }
+
+    this.pos += prefix.length;
+    const body = this.parseAlternation();
+    if (this.peek() !== ')') {
+      throw new Error(`Unterminated group at ${this.pos}`);
+    }
+    this.pos++;
+    return { type: 'group', lookaround, body };
+  }
+
+  private parseClass(): PatternNode {
+    this.pos++;
+    const negated = this.peek() === '^';
+    if (negated) {
+      this.pos++;
+    }
+    if (this.peek() === ']') {
+      this.pos++;
+      this.portability(
+        `Empty class [${negated ? '^' : ''}] is JavaScript-only; other engines read ']' as a class member`
+      );
+      return { type: 'char', test: negated ? () => true : () => false };
+    }
+
+    const members: CharTest[] = [];
+    while (this.peek() !== ']') {
+      if (this.pos >= this.pattern.length) {
+        throw new Error('Unterminated character class');
+      }
+      const from = this.parseClassAtom();
+      if (
+        typeof from === 'number' &&
+        this.peek() === '-' &&
+        this.peek(1) !== ']' &&
+        this.peek(1) !== ''
+      ) {
+        this.pos++;
+        const to = this.parseClassAtom();
+        if (typeof to === 'number') {
+          members.push(c => c >= from && c <= to);
+          continue;
+        }
+        members.push(single(from), single(0x2d), to);
+        continue;
+      }
+      members.push(typeof from === 'number' ? single(from) : from);
+    }
+    this.pos++;
+
+    const test: CharTest = c => members.some(member => member(c));
+    return { type: 'char', test: negated ? not(test) : test };
+  }
+
+  /**
+   * A class member: a code point, or a test for class escapes like \d.
+   */
+  private parseClassAtom(): number | CharTest {
+    const ch = this.peek();
+    if (ch !== '\\') {
+      this.pos++;
+      return ch.charCodeAt(0);
+    }
+    if (this.peek(1) === 'b') {
+      this.pos += 2;
+      return 0x08;
+    }
+    const escape = this.parseEscape();
+    return escape.type === 'char' ? escape.test : () => false;
+  }
+
+  private parseEscape(): PatternNode {
+    const ch = this.peek(1);
+    this.pos += 2;
+
+    if (ch === '') {
+      throw new Error('Trailing backslash');
+    }
+    if (ch in CLASS_ESCAPES) {
+      if (ch === 'd' || ch === 'D') {
+        this.portability(
+          '\\d matches non-ASCII digits in Python; use [0-9] for the same meaning everywhere'
+        );
+      } else if (ch === 'w' || ch === 'W') {
+        this.portability(
+          '\\w matches non-ASCII letters in Python; use [A-Za-z0-9_] for the same meaning everywhere'
+        );
+      }
+      return { type: 'char', test: CLASS_ESCAPES[ch] };
+    }
+    if (ch === 'b' || ch === 'B') {
+      return { type: 'assertion' };
+    }
+    if (ch === '0' && /[0-7]/.test(this.peek())) {
+      // Legacy octal escape, e.g. \012
+      const end = /[0-7]/.test(this.peek(1)) ? this.pos + 2 : this.pos + 1;
+      const code = parseInt(this.pattern.slice(this.pos, end), 8);
+      this.pos = end;
+      return { type: 'char', test: single(code) };
+    }
+    if (ch in CONTROL_ESCAPES) {
+      return { type: 'char', test: single(CONTROL_ESCAPES[ch]) };
+    }
+    if (/[1-9]/.test(ch)) {
+      while (/\d/.test(this.peek())) {
+        this.pos++;
+      }
+      this.portability('Backreferences are not supported by Go (RE2)');
+      return { type: 'backref' };
+    }
+    if (ch === 'k' && this.peek() === '<') {
+      const end = this.pattern.indexOf('>', this.pos);
+      if (end !== -1) {
+        this.pos = end + 1;
+        this.portability(
+          'Backreferences are not supported by Go (RE2), and Python writes named backreferences as (?P=name)'
+        );
+        return { type: 'backref' };
+      }
+    }
+    if (ch === 'x' && /^[0-9a-fA-F]{2}/.test(this.pattern.slice(this.pos))) {
+      const code = parseInt(this.pattern.slice(this.pos, this.pos + 2), 16);
+      this.pos += 2;
+      return { type: 'char', test: single(code) };
+    }
+    if (ch === 'u' && /^[0-9a-fA-F]{4}/.test(this.pattern.slice(this.pos))) {
+      const code = parseInt(this.pattern.slice(this.pos, this.pos + 4), 16);
+      this.pos += 4;
+      this.portability(
+        '\\uXXXX escapes are not supported by Go (RE2); use \\x{XXXX}'
+      );
+      return { type: 'char', test: single(code) };
+    }
+    if (ch === 'c' && /^[a-zA-Z]/.test(this.peek())) {
+      const code = this.peek().charCodeAt(0) % 32;
+      this.pos++;
+      this.portability(
+        'Control escapes (\\cX) are not supported by Python or Go'
+      );
+      return { type: 'char', test: single(code) };
+    }
+    if (/[a-zA-Z0-9]/.test(ch)) {
+      this.portability(
+        `'\\${ch}' means '${ch}' in JavaScript but is an error or a different escape in other engines`
+      );
+    }
+    return { type: 'char', test: single(ch.charCodeAt(0)) };
+  }
+}
+
+/**
+ * Report nested quantifiers, overlapping alternatives under a quantifier
+ * and adjacent quantifiers over overlapping characters.
+ */
+function findBacktracking(
+  node: PatternNode,
+  report: (message: string) => void
+): void {
+  switch (node.type) {
+    case 'quant':
+      if (node.max === Infinity) {
+        if (hasSoleRepeat(node.body) || hasAdjacentOverlap(node.body)) {
+          report(
+            `Nested quantifier in '${node.source}' can backtrack exponentially`
+          );
+        } else if (hasOverlappingAlternatives(node.body)) {
+          report(
+            `Alternatives in '${node.source}' can match the same input and backtrack exponentially`
+          );
+        }
+      }
+      findBacktracking(node.body, report);
+      return;
+    case 'group':
+      findBacktracking(node.body, report);
+      return;
+    case 'alt':
+      node.alternatives.forEach(alternative =>
+        findBacktracking(alternative, report)
+      );
+      return;
+    case 'seq':
+      node.items.forEach(item => findBacktracking(item, report));
+      findAdjacentQuantifiers(node.items, report);
+      return;
+    default:
+      return;
+  }
+}
+
+/**
+ * Unbounded quantifiers separated only by optional items, such as \d+\d*
+ * or .*\s?.*, split their input in quadratically many ways.
+ */
+function findAdjacentQuantifiers(
+  items: PatternNode[],
+  report: (message: string) => void
+): void {
+  const pair = adjacentOverlap(items);
+  if (pair) {
+    report(
+      `Adjacent quantifiers '${pair[0].source}' and '${pair[1].source}' match overlapping characters and can backtrack polynomially`
+    );
+  }
+}
+
+type QuantNode = Extract<PatternNode, { type: 'quant' }>;
+
+/**
+ * The first pair of overlapping unbounded quantifiers with only
+ * optional items between them.
+ */
+function adjacentOverlap(
+  items: PatternNode[]
+): [QuantNode, QuantNode] | undefined {
+  for (let i = 0; i < items.length; i++) {
+    const first = items[i];
+    if (first.type !== 'quant' || first.max !== Infinity) {
+      continue;
+    }
+    for (let j = i + 1; j < items.length; j++) {
+      const second = items[j];
+      if (
+        second.type === 'quant' &&
+        second.max === Infinity &&
+        overlaps(charsOf(first), charsOf(second))
+      ) {
+        return [first, second];
+      }
+      if (!isNullable(second)) {
+        break;
+      }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * True when some sequence inside the node has overlapping adjacent
+ * quantifiers. Repeating such a node, as in (x+x+)+, is exponential.
+ */
+function hasAdjacentOverlap(node: PatternNode): boolean {
+  switch (node.type) {
+    case 'group':
+      return !node.lookaround && hasAdjacentOverlap(node.body);
+    case 'alt':
+      return node.alternatives.some(hasAdjacentOverlap);
+    case 'seq':
+      return (
+        adjacentOverlap(node.items) !== undefined ||
+        node.items.some(hasAdjacentOverlap)
+      );
+    case 'quant':
+      return hasAdjacentOverlap(node.body);
+    default:
+      return false;
+  }
+}
+
+/**
+ * True when the node contains a variable-count quantifier and everything
+ * else in the node can match empty, as in (a+)+ or (\w+\s?)*. Each outer
+ * iteration can then take any share of the input.
+ */
+function hasSoleRepeat(node: PatternNode): boolean {
+  switch (node.type) {
+    case 'quant':
+      return (
+        (node.max > 1 && node.min !== node.max) || hasSoleRepeat(node.body)
+      );
+    case 'group':
+      return !node.lookaround && hasSoleRepeat(node.body);
+    case 'alt':
+      return node.alternatives.some(hasSoleRepeat);
+    case 'seq':
+      return node.items.some(
+        (item, i) =>
+          hasSoleRepeat(item) &&
+          node.items.every((other, j) => j === i || isNullable(other))
+      );
+    default:
+      return false;
+  }
+}
+
+/**
+ * True when two alternatives directly under the node can start with the
+ * same character, as in (a|ab)* or (\w|\d)+.
+ */
+function hasOverlappingAlternatives(node: PatternNode): boolean {
+  if (node.type === 'group' && !node.lookaround) {
+    return hasOverlappingAlternatives(node.body);
+  }
+  if (node.type !== 'alt') {
+    return false;
+  }
+  const firsts = node.alternatives.map(firstChars);
+  return firsts.some((first, i) =>
+    firsts.slice(i + 1).some(other => overlaps(first, other))
+  );
+}
+
+function isNullable(node: PatternNode): boolean {
+  switch (node.type) {
+    case 'char':
+      return false;
+    case 'group':
+      return node.lookaround || isNullable(node.body);
+    case 'alt':
+      return node.alternatives.some(isNullable);
+    case 'seq':
+      return node.items.every(isNullable);
+    case 'quant':
+      return node.min === 0 || isNullable(node.body);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Characters that can start a match of the node.
+ */
+function firstChars(node: PatternNode): CharTest[] {
+  switch (node.type) {
+    case 'char':
+      return [node.test];
+    case 'group':
+      return node.lookaround ? [] : firstChars(node.body);
+    case 'alt':
+      return node.alternatives.flatMap(firstChars);
+    case 'seq': {
+      const tests: CharTest[] = [];
+      for (const item of node.items) {
+        tests.push(...firstChars(item));
+        if (!isNullable(item)) {
+          break;
+        }
+      }
+      return tests;
+    }
+    case 'quant':
+      return firstChars(node.body);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Every character the node can consume.
+ */
+function charsOf(node: PatternNode): CharTest[] {
+  switch (node.type) {
+    case 'char':
+      return [node.test];
+    case 'group':
+      return node.lookaround ? [] : charsOf(node.body);
+    case 'alt':
+      return node.alternatives.flatMap(charsOf);
+    case 'seq':
+      return node.items.flatMap(charsOf);
+    case 'quant':
+      return charsOf(node.body);
+    default:
+      return [];
+  }
+}
+
+function overlaps(a: CharTest[], b: CharTest[]): boolean {
+  return SAMPLE_CODE_POINTS.some(
+    c => a.some(test => test(c)) && b.some(test => test(c))
+  );
+}
@@ -0,0 +1,601 @@
+import { SchemaData, Field, FieldConstraints, NestedField } from '../types';
+import { pointer } from './diagnostics';
+import {
+  DECIMAL_REGEX,
+  byteLength,
+  decimalDigits,
+  isBase64,
+  isIsoDate,
+  isIsoTimestamp,
+  isUuid,
+  toBase64,
+} from './formats';
+import { evaluateRules } from './rules';
+import { matchesFormat } from './string-formats';
+
+/**
+ * Stable codes for problems found in a data record.
+ */
+export type RecordErrorCode =
+  | 'invalid-record'
+  | 'required'
+  | 'type'
+  | 'enum'
+  | 'format'
+  | 'min-length'
+  | 'max-length'
+  | 'pattern'
+  | 'minimum'
+  | 'maximum'
+  | 'precision'
+  | 'scale'
+  | 'timestamp'
+  | 'date'
+  | 'uuid'
+  | 'binary'
+  | 'empty-set'
+  | 'duplicate-set-element'
+  | 'min-items'
+  | 'max-items'
+  | 'duplicate-item'
+  | 'discriminator'
+  | 'rule';
+
+/**
+ * A single problem with a data record.
+ */
+export interface RecordError {
+  code: RecordErrorCode;
+  /** JSON Pointer to the offending value, e.g. /lineItems/2/quantity */
+  path: string;
+  message: string;
+}
+
+export interface RecordValidationResult {
+  valid: boolean;
+  errors: RecordError[];
+}
+
+/**
+ * Shape shared by top-level and nested field definitions.
+ */
+export type FieldDefinition = Pick<Field, 'name' | 'type'> &
+  Partial<
+    Pick<
+      Field,
+      | 'required'
+      | 'enum'
+      | 'format'
+      | 'constraints'
+      | 'items'
+      | 'discriminator'
+      | 'variants'
+    >
+  > & {
+    fields?: NestedField[];
+  };
+
+/**
+ * Validates a data item against a blueprint.
+ * The schema should already have passed validateSchema.
+ */
+export function validateRecord(
+  schema: SchemaData,
+  item: unknown
+): RecordValidationResult {
+  const errors: RecordError[] = [];
+
+  if (!isPlainObject(item)) {
+    errors.push({
+      code: 'invalid-record',
+      path: '',
+      message: `Record for '${schema.entityName}' must be an object`,
+    });
+    return { valid: false, errors };
+  }
+
+  validateMembers(schema.fields, item, '', errors);
+  // Rules compare field values, so they only run once every field is valid
+  if (errors.length === 0) {
+    evaluateRules(schema, item, errors);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Check each declared field of an object value (record or nested map).
+ */
+function validateMembers(
+  fields: FieldDefinition[],
+  value: Record<string, unknown>,
+  path: string,
+  errors: RecordError[]
+): void {
+  for (const field of fields) {
+    const fieldPath = pointer(path, field.name);
+    const fieldValue = value[field.name];
+
+    if (fieldValue === undefined || fieldValue === null) {
+      if (field.required) {
+        errors.push({
+          code: 'required',
+          path: fieldPath,
+          message: `Field '${field.name}' is required`,
+        });
+      }
+      continue;
+    }
+
+    validateValue(field, fieldValue, fieldPath, errors);
+  }
+}
+
+/**
+ * Check a single present value against its field definition.
+ */
+export function validateValue(
+  field: FieldDefinition,
+  value: unknown,
+  path: string,
+  errors: RecordError[]
+): void {
+  const typeError = (expected: string) =>
+    errors.push({
+      code: 'type',
+      path,
+      message: `Field '${field.name}' must be ${expected}`,
+    });
+
+  switch (field.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        typeError('a string');
+        return;
+      }
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        typeError('a finite number');
+        return;
+      }
+      break;
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isInteger(value)) {
+        typeError('an integer');
+        return;
+      }
+      break;
+    case 'decimal':
+      if (
+        typeof value === 'number'
+          ? !Number.isFinite(value)
+          : typeof value !== 'string' || !DECIMAL_REGEX.test(value)
+      ) {
+        typeError('a decimal number or numeric string');
+        return;
+      }
+      break;
+    case 'binary':
+      if (typeof value === 'string') {
+        if (!isBase64(value)) {
+          errors.push({
+            code: 'binary',
+            path,
+            message: `Field '${field.name}' is not a valid base64 string`,
+          });
+          return;
+        }
+      } else if (!(value instanceof Uint8Array)) {
+        typeError('binary data (a Uint8Array or base64 string)');
+        return;
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        typeError('a boolean');
+      }
+      return;
+    case 'timestamp':
+      if (typeof value !== 'string') {
+        typeError('an ISO 8601 timestamp string');
+      } else if (!isIsoTimestamp(value)) {
+        errors.push({
+          code: 'timestamp',
+          path,
+          message: `Field '${field.name}' value '${value}' is not a valid ISO 8601 timestamp`,
+        });
+      }
+      return;
+    case 'date':
+      if (typeof value !== 'string') {
+        typeError('an ISO 8601 date string');
+      } else if (!isIsoDate(value)) {
+        errors.push({
+          code: 'date',
+          path,
+          message: `Field '${field.name}' value '${value}' is not a valid ISO 8601 date (YYYY-MM-DD)`,
+        });
+      }
+      return;
+    case 'uuid':
+      if (typeof value !== 'string') {
+        typeError('a UUID string');
+      } else if (!isUuid(value)) {
+        errors.push({
+          code: 'uuid',
+          path,
+          message: `Field '${field.name}' value '${value}' is not a valid UUID`,
+        });
+      }
+      return;
+    case 'list':
+      if (!Array.isArray(value)) {
+        typeError('a list');
+        return;
+      }
+      validateCollectionConstraints(field, value, path, errors);
+      if (field.constraints?.uniqueItems && hasDuplicates(value)) {
+        errors.push({
+          code: 'duplicate-item',
+          path,
+          message: `Field '${field.name}' contains duplicate items`,
+        });
+      }
+      if (field.items) {
+        const items = field.items;
+        value.forEach((element, index) => {
+          const elementPath = pointer(path, index);
+          if (element === undefined || element === null) {
+            errors.push({
+              code: 'type',
+              path: elementPath,
+              message: `Field '${field.name}' must be a list of ${items.type} values`,
+            });
+            return;
+          }
+          validateValue(
+            { name: `${field.name}[${index}]`, ...items },
+            element,
+            elementPath,
+            errors
+          );
+        });
+      }
+      return;
+    case 'map':
+      if (!isPlainObject(value)) {
+        typeError('a map');
+        return;
+      }
+      validateMembers(field.fields ?? [], value, path, errors);
+      return;
+    case 'union':
+      if (!isPlainObject(value)) {
+        typeError('a map');
+        return;
+      }
+      validateUnion(field, value, path, errors);
+      return;
+    case 'stringSet':
+    case 'numberSet':
+    case 'binarySet':
+      validateSet(field, value, path, errors);
+      return;
+  }
+
+  // Remaining scalars: enum and constraints
+  if (field.enum && !field.enum.includes(value as string)) {
+    errors.push({
+      code: 'enum',
+      path,
+      message: `Field '${field.name}' must be one of: ${field.enum.join(', ')}`,
+    });
+  }
+  if (field.format && !matchesFormat(field.format, value)) {
+    errors.push({
+      code: 'format',
+      path,
+      message: `Field '${field.name}' must match format '${field.format}'`,
+    });
+  }
+  if (field.constraints) {
+    validateConstraints(field, value, path, errors);
+  }
+}
+
+/**
+ * Check a union value's discriminator, then its variant's fields.
+ */
+function validateUnion(
+  field: FieldDefinition,
+  value: Record<string, unknown>,
+  path: string,
+  errors: RecordError[]
+): void {
+  const discriminator = field.discriminator as string;
+  const variants = field.variants ?? [];
+  const tag = value[discriminator];
+  const variant = variants.find(v => v.name === tag);
+
+  if (!variant) {
+    errors.push({
+      code: 'discriminator',
+      path: pointer(path, discriminator),
+      message: `Field '${field.name}' must have '${discriminator}' set to one of: ${variants.map(v => v.name).join(', ')}`,
+    });
+    return;
+  }
+  validateMembers(variant.fields, value, path, errors);
+}
+
+/**
+ * Element type of each set type, and the check for one element's type.
+ * Binary elements are checked as values below, so they can report base64
+ * problems per element.
+ */
+const SET_ELEMENTS: Record<
+  string,
+  { type: 'string' | 'number' | 'binary'; is: (element: unknown) => boolean }
+> = {
+  stringSet: { type: 'string', is: e => typeof e === 'string' },
+  numberSet: { type: 'number', is: e => typeof e === 'number' },
+  binarySet: {
+    type: 'binary',
+    is: e => typeof e === 'string' || e instanceof Uint8Array,
+  },
+};
+
+/**
+ * Sets may arrive as arrays (plain JSON) or Set instances (DocumentClient).
+ */
+function validateSet(
+  field: FieldDefinition,
+  value: unknown,
+  path: string,
+  errors: RecordError[]
+): void {
+  const { type: elementType, is } = SET_ELEMENTS[field.type];
+  const elements =
+    value instanceof Set
+      ? Array.from(value)
+      : Array.isArray(value)
+        ? value
+        : undefined;
+
+  if (!elements || !elements.every(is)) {
+    errors.push({
+      code: 'type',
+      path,
+      message: `Field '${field.name}' must be a set of ${elementType} values`,
+    });
+    return;
+  }
+  if (elements.length === 0) {
+    errors.push({
+      code: 'empty-set',
+      path,
+      message: `Field '${field.name}' cannot be an empty set`,
+    });
+    return;
+  }
+  if (new Set(elements.map(setKey)).size !== elements.length) {
+    errors.push({
+      code: 'duplicate-set-element',
+      path,
+      message: `Field '${field.name}' set contains duplicate values`,
+    });
+    return;
+  }
+
+  validateCollectionConstraints(field, elements, path, errors);
+  if (
+    field.enum ||
+    field.format ||
+    field.constraints ||
+    elementType === 'binary'
+  ) {
+    elements.forEach((element, index) =>
+      validateValue(
+        {
+          name: `${field.name}[${index}]`,
+          type: elementType,
+          enum: field.enum,
+          format: field.format,
+          constraints: field.constraints,
+        },
+        element,
+        pointer(path, index),
+        errors
+      )
+    );
+  }
+}
+
+/**
+ * Binary set elements are equal when their bytes are, whatever their
+ * representation.
+ */
+function setKey(element: unknown): unknown {
+  return element instanceof Uint8Array ? toBase64(element) : element;
+}
+
+/**
+ * Check minItems and maxItems for a list or set.
+ */
+function validateCollectionConstraints(
+  field: FieldDefinition,
+  elements: unknown[],
+  path: string,
+  errors: RecordError[]
+): void {
+  const { minItems, maxItems } = field.constraints ?? {};
+  if (minItems !== undefined && elements.length < minItems) {
+    errors.push({
+      code: 'min-items',
+      path,
+      message: `Field '${field.name}' must have at least ${minItems} elements`,
+    });
+  }
+  if (maxItems !== undefined && elements.length > maxItems) {
+    errors.push({
+      code: 'max-items',
+      path,
+      message: `Field '${field.name}' must have at most ${maxItems} elements`,
+    });
+  }
+}
+
+/**
+ * Structural duplicate check for list elements, including maps.
+ */
+function hasDuplicates(elements: unknown[]): boolean {
+  const seen = new Set<string>();
+  for (const element of elements) {
+    const key = canonicalJson(element);
+    if (seen.has(key)) {
+      return true;
+    }
+    seen.add(key);
+  }
+  return false;
+}
+
+/**
+ * JSON with object keys sorted, so equal maps serialize identically.
+ */
+export function canonicalJson(value: unknown): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value instanceof Uint8Array) {
+    return JSON.stringify(toBase64(value));
+  }
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'undefined';
+}
+
+/**
+ * Check a type-correct scalar value against its field's constraints.
+ */
+function validateConstraints(
+  field: FieldDefinition,
+  value: unknown,
+  path: string,
+  errors: RecordError[]
+): void {
+  const constraints = field.constraints as FieldConstraints;
+  const fieldName = field.name;
+
+  if (field.type === 'binary') {
+    const bytes = byteLength(value as Uint8Array | string);
+    if (constraints.minLength !== undefined && bytes < constraints.minLength) {
+      errors.push({
+        code: 'min-length',
+        path,
+        message: `Field '${fieldName}' must be at least ${constraints.minLength} bytes`,
+      });
+    }
+    if (constraints.maxLength !== undefined && bytes > constraints.maxLength) {
+      errors.push({
+        code: 'max-length',
+        path,
+        message: `Field '${fieldName}' must be at most ${constraints.maxLength} bytes`,
+      });
+    }
+    return;
+  }
+
+  if (typeof value === 'string' && field.type !== 'decimal') {
+    if (
+      constraints.minLength !== undefined &&
+      value.length < constraints.minLength
+    ) {
+      errors.push({
+        code: 'min-length',
+        path,
+        message: `Field '${fieldName}' must be at least ${constraints.minLength} characters`,
+      });
+    }
+    if (
+      constraints.maxLength !== undefined &&
+      value.length > constraints.maxLength
+    ) {
+      errors.push({
+        code: 'max-length',
+        path,
+        message: `Field '${fieldName}' must be at most ${constraints.maxLength} characters`,
+      });
+    }
+    if (
+      constraints.pattern !== undefined &&
+      !new RegExp(constraints.pattern).test(value)
+    ) {
+      errors.push({
+        code: 'pattern',
+        path,
+        message: `Field '${fieldName}' must match pattern ${constraints.pattern}`,
+      });
+    }
+    return;
+  }
+
+  // Numbers, integers and decimals (which may be numeric strings)
+  const amount = Number(value);
+  if (constraints.min !== undefined && amount < constraints.min) {
+    errors.push({
+      code: 'minimum',
+      path,
+      message: `Field '${fieldName}' must be >= ${constraints.min}`,
+    });
+  }
+  if (constraints.max !== undefined && amount > constraints.max) {
+    errors.push({
+      code: 'maximum',
+      path,
+      message: `Field '${fieldName}' must be <= ${constraints.max}`,
+    });
+  }
+
+  const { precision, scale } = constraints;
+  const digits =
+    precision !== undefined || scale !== undefined
+      ? decimalDigits(value)
+      : undefined;
+  if (digits) {
+    if (scale !== undefined && digits.fraction > scale) {
+      errors.push({
+        code: 'scale',
+        path,
+        message: `Field '${fieldName}' must have at most ${scale} digits after the decimal point`,
+      });
+    }
+    if (
+      precision !== undefined &&
+      digits.integer + (scale ?? digits.fraction) > precision
+    ) {
+      errors.push({
+        code: 'precision',
+        path,
+        message: `Field '${fieldName}' must have at most ${precision} significant digits${scale ? ` (${precision - scale} before the decimal point)` : ''}`,
+      });
+    }
+  }
+}
+
+export function isPlainObject(
+  value: unknown
+): value is Record<string, unknown> {
+  return (
+    typeof value === 'object' &&
+    value !== null &&
+    !Array.isArray(value) &&
+    !(value instanceof Set) &&
+    !(value instanceof Uint8Array)
+  );
+}
@@ -0,0 +1,215 @@
+import { createHmac } from 'crypto';
+import {
+  ClassificationLevel,
+  MaskingStrategy,
+  NestedField,
+  SchemaData,
+} from '../types';
+import { CLASSIFICATION_LEVELS } from './classification';
+import { canonicalJson, isPlainObject } from './record';
+
+/**
+ * Options for redactRecord.
+ */
+export interface RedactOptions {
+  /** Most sensitive level the audience may see unmasked (default: 'public') */
+  audience?: ClassificationLevel;
+  /**
+   * Secret key for the 'hash' strategy, which computes an HMAC so values
+   * cannot be recovered by hashing guesses. Required when a hidden field
+   * uses it.
+   */
+  hashKey?: string | Uint8Array;
+  /**
+   * Remove properties the blueprint does not declare instead of copying
+   * them unchanged (default: false)
+   */
+  dropUndeclared?: boolean;
+}
+
+/**
+ * Settings shared by every level of a redaction.
+ */
+interface RedactContext {
+  clearance: number;
+  hashKey?: string | Uint8Array;
+  dropUndeclared: boolean;
+}
+
+/**
+ * Replacement for values that cannot be masked character by character.
+ */
+const MASK = '****';
+
+/**
+ * Strings at least this long keep their last four characters when masked.
+ */
+const MASK_KEEP_MIN_LENGTH = 8;
+
+/**
+ * Characters a truncated string keeps, e.g. the year of a timestamp.
+ */
+const TRUNCATE_LENGTH = 4;
+
+const SET_TYPES = ['stringSet', 'numberSet', 'binarySet'];
+
+/**
+ * Returns a copy of item with every field classified above the audience's
+ * level hidden by its masking strategy (default: 'mask'):
+ *
+ * - mask: '*' for every character but the last four (all of them for
+ *   strings shorter than 8); other values become '****'
+ * - hash: 'hmac-sha256:' and the hex HMAC of the value under
+ *   options.hashKey. This pseudonymises the value: equal values hash alike,
+ *   so logs can still be joined on it
+ * - truncate: the first four characters; other values are masked
+ * - drop: the property is removed
+ * - none: the value is kept
+ *
+ * Scalar lists and sets are masked element by element. Classified fields
+ * nested in maps, lists of maps and union variants are redacted the same
+ * way. Properties the blueprint does not declare are copied unchanged
+ * unless options.dropUndeclared is set.
+ */
+export function redactRecord(
+  schema: SchemaData,
+  item: Record<string, unknown>,
+  options: RedactOptions = {}
+): Record<string, unknown> {
+  const audience = options.audience ?? 'public';
+  const clearance = CLASSIFICATION_LEVELS.indexOf(audience);
+  if (clearance < 0) {
+    throw new Error(
+      `Unknown audience '${audience}'; expected one of: ${CLASSIFICATION_LEVELS.join(', ')}`
+    );
+  }
+  if (!isPlainObject(item)) {
+    throw new Error(`Record for '${schema.entityName}' must be an object`);
+  }
+  return redactMembers(schema.fields, item, {
+    clearance,
+    hashKey: options.hashKey,
+    dropUndeclared: options.dropUndeclared ?? false,
+  });
+}
+
+function redactMembers(
+  fields: readonly NestedField[],
+  value: Record<string, unknown>,
+  context: RedactContext,
+  keep: readonly string[] = []
+): Record<string, unknown> {
+  const redacted = { ...value };
+  if (context.dropUndeclared) {
+    for (const key of Object.keys(redacted)) {
+      if (!keep.includes(key) && !fields.some(field => field.name === key)) {
+        delete redacted[key];
+      }
+    }
+  }
+  for (const field of fields) {
+    const fieldValue = redacted[field.name];
+    if (fieldValue === undefined || fieldValue === null) {
+      continue;
+    }
+
+    const { classification } = field;
+    const hidden =
+      classification !== undefined &&
+      CLASSIFICATION_LEVELS.indexOf(classification.level) > context.clearance;
+    const masking = hidden ? (classification.masking ?? 'mask') : 'none';
+
+    if (masking === 'hash' && context.hashKey === undefined) {
+      throw new Error(
+        `Field '${field.name}' is masked with 'hash', which needs a hashKey option`
+      );
+    }
+    if (masking === 'drop') {
+      delete redacted[field.name];
+    } else if (masking !== 'none') {
+      redacted[field.name] = maskField(
+        field,
+        fieldValue,
+        masking,
+        context.hashKey
+      );
+    } else {
+      redacted[field.name] = redactNested(field, fieldValue, context);
+    }
+  }
+  return redacted;
+}
+
+/**
+ * Redact the classified fields inside a visible map, list of maps or union.
+ */
+function redactNested(
+  field: NestedField,
+  value: unknown,
+  context: RedactContext
+): unknown {
+  if (field.type === 'map' && isPlainObject(value)) {
+    return redactMembers(field.fields ?? [], value, context);
+  }
+  if (field.type === 'list' && Array.isArray(value)) {
+    const itemFields = field.items?.type === 'map' ? field.items.fields : [];
+    return value.map(element =>
+      isPlainObject(element)
+        ? redactMembers(itemFields ?? [], element, context)
+        : element
+    );
+  }
+  if (field.type === 'union' && isPlainObject(value)) {
+    const discriminator = field.discriminator as string;
+    const variant = field.variants?.find(v => v.name === value[discriminator]);
+    return variant
+      ? redactMembers(variant.fields, value, context, [discriminator])
+      : value;
+  }
+  return value;
+}
+
+function maskField(
+  field: NestedField,
+  value: unknown,
+  masking: Exclude<MaskingStrategy, 'none' | 'drop'>,
+  hashKey: string | Uint8Array | undefined
+): unknown {
+  const scalarElements =
+    (field.type === 'list' && field.items?.type !== 'map') ||
+    SET_TYPES.includes(field.type);
+  if (scalarElements && (Array.isArray(value) || value instanceof Set)) {
+    const masked = [...value].map(element =>
+      maskValue(element, masking, hashKey)
+    );
+    // Masking can map distinct set elements to the same value
+    if (value instanceof Set) {
+      return new Set(masked);
+    }
+    return SET_TYPES.includes(field.type) ? [...new Set(masked)] : masked;
+  }
+  return maskValue(value, masking, hashKey);
+}
+
+function maskValue(
+  value: unknown,
+  masking: Exclude<MaskingStrategy, 'none' | 'drop'>,
+  hashKey: string | Uint8Array | undefined
+): unknown {
+  if (masking === 'hash') {
+    const text = typeof value === 'string' ? value : canonicalJson(value);
+    const digest = createHmac('sha256', hashKey as string | Uint8Array)
+      .update(text)
+      .digest('hex');
+    return `hmac-sha256:${digest}`;
+  }
+  if (typeof value !== 'string') {
+    return MASK;
+  }
+  if (masking === 'truncate') {
+    return value.slice(0, TRUNCATE_LENGTH);
+  }
+  return value.length < MASK_KEEP_MIN_LENGTH
+    ? '*'.repeat(value.length)
+    : '*'.repeat(value.length - 4) + value.slice(-4);
+}
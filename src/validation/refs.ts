@@ -0,0 +1,317 @@
+import { DiagnosticReporter, pointer } from './diagnostics';
+import { VALID_IDENTIFIER_REGEX } from './identifiers';
+
+/**
+ * Named types loaded from another .bprint or .bprint-types file.
+ */
+export interface LoadedTypes {
+  /** Absolute path of the loaded file, used to resolve its own references */
+  file: string;
+  types: Record<string, any>;
+}
+
+/**
+ * Loads the types of the file a reference names, relative to the file the
+ * reference appears in (undefined for an in-memory document).
+ * Throws when the file cannot be read.
+ */
+export type TypeLoader = (
+  file: string,
+  fromFile: string | undefined
+) => LoadedTypes;
+
+/**
+ * Properties a field may set next to $ref. Everything else comes from the
+ * referenced type.
+ */
+const REF_FIELD_PROPERTIES = [
+  '$ref',
+  'name',
+  'nameOverride',
+  'required',
+  'description',
+  'annotations',
+  'classification',
+  'deprecated',
+];
+
+/**
+ * Matches '#/types/Name' and 'path/to/file.bprint-types#/types/Name'.
+ */
+const REF_REGEX = /^([^#]*)#\/types\/([^/]+)$/;
+
+interface Scope {
+  /** File whose types local references name (undefined: the document) */
+  file: string | undefined;
+  types: Record<string, any>;
+  /** Types being expanded, outermost first, to detect cycles */
+  stack: string[];
+}
+
+/**
+ * Returns a copy of a blueprint with every field $ref replaced by the
+ * referenced type, merged with the field's own name, required flag and
+ * description. Problems are reported at the field's $ref; such fields keep
+ * their $ref so field validation can skip them.
+ */
+export function dereferenceSchema(
+  schema: any,
+  reporter: DiagnosticReporter,
+  loadTypes?: TypeLoader,
+  file?: string
+): any {
+  const types = isObject(schema.types) ? schema.types : {};
+  if (schema.types !== undefined && !isObject(schema.types)) {
+    reporter.error(
+      'invalid-type-definition',
+      '/types',
+      'Schema types must be an object of named type definitions'
+    );
+  }
+
+  const used = new Set<string>();
+  const cache = new Map<string, LoadedTypes>();
+
+  const load = (target: string, scope: Scope): LoadedTypes => {
+    if (!loadTypes) {
+      throw new Error(
+        'references to other files require resolveSchema to load them'
+      );
+    }
+    const key = `${scope.file ?? ''}\0${target}`;
+    let loaded = cache.get(key);
+    if (!loaded) {
+      loaded = loadTypes(target, scope.file);
+      cache.set(key, loaded);
+    }
+    return loaded;
+  };
+
+  const expandFields = (fields: unknown, path: string, scope: Scope): any =>
+    Array.isArray(fields)
+      ? fields.map((field, index) =>
+          expandField(field, pointer(path, index), scope)
+        )
+      : fields;
+
+  // Expand references nested inside a field or type definition
+  const expandNested = (field: any, path: string, scope: Scope): any => {
+    const expanded = { ...field };
+    if (field.fields !== undefined) {
+      expanded.fields = expandFields(
+        field.fields,
+        pointer(path, 'fields'),
+        scope
+      );
+    }
+    if (isObject(field.items) && field.items.fields !== undefined) {
+      expanded.items = {
+        ...field.items,
+        fields: expandFields(
+          field.items.fields,
+          pointer(path, 'items', 'fields'),
+          scope
+        ),
+      };
+    }
+    if (Array.isArray(field.variants)) {
+      expanded.variants = field.variants.map((variant: any, index: number) =>
+        isObject(variant)
+          ? {
+              ...variant,
+              fields: expandFields(
+                variant.fields,
+                pointer(path, 'variants', index, 'fields'),
+                scope
+              ),
+            }
+          : variant
+      );
+    }
+    return expanded;
+  };
+
+  const expandField = (field: any, path: string, scope: Scope): any => {
+    if (!isObject(field)) {
+      return field;
+    }
+    if (field.$ref === undefined) {
+      return expandNested(field, path, scope);
+    }
+
+    const refPath = pointer(path, '$ref');
+    const label = typeof field.name === 'string' ? field.name : '(unnamed)';
+    const extra = Object.keys(field).filter(
+      key => !REF_FIELD_PROPERTIES.includes(key)
+    );
+    if (extra.length > 0) {
+      reporter.error(
+        'invalid-ref',
+        refPath,
+        `Field '${label}' cannot combine $ref with ${extra.map(key => `'${key}'`).join(', ')}; define them in the referenced type`
+      );
+      return field;
+    }
+
+    const resolved = resolveRef(field.$ref, refPath, label, scope);
+    if (!resolved) {
+      return field;
+    }
+    const own = { ...field };
+    delete own.$ref;
+    return {
+      ...expandNested(resolved.definition, path, resolved.scope),
+      ...own,
+    };
+  };
+
+  /**
+   * Follow a reference, and any alias types it leads to, to a type
+   * definition. Reports and returns undefined when that fails.
+   */
+  const resolveRef = (
+    ref: unknown,
+    refPath: string,
+    label: string,
+    scope: Scope
+  ): { definition: any; scope: Scope } | undefined => {
+    const match = typeof ref === 'string' ? REF_REGEX.exec(ref) : null;
+    if (!match) {
+      reporter.error(
+        'invalid-ref',
+        refPath,
+        `Field '${label}' $ref must look like '#/types/Name' or 'file.bprint-types#/types/Name'`
+      );
+      return undefined;
+    }
+    const [, target, name] = match;
+
+    let targetScope = scope;
+    if (target !== '') {
+      try {
+        const loaded = load(target, scope);
+        targetScope = { file: loaded.file, types: loaded.types, stack: [] };
+      } catch (error) {
+        reporter.error(
+          'unresolved-ref',
+          refPath,
+          `Field '${label}' $ref '${ref}' could not be resolved: ${(error as Error).message}`
+        );
+        return undefined;
+      }
+    } else if (scope.file === file) {
+      used.add(name);
+    }
+
+    const key = `${targetScope.file ?? ''}#${name}`;
+    if (scope.stack.includes(key)) {
+      const cycle = [...scope.stack.slice(scope.stack.indexOf(key)), key];
+      reporter.error(
+        'circular-ref',
+        refPath,
+        `Field '${label}' $ref '${ref}' is circular: ${cycle.map(typeName).join(' -> ')}`
+      );
+      return undefined;
+    }
+
+    const definition = Object.prototype.hasOwnProperty.call(
+      targetScope.types,
+      name
+    )
+      ? targetScope.types[name]
+      : undefined;
+    if (definition === undefined) {
+      reporter.error(
+        'unresolved-ref',
+        refPath,
+        `Field '${label}' $ref '${ref}' names no type${target ? ` in ${target}` : ''}`
+      );
+      return undefined;
+    }
+
+    const nextScope = {
+      ...targetScope,
+      stack: [...scope.stack, key],
+    };
+    const problem = definitionProblem(definition);
+    if (problem) {
+      // Problems with this document's own types are reported at /types
+      if (targetScope.types === types) {
+        return undefined;
+      }
+      reporter.error(
+        'invalid-type-definition',
+        refPath,
+        `Type '${name}'${target ? ` in ${target}` : ''} ${problem}`
+      );
+      return undefined;
+    }
+    if (definition.$ref !== undefined) {
+      return resolveRef(definition.$ref, refPath, label, nextScope);
+    }
+    return { definition, scope: nextScope };
+  };
+
+  const rootScope: Scope = { file, types, stack: [] };
+  const expanded = {
+    ...schema,
+    fields: expandFields(schema.fields, '/fields', rootScope),
+  };
+
+  // Check every local type, including unused ones
+  for (const [name, definition] of Object.entries<any>(types)) {
+    const path = pointer('/types', name);
+    if (!VALID_IDENTIFIER_REGEX.test(name)) {
+      reporter.error(
+        'invalid-type-definition',
+        path,
+        `Type name '${name}' is not a valid identifier. Must match ${VALID_IDENTIFIER_REGEX}`
+      );
+    }
+    const problem = definitionProblem(definition);
+    if (problem) {
+      reporter.error(
+        'invalid-type-definition',
+        path,
+        `Type '${name}' ${problem}`
+      );
+    } else if (!used.has(name)) {
+      reporter.warning(
+        'unused-type',
+        path,
+        `Type '${name}' is not referenced by any field`
+      );
+    }
+  }
+
+  return expanded;
+}
+
+/**
+ * Named types are maps, string enums, or aliases of another type.
+ */
+function definitionProblem(definition: any): string | undefined {
+  if (!isObject(definition)) {
+    return 'must be an object';
+  }
+  if (definition.$ref !== undefined) {
+    return Object.keys(definition).length === 1
+      ? undefined
+      : 'cannot combine $ref with other properties';
+  }
+  if (definition.type === 'map') {
+    return undefined;
+  }
+  if (definition.type === 'string' && Array.isArray(definition.enum)) {
+    return undefined;
+  }
+  return "must be a map, or a string with enum values (type 'map' or 'string')";
+}
+
+function typeName(key: string): string {
+  return key.slice(key.lastIndexOf('#') + 1);
+}
+
+function isObject(value: unknown): value is Record<string, any> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,136 @@
+/**
+ * Reserved word profiles for code generation target languages.
+ * Generated identifiers must not collide with these.
+ */
+
+export type TargetLanguage =
+  | 'java'
+  | 'python'
+  | 'go'
+  | 'typescript'
+  | 'csharp'
+  | 'kotlin'
+  | 'rust'
+  | 'swift';
+
+export interface ReservedWordProfile {
+  /** Human-readable language name used in diagnostics */
+  displayName: string;
+  /** Case-sensitive reserved words */
+  words: ReadonlySet<string>;
+}
+
+const words = (list: string): ReadonlySet<string> =>
+  new Set(list.trim().split(/\s+/));
+
+export const RESERVED_WORD_PROFILES: Record<
+  TargetLanguage,
+  ReservedWordProfile
+> = {
+  // Keywords, literals and '_' (JLS §3.9, §3.10)
+  java: {
+    displayName: 'Java',
+    words: words(`
+      abstract assert boolean break byte case catch char class const continue
+      default do double else enum extends final finally float for goto if
+      implements import instanceof int interface long native new package
+      private protected public return short static strictfp super switch
+      synchronized this throw throws transient try void volatile while
+      true false null _
+    `),
+  },
+  // Hard keywords (soft keywords like 'match' and 'type' are usable names)
+  python: {
+    displayName: 'Python',
+    words: words(`
+      False None True and as assert async await break class continue def del
+      elif else except finally for from global if import in is lambda nonlocal
+      not or pass raise return try while with yield
+    `),
+  },
+  go: {
+    displayName: 'Go',
+    words: words(`
+      break case chan const continue default defer else fallthrough for func
+      go goto if import interface map package range return select struct
+      switch type var
+    `),
+  },
+  // ECMAScript reserved words, including strict-mode and module reservations
+  typescript: {
+    displayName: 'TypeScript',
+    words: words(`
+      await break case catch class const continue debugger default delete do
+      else enum export extends false finally for function if implements import
+      in instanceof interface let new null package private protected public
+      return static super switch this throw true try typeof var void while
+      with yield
+    `),
+  },
+  csharp: {
+    displayName: 'C#',
+    words: words(`
+      abstract as base bool break byte case catch char checked class const
+      continue decimal default delegate do double else enum event explicit
+      extern false finally fixed float for foreach goto if implicit in int
+      interface internal is lock long namespace new null object operator out
+      override params private protected public readonly ref return sbyte
+      sealed short sizeof stackalloc static string struct switch this throw
+      true try typeof uint ulong unchecked unsafe ushort using virtual void
+      volatile while
+    `),
+  },
+  // Hard keywords
+  kotlin: {
+    displayName: 'Kotlin',
+    words: words(`
+      as break class continue do else false for fun if in interface is null
+      object package return super this throw true try typealias typeof val
+      var when while
+    `),
+  },
+  // Strict and reserved keywords (2018 edition and later)
+  rust: {
+    displayName: 'Rust',
+    words: words(`
+      as async await break const continue crate dyn else enum extern false fn
+      for if impl in let loop match mod move mut pub ref return self Self
+      static struct super trait true type unsafe use where while abstract
+      become box do final macro override priv try typeof unsized virtual
+      yield
+    `),
+  },
+  // Keywords used in declarations, statements and expressions
+  swift: {
+    displayName: 'Swift',
+    words: words(`
+      associatedtype class deinit enum extension fileprivate func import init
+      inout internal let open operator private precedencegroup protocol public
+      rethrows static struct subscript typealias var break case catch continue
+      default defer do else fallthrough for guard if in repeat return throw
+      switch where while Any as await false is nil self Self super throws
+      true try _
+    `),
+  },
+};
+
+/**
+ * Languages checked when no targetLanguages option is given.
+ */
+export const DEFAULT_TARGET_LANGUAGES: readonly TargetLanguage[] = [
+  'java',
+  'python',
+  'go',
+];
+
+/**
+ * Returns the languages, among those given, that reserve identifier.
+ */
+export function reservedIn(
+  identifier: string,
+  languages: readonly TargetLanguage[] = DEFAULT_TARGET_LANGUAGES
+): TargetLanguage[] {
+  return languages.filter(language =>
+    RESERVED_WORD_PROFILES[language].words.has(identifier)
+  );
+}
@@ -0,0 +1,110 @@
+import { readFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { SchemaData } from '../types';
+import {
+  ValidateSchemaOptions,
+  ValidationResult,
+  validateDocument,
+} from './index';
+import {
+  DiagnosticReporter,
+  SchemaValidationError,
+  createReporter,
+} from './diagnostics';
+import { LoadedDocument, flattenDocument } from './extends';
+import { LoadedTypes } from './refs';
+
+/**
+ * Reads a .bprint file, merges the blueprints it extends, loads the files
+ * its $refs name, and validates the fully dereferenced schema without
+ * throwing. Paths in `extends` and references are relative to the file that
+ * contains them.
+ */
+export function resolveSchemaDetailed(
+  filePath: string,
+  options: ValidateSchemaOptions = {}
+): ValidationResult {
+  const reporter = createReporter();
+  const file = resolve(filePath);
+  const document = readFlattened(file, reporter);
+  if (document === undefined) {
+    return { valid: false, diagnostics: reporter.diagnostics };
+  }
+  return validateDocument(document, options, { file, loadTypes, reporter });
+}
+
+/**
+ * Like resolveSchemaDetailed, but returns the dereferenced schema and throws
+ * a SchemaValidationError listing every problem found.
+ */
+export function resolveSchema(
+  filePath: string,
+  options: ValidateSchemaOptions = {}
+): SchemaData {
+  const result = resolveSchemaDetailed(filePath, options);
+  if (!result.valid || !result.schema) {
+    throw new SchemaValidationError(result.diagnostics);
+  }
+  return result.schema;
+}
+
+/**
+ * Reads a .bprint file and merges the chain of blueprints it extends into a
+ * single blueprint without `extends`. Unlike resolveSchema, the result is not
+ * validated and keeps its `types` and `$ref`s, rewritten to be relative to
+ * filePath. Throws a SchemaValidationError when the files cannot be merged.
+ */
+export function flattenSchema(filePath: string): SchemaData {
+  const reporter = createReporter();
+  const document = readFlattened(resolve(filePath), reporter);
+  if (document === undefined || reporter.hasErrors()) {
+    throw new SchemaValidationError(reporter.diagnostics);
+  }
+  return document;
+}
+
+function readFlattened(file: string, reporter: DiagnosticReporter): any {
+  let document: unknown;
+  try {
+    document = readJson(file);
+  } catch (error) {
+    reporter.error('invalid-document', '', (error as Error).message);
+    return undefined;
+  }
+  return flattenDocument(document, file, reporter, loadDocument);
+}
+
+function loadDocument(target: string, fromFile: string): LoadedDocument {
+  const file = resolve(dirname(fromFile), target);
+  return { file, document: readJson(file) };
+}
+
+/**
+ * Loads the `types` of a .bprint or .bprint-types file.
+ */
+function loadTypes(target: string, fromFile: string | undefined): LoadedTypes {
+  const file = resolve(fromFile ? dirname(fromFile) : process.cwd(), target);
+  const document = readJson(file) as Record<string, any>;
+  const types = document?.types;
+  if (!types || typeof types !== 'object' || Array.isArray(types)) {
+    throw new Error(`${target} has no types object`);
+  }
+  return { file, types };
+}
+
+/**
+ * Reads and parses a JSON file, with messages naming the file.
+ */
+export function readJson(file: string): unknown {
+  let text: string;
+  try {
+    text = readFileSync(file, 'utf8');
+  } catch {
+    throw new Error(`cannot read ${file}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${(error as Error).message}`);
+  }
+}
@@ -0,0 +1,840 @@
+import { EntityRule, FieldType, NestedField, SchemaData } from '../types';
+import { DiagnosticReporter, pointer } from './diagnostics';
+import { isIsoDate, isIsoTimestamp } from './formats';
+import { RecordError, isPlainObject } from './record';
+import { closestMatch } from './suggest';
+
+/**
+ * Parsed rule expression.
+ */
+export type RuleExpression =
+  | { kind: 'literal'; value: string | number | boolean | null }
+  | { kind: 'field'; path: string[] }
+  | { kind: 'call'; name: RuleFunction; args: string[][] }
+  | { kind: 'not'; operand: RuleExpression }
+  | {
+      kind: 'logical';
+      op: '&&' | '||';
+      left: RuleExpression;
+      right: RuleExpression;
+    }
+  | {
+      kind: 'compare';
+      op: CompareOperator;
+      left: RuleExpression;
+      right: RuleExpression;
+    }
+  | {
+      kind: 'in';
+      operand: RuleExpression;
+      values: (string | number)[];
+    };
+
+type CompareOperator = '==' | '!=' | '<' | '<=' | '>' | '>=';
+
+type RuleFunction = 'present' | 'exactlyOne';
+
+const RULE_FUNCTIONS: readonly RuleFunction[] = ['present', 'exactlyOne'];
+
+/**
+ * What a rule expression evaluates to. Timestamps compare as instants, dates
+ * and strings as text, and integers and decimals as numbers. Other field
+ * types can only be tested with present().
+ */
+type ValueKind =
+  | 'boolean'
+  | 'string'
+  | 'number'
+  | 'timestamp'
+  | 'date'
+  | 'null'
+  | 'other';
+
+const FIELD_KINDS: Partial<Record<FieldType, ValueKind>> = {
+  string: 'string',
+  uuid: 'string',
+  number: 'number',
+  integer: 'number',
+  decimal: 'number',
+  boolean: 'boolean',
+  timestamp: 'timestamp',
+  date: 'date',
+};
+
+const ORDERED_KINDS: readonly ValueKind[] = [
+  'string',
+  'number',
+  'timestamp',
+  'date',
+];
+
+const RULE_PROPERTIES = ['name', 'description', 'when', 'assert', 'message'];
+
+interface Token {
+  type: 'string' | 'number' | 'identifier' | 'operator' | 'end';
+  text: string;
+  value?: string | number;
+  position: number;
+}
+
+const OPERATORS = [
+  '==',
+  '!=',
+  '<=',
+  '>=',
+  '&&',
+  '||',
+  '<',
+  '>',
+  '!',
+  '(',
+  ')',
+  '[',
+  ']',
+  ',',
+  '.',
+];
+
+function tokenize(source: string): Token[] {
+  const tokens: Token[] = [];
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+    if (char === "'" || char === '"') {
+      let value = '';
+      let j = i + 1;
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === '\\' && j + 1 < source.length) {
+          j++;
+        }
+        value += source[j++];
+      }
+      if (j >= source.length) {
+        throw new Error(`unterminated string at position ${i}`);
+      }
+      tokens.push({
+        type: 'string',
+        text: source.slice(i, j + 1),
+        value,
+        position: i,
+      });
+      i = j + 1;
+      continue;
+    }
+    const number = /^-?\d+(?:\.\d+)?/.exec(source.slice(i));
+    if (number) {
+      tokens.push({
+        type: 'number',
+        text: number[0],
+        value: Number(number[0]),
+        position: i,
+      });
+      i += number[0].length;
+      continue;
+    }
+    const identifier = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+    if (identifier) {
+      tokens.push({ type: 'identifier', text: identifier[0], position: i });
+      i += identifier[0].length;
+      continue;
+    }
+    const operator = OPERATORS.find(op => source.startsWith(op, i));
+    if (!operator) {
+      throw new Error(`unexpected '${char}' at position ${i}`);
+    }
+    tokens.push({ type: 'operator', text: operator, position: i });
+    i += operator.length;
+  }
+  tokens.push({ type: 'end', text: 'end of expression', position: i });
+  return tokens;
+}
+
+/**
+ * Parses a rule expression such as
+ * "status == 'cancelled' && present(cancellationReason)". Throws with the
+ * position of the first syntax error.
+ */
+export function parseRuleExpression(source: string): RuleExpression {
+  const tokens = tokenize(source);
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const fail = (token: Token): never => {
+    throw new Error(
+      token.type === 'end'
+        ? 'unexpected end of expression'
+        : `unexpected '${token.text}' at position ${token.position}`
+    );
+  };
+  const accept = (text: string): boolean => {
+    if (peek().type === 'operator' && peek().text === text) {
+      index++;
+      return true;
+    }
+    return false;
+  };
+  const expect = (text: string) => {
+    if (!accept(text)) {
+      fail(peek());
+    }
+  };
+
+  const parsePath = (): string[] => {
+    const first = next();
+    if (first.type !== 'identifier') {
+      fail(first);
+    }
+    const path = [first.text];
+    while (accept('.')) {
+      const part = next();
+      if (part.type !== 'identifier') {
+        fail(part);
+      }
+      path.push(part.text);
+    }
+    return path;
+  };
+
+  const parseLiteral = (): string | number => {
+    const token = next();
+    if (token.type !== 'string' && token.type !== 'number') {
+      fail(token);
+    }
+    return token.value as string | number;
+  };
+
+  const parseOperand = (): RuleExpression => {
+    const token = peek();
+    if (accept('(')) {
+      const inner = parseOr();
+      expect(')');
+      return inner;
+    }
+    if (token.type === 'string' || token.type === 'number') {
+      index++;
+      return { kind: 'literal', value: token.value as string | number };
+    }
+    if (token.type !== 'identifier') {
+      return fail(token);
+    }
+    if (['true', 'false', 'null'].includes(token.text)) {
+      index++;
+      return {
+        kind: 'literal',
+        value: token.text === 'null' ? null : token.text === 'true',
+      };
+    }
+    const following = tokens[index + 1];
+    if (following.type === 'operator' && following.text === '(') {
+      if (!RULE_FUNCTIONS.includes(token.text as RuleFunction)) {
+        throw new Error(
+          `unknown function '${token.text}' at position ${token.position}; expected one of: ${RULE_FUNCTIONS.join(', ')}`
+        );
+      }
+      index += 2;
+      const args = [parsePath()];
+      while (accept(',')) {
+        args.push(parsePath());
+      }
+      expect(')');
+      return { kind: 'call', name: token.text as RuleFunction, args };
+    }
+    return { kind: 'field', path: parsePath() };
+  };
+
+  const parseComparison = (): RuleExpression => {
+    const left = parseOperand();
+    const token = peek();
+    if (token.type === 'identifier' && token.text === 'in') {
+      index++;
+      expect('[');
+      const values = [parseLiteral()];
+      while (accept(',')) {
+        values.push(parseLiteral());
+      }
+      expect(']');
+      return { kind: 'in', operand: left, values };
+    }
+    const op = ['==', '!=', '<', '<=', '>', '>='].find(o => accept(o));
+    if (!op) {
+      return left;
+    }
+    return {
+      kind: 'compare',
+      op: op as CompareOperator,
+      left,
+      right: parseOperand(),
+    };
+  };
+
+  const parseNot = (): RuleExpression =>
+    accept('!') ? { kind: 'not', operand: parseNot() } : parseComparison();
+
+  const parseAnd = (): RuleExpression => {
+    let left = parseNot();
+    while (accept('&&')) {
+      left = { kind: 'logical', op: '&&', left, right: parseNot() };
+    }
+    return left;
+  };
+
+  function parseOr(): RuleExpression {
+    let left = parseAnd();
+    while (accept('||')) {
+      left = { kind: 'logical', op: '||', left, right: parseAnd() };
+    }
+    return left;
+  }
+
+  const expression = parseOr();
+  if (peek().type !== 'end') {
+    fail(peek());
+  }
+  return expression;
+}
+
+/**
+ * Find the field a dotted path names, descending through map fields.
+ * Throws a message naming the first part that does not resolve.
+ */
+function resolveRuleField(
+  fields: readonly NestedField[],
+  path: string[]
+): NestedField {
+  let current = fields;
+  let field: NestedField | undefined;
+  path.forEach((name, index) => {
+    if (index > 0) {
+      if (field?.type !== 'map') {
+        throw new Error(
+          `'${path.slice(0, index).join('.')}' is not a map field`
+        );
+      }
+      current = field.fields ?? [];
+    }
+    field = current.find(f => f && f.name === name);
+    if (!field) {
+      const label = path.slice(0, index + 1).join('.');
+      const suggestion = closestMatch(
+        name,
+        current.map(f => f?.name)
+      );
+      throw new Error(
+        `field '${label}' does not match any field${suggestion ? `; did you mean '${suggestion}'?` : ''}`
+      );
+    }
+  });
+  return field as NestedField;
+}
+
+function fieldKind(fields: readonly NestedField[], path: string[]): ValueKind {
+  return FIELD_KINDS[resolveRuleField(fields, path).type] ?? 'other';
+}
+
+function literalKind(value: unknown): ValueKind {
+  if (value === null) {
+    return 'null';
+  }
+  return typeof value as ValueKind;
+}
+
+/**
+ * Kind both sides of a comparison are converted to: the field's kind when
+ * one side is a field, otherwise the literal's.
+ */
+function comparisonKind(
+  fields: readonly NestedField[],
+  left: RuleExpression,
+  right: RuleExpression
+): ValueKind {
+  for (const side of [left, right]) {
+    if (side.kind === 'field') {
+      return fieldKind(fields, side.path);
+    }
+  }
+  return left.kind === 'literal' ? literalKind(left.value) : 'boolean';
+}
+
+/**
+ * Check that an expression's fields exist and its operands have compatible
+ * types; returns the kind it evaluates to. Throws a message describing the
+ * first problem.
+ */
+function checkExpression(
+  expression: RuleExpression,
+  fields: readonly NestedField[]
+): ValueKind {
+  switch (expression.kind) {
+    case 'literal':
+      return literalKind(expression.value);
+    case 'field':
+      return fieldKind(fields, expression.path);
+    case 'call':
+      expression.args.forEach(path => resolveRuleField(fields, path));
+      if (expression.name === 'present' && expression.args.length !== 1) {
+        throw new Error('present() takes exactly one field');
+      }
+      if (expression.name === 'exactlyOne' && expression.args.length < 2) {
+        throw new Error('exactlyOne() takes at least two fields');
+      }
+      return 'boolean';
+    case 'not':
+      requireBoolean(expression.operand, fields, "operand of '!'");
+      return 'boolean';
+    case 'logical':
+      requireBoolean(expression.left, fields, `operand of '${expression.op}'`);
+      requireBoolean(expression.right, fields, `operand of '${expression.op}'`);
+      return 'boolean';
+    case 'in': {
+      const kind = checkExpression(expression.operand, fields);
+      if (kind !== 'string' && kind !== 'number') {
+        throw new Error(`'in' needs a string or number, not ${kind}`);
+      }
+      for (const value of expression.values) {
+        checkLiteralAgainst(expression.operand, value, kind, fields);
+      }
+      return 'boolean';
+    }
+    case 'compare': {
+      const { op, left, right } = expression;
+      const leftKind = checkExpression(left, fields);
+      const rightKind = checkExpression(right, fields);
+      const equality = op === '==' || op === '!=';
+      if (equality && (leftKind === 'null' || rightKind === 'null')) {
+        return 'boolean';
+      }
+      const kind = comparisonKind(fields, left, right);
+      if (kind === 'other') {
+        throw new Error(
+          `'${op}' cannot compare list, map, set, union or binary fields; use present()`
+        );
+      }
+      for (const [side, sideKind, other] of [
+        [left, leftKind, right],
+        [right, rightKind, left],
+      ] as const) {
+        if (side.kind === 'literal' && other.kind === 'field') {
+          checkLiteralAgainst(other, side.value, kind, fields);
+        } else if (sideKind !== kind) {
+          throw new Error(
+            `cannot compare ${leftKind} with ${rightKind} using '${op}'`
+          );
+        }
+      }
+      if (!equality && !ORDERED_KINDS.includes(kind)) {
+        throw new Error(`'${op}' cannot compare ${kind} values`);
+      }
+      return 'boolean';
+    }
+  }
+}
+
+function requireBoolean(
+  expression: RuleExpression,
+  fields: readonly NestedField[],
+  what: string
+): void {
+  const kind = checkExpression(expression, fields);
+  if (kind !== 'boolean') {
+    throw new Error(`${what} must be a condition, not ${kind}`);
+  }
+}
+
+/**
+ * Check a literal compared with a field: it must have the field's kind,
+ * timestamps and dates must be valid ISO 8601 text, and enum fields must
+ * list the value.
+ */
+function checkLiteralAgainst(
+  fieldExpression: RuleExpression,
+  value: unknown,
+  kind: ValueKind,
+  fields: readonly NestedField[]
+): void {
+  const label =
+    fieldExpression.kind === 'field' ? fieldExpression.path.join('.') : '';
+  const textKind = kind === 'timestamp' || kind === 'date';
+  const expected = textKind ? 'string' : kind;
+  if (literalKind(value) !== expected) {
+    throw new Error(
+      `cannot compare ${kind} '${label}' with ${JSON.stringify(value)}`
+    );
+  }
+  if (kind === 'timestamp' && !isIsoTimestamp(value as string)) {
+    throw new Error(`'${value}' is not an ISO 8601 timestamp`);
+  }
+  if (kind === 'date' && !isIsoDate(value as string)) {
+    throw new Error(`'${value}' is not an ISO 8601 date (YYYY-MM-DD)`);
+  }
+  if (fieldExpression.kind === 'field') {
+    const field = resolveRuleField(fields, fieldExpression.path);
+    if (field.enum && !field.enum.includes(value as string)) {
+      throw new Error(
+        `'${label}' can never be ${JSON.stringify(value)}; expected one of: ${field.enum.join(', ')}`
+      );
+    }
+  }
+}
+
+/**
+ * Validate the rules section: each rule has a unique name and an assert
+ * expression, optionally guarded by a when expression, whose field
+ * references and operand types are checked against the blueprint.
+ */
+export function validateRules(
+  rules: unknown,
+  fields: any[],
+  reporter: DiagnosticReporter
+): EntityRule[] | undefined {
+  if (!Array.isArray(rules)) {
+    reporter.error(
+      'invalid-rule',
+      '/rules',
+      'Schema rules must be an array of rules'
+    );
+    return undefined;
+  }
+
+  const names = new Set<string>();
+  const validated: EntityRule[] = [];
+  rules.forEach((rule, index) => {
+    const path = pointer('/rules', index);
+    if (!isPlainObject(rule)) {
+      reporter.error('invalid-rule', path, 'Rule must be an object');
+      return;
+    }
+    const name = typeof rule.name === 'string' ? rule.name : '(unnamed)';
+    if (typeof rule.name !== 'string' || !rule.name) {
+      reporter.error(
+        'invalid-rule',
+        pointer(path, 'name'),
+        'Rule must have a name'
+      );
+    } else if (names.has(rule.name)) {
+      reporter.error(
+        'duplicate-rule',
+        pointer(path, 'name'),
+        `Duplicate rule name '${name}'`
+      );
+    }
+    names.add(rule.name as string);
+
+    if (rule.assert === undefined) {
+      reporter.error(
+        'invalid-rule',
+        pointer(path, 'assert'),
+        `Rule '${name}' must have an assert expression`
+      );
+    }
+    for (const key of ['when', 'assert'] as const) {
+      if (rule[key] === undefined) {
+        continue;
+      }
+      const expressionPath = pointer(path, key);
+      if (typeof rule[key] !== 'string') {
+        reporter.error(
+          'invalid-rule',
+          expressionPath,
+          `Rule '${name}' ${key} must be an expression string`
+        );
+        continue;
+      }
+      try {
+        const kind = checkExpression(parseRuleExpression(rule[key]), fields);
+        if (kind !== 'boolean') {
+          throw new Error(`must be a condition, not ${kind}`);
+        }
+      } catch (error) {
+        reporter.error(
+          'invalid-rule',
+          expressionPath,
+          `Rule '${name}' ${key}: ${(error as Error).message}`
+        );
+      }
+    }
+    for (const key of ['description', 'message']) {
+      if (rule[key] !== undefined && typeof rule[key] !== 'string') {
+        reporter.error(
+          'invalid-rule',
+          pointer(path, key),
+          `Rule '${name}' ${key} must be a string`
+        );
+      }
+    }
+
+    validated.push(
+      Object.fromEntries(
+        RULE_PROPERTIES.filter(key => rule[key] !== undefined).map(key => [
+          key,
+          rule[key],
+        ])
+      ) as unknown as EntityRule
+    );
+  });
+  return validated;
+}
+
+/**
+ * A rule whose expressions were parsed against a blueprint's fields.
+ */
+interface BoundRule {
+  rule: EntityRule;
+  when?: RuleExpression;
+  assert: RuleExpression;
+  /** JSON Pointer to the first field the assertion reads */
+  path: string;
+}
+
+const boundRules = new WeakMap<SchemaData, BoundRule[]>();
+
+function bindRules(schema: SchemaData): BoundRule[] {
+  let bound = boundRules.get(schema);
+  if (!bound) {
+    bound = (schema.rules ?? []).map(rule => {
+      const assert = parseRuleExpression(rule.assert);
+      return {
+        rule,
+        when:
+          rule.when === undefined ? undefined : parseRuleExpression(rule.when),
+        assert,
+        path: pointer('', ...(firstFieldPath(assert) ?? [])),
+      };
+    });
+    boundRules.set(schema, bound);
+  }
+  return bound;
+}
+
+function firstFieldPath(expression: RuleExpression): string[] | undefined {
+  switch (expression.kind) {
+    case 'field':
+      return expression.path;
+    case 'call':
+      return expression.args[0];
+    case 'not':
+      return firstFieldPath(expression.operand);
+    case 'in':
+      return firstFieldPath(expression.operand);
+    case 'logical':
+    case 'compare':
+      return (
+        firstFieldPath(expression.left) ?? firstFieldPath(expression.right)
+      );
+    default:
+      return undefined;
+  }
+}
+
+function ruleMessage(rule: EntityRule): string {
+  return rule.message ?? `Rule '${rule.name}' failed: ${rule.assert}`;
+}
+
+/**
+ * Evaluate a blueprint's rules against a record whose fields are valid,
+ * adding a 'rule' error for each assertion that fails. Rules whose when
+ * condition is false are skipped.
+ */
+export function evaluateRules(
+  schema: SchemaData,
+  item: Record<string, unknown>,
+  errors: RecordError[]
+): void {
+  for (const { rule, when, assert, path } of bindRules(schema)) {
+    if (when && !evaluate(when, item, schema.fields)) {
+      continue;
+    }
+    if (!evaluate(assert, item, schema.fields)) {
+      errors.push({ code: 'rule', path, message: ruleMessage(rule) });
+    }
+  }
+}
+
+/**
+ * Read the value at a path; null and missing values read as undefined.
+ */
+function ruleValue(
+  item: Record<string, unknown>,
+  path: string[],
+  kind: ValueKind
+): unknown {
+  let value: unknown = item;
+  for (const key of path) {
+    if (!isPlainObject(value)) {
+      return undefined;
+    }
+    value = value[key];
+  }
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  return convert(value, kind);
+}
+
+/**
+ * Convert a value to the form it is compared in: timestamps to epoch
+ * milliseconds and numbers (including numeric decimal strings) to numbers.
+ */
+function convert(value: unknown, kind: ValueKind): unknown {
+  if (value === null) {
+    return undefined;
+  }
+  if (kind === 'timestamp') {
+    return Date.parse(value as string);
+  }
+  if (kind === 'number') {
+    return Number(value);
+  }
+  return value;
+}
+
+function compareValues(op: CompareOperator, a: unknown, b: unknown): boolean {
+  if (op === '==') {
+    return a === b;
+  }
+  if (op === '!=') {
+    return a !== b;
+  }
+  if (a === undefined || b === undefined) {
+    return false;
+  }
+  const x = a as number;
+  const y = b as number;
+  return op === '<'
+    ? x < y
+    : op === '<='
+      ? x <= y
+      : op === '>'
+        ? x > y
+        : x >= y;
+}
+
+function evaluate(
+  expression: RuleExpression,
+  item: Record<string, unknown>,
+  fields: readonly NestedField[]
+): unknown {
+  switch (expression.kind) {
+    case 'literal':
+      return expression.value ?? undefined;
+    case 'field':
+      return ruleValue(
+        item,
+        expression.path,
+        fieldKind(fields, expression.path)
+      );
+    case 'call': {
+      // present() takes one field, so both functions hold when exactly one
+      // of their fields has a value
+      const present = expression.args.filter(
+        path => ruleValue(item, path, 'other') !== undefined
+      ).length;
+      return present === 1;
+    }
+    case 'not':
+      return !evaluate(expression.operand, item, fields);
+    case 'logical':
+      return expression.op === '&&'
+        ? !!evaluate(expression.left, item, fields) &&
+            !!evaluate(expression.right, item, fields)
+        : !!evaluate(expression.left, item, fields) ||
+            !!evaluate(expression.right, item, fields);
+    case 'in': {
+      const value = evaluate(expression.operand, item, fields);
+      return value !== undefined && expression.values.includes(value as any);
+    }
+    case 'compare': {
+      const kind = comparisonKind(fields, expression.left, expression.right);
+      const side = (operand: RuleExpression) =>
+        operand.kind === 'literal'
+          ? convert(operand.value, kind)
+          : evaluate(operand, item, fields);
+      return compareValues(
+        expression.op,
+        side(expression.left),
+        side(expression.right)
+      );
+    }
+  }
+}
+
+/**
+ * Helpers used by the rule checks of generated record validators; they
+ * mirror ruleValue and compareValues.
+ */
+export const RULES_RUNTIME_SOURCE = `function ruleValue(item, path, kind) {
+  let value = item;
+  for (const key of path) {
+    if (!isPlainObject(value)) return undefined;
+    value = value[key];
+  }
+  if (value === undefined || value === null) return undefined;
+  return kind === 'timestamp' ? Date.parse(value) : kind === 'number' ? Number(value) : value;
+}
+
+function ruleCompare(op, a, b) {
+  if (op === '==') return a === b;
+  if (op === '!=') return a !== b;
+  if (a === undefined || b === undefined) return false;
+  return op === '<' ? a < b : op === '<=' ? a <= b : op === '>' ? a > b : a >= b;
+}`;
+
+/**
+ * Emits the rule checks of a generated record validator: JavaScript
+ * statements run after the field checks, adding to `errors` for `item`.
+ */
+export function generateRulesSource(
+  schema: SchemaData,
+  indent: string
+): string[] {
+  const lit = (value: unknown) =>
+    value === undefined ? 'undefined' : JSON.stringify(value);
+  const fields = schema.fields;
+
+  const emit = (expression: RuleExpression): string => {
+    switch (expression.kind) {
+      case 'literal':
+        return lit(expression.value ?? undefined);
+      case 'field':
+        return `ruleValue(item, ${lit(expression.path)}, ${lit(fieldKind(fields, expression.path))})`;
+      case 'call': {
+        const values = expression.args.map(
+          path => `ruleValue(item, ${lit(path)}, 'other')`
+        );
+        return `([${values.join(', ')}].filter(v => v !== undefined).length === 1)`;
+      }
+      case 'not':
+        return `!(${emit(expression.operand)})`;
+      case 'logical':
+        return `(!!(${emit(expression.left)}) ${expression.op} !!(${emit(expression.right)}))`;
+      case 'in': {
+        const valueVar = `(${emit(expression.operand)})`;
+        return `(${valueVar} !== undefined && ${lit(expression.values)}.includes(${valueVar}))`;
+      }
+      case 'compare': {
+        const kind = comparisonKind(fields, expression.left, expression.right);
+        const side = (operand: RuleExpression) =>
+          operand.kind === 'literal'
+            ? lit(convert(operand.value, kind))
+            : emit(operand);
+        return `ruleCompare(${lit(expression.op)}, ${side(expression.left)}, ${side(expression.right)})`;
+      }
+    }
+  };
+
+  const lines: string[] = [];
+  for (const { rule, when, assert, path } of bindRules(schema)) {
+    const condition = when
+      ? `!!(${emit(when)}) && !(${emit(assert)})`
+      : `!(${emit(assert)})`;
+    lines.push(
+      `${indent}if (${condition}) {`,
+      `${indent}  errors.push({ code: 'rule', path: ${lit(path)}, message: ${lit(ruleMessage(rule))} });`,
+      `${indent}}`
+    );
+  }
+  return lines;
+}
@@ -0,0 +1,223 @@
+/**
+ * Semantic formats for string fields, shared by schema validation, record
+ * validation and compiled validators.
+ */
+import { StringFormat } from '../types';
+import { ISO_DATE_REGEX, UUID_REGEX, isIsoDate } from './formats';
+
+/**
+ * How a format recognizes its values: a regex, a closed list of codes, or a
+ * helper function of the compiled validator runtime.
+ */
+export interface StringFormatDefinition {
+  /** Human-readable description for documentation and generators */
+  description: string;
+  pattern?: RegExp;
+  values?: readonly string[];
+  /** Name of the compiled validator runtime helper that checks the format */
+  runtime?: 'isIsoDate' | 'isIpv6';
+  /**
+   * Typical values of an open format. A constraint pattern matching none of
+   * them probably conflicts with the format.
+   */
+  samples?: readonly string[];
+  /** Length of the shortest value the format accepts */
+  minLength: number;
+  /** Length of the longest value the format accepts, if bounded */
+  maxLength?: number;
+}
+
+export const IPV4_REGEX =
+  /^(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/;
+
+/**
+ * Returns true for an IPv6 address in any RFC 4291 text form, including
+ * '::' compression and a trailing IPv4 part. Zone identifiers are rejected.
+ */
+export function isIpv6(value: string): boolean {
+  let address = value;
+  if (address.includes('.')) {
+    const lastColon = address.lastIndexOf(':');
+    if (lastColon < 0 || !IPV4_REGEX.test(address.slice(lastColon + 1))) {
+      return false;
+    }
+    // The IPv4 part takes the place of two groups
+    address = `${address.slice(0, lastColon + 1)}0:0`;
+  }
+  const halves = address.split('::');
+  if (halves.length > 2) {
+    return false;
+  }
+  const groups = halves.flatMap(half => (half === '' ? [] : half.split(':')));
+  if (!groups.every(group => /^[0-9a-fA-F]{1,4}$/.test(group))) {
+    return false;
+  }
+  return halves.length === 2 ? groups.length < 8 : groups.length === 8;
+}
+
+/**
+ * ISO 3166-1 alpha-2 country codes.
+ */
+const ISO_COUNTRY_CODES = `
+  AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ
+  BL BM BN BO BQ BR BS BT BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN CO CR
+  CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI FJ FK FM FO FR
+  GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM HN HR HT HU
+  ID IE IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN KP KR KW KY KZ
+  LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ
+  MR MS MT MU MV MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF
+  PG PH PK PL PM PN PR PS PT PW PY QA RE RO RS RU RW SA SB SC SD SE SG SH SI
+  SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO TR
+  TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM ZW
+`
+  .trim()
+  .split(/\s+/);
+
+/**
+ * ISO 4217 alphabetic currency codes in current use, including fund and
+ * precious metal codes.
+ */
+const ISO_CURRENCY_CODES = `
+  AED AFN ALL AMD AOA ARS AUD AWG AZN BAM BBD BDT BGN BHD BIF BMD BND BOB BOV
+  BRL BSD BTN BWP BYN BZD CAD CDF CHE CHF CHW CLF CLP CNY COP COU CRC CUP CVE
+  CZK DJF DKK DOP DZD EGP ERN ETB EUR FJD FKP GBP GEL GHS GIP GMD GNF GTQ GYD
+  HKD HNL HTG HUF IDR ILS INR IQD IRR ISK JMD JOD JPY KES KGS KHR KMF KPW KRW
+  KWD KYD KZT LAK LBP LKR LRD LSL LYD MAD MDL MGA MKD MMK MNT MOP MRU MUR MVR
+  MWK MXN MXV MYR MZN NAD NGN NIO NOK NPR NZD OMR PAB PEN PGK PHP PKR PLN PYG
+  QAR RON RSD RUB RWF SAR SBD SCR SDG SEK SGD SHP SLE SOS SRD SSP STN SVC SYP
+  SZL THB TJS TMT TND TOP TRY TTD TWD TZS UAH UGX USD USN UYI UYU UYW UZS VED
+  VES VND VUV WST XAF XAG XAU XBA XBB XBC XBD XCD XCG XDR XOF XPD XPF XPT XSU
+  XTS XUA XXX YER ZAR ZMW ZWG
+`
+  .trim()
+  .split(/\s+/);
+
+export const STRING_FORMATS: Record<StringFormat, StringFormatDefinition> = {
+  email: {
+    description: 'Email address (addr-spec without comments or quoting)',
+    pattern:
+      /^[a-z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)*$/i,
+    minLength: 3,
+    samples: [
+      'user@example.com',
+      'first.last+tag@mail.example.org',
+      'USER_1@EXAMPLE.COM',
+    ],
+  },
+  uri: {
+    description: 'Absolute URI with a scheme, e.g. https://example.com/a',
+    pattern: /^[a-z][a-z0-9+\-.]*:[^\s]*$/i,
+    minLength: 2,
+    samples: [
+      'https://example.com/path?q=1',
+      'http://example.com',
+      'urn:isbn:0451450523',
+      'mailto:user@example.com',
+    ],
+  },
+  uuid: {
+    description: 'UUID in 8-4-4-4-12 hex form',
+    pattern: UUID_REGEX,
+    minLength: 36,
+    maxLength: 36,
+    samples: [
+      '123e4567-e89b-12d3-a456-426614174000',
+      '550E8400-E29B-41D4-A716-446655440000',
+    ],
+  },
+  ipv4: {
+    description: 'IPv4 address in dotted-decimal form',
+    pattern: IPV4_REGEX,
+    minLength: 7,
+    maxLength: 15,
+    samples: ['192.168.0.1', '10.0.0.255', '8.8.8.8'],
+  },
+  ipv6: {
+    description: 'IPv6 address',
+    runtime: 'isIpv6',
+    minLength: 2,
+    maxLength: 45,
+    samples: [
+      '2001:db8::1',
+      '::1',
+      'fe80::1ff:fe23:4567:890a',
+      '2001:DB8:0:0:0:0:0:1',
+    ],
+  },
+  hostname: {
+    description: 'DNS host name (RFC 1123)',
+    pattern:
+      /^(?=.{1,253}\.?$)[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)*\.?$/i,
+    minLength: 1,
+    maxLength: 254,
+    samples: ['example.com', 'api.example.com', 'localhost', 'EXAMPLE.COM'],
+  },
+  date: {
+    description: 'ISO 8601 calendar date (YYYY-MM-DD)',
+    pattern: ISO_DATE_REGEX,
+    runtime: 'isIsoDate',
+    minLength: 10,
+    maxLength: 10,
+    samples: ['2024-01-15', '1999-12-31'],
+  },
+  time: {
+    description: 'ISO 8601 time of day, e.g. 14:30:00 or 14:30:00.5+02:00',
+    pattern:
+      /^(?:[01]\d|2[0-3]):[0-5]\d:(?:[0-5]\d|60)(?:\.\d+)?(?:Z|[+-](?:[01]\d|2[0-3]):?[0-5]\d)?$/i,
+    minLength: 8,
+    samples: ['14:30:00', '09:05:00Z', '23:59:59.5+02:00'],
+  },
+  duration: {
+    description: 'ISO 8601 duration, e.g. P1DT12H or P2W',
+    pattern:
+      /^P(?!$)(?:(?:\d+Y)?(?:\d+M)?(?:\d+D)?(?:T(?=\d)(?:\d+H)?(?:\d+M)?(?:\d+(?:\.\d+)?S)?)?|\d+W)$/,
+    minLength: 3,
+    samples: ['P1D', 'PT12H', 'P1Y2M3DT4H5M6S', 'P2W'],
+  },
+  'e164-phone': {
+    description: 'E.164 phone number, e.g. +14155552671',
+    pattern: /^\+[1-9]\d{1,14}$/,
+    minLength: 3,
+    maxLength: 16,
+    samples: ['+14155552671', '+442071838750', '+81312345678'],
+  },
+  'iso-country': {
+    description: 'ISO 3166-1 alpha-2 country code, e.g. US',
+    values: ISO_COUNTRY_CODES,
+    minLength: 2,
+    maxLength: 2,
+  },
+  'iso-currency': {
+    description: 'ISO 4217 currency code, e.g. EUR',
+    values: ISO_CURRENCY_CODES,
+    minLength: 3,
+    maxLength: 3,
+  },
+};
+
+export function isStringFormat(name: unknown): name is StringFormat {
+  return (
+    typeof name === 'string' &&
+    Object.prototype.hasOwnProperty.call(STRING_FORMATS, name)
+  );
+}
+
+/**
+ * Returns true when value is a string in the given format.
+ */
+export function matchesFormat(format: StringFormat, value: unknown): boolean {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  switch (format) {
+    case 'date':
+      return isIsoDate(value);
+    case 'ipv6':
+      return isIpv6(value);
+  }
+  const definition = STRING_FORMATS[format];
+  if (definition.values) {
+    return definition.values.includes(value);
+  }
+  return definition.pattern?.test(value) ?? false;
+}
@@ -0,0 +1,50 @@
+/**
+ * "Did you mean" suggestions for misspelled names.
+ */
+
+/**
+ * Levenshtein edit distance between two strings.
+ */
+export function editDistance(a: string, b: string): number {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Returns the candidate closest to name, or undefined when none is close
+ * enough to be a plausible typo. Case differences count as one edit.
+ */
+export function closestMatch(
+  name: string,
+  candidates: readonly string[]
+): string | undefined {
+  const maxDistance = Math.max(1, Math.floor(name.length / 3));
+  let best: string | undefined;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance =
+      candidate.toLowerCase() === name.toLowerCase()
+        ? 1
+        : editDistance(name, candidate);
+    if (distance <= maxDistance && distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
@@ -0,0 +1,344 @@
+import { dirname, resolve } from 'path';
+import {
+  FieldType,
+  ResolvedTableEntity,
+  TableData,
+  TableKeyAttribute,
+  TableKeyType,
+} from '../types';
+import {
+  DiagnosticReporter,
+  SchemaValidationError,
+  ValidationDiagnostic,
+  createReporter,
+  pointer,
+} from './diagnostics';
+import { ValidateSchemaOptions, isCI } from './index';
+import { isKeyTemplate } from './keys';
+import { readJson, resolveSchemaDetailed } from './resolve';
+import { reportUnknownTableProperties } from './unknown-properties';
+
+/**
+ * Result of resolveTableDetailed: every diagnostic, plus the table with its
+ * member blueprints when there were no errors.
+ */
+export interface TableValidationResult {
+  valid: boolean;
+  table?: TableData;
+  diagnostics: ValidationDiagnostic[];
+}
+
+const TABLE_KEY_TYPES: readonly TableKeyType[] = ['string', 'number', 'binary'];
+
+/**
+ * Table key type each blueprint key field type is stored as.
+ */
+const KEY_ATTRIBUTE_TYPES: Partial<Record<FieldType, TableKeyType>> = {
+  string: 'string',
+  timestamp: 'string',
+  date: 'string',
+  uuid: 'string',
+  number: 'number',
+  integer: 'number',
+  decimal: 'number',
+  binary: 'binary',
+};
+
+/**
+ * Reads a .bprint-table manifest, resolves its member blueprints, and checks
+ * that they can share the table: entity names and entity types are unique,
+ * and every member's primary key maps onto the table keys.
+ */
+export function resolveTableDetailed(
+  filePath: string,
+  options: ValidateSchemaOptions = {}
+): TableValidationResult {
+  const reporter = createReporter();
+  const file = resolve(filePath);
+
+  let manifest: any;
+  try {
+    manifest = readJson(file);
+  } catch (error) {
+    reporter.error('invalid-document', '', (error as Error).message);
+    return { valid: false, diagnostics: reporter.diagnostics };
+  }
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    reporter.error('invalid-document', '', 'Table must be a JSON object');
+    return { valid: false, diagnostics: reporter.diagnostics };
+  }
+
+  if (typeof manifest.tableName !== 'string' || !manifest.tableName) {
+    reporter.error(
+      'missing-property',
+      '/tableName',
+      'Table must include tableName field'
+    );
+  }
+  reportUnknownTableProperties(manifest, options.strict ?? isCI(), reporter);
+
+  const partitionKey = validateTableKey(
+    manifest.partitionKey,
+    'partitionKey',
+    reporter
+  );
+  const sortKey =
+    manifest.sortKey === undefined
+      ? undefined
+      : validateTableKey(manifest.sortKey, 'sortKey', reporter);
+  if (partitionKey && sortKey && partitionKey.name === sortKey.name) {
+    reporter.error(
+      'invalid-table-key',
+      '/sortKey/name',
+      `Table sortKey '${sortKey.name}' must differ from the partitionKey`
+    );
+  }
+
+  const entityTypeAttribute = manifest.entityTypeAttribute;
+  if (typeof entityTypeAttribute !== 'string' || !entityTypeAttribute) {
+    reporter.error(
+      'missing-property',
+      '/entityTypeAttribute',
+      'Table must include entityTypeAttribute field'
+    );
+  } else if (
+    entityTypeAttribute === partitionKey?.name ||
+    entityTypeAttribute === sortKey?.name
+  ) {
+    reporter.error(
+      'entity-type-conflict',
+      '/entityTypeAttribute',
+      `Table entityTypeAttribute '${entityTypeAttribute}' cannot be a key attribute`
+    );
+  }
+
+  if (!Array.isArray(manifest.entities) || manifest.entities.length === 0) {
+    reporter.error(
+      'invalid-table-entity',
+      '/entities',
+      'Table must include entities array with at least one entity'
+    );
+    return { valid: false, diagnostics: reporter.diagnostics };
+  }
+
+  const entities: ResolvedTableEntity[] = [];
+  const byName = new Map<string, string>();
+  const byType = new Map<string, string>();
+
+  manifest.entities.forEach((entry: any, index: number) => {
+    const path = pointer('/entities', index);
+    const entity = resolveEntity(entry, path, file, options, reporter);
+    if (!entity) {
+      return;
+    }
+    const { schema } = entity;
+    const name = schema.entityName;
+
+    const namedBy = byName.get(name);
+    if (namedBy !== undefined) {
+      reporter.error(
+        'duplicate-entity-name',
+        pointer(path, 'schema'),
+        `Entity name '${name}' in ${entry.schema} is already used by ${namedBy}`
+      );
+    } else {
+      byName.set(name, entry.schema);
+    }
+
+    const typedBy = byType.get(entity.entityType);
+    if (typedBy !== undefined) {
+      reporter.error(
+        'duplicate-entity-type',
+        pointer(path, entry.entityType === undefined ? 'schema' : 'entityType'),
+        `Entity type '${entity.entityType}' of ${entry.schema} is already used by ${typedBy}`
+      );
+    } else {
+      byType.set(entity.entityType, entry.schema);
+    }
+
+    if (schema.fields.some(field => field.name === entityTypeAttribute)) {
+      reporter.error(
+        'entity-type-conflict',
+        pointer(path, 'schema'),
+        `Entity '${name}' has a field named '${entityTypeAttribute}', which the table uses for the entity type`
+      );
+    }
+
+    if (partitionKey) {
+      checkKeyMapping(entity, 'partitionKey', partitionKey, path, reporter);
+    }
+    if (sortKey) {
+      checkKeyMapping(entity, 'sortKey', sortKey, path, reporter);
+    } else if (schema.primaryKey.sortKey !== undefined) {
+      reporter.error(
+        'table-key-mismatch',
+        pointer(path, 'schema'),
+        `Entity '${name}' has sortKey '${schema.primaryKey.sortKey}', but the table has no sort key`
+      );
+    }
+
+    entities.push(entity);
+  });
+
+  if (reporter.hasErrors() || !partitionKey) {
+    return { valid: false, diagnostics: reporter.diagnostics };
+  }
+
+  return {
+    valid: true,
+    table: {
+      tableName: manifest.tableName,
+      description: manifest.description,
+      partitionKey,
+      sortKey,
+      entityTypeAttribute,
+      entities,
+    },
+    diagnostics: reporter.diagnostics,
+  };
+}
+
+/**
+ * Like resolveTableDetailed, but returns the table and throws a
+ * SchemaValidationError listing every problem found.
+ */
+export function resolveTable(
+  filePath: string,
+  options: ValidateSchemaOptions = {}
+): TableData {
+  const result = resolveTableDetailed(filePath, options);
+  if (!result.valid || !result.table) {
+    throw new SchemaValidationError(result.diagnostics);
+  }
+  return result.table;
+}
+
+function validateTableKey(
+  key: any,
+  keyName: 'partitionKey' | 'sortKey',
+  reporter: DiagnosticReporter
+): TableKeyAttribute | undefined {
+  const path = pointer('', keyName);
+  if (!key || typeof key !== 'object' || Array.isArray(key)) {
+    reporter.error(
+      'invalid-table-key',
+      path,
+      `Table ${keyName} must be an object with name and type`
+    );
+    return undefined;
+  }
+  let valid = true;
+  if (typeof key.name !== 'string' || !key.name) {
+    reporter.error(
+      'invalid-table-key',
+      pointer(path, 'name'),
+      `Table ${keyName} must have a non-empty name`
+    );
+    valid = false;
+  }
+  if (!TABLE_KEY_TYPES.includes(key.type)) {
+    reporter.error(
+      'invalid-table-key',
+      pointer(path, 'type'),
+      `Table ${keyName} type must be one of: ${TABLE_KEY_TYPES.join(', ')}`
+    );
+    valid = false;
+  }
+  return valid ? { name: key.name, type: key.type } : undefined;
+}
+
+/**
+ * Resolve one entry of the entities array. The member blueprint's own
+ * diagnostics are reported at the entry's schema path, naming its file.
+ */
+function resolveEntity(
+  entry: any,
+  path: string,
+  file: string,
+  options: ValidateSchemaOptions,
+  reporter: DiagnosticReporter
+): ResolvedTableEntity | undefined {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    reporter.error(
+      'invalid-table-entity',
+      path,
+      'Table entities must be objects with a schema path'
+    );
+    return undefined;
+  }
+  if (typeof entry.schema !== 'string' || !entry.schema) {
+    reporter.error(
+      'invalid-table-entity',
+      pointer(path, 'schema'),
+      'Table entity must include the path of its .bprint file'
+    );
+    return undefined;
+  }
+  if (
+    entry.entityType !== undefined &&
+    (typeof entry.entityType !== 'string' || !entry.entityType)
+  ) {
+    reporter.error(
+      'invalid-table-entity',
+      pointer(path, 'entityType'),
+      'Table entity entityType must be a non-empty string'
+    );
+    return undefined;
+  }
+
+  const schemaFile = resolve(dirname(file), entry.schema);
+  const result = resolveSchemaDetailed(schemaFile, options);
+  for (const d of result.diagnostics) {
+    reporter.diagnostics.push({
+      ...d,
+      path: pointer(path, 'schema'),
+      message: `${entry.schema}${d.path ? ` (${d.path})` : ''}: ${d.message}`,
+    });
+  }
+  if (!result.schema) {
+    return undefined;
+  }
+  return {
+    entityType: entry.entityType ?? result.schema.entityName,
+    file: schemaFile,
+    schema: result.schema,
+  };
+}
+
+function checkKeyMapping(
+  entity: ResolvedTableEntity,
+  keyName: 'partitionKey' | 'sortKey',
+  tableKey: TableKeyAttribute,
+  path: string,
+  reporter: DiagnosticReporter
+): void {
+  const { schema } = entity;
+  const fieldName = schema.primaryKey[keyName];
+  if (fieldName === undefined) {
+    reporter.error(
+      'table-key-mismatch',
+      pointer(path, 'schema'),
+      `Entity '${schema.entityName}' has no ${keyName}, but the table has ${keyName} '${tableKey.name}'`
+    );
+    return;
+  }
+  if (isKeyTemplate(fieldName)) {
+    if (tableKey.type !== 'string') {
+      reporter.error(
+        'table-key-mismatch',
+        pointer(path, 'schema'),
+        `Entity '${schema.entityName}' ${keyName} template '${fieldName}' builds strings, which cannot be stored in the table's ${tableKey.type} key '${tableKey.name}'`
+      );
+    }
+    return;
+  }
+  const field = schema.fields.find(f => f.name === fieldName);
+  const keyType = field && KEY_ATTRIBUTE_TYPES[field.type];
+  if (field && keyType !== tableKey.type) {
+    reporter.error(
+      'table-key-mismatch',
+      pointer(path, 'schema'),
+      `Entity '${schema.entityName}' ${keyName} '${fieldName}' is a ${field.type} field, which cannot be stored in the table's ${tableKey.type} key '${tableKey.name}'`
+    );
+  }
+}
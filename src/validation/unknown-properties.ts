@@ -0,0 +1,290 @@
+import { DiagnosticReporter, pointer } from './diagnostics';
+import { closestMatch } from './suggest';
+
+/**
+ * Properties allowed at each level of a blueprint, mirroring the
+ * additionalProperties: false objects in bprint.schema.json.
+ */
+export const KNOWN_PROPERTIES = {
+  schema: [
+    'schemaVersion',
+    'entityName',
+    'description',
+    'primaryKey',
+    'fields',
+    'types',
+    'extends',
+    'abstract',
+    'indexes',
+    'accessPatterns',
+    'ttl',
+    'versionAttribute',
+    'deprecated',
+    'rules',
+  ],
+  primaryKey: ['partitionKey', 'sortKey'],
+  field: [
+    '$ref',
+    'name',
+    'nameOverride',
+    'type',
+    'required',
+    'default',
+    'enum',
+    'format',
+    'description',
+    'constraints',
+    'annotations',
+    'classification',
+    'deprecated',
+    'deprecatedValues',
+    'items',
+    'fields',
+    'discriminator',
+    'variants',
+  ],
+  constraints: [
+    'minLength',
+    'maxLength',
+    'pattern',
+    'min',
+    'max',
+    'precision',
+    'scale',
+    'minItems',
+    'maxItems',
+    'uniqueItems',
+  ],
+  items: ['type', 'enum', 'format', 'constraints', 'fields'],
+  variant: ['name', 'description', 'fields'],
+  typeDefinition: [
+    '$ref',
+    'type',
+    'description',
+    'enum',
+    'format',
+    'constraints',
+    'annotations',
+    'fields',
+  ],
+  index: ['name', 'type', 'partitionKey', 'sortKey', 'projection'],
+  projection: ['include'],
+  classification: ['level', 'categories', 'retention', 'masking'],
+  deprecation: ['since', 'reason', 'replacement'],
+  ttl: ['field', 'defaultRetention'],
+  accessPattern: ['name', 'description', 'index', 'keyFields', 'rangeField'],
+  rule: ['name', 'description', 'when', 'assert', 'message'],
+  table: [
+    'tableName',
+    'description',
+    'partitionKey',
+    'sortKey',
+    'entityTypeAttribute',
+    'entities',
+  ],
+  tableKey: ['name', 'type'],
+  tableEntity: ['schema', 'entityType'],
+} as const;
+
+type PropertyLevel = keyof typeof KNOWN_PROPERTIES;
+
+type PropertyCheck = (
+  value: any,
+  level: PropertyLevel,
+  path: string,
+  owner: string
+) => void;
+
+/**
+ * Returns a function reporting the properties of one object the spec does
+ * not define, suggesting the closest known name. Strict mode reports them
+ * as errors, otherwise as warnings.
+ */
+function propertyChecker(
+  strict: boolean,
+  reporter: DiagnosticReporter
+): PropertyCheck {
+  return (value, level, path, owner) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return;
+    }
+    const known: readonly string[] = KNOWN_PROPERTIES[level];
+    for (const key of Object.keys(value)) {
+      if (known.includes(key)) {
+        continue;
+      }
+      const suggestion = closestMatch(key, known);
+      const hint = suggestion ? `; did you mean '${suggestion}'?` : '';
+      const message = `Unknown property '${key}' in ${owner}${hint}`;
+      if (strict) {
+        reporter.error('unknown-property', pointer(path, key), message);
+      } else {
+        reporter.warning('unknown-property', pointer(path, key), message);
+      }
+    }
+  };
+}
+
+/**
+ * Report every property of a blueprint the spec does not define.
+ */
+export function reportUnknownProperties(
+  schema: any,
+  strict: boolean,
+  reporter: DiagnosticReporter
+): void {
+  const check = propertyChecker(strict, reporter);
+
+  // Nested fields take the same properties as top-level fields
+  const checkFields = (fields: any, basePath: string, parent?: string) => {
+    if (!Array.isArray(fields)) {
+      return;
+    }
+    fields.forEach((field, index) => {
+      if (!field || typeof field !== 'object') {
+        return;
+      }
+      const path = pointer(basePath, index);
+      const label =
+        parent === undefined ? field.name : `${parent}.${field.name}`;
+      check(
+        field,
+        'field',
+        path,
+        parent === undefined
+          ? `field '${field.name}'`
+          : `nested field '${field.name}' of '${parent}'`
+      );
+      check(
+        field.constraints,
+        'constraints',
+        pointer(path, 'constraints'),
+        `constraints of field '${label}'`
+      );
+      check(
+        field.classification,
+        'classification',
+        pointer(path, 'classification'),
+        `classification of field '${label}'`
+      );
+      check(
+        field.deprecated,
+        'deprecation',
+        pointer(path, 'deprecated'),
+        `deprecation of field '${label}'`
+      );
+      if (
+        field.deprecatedValues &&
+        typeof field.deprecatedValues === 'object'
+      ) {
+        for (const [value, deprecation] of Object.entries(
+          field.deprecatedValues
+        )) {
+          check(
+            deprecation,
+            'deprecation',
+            pointer(path, 'deprecatedValues', value),
+            `deprecation of value '${value}' of field '${label}'`
+          );
+        }
+      }
+      check(
+        field.items,
+        'items',
+        pointer(path, 'items'),
+        `items of field '${label}'`
+      );
+      check(
+        field.items?.constraints,
+        'constraints',
+        pointer(path, 'items', 'constraints'),
+        `item constraints of field '${label}'`
+      );
+      checkFields(field.fields, pointer(path, 'fields'), label);
+      checkFields(field.items?.fields, pointer(path, 'items', 'fields'), label);
+      if (Array.isArray(field.variants)) {
+        field.variants.forEach((variant: any, variantIndex: number) => {
+          const variantPath = pointer(path, 'variants', variantIndex);
+          check(
+            variant,
+            'variant',
+            variantPath,
+            `variant '${variant?.name}' of field '${label}'`
+          );
+          checkFields(
+            variant?.fields,
+            pointer(variantPath, 'fields'),
+            `${label}.${variant?.name}`
+          );
+        });
+      }
+    });
+  };
+
+  check(schema, 'schema', '', 'schema');
+  check(schema.primaryKey, 'primaryKey', '/primaryKey', 'primaryKey');
+  check(schema.ttl, 'ttl', '/ttl', 'ttl');
+  check(schema.deprecated, 'deprecation', '/deprecated', 'deprecation');
+  checkFields(schema.fields, '/fields');
+  if (schema.types && typeof schema.types === 'object') {
+    for (const [name, definition] of Object.entries(schema.types)) {
+      check(
+        definition,
+        'typeDefinition',
+        pointer('/types', name),
+        `type '${name}'`
+      );
+    }
+  }
+  if (Array.isArray(schema.indexes)) {
+    schema.indexes.forEach((index: any, i: number) => {
+      const path = pointer('/indexes', i);
+      check(index, 'index', path, `index '${index?.name}'`);
+      check(
+        index?.projection,
+        'projection',
+        pointer(path, 'projection'),
+        `projection of index '${index?.name}'`
+      );
+    });
+  }
+  if (Array.isArray(schema.accessPatterns)) {
+    schema.accessPatterns.forEach((pattern: any, i: number) => {
+      check(
+        pattern,
+        'accessPattern',
+        pointer('/accessPatterns', i),
+        `access pattern '${pattern?.name}'`
+      );
+    });
+  }
+  if (Array.isArray(schema.rules)) {
+    schema.rules.forEach((rule: any, i: number) => {
+      check(rule, 'rule', pointer('/rules', i), `rule '${rule?.name}'`);
+    });
+  }
+}
+
+/**
+ * Report every property of a .bprint-table manifest the spec does not define.
+ */
+export function reportUnknownTableProperties(
+  table: any,
+  strict: boolean,
+  reporter: DiagnosticReporter
+): void {
+  const check = propertyChecker(strict, reporter);
+  check(table, 'table', '', 'table');
+  check(table.partitionKey, 'tableKey', '/partitionKey', 'partitionKey');
+  check(table.sortKey, 'tableKey', '/sortKey', 'sortKey');
+  if (Array.isArray(table.entities)) {
+    table.entities.forEach((entity: any, index: number) => {
+      check(
+        entity,
+        'tableEntity',
+        pointer('/entities', index),
+        `entity ${index}`
+      );
+    });
+  }
+}
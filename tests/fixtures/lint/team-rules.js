@@ -0,0 +1,20 @@
+// Example lint plugin: teams store contact details in a separate entity
+module.exports = {
+  rules: [
+    {
+      name: 'no-email-fields',
+      description: 'Email addresses belong in the Contact entity',
+      defaultSeverity: 'off',
+      check(schema, context) {
+        schema.fields.forEach((field, index) => {
+          if (/email/i.test(field.name)) {
+            context.report(
+              `/fields/${index}/name`,
+              `Field '${field.name}' looks like an email address; use the Contact entity`
+            );
+          }
+        });
+      },
+    },
+  ],
+};
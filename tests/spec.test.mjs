@@ -3,12 +3,14 @@ import assert from 'node:assert/strict';
 import { readFile } from 'node:fs/promises';
 import {
   loadSchema,
+  loadTableSchema,
   resetSchema,
   getSchemaInfo,
 } from '../scripts/utils/schema-loader.mjs';
 import {
   validateCustomRules,
   countEntitiesAndFields,
+  findDuplicateEntityNames,
 } from '../scripts/utils/validation-helpers.mjs';
 
 // Helper function to load test fixtures
@@ -1691,7 +1693,7 @@ test('Collection Types - TypeScript Validation', async t => {
           name: 'addr',
           type: 'map',
           fields: [
-            { name: 'data', type: 'list' },
+            { name: 'data', type: 'object' },
           ],
         },
       ],
@@ -1699,7 +1701,7 @@ test('Collection Types - TypeScript Validation', async t => {
     assert.throws(
       () => validateSchema(schema),
       /must have a valid type/,
-      'Nested field with non-scalar type should be rejected'
+      'Nested field with an unknown type should be rejected'
     );
   });
 
@@ -1722,6 +1724,4485 @@ test('Collection Types - TypeScript Validation', async t => {
   });
 });
 
+// Test suite for collect-all validation with structured diagnostics
+test('Detailed Validation Diagnostics', async t => {
+  const { validateSchema, validateSchemaDetailed, SchemaValidationError } =
+    await import('../dist/src/index.js');
+  const { formatValidationErrors } = await import(
+    '../scripts/utils/validation-helpers.mjs'
+  );
+
+  const brokenSchema = {
+    schemaVersion: 1.0,
+    entityName: 'Test',
+    primaryKey: { partitionKey: 'id' },
+    fields: [
+      { name: 'id', type: 'string', required: true },
+      { name: 'count', type: 'number', constraints: { minLength: 1 } },
+      { name: 'label', type: 'string', nameOverride: 'class' },
+      { name: 'score', type: 'number', constraints: { min: 10, max: 1 } },
+      { name: 'id', type: 'string' },
+    ],
+  };
+
+  await t.test('collects every problem instead of stopping at the first', async () => {
+    const result = validateSchemaDetailed(brokenSchema);
+
+    assert.equal(result.valid, false);
+    assert.equal(result.schema, undefined);
+    assert.deepEqual(
+      result.diagnostics.map(d => [d.code, d.path]),
+      [
+        ['missing-property', '/description'],
+        ['constraint-type-mismatch', '/fields/1/constraints/minLength'],
+        ['reserved-name-override', '/fields/2/nameOverride'],
+        ['constraint-range', '/fields/3/constraints/min'],
+        ['duplicate-field-name', '/fields/4/name'],
+      ]
+    );
+    assert.ok(result.diagnostics.every(d => d.severity === 'error'));
+    assert.ok(result.diagnostics.every(d => typeof d.message === 'string'));
+  });
+
+  await t.test('valid schema returns the validated schema', async () => {
+    const result = validateSchemaDetailed({
+      ...brokenSchema,
+      description: 'Test entity',
+      fields: [{ name: 'id', type: 'string', required: true }],
+    });
+
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.diagnostics, []);
+    assert.equal(result.schema.fields[0].name, 'id');
+  });
+
+  await t.test('non-object input is reported, not thrown', async () => {
+    for (const input of [null, 'schema', []]) {
+      const result = validateSchemaDetailed(input);
+      assert.equal(result.valid, false);
+      assert.equal(result.diagnostics[0].code, 'invalid-document');
+      assert.equal(result.diagnostics[0].path, '');
+    }
+  });
+
+  await t.test('nested paths point into items and map fields', async () => {
+    const result = validateSchemaDetailed({
+      schemaVersion: 1.1,
+      entityName: 'Test',
+      description: 'Test entity',
+      primaryKey: { partitionKey: 'id' },
+      fields: [
+        { name: 'id', type: 'string', required: true },
+        {
+          name: 'lines',
+          type: 'list',
+          items: { type: 'map', fields: [{ name: 'sku', type: 'object' }] },
+        },
+      ],
+    });
+
+    assert.equal(result.diagnostics.length, 1);
+    assert.equal(result.diagnostics[0].code, 'invalid-nested-field-type');
+    assert.equal(result.diagnostics[0].path, '/fields/1/items/fields/0/type');
+  });
+
+  await t.test('validateSchema throws SchemaValidationError with all diagnostics', async () => {
+    assert.throws(
+      () => validateSchema(brokenSchema),
+      error => {
+        assert.ok(error instanceof SchemaValidationError);
+        assert.ok(error instanceof Error);
+        assert.equal(error.diagnostics.length, 5);
+        assert.match(error.message, /description/);
+        assert.match(error.message, /Duplicate field name: id/);
+        return true;
+      }
+    );
+  });
+
+  await t.test('formatValidationErrors prints diagnostics', async () => {
+    const { diagnostics } = validateSchemaDetailed(brokenSchema);
+    const output = formatValidationErrors(diagnostics);
+
+    assert.match(
+      output,
+      /\[error\] \/fields\/3\/constraints\/min: .*\(constraint-range\)/
+    );
+    assert.equal(output.split('\n').length, diagnostics.length);
+  });
+
+  await t.test('formatValidationErrors prints Ajv errors with paths', async () => {
+    const validate = await loadSchema();
+    validate({
+      ...brokenSchema,
+      description: 'Test entity',
+      fields: [{ name: 'id', type: 'bogus' }],
+    });
+    const output = formatValidationErrors(validate.errors);
+
+    assert.match(output, /\/fields\/0\/type: .*\(schema\/enum\)/);
+  });
+});
+
+// Test suite for primary key field checks
+test('Primary Key Field Validation', async t => {
+  const { validateSchema, validateSchemaDetailed } = await import(
+    '../dist/src/index.js'
+  );
+
+  const keySchema = (primaryKey, fields) => ({
+    schemaVersion: 1.0,
+    entityName: 'Test',
+    description: 'Test entity',
+    primaryKey,
+    fields,
+  });
+
+  await t.test('misspelled partition key is rejected', async () => {
+    const schema = await loadFixture(
+      'tests/fixtures/invalid/misspelled-partition-key.bprint'
+    );
+    const { diagnostics } = validateSchemaDetailed(schema);
+
+    assert.deepEqual(
+      diagnostics.map(d => [d.code, d.path]),
+      [
+        ['unknown-key-field', '/primaryKey/partitionKey'],
+        ['optional-key-field', '/primaryKey/sortKey'],
+      ]
+    );
+    assert.throws(() => validateSchema(schema), /does not match any field/);
+  });
+
+  await t.test('collection and boolean key fields are rejected', async () => {
+    for (const type of ['boolean', 'stringSet', 'numberSet']) {
+      const schema = keySchema({ partitionKey: 'id' }, [
+        { name: 'id', type, required: true },
+      ]);
+      assert.throws(
+        () => validateSchema(schema),
+        /key fields must be one of/,
+        `${type} should not be usable as a key`
+      );
+    }
+  });
+
+  await t.test('optional key fields are rejected', async () => {
+    const schema = keySchema({ partitionKey: 'id' }, [
+      { name: 'id', type: 'string' },
+    ]);
+    assert.throws(() => validateSchema(schema), /must be a required field/);
+  });
+
+  await t.test('string, number and timestamp keys are accepted', async () => {
+    const schema = keySchema({ partitionKey: 'deviceId', sortKey: 'seq' }, [
+      { name: 'deviceId', type: 'string', required: true },
+      { name: 'seq', type: 'number', required: true },
+    ]);
+    assert.ok(validateSchema(schema));
+
+    const tsSchema = keySchema({ partitionKey: 'id', sortKey: 'at' }, [
+      { name: 'id', type: 'string', required: true },
+      { name: 'at', type: 'timestamp', required: true },
+    ]);
+    assert.ok(validateSchema(tsSchema));
+  });
+
+  await t.test('non-string sortKey is rejected', async () => {
+    const schema = keySchema({ partitionKey: 'id', sortKey: 42 }, [
+      { name: 'id', type: 'string', required: true },
+    ]);
+    assert.throws(() => validateSchema(schema), /sortKey must be a non-empty string/);
+  });
+
+  await t.test('custom rules report the same key problems', async () => {
+    const schema = await loadFixture(
+      'tests/fixtures/invalid/misspelled-partition-key.bprint'
+    );
+    const errors = validateCustomRules(schema);
+
+    assert.deepEqual(
+      errors.map(e => e.code),
+      ['unknown-key-field', 'optional-key-field']
+    );
+  });
+
+  await t.test('valid fixture passes key checks on both paths', async () => {
+    const valid = await loadFixture('tests/fixtures/valid/orders.bprint');
+    assert.deepEqual(validateCustomRules(valid), []);
+    assert.deepEqual(validateSchemaDetailed(valid).diagnostics, []);
+  });
+});
+
+// Test suite for runtime record validation
+test('Record Validation', async t => {
+  const { validateSchema, validateRecord } = await import(
+    '../dist/src/index.js'
+  );
+
+  const orderSchema = validateSchema(
+    await loadFixture('tests/fixtures/valid/order-with-collections.bprint')
+  );
+  const userSchema = validateSchema(
+    await loadFixture('tests/fixtures/valid/user-with-constraints.bprint')
+  );
+
+  const validOrder = {
+    orderId: 'o-1',
+    customerId: 'c-1',
+    tags: ['gift'],
+    quantities: [1, 2],
+    lineItems: [{ productId: 'p-1', quantity: 2, price: 9.99 }],
+    shippingAddress: { street: '1 Main St', city: 'Springfield' },
+    promotionCodes: new Set(['SPRING']),
+    discountTiers: [5, 10],
+  };
+
+  await t.test('valid record passes', async () => {
+    assert.deepEqual(validateRecord(orderSchema, validOrder), {
+      valid: true,
+      errors: [],
+    });
+  });
+
+  await t.test('non-object record is rejected', async () => {
+    for (const item of [null, 'order', [validOrder]]) {
+      const result = validateRecord(orderSchema, item);
+      assert.equal(result.valid, false);
+      assert.equal(result.errors[0].code, 'invalid-record');
+    }
+  });
+
+  await t.test('missing required fields are reported', async () => {
+    const { errors } = validateRecord(orderSchema, { orderId: 'o-1' });
+    assert.deepEqual(errors.map(e => [e.code, e.path]), [
+      ['required', '/customerId'],
+    ]);
+  });
+
+  await t.test('nested list and map errors are path-addressed', async () => {
+    const { errors } = validateRecord(orderSchema, {
+      ...validOrder,
+      quantities: [1, 'two'],
+      lineItems: [{ productId: 'p-1' }, { productId: 7, quantity: 1 }],
+      shippingAddress: { street: ['1 Main St'] },
+      promotionCodes: ['A', 'A'],
+      discountTiers: [],
+    });
+
+    assert.deepEqual(errors.map(e => [e.code, e.path]), [
+      ['type', '/quantities/1'],
+      ['type', '/lineItems/1/productId'],
+      ['type', '/shippingAddress/street'],
+      ['duplicate-set-element', '/promotionCodes'],
+      ['empty-set', '/discountTiers'],
+    ]);
+  });
+
+  await t.test('constraints are enforced', async () => {
+    const base = {
+      userId: 'u-1',
+      email: 'someone@example.com',
+      isActive: true,
+      createdAt: '2024-01-15T10:30:00Z',
+    };
+    assert.equal(validateRecord(userSchema, base).valid, true);
+
+    const { errors } = validateRecord(userSchema, {
+      ...base,
+      email: 'x',
+      stateCode: 'California',
+      age: 200,
+      accountBalance: -1,
+    });
+    assert.deepEqual(errors.map(e => [e.code, e.path]), [
+      ['min-length', '/email'],
+      ['pattern', '/email'],
+      ['max-length', '/stateCode'],
+      ['pattern', '/stateCode'],
+      ['maximum', '/age'],
+      ['minimum', '/accountBalance'],
+    ]);
+  });
+
+  await t.test('enum values are enforced', async () => {
+    const schema = validateSchema(
+      await loadFixture('examples/iot/sensor-reading.bprint')
+    );
+    const reading = {
+      readingId: 'r-1',
+      deviceId: 'd-1',
+      timestamp: '2024-01-15T10:30:00Z',
+      value: 21.5,
+      unit: 'C',
+    };
+
+    assert.equal(
+      validateRecord(schema, { ...reading, quality: 'good' }).valid,
+      true
+    );
+    const { errors } = validateRecord(schema, { ...reading, quality: 'meh' });
+    assert.deepEqual(errors.map(e => [e.code, e.path]), [['enum', '/quality']]);
+  });
+
+  await t.test('timestamps must be ISO 8601', async () => {
+    const schema = validateSchema({
+      schemaVersion: 1.0,
+      entityName: 'Event',
+      description: 'Event entity',
+      primaryKey: { partitionKey: 'id' },
+      fields: [
+        { name: 'id', type: 'string', required: true },
+        { name: 'at', type: 'timestamp' },
+      ],
+    });
+
+    for (const at of ['2024-01-15T10:30:00Z', '2024-01-15T10:30:00.123+02:00']) {
+      assert.equal(validateRecord(schema, { id: '1', at }).valid, true, at);
+    }
+    for (const at of ['yesterday', '2024-01-15', '2024-02-30T00:00:00Z']) {
+      const { errors } = validateRecord(schema, { id: '1', at });
+      assert.equal(errors[0].code, 'timestamp', at);
+    }
+    assert.equal(
+      validateRecord(schema, { id: '1', at: 1705314600 }).errors[0].code,
+      'type'
+    );
+  });
+});
+
+// Test suite for precompiled record validators
+test('Compiled Record Validators', async t => {
+  const {
+    validateSchema,
+    validateRecord,
+    compileRecordValidator,
+    generateRecordValidatorSource,
+  } = await import('../dist/src/index.js');
+  const { writeFile, mkdtemp, rm } = await import('node:fs/promises');
+  const { tmpdir } = await import('node:os');
+  const { join } = await import('node:path');
+  const { createRequire } = await import('node:module');
+
+  const orderSchema = validateSchema(
+    await loadFixture('tests/fixtures/valid/order-with-collections.bprint')
+  );
+  const userSchema = validateSchema(
+    await loadFixture('tests/fixtures/valid/user-with-constraints.bprint')
+  );
+  const readingSchema = validateSchema(
+    await loadFixture('examples/iot/sensor-reading.bprint')
+  );
+
+  const records = [
+    {},
+    null,
+    [],
+    {
+      orderId: 'o-1',
+      customerId: 'c-1',
+      tags: ['a', null, 3],
+      quantities: 'many',
+      lineItems: [{ productId: 1, quantity: '2' }, 'x'],
+      shippingAddress: { street: 1 },
+      promotionCodes: new Set(['A']),
+      discountTiers: [1, 1],
+    },
+    {
+      userId: '',
+      email: 'a@b',
+      stateCode: 'ny',
+      age: -1,
+      accountBalance: Infinity,
+      isActive: 'yes',
+      createdAt: '2024-02-30T00:00:00Z',
+    },
+    {
+      readingId: 'r-1',
+      deviceId: 'd-1',
+      timestamp: '2024-01-15T10:30:00Z',
+      value: 21.5,
+      unit: 'C',
+      quality: 'meh',
+      processed: false,
+    },
+  ];
+
+  await t.test('compiled validators match validateRecord', async () => {
+    for (const schema of [orderSchema, userSchema, readingSchema]) {
+      const validate = compileRecordValidator(schema);
+      for (const record of records) {
+        assert.deepEqual(
+          validate(record),
+          validateRecord(schema, record),
+          `${schema.entityName}: ${JSON.stringify(record)}`
+        );
+      }
+    }
+  });
+
+  await t.test('compiled validators match validateRecord in bulk', () => {
+    // The records scripts/benchmark-validators.mjs times, with some invalid
+    const items = Array.from({ length: 500 }, (_, i) => ({
+      userId: `u-${i}`,
+      email: i % 7 ? `user${i}@example.com` : 'user',
+      stateCode: i % 5 ? 'NY' : 'ny',
+      zipCode: '10001',
+      age: (i % 150) - 10,
+      ssn: '123-45-6789',
+      isActive: i % 11 ? true : 'yes',
+      createdAt: '2024-01-15T10:30:00Z',
+    }));
+    const validate = compileRecordValidator(userSchema);
+    for (const item of items) {
+      assert.deepEqual(validate(item), validateRecord(userSchema, item));
+    }
+  });
+
+  await t.test('emitted CommonJS source runs standalone', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'bprint-'));
+    try {
+      const file = join(dir, 'validate-user.cjs');
+      await writeFile(file, generateRecordValidatorSource(userSchema));
+      const validate = createRequire(import.meta.url)(file);
+
+      for (const record of records) {
+        assert.deepEqual(validate(record), validateRecord(userSchema, record));
+      }
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  await t.test('emitted ESM source runs standalone', async () => {
+    const source = generateRecordValidatorSource(orderSchema, {
+      moduleFormat: 'esm',
+    });
+    assert.doesNotMatch(source, /require\(|chaim-bprint-spec['"]/);
+
+    const { default: validate } = await import(
+      `data:text/javascript,${encodeURIComponent(source)}`
+    );
+    for (const record of records) {
+      assert.deepEqual(validate(record), validateRecord(orderSchema, record));
+    }
+  });
+
+  await t.test('regexes and enum sets are hoisted out of the function', async () => {
+    const source = generateRecordValidatorSource(userSchema);
+    const fnBody = source.slice(source.indexOf('function validateRecord'));
+
+    assert.match(source, /const pattern\d+ = new RegExp/);
+    assert.doesNotMatch(fnBody, /new RegExp/);
+  });
+
+  await t.test('non-numeric constraints are not compiled into source', () => {
+    const schema = {
+      ...userSchema,
+      fields: [
+        {
+          name: 'code',
+          type: 'string',
+          constraints: {
+            maxLength: '1) { globalThis.injected = true; } if (0',
+          },
+        },
+      ],
+    };
+    assert.throws(
+      () => compileRecordValidator(schema),
+      /Constraint maxLength must be a finite number/
+    );
+    assert.throws(
+      () =>
+        generateRecordValidatorSource({
+          ...schema,
+          fields: [{ name: 'n', type: 'number', constraints: { min: NaN } }],
+        }),
+      /Constraint min must be a finite number, not null/
+    );
+    assert.equal(globalThis.injected, undefined);
+  });
+
+  await t.test('entity names cannot end the header comment', async () => {
+    const schema = { ...userSchema, entityName: 'A\nglobalThis.pwned=1;//' };
+    assert.equal(
+      generateRecordValidatorSource(schema).split('\n')[1],
+      "'use strict';"
+    );
+    const [header] = generateRecordValidatorSource({
+      ...schema,
+      entityName: 'A\u2028B',
+    }).split(/[\n\u2028]/);
+    assert.match(header, /Do not edit\.$/);
+    const source = generateRecordValidatorSource(schema, {
+      moduleFormat: 'esm',
+    });
+    await import(`data:text/javascript,${encodeURIComponent(source)}`);
+    assert.equal(globalThis.pwned, undefined);
+  });
+});
+
+// Test suite for default values checked against enum, constraints and format
+test('Default Value Cross-Checks', async t => {
+  const { validateSchemaDetailed } = await import('../dist/src/index.js');
+
+  const withField = field => ({
+    schemaVersion: 1.0,
+    entityName: 'Test',
+    description: 'Test entity',
+    primaryKey: { partitionKey: 'id' },
+    fields: [{ name: 'id', type: 'string', required: true }, field],
+  });
+  const codes = field =>
+    validateSchemaDetailed(withField(field)).diagnostics.map(d => [
+      d.code,
+      d.path,
+    ]);
+
+  await t.test('default outside enum is rejected', async () => {
+    assert.deepEqual(
+      codes({
+        name: 'status',
+        type: 'string',
+        enum: ['active', 'inactive'],
+        default: 'archived',
+      }),
+      [['default-not-in-enum', '/fields/1/default']]
+    );
+    assert.deepEqual(
+      codes({
+        name: 'status',
+        type: 'string',
+        enum: ['active', 'inactive'],
+        default: 'active',
+      }),
+      []
+    );
+  });
+
+  await t.test('default violating number constraints is rejected', async () => {
+    const diagnostics = validateSchemaDetailed(
+      withField({
+        name: 'score',
+        type: 'number',
+        default: 500,
+        constraints: { min: 0, max: 100 },
+      })
+    ).diagnostics;
+
+    assert.equal(diagnostics.length, 1);
+    assert.equal(diagnostics[0].code, 'default-violates-constraint');
+    assert.match(diagnostics[0].message, /default 500 violates max \(100\)/);
+  });
+
+  await t.test('default violating string constraints is rejected', async () => {
+    assert.deepEqual(
+      codes({
+        name: 'currency',
+        type: 'string',
+        default: 'usd',
+        constraints: { minLength: 3, maxLength: 3, pattern: '^[A-Z]{3}$' },
+      }),
+      [['default-violates-constraint', '/fields/1/default']]
+    );
+    assert.deepEqual(
+      codes({
+        name: 'currency',
+        type: 'string',
+        default: 'USD',
+        constraints: { minLength: 3, maxLength: 3, pattern: '^[A-Z]{3}$' },
+      }),
+      []
+    );
+  });
+
+  await t.test('timestamp default must be ISO 8601', async () => {
+    assert.deepEqual(
+      codes({ name: 'since', type: 'timestamp', default: 'yesterday' }),
+      [['invalid-default', '/fields/1/default']]
+    );
+    assert.deepEqual(
+      codes({
+        name: 'since',
+        type: 'timestamp',
+        default: '2024-01-01T00:00:00Z',
+      }),
+      []
+    );
+  });
+
+  await t.test('enum values contradicting constraints are rejected', async () => {
+    assert.deepEqual(
+      codes({
+        name: 'tier',
+        type: 'string',
+        enum: ['gold', 'platinum', 'Silver'],
+        constraints: { maxLength: 6, pattern: '^[a-z]+$' },
+      }),
+      [
+        ['enum-violates-constraint', '/fields/1/enum/1'],
+        ['enum-violates-constraint', '/fields/1/enum/2'],
+      ]
+    );
+  });
+
+  await t.test('invalid constraints do not produce cascading errors', async () => {
+    assert.deepEqual(
+      codes({
+        name: 'code',
+        type: 'string',
+        enum: ['a'],
+        default: 'a',
+        constraints: { pattern: '[invalid' },
+      }),
+      [['invalid-pattern', '/fields/1/constraints/pattern']]
+    );
+  });
+});
+
+// Test suite for generated identifier derivation and collisions
+test('Generated Identifier Collisions', async t => {
+  const { validateSchemaDetailed, toIdentifier, effectiveIdentifier } =
+    await import('../dist/src/index.js');
+
+  const withFields = fields => ({
+    schemaVersion: 1.0,
+    entityName: 'Order',
+    description: 'Order entity',
+    primaryKey: { partitionKey: 'id' },
+    fields: [{ name: 'id', type: 'string', required: true }, ...fields],
+  });
+  const diagnosticsFor = fields =>
+    validateSchemaDetailed(withFields(fields)).diagnostics.map(d => [
+      d.severity,
+      d.code,
+      d.path,
+    ]);
+
+  await t.test('identifiers are derived like the generators do', async () => {
+    assert.equal(toIdentifier('orderId'), 'orderId');
+    assert.equal(toIdentifier('order-date'), 'orderDate');
+    assert.equal(toIdentifier('ship to.zip'), 'shipToZip');
+    assert.equal(toIdentifier('2fa-verified'), undefined);
+    assert.equal(
+      effectiveIdentifier({ name: 'order-id', nameOverride: 'oid' }),
+      'oid'
+    );
+  });
+
+  await t.test('nameOverride colliding with another field is rejected', async () => {
+    assert.deepEqual(
+      diagnosticsFor([
+        { name: 'order-id', nameOverride: 'orderId', type: 'string' },
+        { name: 'orderId', type: 'string' },
+      ]),
+      [['error', 'identifier-collision', '/fields/2/name']]
+    );
+  });
+
+  await t.test('derived identifier colliding with a field is rejected', async () => {
+    const { diagnostics } = validateSchemaDetailed(
+      withFields([
+        { name: 'orderDate', type: 'timestamp' },
+        { name: 'order-date', type: 'timestamp' },
+      ])
+    );
+    const collision = diagnostics.find(d => d.code === 'identifier-collision');
+
+    assert.equal(collision.path, '/fields/2/name');
+    assert.match(collision.message, /collides with field 'orderDate'/);
+  });
+
+  await t.test('identifiers differing only in case are rejected', async () => {
+    const { valid, diagnostics } = validateSchemaDetailed(
+      withFields([
+        { name: 'orderId', type: 'string' },
+        { name: 'order_id', nameOverride: 'OrderId', type: 'string' },
+      ])
+    );
+
+    assert.equal(valid, false);
+    assert.deepEqual(
+      diagnostics.map(d => [d.code, d.path]),
+      [['identifier-collision', '/fields/2/nameOverride']]
+    );
+    assert.match(diagnostics[0].message, /differs only in case/);
+  });
+
+  await t.test('invalid raw names get a suggested nameOverride', async () => {
+    const { valid, diagnostics } = validateSchemaDetailed(
+      withFields([{ name: 'order-date', type: 'timestamp' }])
+    );
+
+    assert.equal(valid, true);
+    assert.equal(diagnostics[0].code, 'derived-identifier');
+    assert.equal(diagnostics[0].severity, 'warning');
+    assert.match(diagnostics[0].message, /"nameOverride": "orderDate"/);
+  });
+
+  await t.test('names with no derivable identifier need a nameOverride', async () => {
+    assert.deepEqual(diagnosticsFor([{ name: '2fa-verified', type: 'boolean' }]), [
+      ['error', 'invalid-identifier', '/fields/1/name'],
+    ]);
+    assert.deepEqual(
+      diagnosticsFor([
+        {
+          name: '2fa-verified',
+          nameOverride: 'twoFactorVerified',
+          type: 'boolean',
+        },
+      ]),
+      []
+    );
+  });
+
+  await t.test('nested map fields are checked too', async () => {
+    assert.deepEqual(
+      diagnosticsFor([
+        {
+          name: 'address',
+          type: 'map',
+          fields: [
+            { name: 'zip-code', type: 'string' },
+            { name: 'zipCode', type: 'string' },
+          ],
+        },
+      ]),
+      [
+        ['warning', 'derived-identifier', '/fields/1/fields/0/name'],
+        ['error', 'identifier-collision', '/fields/1/fields/1/name'],
+      ]
+    );
+  });
+});
+
+// Test suite for per-language reserved word profiles
+test('Reserved Word Profiles', async t => {
+  const {
+    validateSchema,
+    validateSchemaDetailed,
+    reservedIn,
+    RESERVED_WORD_PROFILES,
+    DEFAULT_TARGET_LANGUAGES,
+  } = await import('../dist/src/index.js');
+
+  const withOverride = nameOverride => ({
+    schemaVersion: 1.0,
+    entityName: 'Test',
+    description: 'Test entity',
+    primaryKey: { partitionKey: 'id' },
+    fields: [
+      { name: 'id', type: 'string', required: true },
+      { name: 'some-field', nameOverride, type: 'string' },
+    ],
+  });
+
+  await t.test('profiles exist for every supported language', async () => {
+    assert.deepEqual(Object.keys(RESERVED_WORD_PROFILES).sort(), [
+      'csharp',
+      'go',
+      'java',
+      'kotlin',
+      'python',
+      'rust',
+      'swift',
+      'typescript',
+    ]);
+    assert.deepEqual([...DEFAULT_TARGET_LANGUAGES], ['java', 'python', 'go']);
+  });
+
+  await t.test('reservedIn reports each colliding language', async () => {
+    assert.deepEqual(reservedIn('class', ['java', 'go', 'kotlin']), [
+      'java',
+      'kotlin',
+    ]);
+    assert.deepEqual(reservedIn('None', ['python', 'java']), ['python']);
+    assert.deepEqual(
+      reservedIn('orderId', Object.keys(RESERVED_WORD_PROFILES)),
+      []
+    );
+  });
+
+  await t.test('diagnostics name the colliding languages', async () => {
+    const { diagnostics } = validateSchemaDetailed(withOverride('class'));
+
+    assert.equal(diagnostics[0].code, 'reserved-name-override');
+    assert.match(diagnostics[0].message, /reserved keyword in Java, Python$/);
+  });
+
+  await t.test('reserved field names without overrides are warnings', async () => {
+    const { valid, diagnostics } = validateSchemaDetailed({
+      ...withOverride(undefined),
+      fields: [
+        { name: 'id', type: 'string', required: true },
+        { name: 'class', type: 'string' },
+        { name: 'import', type: 'string' },
+        { name: 'className', type: 'string' },
+        { name: 'default', nameOverride: 'defaultValue', type: 'string' },
+      ],
+    });
+
+    assert.equal(valid, true);
+    assert.deepEqual(
+      diagnostics.map(d => [d.code, d.path, d.severity, d.message]),
+      [
+        [
+          'reserved-identifier',
+          '/fields/1/name',
+          'warning',
+          "Field 'class' generates identifier 'class', which is a reserved keyword in Java, Python. Add a nameOverride",
+        ],
+        [
+          'reserved-identifier',
+          '/fields/2/name',
+          'warning',
+          "Field 'import' generates identifier 'import', which is a reserved keyword in Java, Python, Go. Add a nameOverride",
+        ],
+      ]
+    );
+  });
+
+  await t.test('only selected target languages are checked', async () => {
+    // 'fn' is only reserved in Rust; 'internal' in C# and Swift
+    assert.ok(validateSchema(withOverride('fn')));
+    assert.throws(
+      () => validateSchema(withOverride('fn'), { targetLanguages: ['rust'] }),
+      /reserved keyword in Rust/
+    );
+
+    assert.ok(
+      validateSchema(withOverride('internal'), { targetLanguages: ['java'] })
+    );
+    assert.throws(
+      () =>
+        validateSchema(withOverride('internal'), {
+          targetLanguages: ['typescript', 'csharp', 'swift'],
+        }),
+      /reserved keyword in C#, Swift/
+    );
+
+    // 'map' is a Go keyword, but not reserved when Go is not a target
+    assert.ok(
+      validateSchema(withOverride('map'), { targetLanguages: ['java'] })
+    );
+  });
+
+  await t.test('unknown target languages are rejected', async () => {
+    assert.throws(
+      () => validateSchema(withOverride('ok'), { targetLanguages: ['cobol'] }),
+      /Unknown target language 'cobol'/
+    );
+  });
+});
+
+// Test suite for unknown property checks
+test('Unknown Properties', async t => {
+  const { validateSchema, validateSchemaDetailed } = await import(
+    '../dist/src/index.js'
+  );
+  const { loadSchema } = await import('../scripts/utils/schema-loader.mjs');
+  const { fromAjvError } = await import(
+    '../scripts/utils/validation-helpers.mjs'
+  );
+
+  const withTypos = () => ({
+    schemaVersion: 1.0,
+    entityName: 'User',
+    description: 'User with misspelled keys',
+    primaryKey: { partitionKey: 'userId', sortkey: 'createdAt' },
+    fields: [
+      { name: 'userId', type: 'string', required: true },
+      {
+        name: 'email',
+        type: 'string',
+        requried: true,
+        constraints: { maxLenght: 254 },
+      },
+      {
+        name: 'tags',
+        type: 'list',
+        items: { type: 'map', fields: [{ name: 'k', type: 'string', x: 1 }] },
+      },
+    ],
+    version: 2,
+  });
+
+  await t.test('strict mode reports unknown keys at every level', async () => {
+    const { valid, diagnostics } = validateSchemaDetailed(withTypos(), {
+      strict: true,
+    });
+
+    assert.equal(valid, false);
+    assert.deepEqual(
+      diagnostics.map(d => [d.code, d.severity, d.path]),
+      [
+        ['unknown-property', 'error', '/version'],
+        ['unknown-property', 'error', '/primaryKey/sortkey'],
+        ['unknown-property', 'error', '/fields/1/requried'],
+        ['unknown-property', 'error', '/fields/1/constraints/maxLenght'],
+        ['unknown-property', 'error', '/fields/2/items/fields/0/x'],
+      ]
+    );
+  });
+
+  await t.test('messages suggest the closest known property', async () => {
+    const { diagnostics } = validateSchemaDetailed(withTypos(), {
+      strict: true,
+    });
+    const messages = diagnostics.map(d => d.message);
+
+    // No suggestion when nothing is close
+    assert.equal(messages[0], "Unknown property 'version' in schema");
+    assert.match(messages[1], /did you mean 'sortKey'\?$/);
+    assert.match(
+      messages[2],
+      /Unknown property 'requried' in field 'email'; did you mean 'required'\?/
+    );
+    assert.match(messages[3], /did you mean 'maxLength'\?$/);
+    assert.match(messages[4], /nested field 'k' of 'tags'$/);
+  });
+
+  await t.test('non-strict mode reports unknown keys as warnings', async () => {
+    const { valid, diagnostics } = validateSchemaDetailed(withTypos(), {
+      strict: false,
+    });
+
+    assert.equal(valid, true);
+    assert.equal(diagnostics.length, 5);
+    assert.ok(diagnostics.every(d => d.severity === 'warning'));
+  });
+
+  await t.test('strict defaults to the CI environment variable', async () => {
+    const ci = process.env.CI;
+    try {
+      process.env.CI = 'true';
+      assert.throws(() => validateSchema(withTypos()), /requried/);
+      process.env.CI = 'false';
+      assert.ok(validateSchema(withTypos()));
+      delete process.env.CI;
+      assert.ok(validateSchema(withTypos()));
+    } finally {
+      if (ci === undefined) {
+        delete process.env.CI;
+      } else {
+        process.env.CI = ci;
+      }
+    }
+  });
+
+  await t.test('annotations may hold any keys', async () => {
+    const schema = withTypos();
+    schema.fields = [
+      {
+        name: 'userId',
+        type: 'string',
+        required: true,
+        annotations: { anything: true },
+      },
+    ];
+    delete schema.version;
+    delete schema.primaryKey.sortkey;
+
+    const { diagnostics } = validateSchemaDetailed(schema, { strict: true });
+    assert.deepEqual(diagnostics, []);
+  });
+
+  await t.test('JSON Schema path reports the same code and path', async () => {
+    const validate = await loadSchema();
+    validate(withTypos());
+    const paths = validate.errors
+      .filter(e => e.keyword === 'additionalProperties')
+      .map(fromAjvError)
+      .map(d => [d.code, d.path]);
+
+    for (const path of [
+      '/version',
+      '/primaryKey/sortkey',
+      '/fields/1/requried',
+      '/fields/1/constraints/maxLenght',
+      '/fields/2/items/fields/0/x',
+    ]) {
+      assert.ok(
+        paths.some(([code, p]) => code === 'unknown-property' && p === path),
+        `missing ${path}`
+      );
+    }
+  });
+});
+
+// Test suite for constraint pattern analysis
+test('Pattern Safety Analysis', async t => {
+  const { validateSchemaDetailed, analyzePattern } = await import(
+    '../dist/src/index.js'
+  );
+
+  const codes = pattern => analyzePattern(pattern).map(issue => issue.code);
+
+  await t.test('flags nested and overlapping quantifiers', async () => {
+    assert.deepEqual(codes('^(a+)+$'), ['unsafe-pattern']);
+    assert.deepEqual(codes('^([a-z]+\\.?)*$'), ['unsafe-pattern']);
+    assert.deepEqual(codes('^(a|ab)*c$'), ['unsafe-pattern']);
+    assert.deepEqual(codes('^[0-9]+[0-9]*$'), ['unsafe-pattern']);
+    assert.match(
+      analyzePattern('(x+x+)+y')[0].message,
+      /Nested quantifier in '\(x\+x\+\)\+'/
+    );
+  });
+
+  await t.test('accepts unambiguous repetition', async () => {
+    assert.deepEqual(codes('^(ab+c)+$'), []);
+    assert.deepEqual(codes('^(?:[a-z]{2})+$'), []);
+    assert.deepEqual(codes('^[a-z]+@[a-z]+\\.[a-z]+$'), []);
+    assert.deepEqual(codes('^[0-9]{3}-?[0-9]{2}-?[0-9]{4}$'), []);
+  });
+
+  await t.test('flags syntax other engines handle differently', async () => {
+    const messages = pattern =>
+      analyzePattern(pattern).map(issue => issue.message);
+
+    assert.match(messages('(?<=\\$)[0-9]+')[0], /Lookbehind .* Go/);
+    assert.match(messages('^(?!admin)[a-z]+$')[0], /Lookahead .* Go/);
+    assert.match(messages('^(?<year>[0-9]{4})$')[0], /\(\?P<name>/);
+    assert.match(messages('^([a-z])\\1$')[0], /Backreferences/);
+    assert.match(messages('^\\d+$')[0], /\\d matches non-ASCII digits/);
+    assert.match(messages('^a{$')[0], /Unescaped '\{'/);
+    assert.match(messages('^\\u00e9$')[0], /\\x\{XXXX\}/);
+    assert.match(messages('^\\y$')[0], /'\\y' means 'y' in JavaScript/);
+    assert.ok(
+      analyzePattern('(?<=a)b').every(i => i.code === 'non-portable-pattern')
+    );
+  });
+
+  await t.test('reports warnings at the field pattern path', async () => {
+    const { valid, diagnostics } = validateSchemaDetailed({
+      schemaVersion: 1.0,
+      entityName: 'Test',
+      description: 'Test entity',
+      primaryKey: { partitionKey: 'id' },
+      fields: [
+        { name: 'id', type: 'string', required: true },
+        {
+          name: 'slug',
+          type: 'string',
+          constraints: { pattern: '^([a-z0-9]+-?)+$' },
+        },
+        {
+          name: 'price',
+          type: 'string',
+          constraints: { pattern: '(?<=\\$)[0-9]+' },
+        },
+      ],
+    });
+
+    assert.equal(valid, true);
+    assert.deepEqual(
+      diagnostics.map(d => [d.code, d.severity, d.path]),
+      [
+        ['unsafe-pattern', 'warning', '/fields/1/constraints/pattern'],
+        ['non-portable-pattern', 'warning', '/fields/2/constraints/pattern'],
+      ]
+    );
+    assert.match(diagnostics[0].message, /^Field 'slug' pattern: Nested/);
+  });
+
+  await t.test('invalid patterns do not hide later constraint errors', async () => {
+    const { diagnostics } = validateSchemaDetailed({
+      schemaVersion: 1.0,
+      entityName: 'Test',
+      description: 'Test entity',
+      primaryKey: { partitionKey: 'id' },
+      fields: [
+        { name: 'id', type: 'string', required: true },
+        { name: 'code', type: 'string', constraints: { pattern: '(', min: 3 } },
+      ],
+    });
+
+    assert.deepEqual(
+      diagnostics.map(d => [d.code, d.path]),
+      [
+        ['invalid-pattern', '/fields/1/constraints/pattern'],
+        ['constraint-type-mismatch', '/fields/1/constraints/min'],
+      ]
+    );
+  });
+});
+
+// Test suite for the lint rule engine
+test('Lint Rules', async t => {
+  const {
+    lintSchema,
+    loadLintConfig,
+    findLintConfig,
+    BUILTIN_RULES,
+    CONFIGURABLE_DIAGNOSTICS,
+  } = await import('../dist/src/index.js');
+  const { join, resolve } = await import('node:path');
+
+  const lintDir = resolve('tests/fixtures/lint');
+  const schema = () => ({
+    schemaVersion: 1.0,
+    entityName: 'user_profile',
+    description: 'Test entity',
+    primaryKey: { partitionKey: 'id' },
+    fields: [
+      { name: 'id', type: 'string', required: true, description: 'Id' },
+      { name: 'contact-email', type: 'string' },
+      { name: 'created', type: 'timestamp', description: 'Creation time' },
+    ],
+  });
+
+  await t.test('built-in rules run at their default severity', async () => {
+    const { valid, diagnostics } = lintSchema(schema());
+
+    assert.equal(valid, true);
+    assert.deepEqual(
+      diagnostics.map(d => [d.code, d.severity, d.path]),
+      [
+        ['derived-identifier', 'warning', '/fields/1/name'],
+        ['entity-name-pascal-case', 'warning', '/entityName'],
+      ]
+    );
+    assert.deepEqual(
+      BUILTIN_RULES.map(r => r.name),
+      ['entity-name-pascal-case', 'field-description', 'timestamp-field-suffix']
+    );
+  });
+
+  await t.test('every validator warning is configurable', async () => {
+    const noisy = {
+      ...schema(),
+      entityName: 'UserProfile',
+      primaryKey: { partitionKey: 'id', sortKey: 'LEGACY#{legacy}' },
+      types: { Unused: { type: 'string', enum: ['a'] } },
+      fields: [
+        { name: 'id', type: 'string', required: true },
+        { name: 'contact-email', type: 'string', requried: true },
+        { name: 'class', type: 'string' },
+        {
+          name: 'code',
+          type: 'string',
+          constraints: { pattern: '^(a+)+(?<=a)$' },
+        },
+        {
+          name: 'ssn',
+          type: 'string',
+          classification: { level: 'public', categories: ['pii'] },
+        },
+        {
+          name: 'gateway',
+          type: 'string',
+          format: 'ipv4',
+          constraints: { pattern: '^[a-z]+$' },
+        },
+        { name: 'legacy', type: 'string', required: true, deprecated: true },
+      ],
+    };
+    // Strict mode, on in CI, makes unknown properties errors
+    const warnings = lintSchema(noisy, {
+      rules: { 'unknown-property': 'warn' },
+    }).diagnostics.filter(d => d.severity === 'warning');
+    const codes = [...new Set(warnings.map(d => d.code))].sort();
+    assert.deepEqual(codes, [...CONFIGURABLE_DIAGNOSTICS].sort());
+
+    const rules = Object.fromEntries(codes.map(code => [code, 'off']));
+    assert.deepEqual(lintSchema(noisy, { rules }).diagnostics, []);
+  });
+
+  await t.test('config sets severities and rule options', async () => {
+    const { valid, diagnostics } = lintSchema(schema(), {
+      rules: {
+        'entity-name-pascal-case': 'error',
+        'field-description': 'warn',
+        'timestamp-field-suffix': ['warn', { suffixes: ['At', 'On'] }],
+        'derived-identifier': 'off',
+      },
+    });
+
+    assert.equal(valid, false);
+    assert.deepEqual(
+      diagnostics.map(d => [d.code, d.severity, d.path]),
+      [
+        ['entity-name-pascal-case', 'error', '/entityName'],
+        ['field-description', 'warning', '/fields/1'],
+        ['timestamp-field-suffix', 'warning', '/fields/2/name'],
+      ]
+    );
+    assert.match(diagnostics[2].message, /should end in At or On$/);
+  });
+
+  await t.test('validator warnings can be promoted to errors', async () => {
+    const input = schema();
+    input.fields[0].constraints = { pattern: '^(a+)+$' };
+    input.fields[0].descripton = 'typo';
+
+    const { valid, diagnostics } = lintSchema(input, {
+      rules: { 'unsafe-pattern': 'error', 'unknown-property': 'error' },
+    });
+
+    assert.equal(valid, false);
+    assert.deepEqual(
+      diagnostics.filter(d => d.severity === 'error').map(d => d.code),
+      ['unknown-property', 'unsafe-pattern']
+    );
+  });
+
+  await t.test('schemas with validation errors skip lint rules', async () => {
+    const input = schema();
+    input.fields[0].type = 'text';
+
+    const { valid, schema: validated, diagnostics } = lintSchema(input);
+    assert.equal(valid, false);
+    assert.equal(validated, undefined);
+    assert.ok(!diagnostics.some(d => d.code === 'entity-name-pascal-case'));
+  });
+
+  await t.test('invalid configs are rejected', async () => {
+    assert.throws(
+      () => lintSchema(schema(), { rules: { 'field-descripton': 'warn' } }),
+      /Unknown lint rule 'field-descripton'; did you mean 'field-description'\?/
+    );
+    assert.throws(
+      () => lintSchema(schema(), { rules: { 'field-description': 'warning' } }),
+      /severity must be one of: off, warn, error/
+    );
+    assert.throws(
+      () =>
+        lintSchema(schema(), {}, [
+          { name: 'field-description', description: '', check() {} },
+        ]),
+      /already defined/
+    );
+  });
+
+  await t.test('loads bprint.config.json with plugin rules', async () => {
+    const configPath = findLintConfig(join(lintDir, 'nested', 'dir'));
+    assert.equal(configPath, join(lintDir, 'bprint.config.json'));
+
+    const { config, rules } = loadLintConfig(configPath);
+    assert.deepEqual(
+      rules.map(r => r.name),
+      ['no-email-fields']
+    );
+
+    const { valid, diagnostics } = lintSchema(schema(), config, rules);
+    assert.equal(valid, false);
+    assert.deepEqual(
+      diagnostics.map(d => [d.code, d.severity, d.path]),
+      [
+        ['entity-name-pascal-case', 'warning', '/entityName'],
+        ['field-description', 'error', '/fields/1'],
+        ['timestamp-field-suffix', 'warning', '/fields/2/name'],
+        ['no-email-fields', 'error', '/fields/1/name'],
+      ]
+    );
+  });
+
+  await t.test('no config file means an empty config', async () => {
+    assert.deepEqual(loadLintConfig(undefined), { config: {}, rules: [] });
+  });
+});
+
+// Test suite for full metadata on nested map fields
+test('Nested Field Metadata', async t => {
+  const {
+    validateSchema,
+    validateSchemaDetailed,
+    validateRecord,
+    compileRecordValidator,
+  } = await import('../dist/src/index.js');
+  const fixture = 'tests/fixtures/valid/order-with-nested-metadata.bprint';
+
+  const withMap = nestedFields => ({
+    schemaVersion: 1.2,
+    entityName: 'Test',
+    description: 'Test entity',
+    primaryKey: { partitionKey: 'id' },
+    fields: [
+      { name: 'id', type: 'string', required: true },
+      { name: 'address', type: 'map', fields: nestedFields },
+    ],
+  });
+
+  // Maps nested `levels` deep: address.level1.level2...
+  const nestedMaps = levels => {
+    let fields = [{ name: 'leaf', type: 'string' }];
+    for (let i = levels - 1; i > 0; i--) {
+      fields = [{ name: `level${i}`, type: 'map', fields }];
+    }
+    return withMap(fields);
+  };
+
+  await t.test('nested fields keep their metadata', async () => {
+    const validated = validateSchema(await loadFixture(fixture));
+    const [street, , zip, country, geo] = validated.fields[1].fields;
+
+    assert.equal(street.required, true);
+    assert.equal(zip.description, 'US ZIP or ZIP+4 code');
+    assert.equal(zip.constraints.pattern, '^[0-9]{5}(-[0-9]{4})?$');
+    assert.deepEqual(country.enum, ['US', 'CA']);
+    assert.equal(country.default, 'US');
+    assert.equal(geo.fields[0].constraints.max, 90);
+    assert.equal(validated.fields[2].items.fields[0].nameOverride, 'productId');
+    assert.equal(validated.fields[2].items.fields[2].items.type, 'string');
+  });
+
+  await t.test('JSON Schema accepts recursive nested fields', async () => {
+    const validate = await loadSchema();
+    assert.equal(validate(await loadFixture(fixture)), true);
+  });
+
+  await t.test('nested metadata is checked like top-level fields', async () => {
+    const { diagnostics } = validateSchemaDetailed(
+      withMap([
+        { name: 'zip', type: 'string', constraints: { min: 1 } },
+        { name: 'kind', type: 'string', enum: ['a'], default: 'b' },
+        { name: 'class', nameOverride: 'class', type: 'string' },
+        { name: 'lines', type: 'list' },
+      ])
+    );
+
+    assert.deepEqual(
+      diagnostics.map(d => [d.code, d.path]),
+      [
+        ['constraint-type-mismatch', '/fields/1/fields/0/constraints/min'],
+        ['default-not-in-enum', '/fields/1/fields/1/default'],
+        ['reserved-name-override', '/fields/1/fields/2/nameOverride'],
+        ['missing-list-items', '/fields/1/fields/3/items'],
+      ]
+    );
+    assert.match(diagnostics[0].message, /^Field 'address\.zip' has min/);
+  });
+
+  await t.test('nesting depth is limited', async () => {
+    assert.ok(validateSchema(nestedMaps(5)));
+
+    const { diagnostics } = validateSchemaDetailed(nestedMaps(6));
+    assert.equal(diagnostics.length, 1);
+    assert.equal(diagnostics[0].code, 'nesting-too-deep');
+    assert.equal(
+      diagnostics[0].path,
+      '/fields/1/fields/0/fields/0/fields/0/fields/0/fields/0/fields'
+    );
+    assert.match(
+      diagnostics[0].message,
+      /'address\.level1\.level2\.level3\.level4\.level5' nests maps deeper than the maximum depth of 5/
+    );
+
+    assert.ok(validateSchema(nestedMaps(6), { maxNestingDepth: 6 }));
+    assert.throws(
+      () => validateSchema(nestedMaps(2), { maxNestingDepth: 1 }),
+      /maximum depth of 1/
+    );
+    assert.throws(
+      () => validateSchema(nestedMaps(1), { maxNestingDepth: 0 }),
+      /maxNestingDepth must be a positive integer/
+    );
+  });
+
+  await t.test('records are checked against nested metadata', async () => {
+    const schema = validateSchema(await loadFixture(fixture));
+    const compiled = compileRecordValidator(schema);
+    const item = {
+      orderId: 'o-1',
+      shippingAddress: {
+        street: '1 Main St',
+        zip: '1234',
+        country: 'MX',
+        geo: { lat: 91, lng: 0 },
+      },
+      lineItems: [{ 'product-id': 'p-1', quantity: 0, giftTags: ['a', 1] }],
+    };
+
+    const result = validateRecord(schema, item);
+    assert.deepEqual(
+      result.errors.map(e => [e.code, e.path]),
+      [
+        ['required', '/shippingAddress/city'],
+        ['pattern', '/shippingAddress/zip'],
+        ['enum', '/shippingAddress/country'],
+        ['maximum', '/shippingAddress/geo/lat'],
+        ['minimum', '/lineItems/0/quantity'],
+        ['type', '/lineItems/0/giftTags/1'],
+      ]
+    );
+    assert.deepEqual(compiled(item), result);
+  });
+});
+
+// Test suite for collection and element constraints
+test('Collection Constraints', async t => {
+  const {
+    validateSchema,
+    validateSchemaDetailed,
+    validateRecord,
+    compileRecordValidator,
+  } = await import('../dist/src/index.js');
+
+  const withFields = fields => ({
+    schemaVersion: 1.1,
+    entityName: 'Order',
+    description: 'Order entity',
+    primaryKey: { partitionKey: 'orderId' },
+    fields: [{ name: 'orderId', type: 'string', required: true }, ...fields],
+  });
+
+  const orderSchema = withFields([
+    {
+      name: 'tags',
+      type: 'list',
+      items: { type: 'string', constraints: { maxLength: 20 } },
+      constraints: { minItems: 1, maxItems: 10, uniqueItems: true },
+    },
+    {
+      name: 'promotionCodes',
+      type: 'stringSet',
+      constraints: { pattern: '^[A-Z0-9]{6}$', maxItems: 3 },
+    },
+    {
+      name: 'quantities',
+      type: 'list',
+      items: { type: 'number', constraints: { min: 1 } },
+    },
+    { name: 'channels', type: 'stringSet', enum: ['web', 'store'] },
+    {
+      name: 'sizes',
+      type: 'list',
+      items: { type: 'string', enum: ['S', 'M'] },
+    },
+  ]);
+
+  const diagnosticsFor = fields =>
+    validateSchemaDetailed(withFields(fields)).diagnostics.map(d => [
+      d.code,
+      d.path,
+    ]);
+
+  await t.test('collection and element constraints are accepted', async () => {
+    const validated = validateSchema(orderSchema);
+    assert.equal(validated.fields[1].constraints.maxItems, 10);
+    assert.equal(validated.fields[1].items.constraints.maxLength, 20);
+    assert.deepEqual(validated.fields[5].items.enum, ['S', 'M']);
+
+    const validate = await loadSchema();
+    assert.equal(validate(orderSchema), true, JSON.stringify(validate.errors));
+  });
+
+  await t.test(
+    'constraints are checked against the collection type',
+    async () => {
+      assert.deepEqual(
+        diagnosticsFor([
+          {
+            name: 'tags',
+            type: 'list',
+            items: { type: 'string' },
+            constraints: { minItems: 5, maxItems: 2, uniqueItems: 'yes' },
+          },
+          {
+            name: 'ids',
+            type: 'numberSet',
+            constraints: { uniqueItems: true },
+          },
+          { name: 'codes', type: 'stringSet', constraints: { min: 1 } },
+          { name: 'note', type: 'string', constraints: { maxItems: 1 } },
+          {
+            name: 'meta',
+            type: 'map',
+            fields: [{ name: 'a', type: 'string' }],
+            constraints: { minItems: 1 },
+          },
+        ]),
+        [
+          ['constraint-range', '/fields/1/constraints/minItems'],
+          ['invalid-constraint-value', '/fields/1/constraints/uniqueItems'],
+          ['constraint-type-mismatch', '/fields/2/constraints/uniqueItems'],
+          ['constraint-type-mismatch', '/fields/3/constraints/min'],
+          ['constraint-type-mismatch', '/fields/4/constraints/maxItems'],
+          ['unsupported-constraints', '/fields/5/constraints'],
+        ]
+      );
+    }
+  );
+
+  await t.test('list element constraints belong on items', async () => {
+    const { diagnostics } = validateSchemaDetailed(
+      withFields([
+        {
+          name: 'tags',
+          type: 'list',
+          items: { type: 'string' },
+          enum: ['a'],
+          constraints: { pattern: '^a$', maxItems: 3 },
+        },
+      ])
+    );
+
+    assert.deepEqual(
+      diagnostics.map(d => d.code),
+      ['unsupported-enum', 'unsupported-constraints']
+    );
+    assert.match(diagnostics[0].message, /use items\.enum$/);
+    assert.match(
+      diagnostics[1].message,
+      /\(pattern\); use items\.constraints$/
+    );
+  });
+
+  await t.test('element enums must satisfy element constraints', async () => {
+    assert.deepEqual(
+      diagnosticsFor([
+        {
+          name: 'sizes',
+          type: 'list',
+          items: {
+            type: 'string',
+            enum: ['S', 'XXL'],
+            constraints: { maxLength: 2 },
+          },
+        },
+        {
+          name: 'codes',
+          type: 'stringSet',
+          enum: ['AB', 'ABC'],
+          constraints: { minLength: 3 },
+        },
+        {
+          name: 'lines',
+          type: 'list',
+          items: {
+            type: 'map',
+            fields: [{ name: 'sku', type: 'string' }],
+            constraints: { minLength: 1 },
+          },
+        },
+      ]),
+      [
+        ['enum-violates-constraint', '/fields/1/items/enum/1'],
+        ['enum-violates-constraint', '/fields/2/enum/0'],
+        ['unsupported-constraints', '/fields/3/items/constraints'],
+      ]
+    );
+  });
+
+  await t.test(
+    'records are checked against collection constraints',
+    async () => {
+      const schema = validateSchema(orderSchema);
+      const item = {
+        orderId: 'o-1',
+        tags: ['sale', 'sale'],
+        promotionCodes: new Set(['SPRING', 'bad', 'SUMMER', 'WINTER']),
+        quantities: [2, 0],
+        channels: ['web', 'phone'],
+        sizes: ['S', 'L'],
+      };
+
+      const result = validateRecord(schema, item);
+      assert.deepEqual(
+        result.errors.map(e => [e.code, e.path]),
+        [
+          ['duplicate-item', '/tags'],
+          ['max-items', '/promotionCodes'],
+          ['pattern', '/promotionCodes/1'],
+          ['minimum', '/quantities/1'],
+          ['enum', '/channels/1'],
+          ['enum', '/sizes/1'],
+        ]
+      );
+      assert.equal(
+        result.errors[2].message,
+        "Field 'promotionCodes[1]' must match pattern ^[A-Z0-9]{6}$"
+      );
+      assert.deepEqual(compileRecordValidator(schema)(item), result);
+
+      const empty = validateRecord(schema, { orderId: 'o-2', tags: [] });
+      assert.deepEqual(
+        empty.errors.map(e => e.code),
+        ['min-items']
+      );
+    }
+  );
+
+  await t.test('uniqueItems compares maps structurally', async () => {
+    const schema = validateSchema(
+      withFields([
+        {
+          name: 'lines',
+          type: 'list',
+          constraints: { uniqueItems: true },
+          items: {
+            type: 'map',
+            fields: [
+              { name: 'sku', type: 'string' },
+              { name: 'qty', type: 'number' },
+            ],
+          },
+        },
+      ])
+    );
+    const compiled = compileRecordValidator(schema);
+
+    const duplicated = {
+      orderId: 'o-1',
+      lines: [
+        { sku: 'a', qty: 1 },
+        { qty: 1, sku: 'a' },
+      ],
+    };
+    const distinct = {
+      orderId: 'o-1',
+      lines: [
+        { sku: 'a', qty: 1 },
+        { sku: 'a', qty: 2 },
+      ],
+    };
+
+    assert.equal(
+      validateRecord(schema, duplicated).errors[0].code,
+      'duplicate-item'
+    );
+    assert.deepEqual(compiled(duplicated), validateRecord(schema, duplicated));
+    assert.equal(validateRecord(schema, distinct).valid, true);
+    assert.equal(compiled(distinct).valid, true);
+  });
+});
+
+// Test suite for integer, decimal, binary, date and uuid types
+test('Extended Scalar Types', async t => {
+  const {
+    validateSchema,
+    validateSchemaDetailed,
+    validateRecord,
+    compileRecordValidator,
+  } = await import('../dist/src/index.js');
+
+  const withFields = fields => ({
+    schemaVersion: 1.1,
+    entityName: 'Payment',
+    description: 'Payment entity',
+    primaryKey: { partitionKey: 'paymentId' },
+    fields: [{ name: 'paymentId', type: 'uuid', required: true }, ...fields],
+  });
+
+  const paymentSchema = withFields([
+    {
+      name: 'amount',
+      type: 'decimal',
+      required: true,
+      constraints: { precision: 7, scale: 2, min: 0 },
+    },
+    { name: 'attempts', type: 'integer', default: 0, constraints: { max: 5 } },
+    { name: 'settlementDate', type: 'date', default: '2024-01-31' },
+    { name: 'signature', type: 'binary', constraints: { maxLength: 4 } },
+    { name: 'certificates', type: 'binarySet', constraints: { maxItems: 2 } },
+    {
+      name: 'fees',
+      type: 'list',
+      items: { type: 'decimal', constraints: { scale: 2 } },
+    },
+  ]);
+
+  const diagnosticsFor = fields =>
+    validateSchemaDetailed(withFields(fields)).diagnostics.map(d => [
+      d.code,
+      d.path,
+    ]);
+
+  await t.test(
+    'new types are accepted by the validator and JSON Schema',
+    async () => {
+      const validated = validateSchema(paymentSchema);
+      assert.deepEqual(
+        validated.fields.map(f => f.type),
+        ['uuid', 'decimal', 'integer', 'date', 'binary', 'binarySet', 'list']
+      );
+      assert.equal(validated.fields[1].constraints.scale, 2);
+
+      const validate = await loadSchema();
+      assert.equal(
+        validate(paymentSchema),
+        true,
+        JSON.stringify(validate.errors)
+      );
+    }
+  );
+
+  await t.test('new types can back primary keys', async () => {
+    const schema = withFields([
+      { name: 'businessDate', type: 'date', required: true },
+    ]);
+    schema.primaryKey.sortKey = 'businessDate';
+    assert.equal(validateSchemaDetailed(schema).valid, true);
+  });
+
+  await t.test('defaults are checked against each type', async () => {
+    assert.deepEqual(
+      diagnosticsFor([
+        { name: 'count', type: 'integer', default: 1.5 },
+        { name: 'price', type: 'decimal', default: 'ten' },
+        {
+          name: 'rate',
+          type: 'decimal',
+          default: '0.125',
+          constraints: { scale: 2 },
+        },
+        { name: 'day', type: 'date', default: '2024-02-30' },
+        { name: 'day2', type: 'date', default: '2024-01-15T00:00:00Z' },
+        { name: 'ref', type: 'uuid', default: 'not-a-uuid' },
+        { name: 'blob', type: 'binary', default: 'AQID' },
+        {
+          name: 'blob2',
+          type: 'binary',
+          default: 'AQ=',
+          constraints: { maxLength: 2 },
+        },
+      ]),
+      [
+        ['invalid-default', '/fields/1/default'],
+        ['invalid-default', '/fields/2/default'],
+        ['default-violates-constraint', '/fields/3/default'],
+        ['invalid-default', '/fields/4/default'],
+        ['invalid-default', '/fields/5/default'],
+        ['invalid-default', '/fields/6/default'],
+        ['invalid-default', '/fields/8/default'],
+      ]
+    );
+
+    const { diagnostics } = validateSchemaDetailed(
+      withFields([{ name: 'day', type: 'date', default: '2024-02-30' }])
+    );
+    assert.equal(
+      diagnostics[0].message,
+      'Field \'day\' default "2024-02-30" is not a valid ISO 8601 date (YYYY-MM-DD)'
+    );
+  });
+
+  await t.test('constraints apply only where they make sense', async () => {
+    assert.deepEqual(
+      diagnosticsFor([
+        {
+          name: 'count',
+          type: 'integer',
+          constraints: { min: 1, maxLength: 3 },
+        },
+        {
+          name: 'price',
+          type: 'decimal',
+          constraints: { precision: 4, scale: 6 },
+        },
+        { name: 'total', type: 'number', constraints: { precision: 10 } },
+        {
+          name: 'ratio',
+          type: 'decimal',
+          constraints: { precision: 0, scale: 1.5 },
+        },
+        { name: 'day', type: 'date', constraints: { min: 1 } },
+        { name: 'ref', type: 'uuid', constraints: { pattern: '^a' } },
+        {
+          name: 'blob',
+          type: 'binary',
+          constraints: { minLength: 1, pattern: '^A' },
+        },
+        { name: 'blobs', type: 'binarySet', constraints: { maxLength: 8 } },
+      ]),
+      [
+        ['constraint-type-mismatch', '/fields/1/constraints/maxLength'],
+        ['constraint-range', '/fields/2/constraints/scale'],
+        ['constraint-type-mismatch', '/fields/3/constraints/precision'],
+        ['invalid-constraint-value', '/fields/4/constraints/precision'],
+        ['invalid-constraint-value', '/fields/4/constraints/scale'],
+        ['constraint-type-mismatch', '/fields/5/constraints/min'],
+        ['constraint-type-mismatch', '/fields/6/constraints/pattern'],
+        ['constraint-type-mismatch', '/fields/7/constraints/pattern'],
+      ]
+    );
+  });
+
+  await t.test('records are checked against each type', async () => {
+    const schema = validateSchema(paymentSchema);
+    const item = {
+      paymentId: '3B241101-E2BB-4255-8CAF-4136C566A96',
+      amount: '123456.789',
+      attempts: 2.5,
+      settlementDate: '2024-13-01',
+      signature: new Uint8Array([1, 2, 3, 4, 5]),
+      certificates: ['AQ==', new Uint8Array([1])],
+      fees: [0.5, '1.255', 'x'],
+    };
+
+    const result = validateRecord(schema, item);
+    assert.deepEqual(
+      result.errors.map(e => [e.code, e.path]),
+      [
+        ['uuid', '/paymentId'],
+        ['scale', '/amount'],
+        ['precision', '/amount'],
+        ['type', '/attempts'],
+        ['date', '/settlementDate'],
+        ['max-length', '/signature'],
+        ['duplicate-set-element', '/certificates'],
+        ['scale', '/fees/1'],
+        ['type', '/fees/2'],
+      ]
+    );
+    assert.equal(
+      result.errors[2].message,
+      "Field 'amount' must have at most 7 significant digits (5 before the decimal point)"
+    );
+    assert.equal(
+      result.errors[5].message,
+      "Field 'signature' must be at most 4 bytes"
+    );
+    assert.deepEqual(compileRecordValidator(schema)(item), result);
+  });
+
+  await t.test('decimals accept numbers and numeric strings', async () => {
+    const schema = validateSchema(paymentSchema);
+    const compiled = compileRecordValidator(schema);
+
+    for (const amount of [0, 99999.99, '00012.50', '1.5e2', 1e-2]) {
+      const item = {
+        paymentId: '3b241101-e2bb-4255-8caf-4136c566a962',
+        amount,
+      };
+      assert.equal(validateRecord(schema, item).valid, true, String(amount));
+      assert.equal(compiled(item).valid, true, String(amount));
+    }
+    const negative = validateRecord(schema, {
+      paymentId: '3b241101-e2bb-4255-8caf-4136c566a962',
+      amount: '-0.01',
+    });
+    assert.deepEqual(
+      negative.errors.map(e => e.code),
+      ['minimum']
+    );
+  });
+
+  await t.test(
+    'binary values may be base64 strings or byte arrays',
+    async () => {
+      const schema = validateSchema(paymentSchema);
+      const compiled = compileRecordValidator(schema);
+      const base = {
+        paymentId: '3b241101-e2bb-4255-8caf-4136c566a962',
+        amount: 1,
+      };
+
+      const valid = {
+        ...base,
+        signature: 'AQIDBA==',
+        certificates: new Set([Buffer.from('cert-a'), 'Y2VydC1i']),
+      };
+      assert.equal(validateRecord(schema, valid).valid, true);
+      assert.equal(compiled(valid).valid, true);
+
+      const invalid = {
+        ...base,
+        signature: 'not base64',
+        certificates: ['AQ==', 7],
+      };
+      assert.deepEqual(
+        validateRecord(schema, invalid).errors.map(e => [e.code, e.path]),
+        [
+          ['binary', '/signature'],
+          ['type', '/certificates'],
+        ]
+      );
+      assert.deepEqual(compiled(invalid), validateRecord(schema, invalid));
+    }
+  );
+});
+
+// Test suite for semantic string formats
+test('String Formats', async t => {
+  const {
+    validateSchema,
+    validateSchemaDetailed,
+    validateRecord,
+    compileRecordValidator,
+    matchesFormat,
+    STRING_FORMATS,
+  } = await import('../dist/src/index.js');
+
+  const withFields = fields => ({
+    schemaVersion: 1.1,
+    entityName: 'Device',
+    description: 'Device entity',
+    primaryKey: { partitionKey: 'deviceId' },
+    fields: [{ name: 'deviceId', type: 'string', required: true }, ...fields],
+  });
+
+  const deviceSchema = withFields([
+    { name: 'ownerEmail', type: 'string', format: 'email' },
+    { name: 'homepage', type: 'string', format: 'uri' },
+    { name: 'address', type: 'string', format: 'ipv6' },
+    { name: 'country', type: 'string', format: 'iso-country', default: 'US' },
+    { name: 'phones', type: 'stringSet', format: 'e164-phone' },
+    {
+      name: 'gateways',
+      type: 'list',
+      items: { type: 'string', format: 'ipv4' },
+    },
+  ]);
+
+  const diagnosticsFor = fields =>
+    validateSchemaDetailed(withFields(fields)).diagnostics.map(d => [
+      d.code,
+      d.path,
+    ]);
+
+  await t.test('formats are accepted and kept for generators', async () => {
+    const validated = validateSchema(deviceSchema);
+    assert.equal(validated.fields[1].format, 'email');
+    assert.equal(validated.fields[6].items.format, 'ipv4');
+    assert.equal(Object.keys(STRING_FORMATS).length, 12);
+    assert.ok(STRING_FORMATS['iso-currency'].description);
+
+    const validate = await loadSchema();
+    assert.equal(validate(deviceSchema), true, JSON.stringify(validate.errors));
+  });
+
+  await t.test('format names and field types are checked', async () => {
+    const { diagnostics } = validateSchemaDetailed(
+      withFields([
+        { name: 'contact', type: 'string', format: 'emal' },
+        { name: 'count', type: 'number', format: 'email' },
+        {
+          name: 'hosts',
+          type: 'list',
+          items: { type: 'string' },
+          format: 'hostname',
+        },
+        {
+          name: 'lines',
+          type: 'list',
+          items: {
+            type: 'map',
+            format: 'uri',
+            fields: [{ name: 'a', type: 'string' }],
+          },
+        },
+      ])
+    );
+
+    assert.deepEqual(
+      diagnostics.map(d => [d.code, d.path]),
+      [
+        ['invalid-format', '/fields/1/format'],
+        ['unsupported-format', '/fields/2/format'],
+        ['unsupported-format', '/fields/3/format'],
+        ['unsupported-format', '/fields/4/items/format'],
+      ]
+    );
+    assert.match(diagnostics[0].message, /did you mean 'email'\?$/);
+    assert.match(diagnostics[2].message, /use items\.format$/);
+  });
+
+  await t.test('format conflicts with constraints are reported', async () => {
+    assert.deepEqual(
+      diagnosticsFor([
+        {
+          name: 'id',
+          type: 'string',
+          format: 'uuid',
+          constraints: { maxLength: 32 },
+        },
+        {
+          name: 'phone',
+          type: 'string',
+          format: 'e164-phone',
+          constraints: { minLength: 20 },
+        },
+        {
+          name: 'country',
+          type: 'string',
+          format: 'iso-country',
+          constraints: { pattern: '^[a-z]{2}$' },
+        },
+        {
+          name: 'currency',
+          type: 'string',
+          format: 'iso-currency',
+          constraints: { pattern: '^E' },
+        },
+        {
+          name: 'email',
+          type: 'string',
+          format: 'email',
+          constraints: { pattern: '@acme\\.com$' },
+        },
+      ]),
+      [
+        ['format-conflict', '/fields/1/format'],
+        ['format-conflict', '/fields/2/format'],
+        ['format-conflict', '/fields/3/format'],
+        ['format-pattern-mismatch', '/fields/5/constraints/pattern'],
+      ]
+    );
+  });
+
+  await t.test(
+    'patterns are compared with typical values of open formats',
+    async () => {
+      const fields = [
+        { name: 'id', format: 'uuid', pattern: '^x' },
+        { name: 'email', format: 'email', pattern: '^[0-9]+$' },
+        { name: 'gateway', format: 'ipv4', pattern: '^[a-z]+$' },
+        { name: 'ref', format: 'uuid', pattern: '^[0-9a-fA-F-]+$' },
+        { name: 'lan', format: 'ipv4', pattern: '^(10|192)\\.' },
+        {
+          name: 'opens',
+          format: 'time',
+          pattern: '^[0-9]{2}:[0-9]{2}:[0-9]{2}$',
+        },
+      ].map(({ name, format, pattern }) => ({
+        name,
+        type: 'string',
+        format,
+        constraints: { pattern },
+      }));
+      const { valid, diagnostics } = validateSchemaDetailed(withFields(fields));
+
+      assert.equal(valid, true);
+      assert.deepEqual(
+        diagnostics.map(d => [d.code, d.path, d.severity]),
+        [
+          [
+            'format-pattern-mismatch',
+            '/fields/1/constraints/pattern',
+            'warning',
+          ],
+          [
+            'format-pattern-mismatch',
+            '/fields/2/constraints/pattern',
+            'warning',
+          ],
+          [
+            'format-pattern-mismatch',
+            '/fields/3/constraints/pattern',
+            'warning',
+          ],
+        ]
+      );
+      assert.match(
+        diagnostics[0].message,
+        /^Field 'id' pattern matches none of the typical 'uuid' values \('123e4567-/
+      );
+
+      // Every open format has samples, and they are values of the format
+      for (const [format, definition] of Object.entries(STRING_FORMATS)) {
+        if (definition.values) {
+          continue;
+        }
+        assert.ok(definition.samples.length > 0, format);
+        for (const sample of definition.samples) {
+          assert.ok(matchesFormat(format, sample), `${format}: ${sample}`);
+        }
+      }
+    }
+  );
+
+  await t.test('enum and default values must match the format', async () => {
+    assert.deepEqual(
+      diagnosticsFor([
+        {
+          name: 'currency',
+          type: 'string',
+          format: 'iso-currency',
+          default: 'usd',
+        },
+        {
+          name: 'regions',
+          type: 'stringSet',
+          format: 'iso-country',
+          enum: ['US', 'UK'],
+        },
+        {
+          name: 'times',
+          type: 'list',
+          items: { type: 'string', format: 'time', enum: ['09:00:00', '9am'] },
+        },
+      ]),
+      [
+        ['default-violates-constraint', '/fields/1/default'],
+        ['enum-violates-constraint', '/fields/2/enum/1'],
+        ['enum-violates-constraint', '/fields/3/items/enum/1'],
+      ]
+    );
+  });
+
+  await t.test('matchesFormat checks each format', async () => {
+    const cases = {
+      email: ['ops@example.com', 'ops@'],
+      uri: ['https://example.com/a?b=1', 'example.com'],
+      uuid: ['3b241101-e2bb-4255-8caf-4136c566a962', '3b241101e2bb'],
+      ipv4: ['192.168.0.1', '256.1.1.1'],
+      ipv6: ['2001:db8::8a2e:370:7334', '2001:db8::1::2'],
+      hostname: ['sensor-1.example.com', '-sensor.example.com'],
+      date: ['2024-02-29', '2023-02-29'],
+      time: ['23:59:59.5Z', '24:00:00'],
+      duration: ['P1DT12H', 'P'],
+      'e164-phone': ['+14155552671', '4155552671'],
+      'iso-country': ['DE', 'XX'],
+      'iso-currency': ['EUR', 'EURO'],
+    };
+    for (const [format, [valid, invalid]] of Object.entries(cases)) {
+      assert.equal(matchesFormat(format, valid), true, `${format} ${valid}`);
+      assert.equal(
+        matchesFormat(format, invalid),
+        false,
+        `${format} ${invalid}`
+      );
+    }
+  });
+
+  await t.test('records are checked against formats', async () => {
+    const schema = validateSchema(deviceSchema);
+    const item = {
+      deviceId: 'd-1',
+      ownerEmail: 'not-an-email',
+      homepage: 'https://example.com',
+      address: '::ffff:10.0.0.1',
+      country: 'ZZ',
+      phones: new Set(['+14155552671', '555-0100']),
+      gateways: ['10.0.0.1', '10.0.0.256'],
+    };
+
+    const result = validateRecord(schema, item);
+    assert.deepEqual(
+      result.errors.map(e => [e.code, e.path]),
+      [
+        ['format', '/ownerEmail'],
+        ['format', '/country'],
+        ['format', '/phones/1'],
+        ['format', '/gateways/1'],
+      ]
+    );
+    assert.equal(
+      result.errors[0].message,
+      "Field 'ownerEmail' must match format 'email'"
+    );
+    assert.deepEqual(compileRecordValidator(schema)(item), result);
+  });
+
+  await t.test('unknown formats are not compiled', () => {
+    assert.throws(
+      () =>
+        compileRecordValidator(
+          withFields([{ name: 'contact', type: 'string', format: 'emial' }])
+        ),
+      /Unknown string format "emial"/
+    );
+  });
+});
+
+// Test suite for discriminated union fields
+test('Union Fields', async t => {
+  const {
+    validateSchema,
+    validateSchemaDetailed,
+    validateRecord,
+    compileRecordValidator,
+  } = await import('../dist/src/index.js');
+
+  const withFields = fields => ({
+    schemaVersion: 1.1,
+    entityName: 'Payment',
+    description: 'Payment entity',
+    primaryKey: { partitionKey: 'paymentId' },
+    fields: [{ name: 'paymentId', type: 'string', required: true }, ...fields],
+  });
+
+  const method = {
+    name: 'method',
+    type: 'union',
+    discriminator: 'kind',
+    required: true,
+    variants: [
+      {
+        name: 'card',
+        fields: [
+          {
+            name: 'last4',
+            type: 'string',
+            required: true,
+            constraints: { pattern: '^[0-9]{4}$' },
+          },
+          { name: 'reference', type: 'string' },
+        ],
+      },
+      {
+        name: 'bankTransfer',
+        description: 'SEPA or ACH transfer',
+        fields: [
+          { name: 'iban', type: 'string', required: true },
+          { name: 'reference', type: 'string' },
+        ],
+      },
+    ],
+  };
+
+  const diagnosticsFor = fields =>
+    validateSchemaDetailed(withFields(fields)).diagnostics.map(d => [
+      d.code,
+      d.path,
+    ]);
+
+  await t.test('union fields are accepted', async () => {
+    const validated = validateSchema(withFields([method]));
+    const union = validated.fields[1];
+    assert.equal(union.discriminator, 'kind');
+    assert.deepEqual(
+      union.variants.map(v => v.name),
+      ['card', 'bankTransfer']
+    );
+    assert.equal(union.variants[1].description, 'SEPA or ACH transfer');
+    assert.equal(union.variants[0].fields[0].required, true);
+
+    const validate = await loadSchema();
+    assert.equal(
+      validate(withFields([method])),
+      true,
+      JSON.stringify(validate.errors)
+    );
+  });
+
+  await t.test('discriminator and variants are required', async () => {
+    assert.deepEqual(
+      diagnosticsFor([
+        { name: 'a', type: 'union', variants: method.variants },
+        { name: 'b', type: 'union', discriminator: 'kind', variants: [] },
+        {
+          name: 'c',
+          type: 'union',
+          discriminator: 'kind',
+          variants: [{ fields: [] }, { name: 'empty' }],
+          default: {},
+        },
+      ]),
+      [
+        ['invalid-discriminator', '/fields/1/discriminator'],
+        ['missing-variants', '/fields/2/variants'],
+        ['unsupported-default', '/fields/3/default'],
+        ['invalid-variant', '/fields/3/variants/0/name'],
+        ['missing-nested-fields', '/fields/3/variants/1/fields'],
+      ]
+    );
+  });
+
+  await t.test('variants must be unique and must not overlap', async () => {
+    const { diagnostics } = validateSchemaDetailed(
+      withFields([
+        {
+          ...method,
+          variants: [
+            ...method.variants,
+            {
+              name: 'card',
+              fields: [
+                { name: 'kind', type: 'string' },
+                { name: 'reference', type: 'number' },
+              ],
+            },
+          ],
+        },
+      ])
+    );
+
+    assert.deepEqual(
+      diagnostics.map(d => [d.code, d.path]),
+      [
+        ['duplicate-variant', '/fields/1/variants/2/name'],
+        ['discriminator-conflict', '/fields/1/variants/2/fields/0/name'],
+        ['variant-field-conflict', '/fields/1/variants/2/fields/1/type'],
+      ]
+    );
+    assert.equal(
+      diagnostics[2].message,
+      "Variants 'card' and 'card' of field 'method' both define 'reference', with different types (string, number)"
+    );
+  });
+
+  await t.test('variant fields are validated like nested fields', async () => {
+    assert.deepEqual(
+      diagnosticsFor([
+        {
+          ...method,
+          variants: [
+            {
+              name: 'card',
+              fields: [
+                { name: 'last4', type: 'string', constraints: { min: 1 } },
+              ],
+            },
+          ],
+        },
+      ]),
+      [
+        [
+          'constraint-type-mismatch',
+          '/fields/1/variants/0/fields/0/constraints/min',
+        ],
+      ]
+    );
+  });
+
+  await t.test('records are checked against their variant', async () => {
+    const schema = validateSchema(withFields([method]));
+    const compiled = compileRecordValidator(schema);
+
+    const valid = {
+      paymentId: 'p-1',
+      method: { kind: 'bankTransfer', iban: 'DE89370400440532013000' },
+    };
+    assert.equal(validateRecord(schema, valid).valid, true);
+    assert.equal(compiled(valid).valid, true);
+
+    const items = [
+      { paymentId: 'p-2', method: { kind: 'card', last4: '12345' } },
+      { paymentId: 'p-3', method: { kind: 'cash' } },
+      { paymentId: 'p-4', method: 'card' },
+    ];
+    assert.deepEqual(
+      items.map(item =>
+        validateRecord(schema, item).errors.map(e => [e.code, e.path])
+      ),
+      [
+        [['pattern', '/method/last4']],
+        [['discriminator', '/method/kind']],
+        [['type', '/method']],
+      ]
+    );
+    assert.equal(
+      validateRecord(schema, items[1]).errors[0].message,
+      "Field 'method' must have 'kind' set to one of: card, bankTransfer"
+    );
+    for (const item of items) {
+      assert.deepEqual(compiled(item), validateRecord(schema, item));
+    }
+  });
+});
+
+// Test suite for named types and $ref
+test('Named Types', async t => {
+  const {
+    validateSchema,
+    validateSchemaDetailed,
+    resolveSchema,
+    resolveSchemaDetailed,
+    SchemaValidationError,
+  } = await import('../dist/src/index.js');
+  const { writeFile, mkdtemp, mkdir, rm } = await import('node:fs/promises');
+  const { tmpdir } = await import('node:os');
+  const { join } = await import('node:path');
+
+  const withTypes = (types, fields) => ({
+    schemaVersion: 1.1,
+    entityName: 'Customer',
+    description: 'Customer entity',
+    primaryKey: { partitionKey: 'customerId' },
+    types,
+    fields: [{ name: 'customerId', type: 'string', required: true }, ...fields],
+  });
+
+  const address = {
+    type: 'map',
+    description: 'Postal address',
+    fields: [
+      { name: 'city', type: 'string', required: true },
+      { name: 'country', type: 'string', format: 'iso-country' },
+    ],
+  };
+
+  const diagnosticsFor = (types, fields) =>
+    validateSchemaDetailed(withTypes(types, fields)).diagnostics.map(d => [
+      d.code,
+      d.path,
+    ]);
+
+  await t.test('fields reference local types', async () => {
+    const document = withTypes(
+      {
+        Address: address,
+        Tier: { type: 'string', enum: ['gold', 'silver'] },
+        Location: { $ref: '#/types/Address' },
+      },
+      [
+        {
+          name: 'home',
+          $ref: '#/types/Address',
+          required: true,
+          description: 'Home address',
+        },
+        { name: 'office', $ref: '#/types/Location' },
+        { name: 'tier', $ref: '#/types/Tier' },
+        {
+          name: 'previous',
+          type: 'list',
+          items: {
+            type: 'map',
+            fields: [{ name: 'address', $ref: '#/types/Address' }],
+          },
+        },
+      ]
+    );
+    const result = validateSchemaDetailed(document);
+    assert.deepEqual(result.diagnostics, []);
+
+    const [, home, office, tier, previous] = result.schema.fields;
+    assert.deepEqual(
+      [home.type, home.required, home.description],
+      ['map', true, 'Home address']
+    );
+    assert.deepEqual(
+      home.fields.map(f => [f.name, f.format]),
+      [
+        ['city', undefined],
+        ['country', 'iso-country'],
+      ]
+    );
+    assert.equal(office.description, 'Postal address');
+    assert.deepEqual(tier.enum, ['gold', 'silver']);
+    assert.deepEqual(previous.items.fields[0].fields, home.fields);
+    assert.equal('types' in result.schema, false);
+
+    const validate = await loadSchema();
+    assert.equal(validate(document), true, JSON.stringify(validate.errors));
+  });
+
+  await t.test('problems in types are reported once', async () => {
+    assert.deepEqual(
+      diagnosticsFor(
+        {
+          Address: address,
+          Broken: { type: 'number' },
+          'bad-name': address,
+          Unused: { type: 'string', enum: ['a'] },
+        },
+        [
+          { name: 'home', $ref: '#/types/Address' },
+          { name: 'a', $ref: '#/types/Broken' },
+          { name: 'b', $ref: '#/types/bad-name' },
+        ]
+      ),
+      [
+        ['invalid-type-definition', '/types/Broken'],
+        ['invalid-type-definition', '/types/bad-name'],
+        ['unused-type', '/types/Unused'],
+      ]
+    );
+  });
+
+  await t.test('invalid and unresolved references are reported', async () => {
+    const { diagnostics } = validateSchemaDetailed(
+      withTypes({ Address: address }, [
+        { name: 'a', $ref: 'Address' },
+        { name: 'b', $ref: '#/types/Adress' },
+        { name: 'c', $ref: '#/types/Address', type: 'map' },
+        { name: 'd', $ref: 'shared.bprint-types#/types/Address' },
+      ])
+    );
+
+    assert.deepEqual(
+      diagnostics.map(d => [d.code, d.path]),
+      [
+        ['invalid-ref', '/fields/1/$ref'],
+        ['unresolved-ref', '/fields/2/$ref'],
+        ['invalid-ref', '/fields/3/$ref'],
+        ['unresolved-ref', '/fields/4/$ref'],
+        ['unused-type', '/types/Address'],
+      ]
+    );
+    assert.equal(
+      diagnostics[2].message,
+      "Field 'c' cannot combine $ref with 'type'; define them in the referenced type"
+    );
+    assert.match(diagnostics[3].message, /require resolveSchema/);
+  });
+
+  await t.test('circular references are reported', async () => {
+    const { diagnostics } = validateSchemaDetailed(
+      withTypes(
+        {
+          Node: {
+            type: 'map',
+            fields: [{ name: 'next', $ref: '#/types/Node' }],
+          },
+          A: { $ref: '#/types/B' },
+          B: { $ref: '#/types/A' },
+        },
+        [
+          { name: 'node', $ref: '#/types/Node' },
+          { name: 'a', $ref: '#/types/A' },
+        ]
+      )
+    );
+
+    assert.deepEqual(
+      diagnostics.map(d => [d.code, d.path]),
+      [
+        ['circular-ref', '/fields/1/fields/0/$ref'],
+        ['circular-ref', '/fields/2/$ref'],
+      ]
+    );
+    assert.equal(
+      diagnostics[1].message,
+      "Field 'a' $ref '#/types/A' is circular: A -> B -> A"
+    );
+  });
+
+  await t.test('resolveSchema loads types from other files', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'bprint-'));
+    try {
+      await mkdir(join(dir, 'common'));
+      await writeFile(
+        join(dir, 'common', 'geo.bprint-types'),
+        JSON.stringify({
+          types: {
+            GeoPoint: {
+              type: 'map',
+              fields: [
+                { name: 'lat', type: 'number', required: true },
+                { name: 'lon', type: 'number', required: true },
+              ],
+            },
+          },
+        })
+      );
+      // References inside a loaded file are relative to that file
+      await writeFile(
+        join(dir, 'common', 'address.bprint-types'),
+        JSON.stringify({
+          types: {
+            Address: {
+              type: 'map',
+              fields: [
+                { name: 'city', type: 'string' },
+                { name: 'location', $ref: 'geo.bprint-types#/types/GeoPoint' },
+              ],
+            },
+            Loop: { $ref: 'address.bprint-types#/types/Loop' },
+          },
+        })
+      );
+      const file = join(dir, 'customer.bprint');
+      await writeFile(
+        file,
+        JSON.stringify(
+          withTypes({}, [
+            {
+              name: 'home',
+              $ref: 'common/address.bprint-types#/types/Address',
+            },
+          ])
+        )
+      );
+
+      const schema = resolveSchema(file);
+      const location = schema.fields[1].fields[1];
+      assert.equal(location.type, 'map');
+      assert.deepEqual(
+        location.fields.map(f => f.name),
+        ['lat', 'lon']
+      );
+
+      await writeFile(
+        file,
+        JSON.stringify(
+          withTypes({}, [
+            { name: 'a', $ref: 'common/address.bprint-types#/types/Loop' },
+            { name: 'b', $ref: 'common/missing.bprint-types#/types/Address' },
+          ])
+        )
+      );
+      const result = resolveSchemaDetailed(file);
+      assert.deepEqual(
+        result.diagnostics.map(d => [d.code, d.path]),
+        [
+          ['circular-ref', '/fields/1/$ref'],
+          ['unresolved-ref', '/fields/2/$ref'],
+        ]
+      );
+      assert.throws(() => resolveSchema(file), SchemaValidationError);
+      assert.equal(
+        resolveSchemaDetailed(join(dir, 'none.bprint')).diagnostics[0].code,
+        'invalid-document'
+      );
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  await t.test('example blueprints share the Address type', async () => {
+    const order = resolveSchema('examples/ecommerce/order.bprint');
+    const patient = resolveSchema('examples/healthcare/patient.bprint');
+    const shipping = order.fields.find(f => f.name === 'shippingAddress');
+    const home = patient.fields.find(f => f.name === 'address');
+
+    assert.equal(shipping.type, 'map');
+    assert.deepEqual(shipping.fields, home.fields);
+    // Without a file to resolve from, cross-file references cannot load
+    const document = await loadFixture('examples/ecommerce/order.bprint');
+    assert.throws(() => validateSchema(document), SchemaValidationError);
+  });
+});
+
+// Test suite for blueprint inheritance
+test('Schema Inheritance', async t => {
+  const {
+    validateSchemaDetailed,
+    resolveSchema,
+    resolveSchemaDetailed,
+    flattenSchema,
+    SchemaValidationError,
+  } = await import('../dist/src/index.js');
+  const { writeFile, mkdtemp, mkdir, rm } = await import('node:fs/promises');
+  const { tmpdir } = await import('node:os');
+  const { join } = await import('node:path');
+
+  const base = {
+    schemaVersion: 1,
+    description: 'Audit fields',
+    abstract: true,
+    types: {
+      Actor: { $ref: 'actors.bprint-types#/types/Actor' },
+    },
+    fields: [
+      { name: 'createdAt', type: 'timestamp', required: true },
+      {
+        name: 'version',
+        type: 'integer',
+        required: true,
+        constraints: { min: 1 },
+      },
+      { name: 'createdBy', $ref: '#/types/Actor' },
+    ],
+  };
+  const child = fields => ({
+    schemaVersion: 1,
+    extends: '../common/base.bprint',
+    entityName: 'Order',
+    description: 'Order entity',
+    primaryKey: { partitionKey: 'orderId' },
+    fields: [{ name: 'orderId', type: 'string', required: true }, ...fields],
+  });
+
+  const withFiles = async (files, run) => {
+    const dir = await mkdtemp(join(tmpdir(), 'bprint-'));
+    try {
+      for (const [name, content] of Object.entries(files)) {
+        await mkdir(join(dir, name, '..'), { recursive: true });
+        await writeFile(join(dir, name), JSON.stringify(content));
+      }
+      await run(dir);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  };
+  const actors = {
+    types: {
+      Actor: { type: 'string', enum: ['user', 'service'] },
+    },
+  };
+
+  await t.test('inherited fields follow the schema own fields', async () => {
+    await withFiles(
+      {
+        'common/base.bprint': base,
+        'common/actors.bprint-types': actors,
+        'orders/order.bprint': child([
+          {
+            name: 'version',
+            type: 'integer',
+            required: true,
+            description: 'Optimistic locking version',
+            constraints: { max: 1000 },
+          },
+        ]),
+      },
+      async dir => {
+        const schema = resolveSchema(join(dir, 'orders/order.bprint'));
+        assert.deepEqual(
+          schema.fields.map(f => f.name),
+          ['orderId', 'version', 'createdAt', 'createdBy']
+        );
+        assert.equal(
+          schema.fields[1].description,
+          'Optimistic locking version'
+        );
+        assert.deepEqual(schema.fields[1].constraints, { min: 1, max: 1000 });
+        assert.deepEqual(schema.fields[3].enum, ['user', 'service']);
+
+        // References in the base are rewritten relative to the child
+        const flat = flattenSchema(join(dir, 'orders/order.bprint'));
+        assert.equal('extends' in flat, false);
+        assert.equal(flat.abstract, undefined);
+        assert.deepEqual(flat.types, {
+          Actor: { $ref: '../common/actors.bprint-types#/types/Actor' },
+        });
+        assert.deepEqual(flat.fields[3], {
+          name: 'createdBy',
+          $ref: '#/types/Actor',
+        });
+      }
+    );
+  });
+
+  await t.test('conflicts name the file of the inherited field', async () => {
+    await withFiles(
+      {
+        'common/base.bprint': {
+          ...base,
+          primaryKey: { partitionKey: 'id' },
+          types: { ...base.types, Tier: { type: 'string', enum: ['a'] } },
+        },
+        'common/actors.bprint-types': actors,
+        'orders/order.bprint': {
+          ...child([
+            { name: 'createdAt', type: 'string', required: true },
+            { name: 'version', type: 'integer', required: false },
+          ]),
+          types: { Tier: { type: 'string', enum: ['b'] } },
+        },
+      },
+      async dir => {
+        const { valid, diagnostics } = resolveSchemaDetailed(
+          join(dir, 'orders/order.bprint')
+        );
+        assert.equal(valid, false);
+        assert.deepEqual(
+          diagnostics.map(d => [d.code, d.path]),
+          [
+            ['extends-conflict', '/primaryKey'],
+            ['extends-conflict', '/types/Tier'],
+            ['extends-conflict', '/fields/1/type'],
+            ['extends-conflict', '/fields/2/required'],
+            ['unused-type', '/types/Tier'],
+            ['unknown-key-field', '/primaryKey/partitionKey'],
+          ]
+        );
+        assert.deepEqual(
+          diagnostics.slice(0, 4).map(d => d.message),
+          [
+            'primaryKey is inherited from ../common/base.bprint and cannot be replaced',
+            "Type 'Tier' is already defined in ../common/base.bprint",
+            "Field 'createdAt' has type 'timestamp' in ../common/base.bprint and cannot be redefined as 'string'",
+            "Field 'version' cannot change 'required' inherited from ../common/base.bprint; only description, constraints, annotations, classification, deprecated can be overridden",
+          ]
+        );
+        assert.throws(
+          () => flattenSchema(join(dir, 'orders/order.bprint')),
+          SchemaValidationError
+        );
+      }
+    );
+  });
+
+  await t.test('conflicts name the file that defines the field', async () => {
+    await withFiles(
+      {
+        'common/base.bprint': base,
+        'common/actors.bprint-types': actors,
+        'orders/sub/audited.bprint': {
+          schemaVersion: 1,
+          description: 'Audited entity',
+          abstract: true,
+          extends: '../../common/base.bprint',
+          fields: [{ name: 'updatedAt', type: 'timestamp' }],
+        },
+        'orders/order.bprint': {
+          ...child([
+            { name: 'createdAt', type: 'string', required: true },
+            { name: 'updatedAt', type: 'timestamp', required: true },
+          ]),
+          extends: './sub/audited.bprint',
+        },
+      },
+      async dir => {
+        const { diagnostics } = resolveSchemaDetailed(
+          join(dir, 'orders/order.bprint')
+        );
+        assert.deepEqual(
+          diagnostics.map(d => [d.code, d.path, d.message]),
+          [
+            [
+              'extends-conflict',
+              '/fields/1/type',
+              "Field 'createdAt' has type 'timestamp' in ../common/base.bprint and cannot be redefined as 'string'",
+            ],
+            [
+              'extends-conflict',
+              '/fields/2/required',
+              "Field 'updatedAt' cannot change 'required' inherited from ./sub/audited.bprint; only description, constraints, annotations, classification, deprecated can be overridden",
+            ],
+          ]
+        );
+      }
+    );
+  });
+
+  await t.test('rules are added to the inherited rules', async () => {
+    const versioned = {
+      ...base,
+      rules: [{ name: 'versioned', assert: 'version >= 1' }],
+    };
+    const withRules = rules => ({
+      'common/base.bprint': versioned,
+      'common/actors.bprint-types': actors,
+      'orders/order.bprint': { ...child([]), rules },
+    });
+    await withFiles(
+      withRules([{ name: 'created', assert: 'present(createdAt)' }]),
+      async dir => {
+        const schema = resolveSchema(join(dir, 'orders/order.bprint'));
+        assert.deepEqual(
+          schema.rules.map(r => r.name),
+          ['created', 'versioned']
+        );
+      }
+    );
+    await withFiles(
+      withRules([{ name: 'versioned', assert: 'version >= 2' }]),
+      async dir => {
+        const { diagnostics } = resolveSchemaDetailed(
+          join(dir, 'orders/order.bprint')
+        );
+        assert.deepEqual(
+          diagnostics.map(d => [d.code, d.path, d.message]),
+          [
+            [
+              'duplicate-rule',
+              '/rules/0/name',
+              "Rule 'versioned' is already defined in ../common/base.bprint",
+            ],
+          ]
+        );
+      }
+    );
+  });
+
+  await t.test('missing and circular bases are reported', async () => {
+    await withFiles(
+      {
+        'a.bprint': { ...child([]), extends: 'b.bprint' },
+        'b.bprint': { ...base, extends: 'a.bprint' },
+        'c.bprint': { ...child([]), extends: 'missing.bprint' },
+      },
+      async dir => {
+        const [cycle] = resolveSchemaDetailed(
+          join(dir, 'a.bprint')
+        ).diagnostics;
+        assert.equal(cycle.code, 'invalid-extends');
+        assert.equal(cycle.path, '/extends');
+        assert.equal(
+          cycle.message,
+          'b.bprint (/extends): Schema extends are circular: a.bprint -> b.bprint -> a.bprint'
+        );
+        assert.match(
+          resolveSchemaDetailed(join(dir, 'c.bprint')).diagnostics[0].message,
+          /^Cannot extend 'missing\.bprint': cannot read /
+        );
+      }
+    );
+  });
+
+  await t.test('validateSchema cannot load bases', async () => {
+    const diagnostics = [
+      child([]),
+      { ...base, types: undefined, fields: base.fields.slice(0, 2) },
+    ].map(document =>
+      validateSchemaDetailed(document).diagnostics.map(d => [d.code, d.path])
+    );
+    assert.deepEqual(diagnostics, [
+      [['invalid-extends', '/extends']],
+      [['abstract-schema', '/abstract']],
+    ]);
+  });
+
+  await t.test('the product example extends the audit base', async () => {
+    const product = resolveSchema('examples/ecommerce/product.bprint');
+    const createdBy = product.fields.find(f => f.name === 'createdBy');
+
+    assert.deepEqual(
+      product.fields.slice(-3).map(f => f.name),
+      ['createdAt', 'updatedAt', 'version']
+    );
+    assert.equal(
+      createdBy.description,
+      'Merchant account that listed the product'
+    );
+    assert.equal(createdBy.type, 'string');
+  });
+});
+
+// Test suite for .bprint-table manifests
+test('Table Manifests', async t => {
+  const { resolveTable, resolveTableDetailed } = await import(
+    '../dist/src/index.js'
+  );
+  const { writeFile, mkdtemp, rm } = await import('node:fs/promises');
+  const { tmpdir } = await import('node:os');
+  const { join } = await import('node:path');
+
+  const entity = (entityName, primaryKey, fields) => ({
+    schemaVersion: 1,
+    entityName,
+    description: `${entityName} entity`,
+    primaryKey,
+    fields,
+  });
+  const customer = entity('Customer', { partitionKey: 'customerId' }, [
+    { name: 'customerId', type: 'string', required: true },
+  ]);
+  const order = entity(
+    'Order',
+    { partitionKey: 'customerId', sortKey: 'orderDate' },
+    [
+      { name: 'customerId', type: 'string', required: true },
+      { name: 'orderDate', type: 'timestamp', required: true },
+    ]
+  );
+  const table = (entities, extra = {}) => ({
+    tableName: 'Commerce',
+    partitionKey: { name: 'pk', type: 'string' },
+    sortKey: { name: 'sk', type: 'string' },
+    entityTypeAttribute: 'entityType',
+    entities,
+    ...extra,
+  });
+
+  const withFiles = async (files, run) => {
+    const dir = await mkdtemp(join(tmpdir(), 'bprint-'));
+    try {
+      for (const [name, content] of Object.entries(files)) {
+        await writeFile(join(dir, name), JSON.stringify(content));
+      }
+      await run(dir);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  };
+  const diagnosticsFor = async (files, manifest) => {
+    let result;
+    await withFiles(
+      { ...files, 'commerce.bprint-table': manifest },
+      async dir => {
+        result = resolveTableDetailed(join(dir, 'commerce.bprint-table'));
+      }
+    );
+    return result.diagnostics.map(d => [d.code, d.path]);
+  };
+
+  await t.test('the telemetry example shares one table', async () => {
+    const telemetry = resolveTable('examples/iot/telemetry.bprint-table');
+
+    assert.equal(telemetry.tableName, 'Telemetry');
+    assert.deepEqual(telemetry.sortKey, { name: 'sk', type: 'string' });
+    assert.deepEqual(
+      telemetry.entities.map(e => [e.entityType, e.schema.entityName]),
+      [
+        ['READING', 'SensorReading'],
+        ['ALERT', 'Alert'],
+      ]
+    );
+
+    const validate = await loadTableSchema();
+    const manifest = await loadFixture('examples/iot/telemetry.bprint-table');
+    assert.equal(validate(manifest), true, JSON.stringify(validate.errors));
+  });
+
+  await t.test('entity names and types must be unique', async () => {
+    assert.deepEqual(
+      await diagnosticsFor(
+        { 'order.bprint': order, 'order-v2.bprint': order },
+        table([
+          { schema: 'order.bprint' },
+          { schema: 'order-v2.bprint', entityType: 'ORDER' },
+          { schema: 'order.bprint', entityType: 'ORDER' },
+        ])
+      ),
+      [
+        ['duplicate-entity-name', '/entities/1/schema'],
+        ['duplicate-entity-name', '/entities/2/schema'],
+        ['duplicate-entity-type', '/entities/2/entityType'],
+      ]
+    );
+  });
+
+  await t.test('member keys must map onto the table keys', async () => {
+    const reading = entity(
+      'Reading',
+      { partitionKey: 'sensor', sortKey: 'seq' },
+      [
+        { name: 'sensor', type: 'string', required: true },
+        { name: 'seq', type: 'integer', required: true },
+        { name: 'entityType', type: 'string' },
+      ]
+    );
+    assert.deepEqual(
+      await diagnosticsFor(
+        {
+          'customer.bprint': customer,
+          'order.bprint': order,
+          'reading.bprint': reading,
+        },
+        table([
+          { schema: 'customer.bprint' },
+          { schema: 'order.bprint' },
+          { schema: 'reading.bprint' },
+        ])
+      ),
+      [
+        ['table-key-mismatch', '/entities/0/schema'],
+        ['entity-type-conflict', '/entities/2/schema'],
+        ['table-key-mismatch', '/entities/2/schema'],
+      ]
+    );
+
+    const [, withoutSortKey] = await diagnosticsFor(
+      { 'customer.bprint': customer, 'order.bprint': order },
+      table([{ schema: 'customer.bprint' }, { schema: 'order.bprint' }], {
+        sortKey: undefined,
+        entityTypeAttribute: 'pk',
+      })
+    );
+    assert.deepEqual(withoutSortKey, [
+      'table-key-mismatch',
+      '/entities/1/schema',
+    ]);
+  });
+
+  await t.test('member diagnostics name the member file', async () => {
+    let result;
+    await withFiles(
+      {
+        'customer.bprint': { ...customer, fields: [] },
+        'commerce.bprint-table': table([{ schema: 'customer.bprint' }], {
+          partitionKey: { name: 'pk', type: 'S' },
+          sortKey: undefined,
+          entitys: [],
+        }),
+      },
+      async dir => {
+        result = resolveTableDetailed(join(dir, 'commerce.bprint-table'), {
+          strict: true,
+        });
+      }
+    );
+    assert.deepEqual(
+      result.diagnostics.map(d => [d.code, d.path]),
+      [
+        ['unknown-property', '/entitys'],
+        ['invalid-table-key', '/partitionKey/type'],
+        ['invalid-fields', '/entities/0/schema'],
+        ['unknown-key-field', '/entities/0/schema'],
+      ]
+    );
+    assert.equal(
+      result.diagnostics[2].message,
+      'customer.bprint (/fields): Schema must include fields array with at least one field'
+    );
+  });
+
+  await t.test('findDuplicateEntityNames checks table members', () => {
+    assert.deepEqual(
+      findDuplicateEntityNames([customer, order, customer]).map(d => [
+        d.code,
+        d.path,
+      ]),
+      [['duplicate-entity-name', '/entities/2/schema']]
+    );
+  });
+});
+
+// Test suite for composite key templates
+test('Key Templates', async t => {
+  const {
+    validateSchema,
+    validateSchemaDetailed,
+    resolveSchema,
+    buildKey,
+    parseKey,
+    parseKeyTemplate,
+  } = await import('../dist/src/index.js');
+
+  const withKey = (primaryKey, extraFields = []) => ({
+    schemaVersion: 1.1,
+    entityName: 'Order',
+    description: 'Order entity',
+    primaryKey,
+    fields: [
+      { name: 'customerId', type: 'string', required: true },
+      { name: 'orderDate', type: 'timestamp', required: true },
+      { name: 'orderId', type: 'string', required: true },
+      { name: 'line', type: 'integer', required: true },
+      ...extraFields,
+    ],
+  });
+  const diagnosticsFor = (primaryKey, extraFields) =>
+    validateSchemaDetailed(withKey(primaryKey, extraFields)).diagnostics.map(
+      d => [d.code, d.path]
+    );
+
+  await t.test('templates split into literals and fields', () => {
+    assert.deepEqual(parseKeyTemplate('ORDER#{orderDate}#{orderId}'), [
+      { literal: 'ORDER#' },
+      { field: 'orderDate' },
+      { literal: '#' },
+      { field: 'orderId' },
+    ]);
+    assert.throws(() => parseKeyTemplate('{a}{b}'), /separate \{a\} and \{b\}/);
+    assert.throws(() => parseKeyTemplate('A#{a'), /unbalanced braces/);
+    assert.throws(() => parseKeyTemplate('{a}#{a}'), /more than once/);
+  });
+
+  await t.test('template fields must be required scalars', () => {
+    assert.deepEqual(
+      diagnosticsFor({ partitionKey: 'CUSTOMER#{customerId}' }),
+      []
+    );
+    assert.deepEqual(
+      diagnosticsFor(
+        {
+          partitionKey: 'CUSTOMER#{customer}',
+          sortKey: 'ORDER#{orderDate}#{tags}#{note}#{hash}',
+        },
+        [
+          { name: 'tags', type: 'stringSet', required: true },
+          { name: 'note', type: 'string' },
+          { name: 'hash', type: 'binary', required: true },
+        ]
+      ),
+      [
+        ['unknown-key-field', '/primaryKey/partitionKey'],
+        ['invalid-key-type', '/primaryKey/sortKey'],
+        ['optional-key-field', '/primaryKey/sortKey'],
+        ['invalid-key-type', '/primaryKey/sortKey'],
+      ]
+    );
+
+    const { diagnostics } = validateSchemaDetailed(
+      withKey({ partitionKey: 'CUSTOMER#{customerId}{orderId}' })
+    );
+    assert.deepEqual(
+      diagnostics.map(d => [d.code, d.message]),
+      [
+        [
+          'invalid-key-template',
+          "Key template 'CUSTOMER#{customerId}{orderId}' must separate {customerId} and {orderId} with literal text",
+        ],
+      ]
+    );
+  });
+
+  await t.test('buildKey and parseKey round-trip', () => {
+    const schema = validateSchema(
+      withKey({
+        partitionKey: 'CUSTOMER#{customerId}',
+        sortKey: 'ORDER#{orderDate}#{line}#{orderId}',
+      })
+    );
+    const item = {
+      customerId: 'c-1',
+      orderDate: '2024-01-15T10:30:00Z',
+      orderId: 'o#7',
+      line: 3,
+    };
+
+    const key = buildKey(schema, { ...item, notes: 'ignored' });
+    assert.deepEqual(key, {
+      partitionKey: 'CUSTOMER#c-1',
+      sortKey: 'ORDER#2024-01-15T10:30:00Z#3#o#7',
+    });
+    assert.deepEqual(parseKey(schema, key), item);
+    assert.deepEqual(parseKey(schema, { partitionKey: 'CUSTOMER#c-1' }), {
+      customerId: 'c-1',
+    });
+  });
+
+  await t.test('keys that cannot round-trip are rejected', () => {
+    const schema = validateSchema(
+      withKey({
+        partitionKey: 'customerId',
+        sortKey: '{orderId}#{line}',
+      })
+    );
+
+    assert.deepEqual(
+      buildKey(schema, { customerId: 'c-1', orderId: 'o', line: 1 }),
+      {
+        partitionKey: 'c-1',
+        sortKey: 'o#1',
+      }
+    );
+    assert.throws(
+      () => buildKey(schema, { customerId: 'c-1', orderId: 'o#1', line: 1 }),
+      {
+        message:
+          "Cannot build sortKey: value 'o#1' of field 'orderId' would not parse back from key 'o#1#1'",
+      }
+    );
+    assert.throws(() => buildKey(schema, { customerId: 'c-1', orderId: 'o' }), {
+      message: "sortKey field 'line' is missing",
+    });
+    assert.throws(
+      () => buildKey(schema, { customerId: 'c-1', orderId: 'o', line: 1.5 }),
+      /Invalid sortKey: Field 'line' must be an integer/
+    );
+    assert.throws(
+      () => parseKey(schema, { partitionKey: 'c-1', sortKey: 'o-1' }),
+      /does not match template '\{orderId\}#\{line\}'/
+    );
+    assert.throws(
+      () => parseKey(schema, { partitionKey: 'c-1', sortKey: 'o#x' }),
+      /Invalid sortKey/
+    );
+  });
+
+  await t.test('the order example uses templates', () => {
+    const order = resolveSchema('examples/ecommerce/order.bprint');
+    const key = buildKey(order, {
+      customerId: 'c-1',
+      orderDate: '2024-01-15T10:30:00Z',
+      orderId: 'o-1',
+    });
+    assert.deepEqual(key, {
+      partitionKey: 'CUSTOMER#c-1',
+      sortKey: 'ORDER#2024-01-15T10:30:00Z#o-1',
+    });
+  });
+});
+
+// Test suite for secondary indexes and access patterns
+test('Secondary Indexes and Access Patterns', async t => {
+  const { validateSchema, validateSchemaDetailed, resolveSchema } =
+    await import('../dist/src/index.js');
+
+  const withIndexes = (indexes, accessPatterns) => ({
+    schemaVersion: 1.1,
+    entityName: 'Order',
+    description: 'Order entity',
+    primaryKey: {
+      partitionKey: 'CUSTOMER#{customerId}',
+      sortKey: 'ORDER#{orderDate}#{orderId}',
+    },
+    fields: [
+      { name: 'customerId', type: 'string', required: true },
+      { name: 'orderDate', type: 'timestamp', required: true },
+      { name: 'orderId', type: 'string', required: true },
+      { name: 'status', type: 'string', required: true },
+      { name: 'total', type: 'number', required: true },
+      { name: 'coupon', type: 'string' },
+      { name: 'items', type: 'list', items: { type: 'string' } },
+    ],
+    indexes,
+    accessPatterns,
+  });
+  const diagnosticsFor = (indexes, accessPatterns) =>
+    validateSchemaDetailed(
+      withIndexes(indexes, accessPatterns)
+    ).diagnostics.map(d => [d.code, d.path]);
+
+  await t.test('valid indexes are returned with defaults filled in', () => {
+    const schema = validateSchema(
+      withIndexes(
+        [
+          { name: 'by-status', type: 'gsi', partitionKey: 'status' },
+          {
+            name: 'by-coupon',
+            type: 'gsi',
+            partitionKey: 'COUPON#{coupon}',
+            projection: { include: ['total'] },
+          },
+          {
+            name: 'by-total',
+            type: 'lsi',
+            sortKey: 'total',
+            projection: 'keys-only',
+          },
+        ],
+        [{ name: 'byStatus', index: 'by-status', keyFields: ['status'] }]
+      )
+    );
+    assert.deepEqual(
+      schema.indexes.map(index => [
+        index.name,
+        index.partitionKey,
+        index.projection,
+      ]),
+      [
+        ['by-status', 'status', 'all'],
+        ['by-coupon', 'COUPON#{coupon}', { include: ['total'] }],
+        ['by-total', 'CUSTOMER#{customerId}', 'keys-only'],
+      ]
+    );
+    assert.equal(schema.accessPatterns[0].name, 'byStatus');
+    assert.equal(validateSchema(withIndexes()).indexes, undefined);
+  });
+
+  await t.test('index definitions are checked', () => {
+    assert.deepEqual(
+      diagnosticsFor([
+        { name: 'ab', type: 'gsi', partitionKey: 'status' },
+        { name: 'by-status', type: 'gsi', partitionKey: 'state' },
+        { name: 'by-status', type: 'gsi', partitionKey: 'items' },
+        { name: 'by-kind', type: 'primary' },
+        { name: 'no-key', type: 'gsi' },
+        {
+          name: 'local',
+          type: 'lsi',
+          partitionKey: 'status',
+          projection: { include: ['totl', 'total', 'total'] },
+        },
+        {
+          name: 'ranged',
+          type: 'gsi',
+          partitionKey: 'status',
+          projection: 'some',
+        },
+      ]),
+      [
+        ['invalid-index', '/indexes/0/name'],
+        ['unknown-key-field', '/indexes/1/partitionKey'],
+        ['duplicate-index', '/indexes/2/name'],
+        ['invalid-key-type', '/indexes/2/partitionKey'],
+        ['invalid-index', '/indexes/3/type'],
+        ['invalid-index', '/indexes/4/partitionKey'],
+        ['invalid-index', '/indexes/5/partitionKey'],
+        ['invalid-index', '/indexes/5/sortKey'],
+        ['unknown-projection-field', '/indexes/5/projection/include/0'],
+        ['invalid-index', '/indexes/5/projection/include/2'],
+        ['invalid-index', '/indexes/6/projection'],
+      ]
+    );
+
+    const { diagnostics } = validateSchemaDetailed(
+      withIndexes([
+        {
+          name: 'by-status',
+          type: 'gsi',
+          partitionKey: 'status',
+          projection: { include: ['totl'] },
+        },
+      ])
+    );
+    assert.equal(
+      diagnostics[0].message,
+      "Index 'by-status' projection field 'totl' does not match any field; did you mean 'total'?"
+    );
+  });
+
+  await t.test('index keys may use optional fields', () => {
+    assert.deepEqual(
+      diagnosticsFor([
+        { name: 'by-coupon', type: 'gsi', partitionKey: 'coupon' },
+      ]),
+      []
+    );
+  });
+
+  await t.test('tables allow at most 5 local indexes', () => {
+    const locals = ['a', 'b', 'c', 'd', 'e', 'f'].map(suffix => ({
+      name: `local-${suffix}`,
+      type: 'lsi',
+      sortKey: 'total',
+    }));
+    const { diagnostics } = validateSchemaDetailed(withIndexes(locals));
+    assert.deepEqual(
+      diagnostics.map(d => [d.code, d.path, d.message]),
+      [
+        [
+          'invalid-index',
+          '/indexes',
+          'A table can have at most 5 local secondary indexes, found 6',
+        ],
+      ]
+    );
+  });
+
+  await t.test('access patterns must be servable', () => {
+    const indexes = [
+      {
+        name: 'by-status',
+        type: 'gsi',
+        partitionKey: 'status',
+        sortKey: 'total',
+      },
+    ];
+    assert.deepEqual(
+      diagnosticsFor(indexes, [
+        {
+          name: 'forCustomer',
+          keyFields: ['customerId'],
+          rangeField: 'orderDate',
+        },
+        {
+          name: 'oneOrder',
+          keyFields: ['customerId', 'orderDate', 'orderId'],
+        },
+        { name: 'byStatus', keyFields: ['status'], rangeField: 'total' },
+        { name: 'byStatusAndTotal', keyFields: ['status', 'total'] },
+      ]),
+      []
+    );
+    assert.deepEqual(
+      diagnosticsFor(indexes, [
+        { name: 'byOrderId', keyFields: ['orderId'] },
+        { name: 'skipsSortField', keyFields: ['customerId', 'orderId'] },
+        {
+          name: 'wrongRange',
+          keyFields: ['customerId'],
+          rangeField: 'orderId',
+        },
+        {
+          name: 'wrongIndex',
+          index: 'by-status',
+          keyFields: ['customerId'],
+        },
+      ]),
+      [
+        ['unservable-access-pattern', '/accessPatterns/0'],
+        ['unservable-access-pattern', '/accessPatterns/1'],
+        ['unservable-access-pattern', '/accessPatterns/2'],
+        ['unservable-access-pattern', '/accessPatterns/3'],
+      ]
+    );
+  });
+
+  await t.test('access pattern references are checked', () => {
+    const { diagnostics } = validateSchemaDetailed(
+      withIndexes(
+        [{ name: 'by-status', type: 'gsi', partitionKey: 'status' }],
+        [
+          { name: 'byStatus', index: 'by-stats', keyFields: ['status'] },
+          { name: 'byStatus', keyFields: ['state'], rangeField: 'when' },
+          { name: 'empty', keyFields: [] },
+        ]
+      )
+    );
+    assert.deepEqual(
+      diagnostics.map(d => [d.code, d.path]),
+      [
+        ['unknown-index', '/accessPatterns/0/index'],
+        ['duplicate-access-pattern', '/accessPatterns/1/name'],
+        ['invalid-access-pattern', '/accessPatterns/1/keyFields/0'],
+        ['invalid-access-pattern', '/accessPatterns/1/rangeField'],
+        ['invalid-access-pattern', '/accessPatterns/2/keyFields'],
+      ]
+    );
+    assert.equal(
+      diagnostics[0].message,
+      "Access pattern 'byStatus' uses index 'by-stats', which is not defined; did you mean 'by-status'?"
+    );
+  });
+
+  await t.test(
+    'unknown index and access pattern properties are reported',
+    () => {
+      const { diagnostics } = validateSchemaDetailed(
+        withIndexes(
+          [
+            {
+              name: 'by-status',
+              type: 'gsi',
+              partitionKey: 'status',
+              projection: { include: ['total'], exclude: ['items'] },
+              sparse: true,
+            },
+          ],
+          [{ name: 'byStatus', keyFields: ['status'], limit: 10 }]
+        )
+      );
+      assert.deepEqual(
+        diagnostics.map(d => [d.code, d.path]),
+        [
+          ['unknown-property', '/indexes/0/sparse'],
+          ['unknown-property', '/indexes/0/projection/exclude'],
+          ['unknown-property', '/accessPatterns/0/limit'],
+        ]
+      );
+    }
+  );
+
+  await t.test('the order example declares its access patterns', () => {
+    const order = resolveSchema('examples/ecommerce/order.bprint');
+    assert.deepEqual(
+      order.indexes.map(index => index.name),
+      ['status-index', 'order-id-index']
+    );
+    assert.deepEqual(
+      order.accessPatterns.map(pattern => pattern.name),
+      ['ordersForCustomer', 'ordersByStatus', 'orderById']
+    );
+  });
+});
+
+// Test suite for ttl and versionAttribute declarations
+test('TTL and Version Attributes', async t => {
+  const {
+    validateSchema,
+    validateSchemaDetailed,
+    resolveSchema,
+    computeTtl,
+    nextVersion,
+  } = await import('../dist/src/index.js');
+
+  const withAttributes = attributes => ({
+    schemaVersion: 1.1,
+    entityName: 'Reading',
+    description: 'Sensor reading',
+    primaryKey: { partitionKey: 'deviceId', sortKey: 'SEQ#{sequence}' },
+    fields: [
+      { name: 'deviceId', type: 'string', required: true },
+      { name: 'sequence', type: 'integer', required: true },
+      { name: 'expiresAt', type: 'integer' },
+      { name: 'version', type: 'integer', required: true },
+      { name: 'recordedAt', type: 'timestamp', required: true },
+    ],
+    ...attributes,
+  });
+  const diagnosticsFor = attributes =>
+    validateSchemaDetailed(withAttributes(attributes)).diagnostics.map(d => [
+      d.code,
+      d.path,
+    ]);
+
+  await t.test('valid declarations are returned', () => {
+    const schema = validateSchema(
+      withAttributes({
+        ttl: { field: 'expiresAt', defaultRetention: 3600 },
+        versionAttribute: 'version',
+      })
+    );
+    assert.deepEqual(schema.ttl, {
+      field: 'expiresAt',
+      defaultRetention: 3600,
+    });
+    assert.equal(schema.versionAttribute, 'version');
+    assert.equal(validateSchema(withAttributes()).ttl, undefined);
+  });
+
+  await t.test('fields must be numeric and outside the key', () => {
+    assert.deepEqual(
+      diagnosticsFor({
+        ttl: { field: 'recordedAt', defaultRetention: 0 },
+        versionAttribute: 'sequence',
+      }),
+      [
+        ['invalid-ttl', '/ttl/field'],
+        ['invalid-ttl', '/ttl/defaultRetention'],
+        ['invalid-version-attribute', '/versionAttribute'],
+      ]
+    );
+    assert.deepEqual(
+      diagnosticsFor({
+        ttl: { field: 'expiresAt' },
+        versionAttribute: 'expiresAt',
+      }),
+      [['invalid-version-attribute', '/versionAttribute']]
+    );
+    assert.deepEqual(diagnosticsFor({ ttl: 'expiresAt' }), [
+      ['invalid-ttl', '/ttl'],
+    ]);
+
+    const { diagnostics } = validateSchemaDetailed(
+      withAttributes({ ttl: { field: 'expiresAtt' } })
+    );
+    assert.equal(
+      diagnostics[0].message,
+      "ttl field 'expiresAtt' does not match any field; did you mean 'expiresAt'?"
+    );
+  });
+
+  await t.test('computeTtl adds the retention to the current time', () => {
+    const schema = validateSchema(
+      withAttributes({ ttl: { field: 'expiresAt', defaultRetention: 3600 } })
+    );
+    const now = new Date('2024-01-15T10:30:00.500Z');
+    assert.equal(computeTtl(schema, { now }), 1705314600 + 3600);
+    assert.equal(computeTtl(schema, { now, retention: 60 }), 1705314600 + 60);
+
+    const noDefault = validateSchema(
+      withAttributes({ ttl: { field: 'expiresAt' } })
+    );
+    assert.throws(() => computeTtl(noDefault), /has no defaultRetention/);
+    assert.throws(
+      () => computeTtl(validateSchema(withAttributes())),
+      /does not declare a ttl/
+    );
+  });
+
+  await t.test('nextVersion increments the current version', () => {
+    const schema = validateSchema(
+      withAttributes({ versionAttribute: 'version' })
+    );
+    assert.equal(nextVersion(schema, {}), 1);
+    assert.equal(nextVersion(schema, { version: 4 }), 5);
+    assert.throws(
+      () => nextVersion(schema, { version: '4' }),
+      /must be a non-negative integer/
+    );
+    assert.throws(
+      () => nextVersion(validateSchema(withAttributes()), { version: 1 }),
+      /does not declare a versionAttribute/
+    );
+  });
+
+  await t.test('declarations are inherited through extends', () => {
+    assert.equal(
+      resolveSchema('examples/ecommerce/product.bprint').versionAttribute,
+      'version'
+    );
+    assert.deepEqual(resolveSchema('examples/iot/sensor-reading.bprint').ttl, {
+      field: 'expiresAt',
+      defaultRetention: 7776000,
+    });
+  });
+});
+
+// Test suite for field classification
+test('Field Classification', async t => {
+  const {
+    validateSchema,
+    validateSchemaDetailed,
+    resolveSchema,
+    listClassifiedFields,
+  } = await import('../dist/src/index.js');
+
+  const withFields = fields => ({
+    schemaVersion: 1.1,
+    entityName: 'Patient',
+    description: 'Patient entity',
+    primaryKey: { partitionKey: 'patientId' },
+    fields: [{ name: 'patientId', type: 'string', required: true }, ...fields],
+  });
+  const diagnosticsFor = fields =>
+    validateSchemaDetailed(withFields(fields)).diagnostics.map(d => [
+      d.code,
+      d.path,
+      d.severity,
+    ]);
+
+  await t.test('valid classifications are kept on validated fields', () => {
+    const classification = {
+      level: 'restricted',
+      categories: ['pii', 'phi'],
+      retention: 'P7Y',
+      masking: 'mask',
+    };
+    const schema = validateSchema(
+      withFields([{ name: 'ssn', type: 'string', classification }])
+    );
+    assert.deepEqual(schema.fields[1].classification, classification);
+  });
+
+  await t.test('classification blocks are checked', () => {
+    assert.deepEqual(
+      diagnosticsFor([
+        {
+          name: 'ssn',
+          type: 'string',
+          classification: {
+            level: 'secret',
+            categories: ['pii', 'gdpr', 'pii'],
+            retention: '7 years',
+            masking: 'blur',
+          },
+        },
+        { name: 'notes', type: 'string', classification: 'restricted' },
+      ]),
+      [
+        ['invalid-classification', '/fields/1/classification/level', 'error'],
+        [
+          'invalid-classification',
+          '/fields/1/classification/categories/1',
+          'error',
+        ],
+        [
+          'invalid-classification',
+          '/fields/1/classification/categories/2',
+          'error',
+        ],
+        [
+          'invalid-classification',
+          '/fields/1/classification/retention',
+          'error',
+        ],
+        ['invalid-classification', '/fields/1/classification/masking', 'error'],
+        ['invalid-classification', '/fields/2/classification', 'error'],
+      ]
+    );
+  });
+
+  await t.test('sensitive data classified public is a warning', () => {
+    assert.deepEqual(
+      diagnosticsFor([
+        {
+          name: 'email',
+          type: 'string',
+          classification: { level: 'public', categories: ['pii'] },
+        },
+      ]),
+      [['classification-mismatch', '/fields/1/classification/level', 'warning']]
+    );
+  });
+
+  await t.test('unknown classification properties are reported', () => {
+    assert.deepEqual(
+      diagnosticsFor([
+        {
+          name: 'email',
+          type: 'string',
+          classification: { level: 'internal', owner: 'crm' },
+        },
+      ]).map(([code, path]) => [code, path]),
+      [['unknown-property', '/fields/1/classification/owner']]
+    );
+  });
+
+  await t.test('listClassifiedFields reports nested fields', () => {
+    const patient = validateSchema(
+      withFields([
+        {
+          name: 'contact',
+          type: 'map',
+          fields: [
+            {
+              name: 'phone',
+              type: 'string',
+              classification: { level: 'confidential', categories: ['pii'] },
+            },
+          ],
+        },
+        {
+          name: 'cards',
+          type: 'list',
+          items: {
+            type: 'map',
+            fields: [
+              {
+                name: 'pan',
+                type: 'string',
+                classification: { level: 'restricted', categories: ['pci'] },
+              },
+            ],
+          },
+        },
+      ])
+    );
+    const record = resolveSchema('examples/healthcare/medical-record.bprint');
+
+    const classified = listClassifiedFields([patient, record]);
+    assert.deepEqual(
+      classified.map(c => [c.entityName, c.field, c.classification.level]),
+      [
+        ['Patient', 'contact.phone', 'confidential'],
+        ['Patient', 'cards.pan', 'restricted'],
+        ['MedicalRecord', 'diagnosis', 'restricted'],
+        ['MedicalRecord', 'symptoms', 'restricted'],
+        ['MedicalRecord', 'treatment', 'restricted'],
+        ['MedicalRecord', 'medications', 'restricted'],
+        ['MedicalRecord', 'notes', 'restricted'],
+      ]
+    );
+    assert.deepEqual(classified[2].classification.categories, ['phi']);
+  });
+});
+
+// Test suite for schema-driven redaction
+test('Record Redaction', async t => {
+  const { validateSchema, resolveSchema, redactRecord } = await import(
+    '../dist/src/index.js'
+  );
+  const { createHmac } = await import('node:crypto');
+
+  const schema = validateSchema({
+    schemaVersion: 1.1,
+    entityName: 'Patient',
+    description: 'Patient entity',
+    primaryKey: { partitionKey: 'patientId' },
+    fields: [
+      { name: 'patientId', type: 'string', required: true },
+      {
+        name: 'ssn',
+        type: 'string',
+        classification: { level: 'restricted', categories: ['pii'] },
+      },
+      {
+        name: 'email',
+        type: 'string',
+        classification: { level: 'confidential', masking: 'hash' },
+      },
+      {
+        name: 'birthDate',
+        type: 'date',
+        classification: { level: 'confidential', masking: 'truncate' },
+      },
+      {
+        name: 'diagnosis',
+        type: 'string',
+        classification: { level: 'restricted', masking: 'drop' },
+      },
+      {
+        name: 'region',
+        type: 'string',
+        classification: { level: 'internal', masking: 'none' },
+      },
+      {
+        name: 'phones',
+        type: 'stringSet',
+        classification: { level: 'confidential', masking: 'mask' },
+      },
+      {
+        name: 'contact',
+        type: 'map',
+        fields: [
+          { name: 'relation', type: 'string' },
+          {
+            name: 'name',
+            type: 'string',
+            classification: { level: 'confidential', masking: 'mask' },
+          },
+        ],
+      },
+      {
+        name: 'visits',
+        type: 'list',
+        items: {
+          type: 'map',
+          fields: [
+            { name: 'date', type: 'date' },
+            {
+              name: 'notes',
+              type: 'string',
+              classification: { level: 'restricted', masking: 'drop' },
+            },
+          ],
+        },
+      },
+    ],
+  });
+  const item = {
+    patientId: 'p-1',
+    ssn: '123-45-6789',
+    email: 'pat@example.com',
+    birthDate: '1990-05-17',
+    diagnosis: 'Hypertension',
+    region: 'west',
+    phones: new Set(['+14155552671']),
+    contact: { relation: 'sister', name: 'Sam' },
+    visits: [{ date: '2024-01-15', notes: 'Follow up' }],
+    source: 'import',
+  };
+  const hashKey = 'test-secret';
+
+  await t.test('fields above the audience are masked', () => {
+    const redacted = redactRecord(schema, item, {
+      audience: 'internal',
+      hashKey,
+    });
+    assert.equal(redacted.patientId, 'p-1');
+    assert.equal(redacted.ssn, '*******6789');
+    assert.match(redacted.email, /^hmac-sha256:[0-9a-f]{64}$/);
+    assert.equal(redacted.birthDate, '1990');
+    assert.equal('diagnosis' in redacted, false);
+    assert.equal(redacted.region, 'west');
+    assert.deepEqual(redacted.phones, new Set(['********2671']));
+    assert.deepEqual(redacted.contact, { relation: 'sister', name: '***' });
+    assert.deepEqual(redacted.visits, [{ date: '2024-01-15' }]);
+    assert.equal(redacted.source, 'import');
+    assert.equal(item.ssn, '123-45-6789');
+  });
+
+  await t.test('masked sets stay sets without duplicates', () => {
+    const codes = { name: 'codes', type: 'stringSet' };
+    const masked = redactRecord(
+      {
+        ...schema,
+        fields: [
+          ...schema.fields,
+          {
+            ...codes,
+            classification: { level: 'restricted', masking: 'mask' },
+          },
+        ],
+      },
+      { ...item, codes: new Set(['abc', 'abd']) },
+      { hashKey }
+    );
+    assert.deepEqual(masked.codes, new Set(['***']));
+    assert.deepEqual(masked.phones, new Set(['********2671']));
+  });
+
+  await t.test('the audience level sees its own fields', () => {
+    const redacted = redactRecord(schema, item, { audience: 'confidential' });
+    assert.equal(redacted.email, 'pat@example.com');
+    assert.deepEqual(redacted.contact, item.contact);
+    assert.equal(redacted.ssn, '*******6789');
+    assert.deepEqual(redactRecord(schema, item, { audience: 'restricted' }), {
+      ...item,
+    });
+  });
+
+  await t.test(
+    'hashes are keyed HMACs and the audience defaults to public',
+    () => {
+      const first = redactRecord(schema, item, { hashKey });
+      const second = redactRecord(schema, { ...item }, { hashKey });
+      assert.equal(first.email, second.email);
+      assert.equal(
+        first.email,
+        `hmac-sha256:${createHmac('sha256', hashKey).update('pat@example.com').digest('hex')}`
+      );
+      assert.notEqual(
+        redactRecord(schema, item, { hashKey: 'other-secret' }).email,
+        first.email
+      );
+      assert.equal(first.region, 'west');
+      assert.throws(
+        () => redactRecord(schema, item),
+        /Field 'email' is masked with 'hash', which needs a hashKey option/
+      );
+      assert.throws(
+        () => redactRecord(schema, item, { audience: 'secret' }),
+        /Unknown audience 'secret'/
+      );
+      assert.throws(() => redactRecord(schema, []), /must be an object/);
+    }
+  );
+
+  await t.test('dropUndeclared removes properties the blueprint lacks', () => {
+    const redacted = redactRecord(
+      schema,
+      {
+        ...item,
+        contact: { ...item.contact, ssn: '123-45-6789' },
+        visits: [{ ...item.visits[0], password: 'hunter2' }],
+      },
+      { audience: 'restricted', dropUndeclared: true }
+    );
+    assert.equal('source' in redacted, false);
+    assert.deepEqual(redacted.contact, item.contact);
+    assert.deepEqual(redacted.visits, item.visits);
+  });
+
+  await t.test('example blueprints redact their classified fields', () => {
+    const record = resolveSchema('examples/healthcare/medical-record.bprint');
+    const redacted = redactRecord(
+      record,
+      {
+        recordId: 'r-1',
+        patientId: 'p-1',
+        diagnosis: 'Hypertension',
+        medications: 'Lisinopril',
+      },
+      { audience: 'internal' }
+    );
+    assert.deepEqual(redacted, { recordId: 'r-1', patientId: 'p-1' });
+  });
+});
+
+// Test suite for deprecation metadata
+test('Deprecation', async t => {
+  const {
+    validateSchema,
+    validateSchemaDetailed,
+    resolveSchema,
+    findDeprecatedUsage,
+  } = await import('../dist/src/index.js');
+
+  const withFields = (fields, extra = {}) => ({
+    schemaVersion: 1.1,
+    entityName: 'Record',
+    description: 'Medical record',
+    primaryKey: { partitionKey: 'recordId' },
+    fields: [{ name: 'recordId', type: 'string', required: true }, ...fields],
+    ...extra,
+  });
+  const diagnosticsFor = (fields, extra) =>
+    validateSchemaDetailed(withFields(fields, extra)).diagnostics.map(d => [
+      d.code,
+      d.path,
+      d.severity,
+    ]);
+
+  await t.test('deprecations are kept on the validated schema', () => {
+    const schema = validateSchema(
+      withFields(
+        [
+          {
+            name: 'attachments',
+            type: 'string',
+            deprecated: { since: '1.1', replacement: 'documents' },
+          },
+          { name: 'documents', type: 'list', items: { type: 'string' } },
+          {
+            name: 'recordType',
+            type: 'string',
+            enum: ['visit', 'lab_result', 'lab'],
+            deprecatedValues: { lab_result: { replacement: 'lab' } },
+          },
+        ],
+        { deprecated: true }
+      )
+    );
+    assert.equal(schema.deprecated, true);
+    assert.deepEqual(schema.fields[1].deprecated, {
+      since: '1.1',
+      replacement: 'documents',
+    });
+    assert.deepEqual(schema.fields[3].deprecatedValues, {
+      lab_result: { replacement: 'lab' },
+    });
+  });
+
+  await t.test('deprecations are checked', () => {
+    assert.deepEqual(
+      diagnosticsFor(
+        [
+          { name: 'a', type: 'string', deprecated: 'yes' },
+          {
+            name: 'b',
+            type: 'string',
+            deprecated: { since: 2, replacement: 'c' },
+          },
+          {
+            name: 'kind',
+            type: 'string',
+            enum: ['x', 'y'],
+            deprecatedValues: { z: true, x: { replacement: 'x' } },
+          },
+        ],
+        { deprecated: { reason: '' } }
+      ),
+      [
+        ['invalid-deprecation', '/fields/1/deprecated', 'error'],
+        ['invalid-deprecation', '/fields/2/deprecated/since', 'error'],
+        ['invalid-deprecation', '/fields/2/deprecated/replacement', 'error'],
+        ['invalid-deprecation', '/fields/3/deprecatedValues/z', 'error'],
+        [
+          'invalid-deprecation',
+          '/fields/3/deprecatedValues/x/replacement',
+          'error',
+        ],
+        ['invalid-deprecation', '/deprecated/reason', 'error'],
+      ]
+    );
+  });
+
+  await t.test('deprecated required and key fields are warnings', () => {
+    const { valid, diagnostics } = validateSchemaDetailed({
+      ...withFields([
+        {
+          name: 'legacyId',
+          type: 'string',
+          required: true,
+          deprecated: { reason: 'Use recordId' },
+        },
+      ]),
+      primaryKey: { partitionKey: 'recordId', sortKey: 'LEGACY#{legacyId}' },
+    });
+    assert.equal(valid, true);
+    assert.deepEqual(
+      diagnostics.map(d => [d.code, d.path, d.severity]),
+      [
+        ['deprecated-required-field', '/fields/1/required', 'warning'],
+        ['deprecated-key-field', '/primaryKey/sortKey', 'warning'],
+      ]
+    );
+    assert.deepEqual(
+      diagnosticsFor([
+        { name: 'old', type: 'string', required: true, deprecated: false },
+      ]),
+      []
+    );
+  });
+
+  await t.test('findDeprecatedUsage reports deprecated writes', () => {
+    const schema = validateSchema(
+      withFields(
+        [
+          {
+            name: 'attachments',
+            type: 'string',
+            deprecated: { since: '1.1', reason: 'Moved to storage' },
+          },
+          {
+            name: 'tags',
+            type: 'stringSet',
+            enum: ['new', 'old'],
+            deprecatedValues: { old: { replacement: 'new' } },
+          },
+          {
+            name: 'lines',
+            type: 'list',
+            items: {
+              type: 'map',
+              fields: [{ name: 'code', type: 'string', deprecated: true }],
+            },
+          },
+        ],
+        { deprecated: { since: '2024-06-01' } }
+      )
+    );
+    const usages = findDeprecatedUsage(schema, {
+      recordId: 'r-1',
+      attachments: 'a.pdf',
+      tags: new Set(['new', 'old']),
+      lines: [{}, { code: 'X' }],
+    });
+    assert.deepEqual(
+      usages.map(u => [u.code, u.path, u.message]),
+      [
+        [
+          'deprecated-entity',
+          '',
+          "Entity 'Record' is deprecated since 2024-06-01",
+        ],
+        [
+          'deprecated-field',
+          '/attachments',
+          "Field 'attachments' is deprecated since 1.1: Moved to storage",
+        ],
+        [
+          'deprecated-value',
+          '/tags',
+          "Value 'old' of field 'tags' is deprecated; use 'new' instead",
+        ],
+        ['deprecated-field', '/lines/1/code', "Field 'code' is deprecated"],
+      ]
+    );
+  });
+
+  await t.test('lists deprecate values of their items enum', () => {
+    const fields = [
+      {
+        name: 'codes',
+        type: 'list',
+        items: { type: 'string', enum: ['A1', 'B2', 'C3'] },
+        deprecatedValues: { B2: { replacement: 'C3' } },
+      },
+    ];
+    assert.deepEqual(diagnosticsFor(fields), []);
+    assert.deepEqual(
+      diagnosticsFor([{ ...fields[0], deprecatedValues: { D4: true } }]),
+      [['invalid-deprecation', '/fields/1/deprecatedValues/D4', 'error']]
+    );
+    const usages = findDeprecatedUsage(validateSchema(withFields(fields)), {
+      recordId: 'r-1',
+      codes: ['A1', 'B2'],
+    });
+    assert.deepEqual(
+      usages.map(u => [u.code, u.path, u.message]),
+      [
+        [
+          'deprecated-value',
+          '/codes/1',
+          "Value 'B2' of field 'codes' is deprecated; use 'C3' instead",
+        ],
+      ]
+    );
+  });
+
+  await t.test('only declared values are deprecated', () => {
+    const schema = validateSchema(
+      withFields([
+        {
+          name: 'status',
+          type: 'string',
+          enum: ['open', 'closed', '__proto__'],
+          deprecatedValues: { closed: true },
+        },
+      ])
+    );
+    assert.deepEqual(
+      findDeprecatedUsage(schema, { recordId: 'r-1', status: '__proto__' }),
+      []
+    );
+  });
+
+  await t.test('the medical record example deprecates attachments', () => {
+    const record = resolveSchema('examples/healthcare/medical-record.bprint');
+    const usages = findDeprecatedUsage(record, {
+      recordType: 'prescription',
+      attachments: 'scan.pdf',
+      notes: 'ok',
+    });
+    assert.deepEqual(
+      usages.map(u => [u.code, u.path]),
+      [
+        ['deprecated-value', '/recordType'],
+        ['deprecated-field', '/attachments'],
+      ]
+    );
+  });
+});
+
+test('Entity Rules', async t => {
+  const {
+    validateSchema,
+    validateSchemaDetailed,
+    resolveSchema,
+    validateRecord,
+    compileRecordValidator,
+  } = await import('../dist/src/index.js');
+
+  const withRules = rules => ({
+    schemaVersion: 1.0,
+    entityName: 'Booking',
+    description: 'Room booking',
+    primaryKey: { partitionKey: 'bookingId' },
+    fields: [
+      { name: 'bookingId', type: 'string', required: true },
+      { name: 'startTime', type: 'timestamp', required: true },
+      { name: 'endTime', type: 'timestamp' },
+      { name: 'status', type: 'string', enum: ['booked', 'cancelled'] },
+      { name: 'cancellationReason', type: 'string' },
+      { name: 'email', type: 'string' },
+      { name: 'phone', type: 'string' },
+      { name: 'guests', type: 'integer' },
+      { name: 'rooms', type: 'list', items: { type: 'string' } },
+      {
+        name: 'contact',
+        type: 'map',
+        fields: [{ name: 'name', type: 'string' }],
+      },
+    ],
+    rules,
+  });
+  const diagnosticsFor = rules =>
+    validateSchemaDetailed(withRules(rules)).diagnostics.map(d => [
+      d.code,
+      d.path,
+      d.message,
+    ]);
+
+  await t.test('rules are kept on the validated schema', () => {
+    const rules = [
+      {
+        name: 'endsAfterStart',
+        when: 'present(endTime)',
+        assert: 'endTime > startTime',
+      },
+      {
+        name: 'oneContact',
+        description: 'Where confirmations go',
+        assert: 'exactlyOne(email, phone)',
+        message: 'Give an email or a phone number',
+      },
+    ];
+    assert.deepEqual(validateSchema(withRules(rules)).rules, rules);
+  });
+
+  await t.test('syntax errors name their position', () => {
+    assert.deepEqual(
+      diagnosticsFor([
+        { name: 'a', assert: 'endTime >' },
+        { name: 'b', assert: 'guests > 1 guests' },
+        { name: 'c', assert: "status == 'booked" },
+        { name: 'd', assert: 'after(endTime)' },
+      ]),
+      [
+        [
+          'invalid-rule',
+          '/rules/0/assert',
+          "Rule 'a' assert: unexpected end of expression",
+        ],
+        [
+          'invalid-rule',
+          '/rules/1/assert',
+          "Rule 'b' assert: unexpected 'guests' at position 11",
+        ],
+        [
+          'invalid-rule',
+          '/rules/2/assert',
+          "Rule 'c' assert: unterminated string at position 10",
+        ],
+        [
+          'invalid-rule',
+          '/rules/3/assert',
+          "Rule 'd' assert: unknown function 'after' at position 0; expected one of: present, exactlyOne",
+        ],
+      ]
+    );
+  });
+
+  await t.test('field references and types are checked', () => {
+    assert.deepEqual(
+      diagnosticsFor([
+        { name: 'a', assert: 'endTme > startTime' },
+        { name: 'b', when: "status == 'closed'", assert: 'guests > 0' },
+        { name: 'c', assert: 'endTime > 5' },
+        { name: 'd', assert: 'guests' },
+        { name: 'e', assert: "rooms != 'a'" },
+        { name: 'f', assert: 'present(contact.nam)' },
+        { name: 'g', assert: 'exactlyOne(email)' },
+        { name: 'h', assert: "startTime < 'tomorrow'" },
+      ]),
+      [
+        [
+          'invalid-rule',
+          '/rules/0/assert',
+          "Rule 'a' assert: field 'endTme' does not match any field; did you mean 'endTime'?",
+        ],
+        [
+          'invalid-rule',
+          '/rules/1/when',
+          "Rule 'b' when: 'status' can never be \"closed\"; expected one of: booked, cancelled",
+        ],
+        [
+          'invalid-rule',
+          '/rules/2/assert',
+          "Rule 'c' assert: cannot compare timestamp 'endTime' with 5",
+        ],
+        [
+          'invalid-rule',
+          '/rules/3/assert',
+          "Rule 'd' assert: must be a condition, not number",
+        ],
+        [
+          'invalid-rule',
+          '/rules/4/assert',
+          "Rule 'e' assert: '!=' cannot compare list, map, set, union or binary fields; use present()",
+        ],
+        [
+          'invalid-rule',
+          '/rules/5/assert',
+          "Rule 'f' assert: field 'contact.nam' does not match any field; did you mean 'name'?",
+        ],
+        [
+          'invalid-rule',
+          '/rules/6/assert',
+          "Rule 'g' assert: exactlyOne() takes at least two fields",
+        ],
+        [
+          'invalid-rule',
+          '/rules/7/assert',
+          "Rule 'h' assert: 'tomorrow' is not an ISO 8601 timestamp",
+        ],
+      ]
+    );
+  });
+
+  await t.test('rule names are unique and assert is required', () => {
+    assert.deepEqual(
+      diagnosticsFor([
+        { name: 'a', assert: 'guests > 0' },
+        { name: 'a', when: 'guests > 1' },
+      ]).map(([code, path]) => [code, path]),
+      [
+        ['duplicate-rule', '/rules/1/name'],
+        ['invalid-rule', '/rules/1/assert'],
+      ]
+    );
+  });
+
+  await t.test('validateRecord evaluates rules on valid records', () => {
+    const schema = validateSchema(
+      withRules([
+        {
+          name: 'endsAfterStart',
+          when: 'present(endTime)',
+          assert: 'endTime > startTime',
+        },
+        {
+          name: 'reasonWhenCancelled',
+          when: "status == 'cancelled'",
+          assert: 'present(cancellationReason)',
+          message: 'Cancelled bookings need a reason',
+        },
+        { name: 'oneContact', assert: 'exactlyOne(email, phone)' },
+        { name: 'partySize', assert: 'guests in [1, 2, 4] || guests == null' },
+      ])
+    );
+    const valid = {
+      bookingId: 'b-1',
+      startTime: '2024-05-01T10:00:00Z',
+      endTime: '2024-05-01T13:00:00+02:00',
+      email: 'a@example.com',
+      guests: 2,
+    };
+    assert.deepEqual(validateRecord(schema, valid), {
+      valid: true,
+      errors: [],
+    });
+    assert.deepEqual(
+      validateRecord(schema, {
+        bookingId: 'b-1',
+        startTime: '2024-05-01T10:00:00Z',
+        endTime: '2024-05-01T11:00:00+02:00',
+        status: 'cancelled',
+        email: 'a@example.com',
+        phone: '555-0100',
+        guests: 3,
+      }).errors,
+      [
+        {
+          code: 'rule',
+          path: '/endTime',
+          message: "Rule 'endsAfterStart' failed: endTime > startTime",
+        },
+        {
+          code: 'rule',
+          path: '/cancellationReason',
+          message: 'Cancelled bookings need a reason',
+        },
+        {
+          code: 'rule',
+          path: '/email',
+          message: "Rule 'oneContact' failed: exactlyOne(email, phone)",
+        },
+        {
+          code: 'rule',
+          path: '/guests',
+          message:
+            "Rule 'partySize' failed: guests in [1, 2, 4] || guests == null",
+        },
+      ]
+    );
+    // Rules are skipped while fields have errors
+    assert.deepEqual(
+      validateRecord(schema, {
+        ...valid,
+        guests: 'two',
+        phone: '555-0100',
+      }).errors.map(e => e.code),
+      ['type']
+    );
+  });
+
+  await t.test('compiled validators evaluate rules the same way', () => {
+    const schema = resolveSchema('examples/healthcare/appointment.bprint');
+    const validate = compileRecordValidator(schema);
+    const appointment = {
+      appointmentId: 'a-1',
+      patientId: 'p-1',
+      providerId: 'd-1',
+      appointmentDate: '2024-05-01T10:00:00Z',
+      duration: 30,
+      type: 'consultation',
+      status: 'scheduled',
+      reminderPhone: '555-0100',
+      createdAt: '2024-04-01T10:00:00Z',
+    };
+    for (const item of [
+      appointment,
+      { ...appointment, endTime: '2024-05-01T09:30:00Z' },
+      { ...appointment, status: 'cancelled', reminderEmail: 'a@example.com' },
+      { ...appointment, status: 'cancelled', cancellationReason: 'Sick' },
+    ]) {
+      assert.deepEqual(validate(item), validateRecord(schema, item));
+    }
+    assert.deepEqual(
+      validate({ ...appointment, status: 'cancelled' }).errors.map(
+        e => e.message
+      ),
+      ['Cancelled appointments need a cancellationReason']
+    );
+  });
+});
+
 // Cleanup after tests
 test.after(async () => {
   resetSchema();